@@ -5,6 +5,16 @@ const cors = require("../middleware/cors");
 const cookieParser = require("cookie-parser");
 
 module.exports = (app) => {
+  // Behind a reverse proxy, so req.ip (rate limits) is the client and not the
+  // proxy: number of proxy hops or a list of trusted addresses
+  if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set(
+      "trust proxy",
+      Number.isInteger(hops) ? hops : process.env.TRUST_PROXY
+    );
+  }
+
   app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
   // Apply JSON parser to all routes EXCEPT file upload routes
@@ -0,0 +1,100 @@
+/**
+ * Roles of dashboard accounts (Admin.role) and what they may do
+ *
+ * Every protected route names the permission it needs (see
+ * requirePermission in middleware/auth.js). Permissions are
+ * "<area>:<action>"; an owner may do everything.
+ * - owner: the practice owner, also manages the staff accounts
+ * - receptionist: runs the front desk (appointments, patients, orders,
+ *   schedules) but cannot delete doctors or patients, change settings or
+ *   send marketing emails
+ * - doctor: sees and updates only the appointments and schedule of the
+ *   doctor linked to the account (Admin.doctorId)
+ * - readonly: may look at everything, change nothing
+ */
+
+const ROLES = ["owner", "doctor", "receptionist", "readonly"];
+
+const PERMISSIONS = [
+  "appointments:read",
+  "appointments:write",
+  "appointments:delete",
+  "patients:read",
+  "patients:write",
+  "patients:delete",
+  "marketing:send",
+  "orders:read",
+  "orders:write",
+  "orders:delete",
+  "doctors:read",
+  "doctors:write",
+  "doctors:delete",
+  "schedule:read",
+  "schedule:write",
+  "waitlist:read",
+  "settings:read",
+  "settings:write",
+  "emailOutbox:read",
+  "emailOutbox:write",
+  "staff:manage",
+];
+
+const READ_PERMISSIONS = PERMISSIONS.filter((permission) =>
+  permission.endsWith(":read")
+);
+
+const ROLE_PERMISSIONS = {
+  owner: PERMISSIONS,
+  receptionist: [
+    "appointments:read",
+    "appointments:write",
+    "appointments:delete",
+    "patients:read",
+    "patients:write",
+    "orders:read",
+    "orders:write",
+    "orders:delete",
+    "doctors:read",
+    "schedule:read",
+    "schedule:write",
+    "waitlist:read",
+    "settings:read",
+    "emailOutbox:read",
+    "emailOutbox:write",
+  ],
+  doctor: [
+    "appointments:read",
+    "appointments:write",
+    "patients:read",
+    "doctors:read",
+    "schedule:read",
+    "waitlist:read",
+  ],
+  readonly: READ_PERMISSIONS,
+};
+
+/**
+ * Permissions of a role
+ * @param {string} role - Admin.role
+ * @returns {Array<string>} Empty for unknown roles
+ */
+function getRolePermissions(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * Whether a role grants a permission
+ * @param {string} role - Admin.role
+ * @param {string} permission - e.g. "appointments:write"
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+  return getRolePermissions(role).includes(permission);
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  getRolePermissions,
+  hasPermission,
+};
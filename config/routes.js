@@ -6,6 +6,15 @@ const appointmentManagementController = require("../controllers/appointmentManag
 const holidaysController = require("../controllers/holidays");
 const ordersController = require("../controllers/orders");
 const patientsController = require("../controllers/patients");
+const reminderRulesController = require("../controllers/reminderRules");
+const emailOutboxController = require("../controllers/emailOutbox");
+const availabilityTemplatesController = require("../controllers/availabilityTemplates");
+const absencesController = require("../controllers/absences");
+const slotHoldsController = require("../controllers/slotHolds");
+const waitlistController = require("../controllers/waitlist");
+const appointmentTypesController = require("../controllers/appointmentTypes");
+const videoRulesController = require("../controllers/videoRules");
+const staffAccountsController = require("../controllers/staffAccounts");
 
 module.exports = (app) => {
   app.get("/", (req, res) => {
@@ -23,4 +32,13 @@ module.exports = (app) => {
   app.use("/api/holidays", holidaysController);
   app.use("/api/orders", ordersController);
   app.use("/api/patients", patientsController);
+  app.use("/api/reminder-rules", reminderRulesController);
+  app.use("/api/email-outbox", emailOutboxController);
+  app.use("/api/availability-templates", availabilityTemplatesController);
+  app.use("/api/absences", absencesController);
+  app.use("/api/slot-holds", slotHoldsController); // Public slot holds during booking
+  app.use("/api/waitlist", waitlistController);
+  app.use("/api/appointment-types", appointmentTypesController);
+  app.use("/api/video-rules", videoRulesController);
+  app.use("/api/staff-accounts", staffAccountsController);
 };
@@ -0,0 +1,265 @@
+const express = require("express");
+const { body, param, query, validationResult } = require("express-validator");
+const {
+  requirePermission,
+  getDoctorScope,
+  isInDoctorScope,
+} = require("../middleware/auth");
+const Absence = require("../models/Absence");
+const Doctor = require("../models/Doctor");
+const {
+  findConflictingAppointments,
+} = require("../services/availabilityService");
+
+const router = express.Router();
+
+// Helper function
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+  next();
+};
+
+const ABSENCE_REASONS = ["vacation", "sickness", "training", "other"];
+
+// "2026-03-01" -> 2026-03-01T00:00:00.000Z
+const toUtcDay = (value) => new Date(`${value.slice(0, 10)}T00:00:00.000Z`);
+
+// Validation rules (fields optional so PATCH can reuse them)
+const absenceValidationRules = [
+  body("startDate")
+    .optional()
+    .isISO8601()
+    .withMessage("startDate must be a date (YYYY-MM-DD)"),
+  body("endDate")
+    .optional()
+    .isISO8601()
+    .withMessage("endDate must be a date (YYYY-MM-DD)"),
+  body("reason")
+    .optional()
+    .isIn(ABSENCE_REASONS)
+    .withMessage("Reason must be vacation, sickness, training or other"),
+  body("note").optional().trim().isLength({ max: 500 }),
+];
+
+function getConflicts(absence) {
+  return findConflictingAppointments({
+    doctorId: absence.doctorId,
+    startDate: absence.startDate,
+    endDate: absence.endDate,
+  });
+}
+
+// GET /api/absences - Get absences, ?doctorId=&from=&to= (ADMIN only)
+router.get(
+  "/",
+  requirePermission("schedule:read"),
+  query("doctorId")
+    .optional()
+    .isMongoId()
+    .withMessage("Valid doctor ID is required"),
+  query("from").optional().isISO8601(),
+  query("to").optional().isISO8601(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { doctorId, from, to } = req.query;
+      const filter = {};
+
+      if (doctorId) filter.doctorId = doctorId;
+      if (getDoctorScope(req)) filter.doctorId = getDoctorScope(req);
+      // Absences overlapping the requested period
+      if (from) filter.endDate = { $gte: toUtcDay(from) };
+      if (to) filter.startDate = { $lte: toUtcDay(to) };
+
+      const absences = await Absence.find(filter)
+        .populate("doctorId", "name")
+        .sort({ startDate: 1 });
+
+      return res.status(200).json({
+        success: true,
+        absences,
+      });
+    } catch (error) {
+      console.error("Error fetching absences:", error);
+      return res.status(500).json({
+        message: "Error fetching absences",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// GET /api/absences/:id/conflicts - Scheduled appointments during an absence (ADMIN only)
+router.get(
+  "/:id/conflicts",
+  requirePermission("schedule:read"),
+  param("id").isMongoId().withMessage("Valid absence ID is required"),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const absence = await Absence.findById(req.params.id);
+
+      if (!absence || !isInDoctorScope(req, absence.doctorId)) {
+        return res.status(404).json({
+          message: "Absence not found",
+        });
+      }
+
+      const conflicts = await getConflicts(absence);
+
+      return res.status(200).json({
+        success: true,
+        conflicts,
+        count: conflicts.length,
+      });
+    } catch (error) {
+      console.error("Error fetching absence conflicts:", error);
+      return res.status(500).json({
+        message: "Error fetching absence conflicts",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// POST /api/absences - Create absence, returns colliding appointments (ADMIN only)
+router.post(
+  "/",
+  requirePermission("schedule:write"),
+  body("doctorId").isMongoId().withMessage("Valid doctor ID is required"),
+  body("startDate").notEmpty().withMessage("startDate is required"),
+  body("endDate").notEmpty().withMessage("endDate is required"),
+  absenceValidationRules,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { doctorId, startDate, endDate, reason, note } = req.body;
+
+      const doctor = await Doctor.findById(doctorId);
+      if (!doctor) {
+        return res.status(404).json({
+          message: "Doctor not found",
+        });
+      }
+
+      const absence = new Absence({
+        doctorId,
+        startDate: toUtcDay(startDate),
+        endDate: toUtcDay(endDate),
+        reason,
+        note,
+      });
+
+      if (absence.endDate < absence.startDate) {
+        return res.status(400).json({
+          message: "endDate cannot be before startDate",
+        });
+      }
+
+      await absence.save();
+
+      const conflicts = await getConflicts(absence);
+
+      return res.status(201).json({
+        success: true,
+        message: "Absence created successfully",
+        absence,
+        conflicts,
+      });
+    } catch (error) {
+      console.error("Error creating absence:", error);
+      return res.status(500).json({
+        message: "Error creating absence",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// PATCH /api/absences/:id - Update absence, returns colliding appointments (ADMIN only)
+router.patch(
+  "/:id",
+  requirePermission("schedule:write"),
+  param("id").isMongoId().withMessage("Valid absence ID is required"),
+  absenceValidationRules,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const absence = await Absence.findById(req.params.id);
+
+      if (!absence) {
+        return res.status(404).json({
+          message: "Absence not found",
+        });
+      }
+
+      const { startDate, endDate, reason, note } = req.body;
+
+      if (startDate !== undefined) absence.startDate = toUtcDay(startDate);
+      if (endDate !== undefined) absence.endDate = toUtcDay(endDate);
+      if (reason !== undefined) absence.reason = reason;
+      if (note !== undefined) absence.note = note;
+
+      if (absence.endDate < absence.startDate) {
+        return res.status(400).json({
+          message: "endDate cannot be before startDate",
+        });
+      }
+
+      await absence.save();
+
+      const conflicts = await getConflicts(absence);
+
+      return res.status(200).json({
+        success: true,
+        message: "Absence updated successfully",
+        absence,
+        conflicts,
+      });
+    } catch (error) {
+      console.error("Error updating absence:", error);
+      return res.status(500).json({
+        message: "Error updating absence",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// DELETE /api/absences/:id - Delete absence (ADMIN only)
+router.delete(
+  "/:id",
+  requirePermission("schedule:write"),
+  param("id").isMongoId().withMessage("Valid absence ID is required"),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const absence = await Absence.findByIdAndDelete(req.params.id);
+
+      if (!absence) {
+        return res.status(404).json({
+          message: "Absence not found",
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: "Absence deleted successfully",
+      });
+    } catch (error) {
+      console.error("Error deleting absence:", error);
+      return res.status(500).json({
+        message: "Error deleting absence",
+        error: error.message,
+      });
+    }
+  }
+);
+
+module.exports = router;
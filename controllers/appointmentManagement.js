@@ -1,7 +1,43 @@
 const express = require("express");
 const { body, param, query, validationResult } = require("express-validator");
 const Appointment = require("../models/Appointment");
+const { ACTIVE_STATUSES } = Appointment;
 const Doctor = require("../models/Doctor");
+const {
+  publicFormRateLimit,
+  publicSearchRateLimit,
+} = require("../middleware/rateLimit");
+const { getClosure } = require("../services/availabilityService");
+const {
+  SLOT_TAKEN_CODE,
+  claimSlots,
+  releaseSlots,
+  getTakenSlots,
+  findAlternativeSlots,
+} = require("../services/slotReservationService");
+const {
+  SLOT_TOO_SHORT_CODE,
+  getOccupiedMinutes,
+  getFittingStartTimes,
+  getBookingSlots,
+  findAppointmentType,
+  isDoctorAllowed,
+} = require("../services/appointmentTypeService");
+const { resolveIsVideoAppointment } = require("../services/videoRuleService");
+const { offerSlotToWaitlist } = require("../services/waitlistService");
+const {
+  isLateCancellation,
+  updatePatientReliability,
+} = require("../services/patientReliabilityService");
+const {
+  getJoinWindow,
+  syncVideoRoom,
+  releaseVideoRoom,
+} = require("../services/video/videoRoomService");
+const {
+  TIME_OF_DAY_RANGES,
+  findNextAvailableSlots,
+} = require("../services/slotSearchService");
 const {
   sendAppointmentCancellation,
   sendFridayVideoNotification,
@@ -9,6 +45,10 @@ const {
 
 const BERLIN_TZ = "Europe/Berlin";
 
+// Error codes of /:token/join outside the joinable window
+const VIDEO_ROOM_NOT_OPEN_CODE = "VIDEO_ROOM_NOT_OPEN";
+const VIDEO_ROOM_CLOSED_CODE = "VIDEO_ROOM_CLOSED";
+
 const berlinOffsetFormatter = new Intl.DateTimeFormat("en-US", {
   timeZone: BERLIN_TZ,
   timeZoneName: "shortOffset",
@@ -32,12 +72,10 @@ const berlinTimeFormatter = new Intl.DateTimeFormat("de-DE", {
   minute: "2-digit",
 });
 
-const berlinWeekdayFormatter = new Intl.DateTimeFormat("en-US", {
-  timeZone: BERLIN_TZ,
-  weekday: "short",
-});
-
-const VIDEO_DOCTOR_NAMES = new Set(["M. Cem Samar"]);
+// Search range of /next-available-slots
+const NEXT_AVAILABLE_DEFAULT_DAYS = 28;
+const NEXT_AVAILABLE_MAX_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 function getBerlinOffsetMinutes(date) {
   const tzPart = berlinOffsetFormatter
@@ -71,30 +109,6 @@ function convertBerlinDateStringSlotToUtc(dateStr, timeStr) {
   return new Date(baseUtcMillis - offsetMinutes * 60000);
 }
 
-function getAppointmentDateTimeUtcFromSlot(dateObj, slot) {
-  if (!dateObj || !slot) {
-    return null;
-  }
-
-  const baseDate =
-    dateObj instanceof Date ? new Date(dateObj) : new Date(dateObj);
-
-  if (!baseDate || Number.isNaN(baseDate.getTime())) {
-    return null;
-  }
-
-  const [hour, minute] = slot.split(":").map(Number);
-  const year = baseDate.getUTCFullYear();
-  const month = baseDate.getUTCMonth();
-  const day = baseDate.getUTCDate();
-
-  const baseUtcMillis = Date.UTC(year, month, day, hour, minute);
-  const baseDateWithTime = new Date(baseUtcMillis);
-  const offsetMinutes = getBerlinOffsetMinutes(baseDateWithTime);
-
-  return new Date(baseUtcMillis - offsetMinutes * 60000);
-}
-
 function getAppointmentDateTimeUtc(appointment) {
   if (!appointment || !appointment.date) {
     return null;
@@ -114,13 +128,6 @@ function getAppointmentDateTimeUtc(appointment) {
   return convertBerlinDateStringSlotToUtc(dateStr, appointment.slot);
 }
 
-function isBerlinFriday(dateUtc) {
-  if (!dateUtc) {
-    return false;
-  }
-  return berlinWeekdayFormatter.format(dateUtc) === "Fri";
-}
-
 function getBerlinFormattedDetails(dateUtc) {
   if (!dateUtc) {
     return {
@@ -135,6 +142,85 @@ function getBerlinFormattedDetails(dateUtc) {
   };
 }
 
+/**
+ * Cancel an appointment on behalf of the patient (cancel link or declined
+ * attendance confirmation): frees its slots and video room, updates the
+ * patient's reliability, offers the slot to the waitlist and confirms the
+ * cancellation to the patient
+ * @param {Object} appointment - Appointment document, doctorId populated
+ * @param {string} reason - Stored as cancelReason
+ * @param {Date} now - Time of the cancellation
+ * @returns {Promise<boolean>} Whether it was a video appointment
+ */
+async function cancelByPatient(appointment, reason, now = new Date()) {
+  appointment.status = "cancelled";
+  appointment.cancelledAt = now;
+  appointment.cancelReason = reason;
+  appointment.cancelledBy = "patient";
+  appointment.lateCancellation = isLateCancellation(appointment, now);
+
+  await appointment.save();
+  await releaseSlots(appointment._id);
+  await releaseVideoRoom(appointment);
+  await updatePatientReliability(appointment.patientEmail);
+  await offerSlotToWaitlist(appointment);
+
+  const updatedAppointment = await Appointment.findById(
+    appointment._id
+  ).populate("doctorId", "name");
+  const { isVideoAppointment } = updatedAppointment;
+
+  // Send cancellation confirmation email to patient
+  try {
+    const { notifyPatientCancellationConfirmation } = require("../services/notificationService");
+    const locale = updatedAppointment.locale || "de";
+
+    if (updatedAppointment.patientEmail) {
+      const appointmentData = {
+        doctorName: updatedAppointment.doctorId?.name || "N/A",
+        date: updatedAppointment.date,
+        slot: updatedAppointment.slot,
+        isVideoAppointment,
+        appointmentId: updatedAppointment._id,
+        sequence: updatedAppointment.sequence,
+        durationMinutes: updatedAppointment.durationMinutes,
+      };
+      await notifyPatientCancellationConfirmation(
+        { email: updatedAppointment.patientEmail, phone: updatedAppointment.patientPhone },
+        appointmentData,
+        locale
+      );
+      console.log(`✅ Cancellation confirmation sent to ${updatedAppointment.patientEmail}`);
+    } else {
+      console.log("⚠️ No patient email found, skipping cancellation confirmation email");
+    }
+  } catch (emailError) {
+    console.error("❌ Error sending cancellation confirmation email:", emailError);
+    // Don't fail the request if email fails
+  }
+
+  return isVideoAppointment;
+}
+
+/**
+ * Why the patient can no longer confirm or decline an appointment
+ * @param {Object} appointment - Appointment document
+ * @param {Date} now - Current time
+ * @returns {string|null} Error message, or null if an answer is possible
+ */
+function getAttendanceAnswerError(appointment, now = new Date()) {
+  if (!ACTIVE_STATUSES.includes(appointment.status)) {
+    return "This appointment is no longer active";
+  }
+
+  const appointmentDateTime = getAppointmentDateTimeUtc(appointment);
+  if (appointmentDateTime && appointmentDateTime <= now) {
+    return "This appointment has already passed";
+  }
+
+  return null;
+}
+
 const router = express.Router();
 
 // Helper function
@@ -149,6 +235,108 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// GET /api/appointment-management/next-available-slots - Earliest free slots across doctors (PUBLIC)
+// ?from=&to=&doctorIds=id1,id2&type=any|video|practice&timeOfDay=morning,afternoon,evening&appointmentTypeId=&limit=
+// Registered before /:token, which would otherwise take the path for a token
+router.get(
+  "/next-available-slots",
+  publicSearchRateLimit,
+  query("from").optional().isISO8601().withMessage("from must be a date (YYYY-MM-DD)"),
+  query("to").optional().isISO8601().withMessage("to must be a date (YYYY-MM-DD)"),
+  query("doctorIds")
+    .optional()
+    .custom((value) =>
+      String(value)
+        .split(",")
+        .every((id) => /^[a-f0-9]{24}$/i.test(id.trim()))
+    )
+    .withMessage("doctorIds must be a comma-separated list of doctor IDs"),
+  query("type")
+    .optional()
+    .isIn(["any", "video", "practice"])
+    .withMessage("type must be any, video or practice"),
+  query("timeOfDay")
+    .optional()
+    .custom((value) =>
+      String(value)
+        .split(",")
+        .every((period) => TIME_OF_DAY_RANGES[period.trim()])
+    )
+    .withMessage("timeOfDay must be a comma-separated list of morning, afternoon, evening"),
+  query("appointmentTypeId")
+    .optional()
+    .isMongoId()
+    .withMessage("Valid appointment type ID required"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("limit must be between 1 and 50"),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { from, to, doctorIds, type, timeOfDay, appointmentTypeId, limit } =
+        req.query;
+
+      const today = new Date();
+      today.setUTCHours(0, 0, 0, 0);
+
+      let startDate = from ? new Date(from.slice(0, 10) + "T00:00:00.000Z") : today;
+      if (startDate < today) {
+        startDate = today;
+      }
+      const endDate = to
+        ? new Date(to.slice(0, 10) + "T00:00:00.000Z")
+        : new Date(startDate.getTime() + (NEXT_AVAILABLE_DEFAULT_DAYS - 1) * DAY_MS);
+
+      if (endDate < startDate) {
+        return res.status(400).json({
+          message: "to cannot be before from",
+        });
+      }
+
+      if (endDate - startDate > (NEXT_AVAILABLE_MAX_DAYS - 1) * DAY_MS) {
+        return res.status(400).json({
+          message: `The search range cannot exceed ${NEXT_AVAILABLE_MAX_DAYS} days`,
+        });
+      }
+
+      let appointmentType = null;
+      if (appointmentTypeId) {
+        appointmentType = await findAppointmentType(appointmentTypeId);
+        if (!appointmentType) {
+          return res.status(404).json({
+            message: "Appointment type not found",
+          });
+        }
+      }
+
+      const slots = await findNextAvailableSlots({
+        from: startDate,
+        to: endDate,
+        doctorIds: doctorIds ? doctorIds.split(",").map((id) => id.trim()) : undefined,
+        type: type || "any",
+        timeOfDay: timeOfDay ? timeOfDay.split(",").map((period) => period.trim()) : [],
+        appointmentType,
+        limit: limit ? Number(limit) : 10,
+      });
+
+      return res.status(200).json({
+        success: true,
+        from: startDate.toISOString().slice(0, 10),
+        to: endDate.toISOString().slice(0, 10),
+        slots,
+        count: slots.length,
+      });
+    } catch (error) {
+      console.error("Error searching next available slots:", error);
+      return res.status(500).json({
+        message: "Error searching next available slots",
+        error: error.message,
+      });
+    }
+  }
+);
+
 // GET /api/appointment-management/:token - Get appointment details by token (PUBLIC)
 router.get(
   "/:token",
@@ -175,15 +363,11 @@ router.get(
         });
       }
 
-      const doctorNameTrimmed =
-        appointment.doctorId && appointment.doctorId.name
-          ? appointment.doctorId.name.trim()
-          : "";
-      const isVideoDoctor = VIDEO_DOCTOR_NAMES.has(doctorNameTrimmed);
-      const isVideoAppointment =
-        typeof appointment.isVideoAppointment === "boolean"
-          ? appointment.isVideoAppointment || isVideoDoctor
-          : isVideoDoctor || isBerlinFriday(getAppointmentDateTimeUtc(appointment));
+      if (appointment.status === "no_show") {
+        return res.status(400).json({
+          message: "This appointment was missed and cannot be modified",
+        });
+      }
 
       // Return appointment details (exclude sensitive fields)
       return res.status(200).json({
@@ -197,8 +381,9 @@ router.get(
           patientEmail: appointment.patientEmail,
           patientPhone: appointment.patientPhone,
           status: appointment.status,
+          confirmedAt: appointment.confirmedAt,
           locale: appointment.locale,
-          isVideoAppointment,
+          isVideoAppointment: appointment.isVideoAppointment,
           createdAt: appointment.createdAt,
         },
       });
@@ -212,9 +397,85 @@ router.get(
   }
 );
 
+// GET /api/appointment-management/:token/join - Get the video room link of a video consultation (PUBLIC)
+// Only from VIDEO_JOIN_EARLY_MINUTES before the start until the room closes
+router.get(
+  "/:token/join",
+  param("token").isLength({ min: 32, max: 128 }).withMessage("Invalid token format"),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const appointment = await Appointment.findOne({
+        managementToken: req.params.token,
+      });
+
+      if (!appointment) {
+        return res.status(404).json({
+          message: "Appointment not found or token is invalid",
+        });
+      }
+
+      if (["cancelled", "completed", "no_show"].includes(appointment.status)) {
+        return res.status(400).json({
+          message: "This appointment is no longer active",
+        });
+      }
+
+      if (!appointment.isVideoAppointment) {
+        return res.status(400).json({
+          message: "This appointment is not a video consultation",
+        });
+      }
+
+      const { opensAt, closesAt } = getJoinWindow(appointment);
+      const now = new Date();
+
+      if (now < opensAt) {
+        return res.status(400).json({
+          message: "The video room is not open yet",
+          code: VIDEO_ROOM_NOT_OPEN_CODE,
+          opensAt,
+          closesAt,
+        });
+      }
+
+      if (now > closesAt) {
+        return res.status(400).json({
+          message: "The video room is closed",
+          code: VIDEO_ROOM_CLOSED_CODE,
+          opensAt,
+          closesAt,
+        });
+      }
+
+      // Creates the room if provisioning failed at booking time
+      const videoRoom = await syncVideoRoom(appointment);
+      if (!videoRoom) {
+        return res.status(500).json({
+          message: "The video room is not available, please contact the practice",
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        joinUrl: videoRoom.joinUrl,
+        opensAt,
+        closesAt,
+      });
+    } catch (error) {
+      console.error("Error joining video room:", error);
+      return res.status(500).json({
+        message: "Error joining video room",
+        error: error.message,
+      });
+    }
+  }
+);
+
 // PATCH /api/appointment-management/:token/cancel - Cancel appointment (PUBLIC)
 router.patch(
   "/:token/cancel",
+  publicFormRateLimit,
   param("token").isLength({ min: 32, max: 128 }).withMessage("Invalid token format"),
   body("reason").optional().trim().isLength({ max: 500 }).withMessage("Reason too long"),
   handleValidationErrors,
@@ -247,6 +508,12 @@ router.patch(
         });
       }
 
+      if (appointment.status === "no_show") {
+        return res.status(400).json({
+          message: "Cannot cancel a missed appointment",
+        });
+      }
+
       // Check if appointment is in the past (Berlin timezone aware)
       const appointmentDateTime = getAppointmentDateTimeUtc(appointment);
       const now = new Date();
@@ -257,49 +524,119 @@ router.patch(
         });
       }
 
-      // Update appointment status
-      appointment.status = "cancelled";
-      appointment.cancelledAt = new Date();
-      appointment.cancelReason = reason || "Cancelled by patient";
-      appointment.cancelledBy = "patient";
+      const isVideoAppointment = await cancelByPatient(
+        appointment,
+        reason || "Cancelled by patient",
+        now
+      );
 
-      await appointment.save();
+      console.log(`✅ Appointment ${appointment._id} cancelled by patient`);
 
-      const updatedAppointment = await Appointment.findById(
-        appointment._id
-      ).populate("doctorId", "name");
-      const updatedDoctorName =
-        updatedAppointment?.doctorId?.name?.trim() || "";
-      const isVideoDoctorUpdated = VIDEO_DOCTOR_NAMES.has(updatedDoctorName);
-      const isVideoAppointment =
-        typeof updatedAppointment.isVideoAppointment === "boolean"
-          ? updatedAppointment.isVideoAppointment || isVideoDoctorUpdated
-          : isVideoDoctorUpdated ||
-            isBerlinFriday(getAppointmentDateTimeUtc(updatedAppointment));
-
-      // Send cancellation confirmation email to patient
-      try {
-        const { sendPatientCancellationConfirmation } = require("../services/mailer");
-        const locale = updatedAppointment.locale || "de";
+      return res.status(200).json({
+        success: true,
+        message: "Appointment cancelled successfully",
+        appointment: {
+          _id: appointment._id,
+          status: appointment.status,
+          cancelledAt: appointment.cancelledAt,
+          isVideoAppointment,
+        },
+      });
+    } catch (error) {
+      console.error("Error cancelling appointment:", error);
+      return res.status(500).json({
+        message: "Error cancelling appointment",
+        error: error.message,
+      });
+    }
+  }
+);
 
-        if (updatedAppointment.patientEmail) {
-          const appointmentData = {
-            doctorName: updatedAppointment.doctorId?.name || "N/A",
-            date: updatedAppointment.date,
-            slot: updatedAppointment.slot,
-            isVideoAppointment,
-          };
-          await sendPatientCancellationConfirmation(updatedAppointment.patientEmail, appointmentData, locale);
-          console.log(`✅ Cancellation confirmation email sent to ${updatedAppointment.patientEmail}`);
-        } else {
-          console.log("⚠️ No patient email found, skipping cancellation confirmation email");
-        }
-      } catch (emailError) {
-        console.error("❌ Error sending cancellation confirmation email:", emailError);
-        // Don't fail the request if email fails
+// PATCH /api/appointment-management/:token/confirm - Confirm attendance (PUBLIC)
+router.patch(
+  "/:token/confirm",
+  publicFormRateLimit,
+  param("token").isLength({ min: 32, max: 128 }).withMessage("Invalid token format"),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const appointment = await Appointment.findOne({
+        managementToken: req.params.token,
+      });
+
+      if (!appointment) {
+        return res.status(404).json({
+          message: "Appointment not found or token is invalid",
+        });
       }
 
-      console.log(`✅ Appointment ${appointment._id} cancelled by patient`);
+      const answerError = getAttendanceAnswerError(appointment);
+      if (answerError) {
+        return res.status(400).json({
+          message: answerError,
+        });
+      }
+
+      // Clicking the link twice is fine
+      if (appointment.status !== "confirmed") {
+        appointment.status = "confirmed";
+        await appointment.save();
+        console.log(`✅ Appointment ${appointment._id} confirmed by patient`);
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: "Appointment confirmed successfully",
+        appointment: {
+          _id: appointment._id,
+          status: appointment.status,
+          confirmedAt: appointment.confirmedAt,
+        },
+      });
+    } catch (error) {
+      console.error("Error confirming appointment:", error);
+      return res.status(500).json({
+        message: "Error confirming appointment",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// PATCH /api/appointment-management/:token/decline - Decline attendance, cancels the appointment (PUBLIC)
+router.patch(
+  "/:token/decline",
+  publicFormRateLimit,
+  param("token").isLength({ min: 32, max: 128 }).withMessage("Invalid token format"),
+  body("reason").optional().trim().isLength({ max: 500 }).withMessage("Reason too long"),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const appointment = await Appointment.findOne({
+        managementToken: req.params.token,
+      }).populate("doctorId", "name");
+
+      if (!appointment) {
+        return res.status(404).json({
+          message: "Appointment not found or token is invalid",
+        });
+      }
+
+      const now = new Date();
+      const answerError = getAttendanceAnswerError(appointment, now);
+      if (answerError) {
+        return res.status(400).json({
+          message: answerError,
+        });
+      }
+
+      const isVideoAppointment = await cancelByPatient(
+        appointment,
+        req.body.reason || "Declined by patient",
+        now
+      );
+
+      console.log(`✅ Appointment ${appointment._id} declined by patient`);
 
       return res.status(200).json({
         success: true,
@@ -312,9 +649,9 @@ router.patch(
         },
       });
     } catch (error) {
-      console.error("Error cancelling appointment:", error);
+      console.error("Error declining appointment:", error);
       return res.status(500).json({
-        message: "Error cancelling appointment",
+        message: "Error declining appointment",
         error: error.message,
       });
     }
@@ -324,6 +661,7 @@ router.patch(
 // PATCH /api/appointment-management/:token/reschedule - Reschedule appointment (PUBLIC)
 router.patch(
   "/:token/reschedule",
+  publicFormRateLimit,
   param("token").isLength({ min: 32, max: 128 }).withMessage("Invalid token format"),
   body("newDate").isISO8601().withMessage("Valid date is required (YYYY-MM-DD format)"),
   body("newSlot").matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage("Valid time slot required (HH:MM format)"),
@@ -358,6 +696,12 @@ router.patch(
         });
       }
 
+      if (appointment.status === "no_show") {
+        return res.status(400).json({
+          message: "Cannot reschedule a missed appointment",
+        });
+      }
+
       // Prepare new appointment date
       const newAppointmentDate = new Date(newDate + "T00:00:00.000Z");
       const currentDoctorId =
@@ -374,20 +718,23 @@ router.patch(
             message: "New doctor not found",
           });
         }
-      }
 
-      // Check if new slot is available
-      const existingAppointment = await Appointment.findOne({
-        doctorId: targetDoctorId,
-        date: newAppointmentDate,
-        slot: newSlot,
-        status: { $in: ["scheduled"] },
-        _id: { $ne: appointment._id }, // Exclude current appointment
-      });
+        const appointmentType =
+          appointment.appointmentTypeId &&
+          (await findAppointmentType(appointment.appointmentTypeId));
+        if (appointmentType && !isDoctorAllowed(appointmentType, newDoctorId)) {
+          return res.status(400).json({
+            message: "The new doctor does not offer this appointment type",
+          });
+        }
+      }
 
-      if (existingAppointment) {
+      // Reject holidays and doctor absences
+      const closure = await getClosure(targetDoctorId, newAppointmentDate);
+      if (closure) {
         return res.status(409).json({
-          message: "The selected time slot is already booked",
+          message: closure.message,
+          code: closure.code,
         });
       }
 
@@ -401,6 +748,42 @@ router.patch(
         });
       }
 
+      // Claim the new slots atomically; the old ones are released after saving
+      const slotKey = {
+        doctorId: targetDoctorId,
+        date: newAppointmentDate,
+        slot: newSlot,
+      };
+      const occupiedMinutes = getOccupiedMinutes(appointment);
+      const bookingSlots = await getBookingSlots(slotKey, occupiedMinutes);
+      if (!bookingSlots) {
+        return res.status(409).json({
+          message: "Not enough time for this appointment at the selected time",
+          code: SLOT_TOO_SHORT_CODE,
+          alternatives: await findAlternativeSlots(slotKey, { occupiedMinutes }),
+        });
+      }
+
+      const reservations = await claimSlots(
+        { doctorId: targetDoctorId, date: newAppointmentDate, slots: bookingSlots },
+        appointment._id
+      );
+      if (!reservations) {
+        return res.status(409).json({
+          message: "The selected time slot is already booked",
+          code: SLOT_TAKEN_CODE,
+          alternatives: await findAlternativeSlots(slotKey, { occupiedMinutes }),
+        });
+      }
+
+      const previousSlot = {
+        doctorId: currentDoctorId,
+        date: appointment.date,
+        slot: appointment.slot,
+        durationMinutes: appointment.durationMinutes,
+        bufferMinutes: appointment.bufferMinutes,
+      };
+
       // Generate NEW management token (invalidate old one)
       const crypto = require("crypto");
       const newManagementToken = crypto.randomBytes(32).toString("hex");
@@ -412,32 +795,32 @@ router.patch(
         appointment.doctorId = newDoctorId;
       }
       appointment.managementToken = newManagementToken; // Replace old token
-      let targetDoctor = appointment.doctorId;
-      if (
-        !targetDoctor ||
-        (typeof targetDoctor === "object" && !targetDoctor.name) ||
-        typeof targetDoctor === "string"
-      ) {
-        targetDoctor = await Doctor.findById(targetDoctorId).select("name");
-      }
-      const doctorNameTrimmed =
-        targetDoctor && targetDoctor.name ? targetDoctor.name.trim() : "";
-      const isVideoDoctor = VIDEO_DOCTOR_NAMES.has(doctorNameTrimmed);
-      const newAppointmentDateTimeUtc = getAppointmentDateTimeUtcFromSlot(
-        newAppointmentDate,
-        newSlot
+      // A confirmation was for the old time; the next reminder asks again
+      if (appointment.status === "confirmed") {
+        appointment.status = "scheduled";
+      }
+      appointment.confirmedAt = undefined;
+      appointment.confirmationRequestedAt = undefined;
+      appointment.isVideoAppointment = await resolveIsVideoAppointment(
+        appointment
       );
-      appointment.isVideoAppointment =
-        isVideoDoctor || isBerlinFriday(newAppointmentDateTimeUtc);
       appointment.updatedAt = new Date();
 
+      // If saving fails the new claims are stale (the appointment is not on
+      // those slots) and free for the next booking, so no rollback is needed
       await appointment.save();
+      await releaseSlots(appointment._id, {
+        except: reservations.map((reservation) => reservation._id),
+      });
+      // Replaces the room of the old time (or drops it if no longer video)
+      await syncVideoRoom(appointment);
+      await offerSlotToWaitlist(previousSlot);
 
       const updatedAppointment = await Appointment.findById(appointment._id).populate("doctorId", "name");
 
       // Send reschedule email with NEW token
       try {
-        const { sendAppointmentReschedule } = require("../services/mailer");
+        const { notifyAppointmentReschedule } = require("../services/notificationService");
         const locale = updatedAppointment.locale || "de";
 
         if (updatedAppointment.patientEmail) {
@@ -447,9 +830,16 @@ router.patch(
             slot: updatedAppointment.slot,
             managementToken: newManagementToken, // Send NEW token in email
             isVideoAppointment: updatedAppointment.isVideoAppointment,
+            appointmentId: updatedAppointment._id,
+            sequence: updatedAppointment.sequence,
+            durationMinutes: updatedAppointment.durationMinutes,
           };
-          await sendAppointmentReschedule(updatedAppointment.patientEmail, appointmentData, locale);
-          console.log(`✅ Reschedule email sent to ${updatedAppointment.patientEmail}`);
+          await notifyAppointmentReschedule(
+            { email: updatedAppointment.patientEmail, phone: updatedAppointment.patientPhone },
+            appointmentData,
+            locale
+          );
+          console.log(`✅ Reschedule notification sent to ${updatedAppointment.patientEmail}`);
         } else {
           console.log("⚠️ No patient email found, skipping reschedule email");
         }
@@ -460,17 +850,7 @@ router.patch(
 
       // Notify practice if appointment is a video consultation
       try {
-        const rescheduleDoctorName =
-          updatedAppointment?.doctorId?.name?.trim() || "";
-        const isVideoDoctorReschedule =
-          VIDEO_DOCTOR_NAMES.has(rescheduleDoctorName);
-        const isVideoAppointment =
-          typeof updatedAppointment.isVideoAppointment === "boolean"
-            ? updatedAppointment.isVideoAppointment || isVideoDoctorReschedule
-            : isVideoDoctorReschedule ||
-              isBerlinFriday(getAppointmentDateTimeUtc(updatedAppointment));
-
-        if (isVideoAppointment) {
+        if (updatedAppointment.isVideoAppointment) {
           const appointmentDateTimeUtc = getAppointmentDateTimeUtc(
             updatedAppointment
           );
@@ -487,6 +867,7 @@ router.patch(
             insuranceType: updatedAppointment.description || "",
             insuranceNumber: "",
             notes: updatedAppointment.notes || "",
+            videoRoomUrl: updatedAppointment.videoRoom?.joinUrl,
           });
           console.log(
             `📬 Video consultation notification sent (reschedule) for ${updatedAppointment.patientEmail}`
@@ -524,15 +905,17 @@ router.patch(
 );
 
 // GET /api/appointment-management/available-slots - Get available slots for rescheduling (PUBLIC)
+// ?date=&appointmentTypeId= (only start times where the type fits)
 router.get(
   "/available-slots/:doctorId",
   param("doctorId").isMongoId().withMessage("Valid doctor ID required"),
   query("date").isISO8601().withMessage("Valid date is required (YYYY-MM-DD format)"),
+  query("appointmentTypeId").optional().isMongoId().withMessage("Valid appointment type ID required"),
   handleValidationErrors,
   async (req, res) => {
     try {
       const { doctorId } = req.params;
-      const { date } = req.query;
+      const { date, appointmentTypeId } = req.query;
 
       // Check if doctor exists
       const doctor = await Doctor.findById(doctorId);
@@ -542,8 +925,41 @@ router.get(
         });
       }
 
+      let appointmentType = null;
+      if (appointmentTypeId) {
+        appointmentType = await findAppointmentType(appointmentTypeId);
+        if (!appointmentType) {
+          return res.status(404).json({
+            message: "Appointment type not found",
+          });
+        }
+
+        if (!isDoctorAllowed(appointmentType, doctorId)) {
+          return res.status(200).json({
+            success: true,
+            date,
+            doctorId,
+            doctorName: doctor.name,
+            availableSlots: [],
+          });
+        }
+      }
+
       const appointmentDate = new Date(date + "T00:00:00.000Z");
 
+      // No slots on holidays and during doctor absences
+      const closure = await getClosure(doctorId, appointmentDate);
+      if (closure) {
+        return res.status(200).json({
+          success: true,
+          date,
+          doctorId,
+          doctorName: doctor.name,
+          availableSlots: [],
+          closure,
+        });
+      }
+
       // Get availabilities from database
       const Availability = require("../models/Availability");
       const availability = await Availability.findOne({
@@ -562,17 +978,20 @@ router.get(
         });
       }
 
-      // Get all booked appointments for this doctor on this date
-      const bookedAppointments = await Appointment.find({
+      // Slots booked or held by other patients during their booking
+      const takenSlots = await getTakenSlots({
         doctorId,
-        date: appointmentDate,
-        status: { $in: ["scheduled"] },
-      }).select("slot");
-
-      const bookedSlots = bookedAppointments.map((apt) => apt.slot);
+        startDate: appointmentDate,
+        endDate: appointmentDate,
+      });
 
-      // Filter out booked slots from available slots
-      let availableSlots = availability.slots.filter((slot) => !bookedSlots.includes(slot));
+      // Keep free start times; longer appointment types need the following
+      // slots free as well
+      let availableSlots = getFittingStartTimes(
+        availability.slots,
+        getOccupiedMinutes(appointmentType),
+        (slot) => takenSlots.isTaken(doctorId, appointmentDate, slot)
+      );
 
       // Filter out past time slots if the date is today
       const now = new Date();
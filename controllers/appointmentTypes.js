@@ -0,0 +1,284 @@
+const express = require("express");
+const { body, param, query, validationResult } = require("express-validator");
+const { requirePermission } = require("../middleware/auth");
+const AppointmentType = require("../models/AppointmentType");
+const Doctor = require("../models/Doctor");
+
+const router = express.Router();
+
+// Helper function
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+  next();
+};
+
+// Validation rules (fields optional so PATCH can reuse them)
+const appointmentTypeValidationRules = [
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Name must be between 2 and 100 characters"),
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Description must not exceed 500 characters"),
+  body("durationMinutes")
+    .optional()
+    .isInt({ min: 5, max: 240 })
+    .withMessage("Duration must be between 5 and 240 minutes"),
+  body("bufferMinutes")
+    .optional()
+    .isInt({ min: 0, max: 120 })
+    .withMessage("Buffer must be between 0 and 120 minutes"),
+  body("doctorIds")
+    .optional()
+    .isArray()
+    .withMessage("doctorIds must be an array"),
+  body("doctorIds.*").isMongoId().withMessage("Valid doctor ID is required"),
+  body("isVideo").optional().isBoolean().withMessage("isVideo must be boolean"),
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be boolean"),
+];
+
+async function ensureDoctorsExist(doctorIds = []) {
+  const ids = [...new Set(doctorIds.map(String))];
+  if (ids.length === 0) {
+    return true;
+  }
+  return (await Doctor.countDocuments({ _id: { $in: ids } })) === ids.length;
+}
+
+// GET /api/appointment-types - Get bookable appointment types, ?doctorId= (PUBLIC)
+router.get(
+  "/",
+  query("doctorId")
+    .optional()
+    .isMongoId()
+    .withMessage("Valid doctor ID is required"),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const filter = { isActive: true };
+
+      // Types of this doctor plus the ones every doctor offers
+      if (req.query.doctorId) {
+        filter.$or = [
+          { doctorIds: req.query.doctorId },
+          { doctorIds: { $size: 0 } },
+        ];
+      }
+
+      const appointmentTypes = await AppointmentType.find(filter).sort({
+        durationMinutes: 1,
+        name: 1,
+      });
+
+      return res.status(200).json({
+        success: true,
+        appointmentTypes,
+      });
+    } catch (error) {
+      console.error("Error fetching appointment types:", error);
+      return res.status(500).json({
+        message: "Error fetching appointment types",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// GET /api/appointment-types/all - Get all appointment types incl. inactive (ADMIN only)
+router.get("/all", requirePermission("settings:read"), async (req, res) => {
+  try {
+    const appointmentTypes = await AppointmentType.find()
+      .populate("doctorIds", "name")
+      .sort({ name: 1 });
+
+    return res.status(200).json({
+      success: true,
+      appointmentTypes,
+    });
+  } catch (error) {
+    console.error("Error fetching appointment types:", error);
+    return res.status(500).json({
+      message: "Error fetching appointment types",
+      error: error.message,
+    });
+  }
+});
+
+// POST /api/appointment-types - Create appointment type (ADMIN only)
+router.post(
+  "/",
+  requirePermission("settings:write"),
+  body("name").trim().notEmpty().withMessage("Name is required"),
+  body("durationMinutes").notEmpty().withMessage("Duration is required"),
+  appointmentTypeValidationRules,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const {
+        name,
+        description,
+        durationMinutes,
+        bufferMinutes,
+        doctorIds,
+        isVideo,
+        isActive,
+      } = req.body;
+
+      if (!(await ensureDoctorsExist(doctorIds))) {
+        return res.status(404).json({
+          message: "Doctor not found",
+        });
+      }
+
+      const appointmentType = new AppointmentType({
+        name,
+        description,
+        durationMinutes,
+        bufferMinutes,
+        doctorIds: doctorIds || [],
+        isVideo,
+        isActive,
+      });
+
+      await appointmentType.save();
+
+      return res.status(201).json({
+        success: true,
+        message: "Appointment type created successfully",
+        appointmentType,
+      });
+    } catch (error) {
+      console.error("Error creating appointment type:", error);
+
+      if (error.code === 11000) {
+        return res.status(409).json({
+          message: "An appointment type with this name already exists",
+        });
+      }
+
+      return res.status(500).json({
+        message: "Error creating appointment type",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// PATCH /api/appointment-types/:id - Update appointment type (ADMIN only)
+// Booked appointments keep the duration they were booked with
+router.patch(
+  "/:id",
+  requirePermission("settings:write"),
+  param("id").isMongoId().withMessage("Valid appointment type ID is required"),
+  appointmentTypeValidationRules,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const appointmentType = await AppointmentType.findById(req.params.id);
+
+      if (!appointmentType) {
+        return res.status(404).json({
+          message: "Appointment type not found",
+        });
+      }
+
+      const {
+        name,
+        description,
+        durationMinutes,
+        bufferMinutes,
+        doctorIds,
+        isVideo,
+        isActive,
+      } = req.body;
+
+      if (doctorIds !== undefined) {
+        if (!(await ensureDoctorsExist(doctorIds))) {
+          return res.status(404).json({
+            message: "Doctor not found",
+          });
+        }
+        appointmentType.doctorIds = doctorIds;
+      }
+
+      if (name !== undefined) appointmentType.name = name;
+      if (description !== undefined) appointmentType.description = description;
+      if (durationMinutes !== undefined) {
+        appointmentType.durationMinutes = durationMinutes;
+      }
+      if (bufferMinutes !== undefined) {
+        appointmentType.bufferMinutes = bufferMinutes;
+      }
+      if (isVideo !== undefined) appointmentType.isVideo = isVideo;
+      if (isActive !== undefined) appointmentType.isActive = isActive;
+
+      await appointmentType.save();
+
+      return res.status(200).json({
+        success: true,
+        message: "Appointment type updated successfully",
+        appointmentType,
+      });
+    } catch (error) {
+      console.error("Error updating appointment type:", error);
+
+      if (error.code === 11000) {
+        return res.status(409).json({
+          message: "An appointment type with this name already exists",
+        });
+      }
+
+      return res.status(500).json({
+        message: "Error updating appointment type",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// DELETE /api/appointment-types/:id - Delete appointment type (ADMIN only)
+router.delete(
+  "/:id",
+  requirePermission("settings:write"),
+  param("id").isMongoId().withMessage("Valid appointment type ID is required"),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const appointmentType = await AppointmentType.findByIdAndDelete(
+        req.params.id
+      );
+
+      if (!appointmentType) {
+        return res.status(404).json({
+          message: "Appointment type not found",
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: "Appointment type deleted successfully",
+      });
+    } catch (error) {
+      console.error("Error deleting appointment type:", error);
+      return res.status(500).json({
+        message: "Error deleting appointment type",
+        error: error.message,
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,25 +1,62 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const { body, param, query, validationResult } = require("express-validator");
-const { authenticateToken } = require("../middleware/auth");
+const {
+  requirePermission,
+  getDoctorScope,
+  isInDoctorScope,
+} = require("../middleware/auth");
+const { publicFormRateLimit } = require("../middleware/rateLimit");
 const Appointment = require("../models/Appointment");
+const { ACTIVE_STATUSES } = Appointment;
 const Doctor = require("../models/Doctor");
+const { sendFridayVideoNotification } = require("../services/mailer");
 const {
-  sendAppointmentConfirmation,
-  sendAppointmentCancellation,
-  sendFridayVideoNotification,
-} = require("../services/mailer");
+  NOTIFICATION_PREFERENCES,
+  notifyAppointmentConfirmation,
+  notifyAppointmentCancellation,
+} = require("../services/notificationService");
 const { createOrUpdatePatient } = require("../services/patientService");
+const { getClosure } = require("../services/availabilityService");
+const {
+  SLOT_TAKEN_CODE,
+  claimSlots,
+  releaseSlots,
+  findTakenSlots,
+  findAlternativeSlots,
+} = require("../services/slotReservationService");
+const {
+  SLOT_TOO_SHORT_CODE,
+  getOccupiedMinutes,
+  getBookingSlots,
+  findAppointmentType,
+  isDoctorAllowed,
+} = require("../services/appointmentTypeService");
+const { resolveIsVideoAppointment } = require("../services/videoRuleService");
+const { offerSlotToWaitlist } = require("../services/waitlistService");
+const {
+  syncVideoRoom,
+  releaseVideoRoom,
+  getVideoJoinPageUrl,
+} = require("../services/video/videoRoomService");
+const {
+  getReminderHistory,
+} = require("../services/appointmentReminderScheduler");
+const {
+  BOOKING_RESTRICTED_CODE,
+  isOnlineBookingRestricted,
+  updatePatientReliability,
+} = require("../services/patientReliabilityService");
+const {
+  getAppointmentStartUtc,
+  getBerlinParts,
+} = require("../utils/berlinTime");
 const crypto = require("crypto");
 
 const router = express.Router();
 
 const BERLIN_TZ = "Europe/Berlin";
 
-const berlinWeekdayFormatter = new Intl.DateTimeFormat("en-US", {
-  weekday: "short",
-  timeZone: BERLIN_TZ,
-});
-
 const berlinDateFormatter = new Intl.DateTimeFormat("de-DE", {
   timeZone: BERLIN_TZ,
   weekday: "long",
@@ -43,8 +80,6 @@ const berlinOffsetFormatter = new Intl.DateTimeFormat("en-US", {
   hour12: false,
 });
 
-const VIDEO_DOCTOR_NAMES = new Set(["M. Cem Samar"]);
-
 function getBerlinOffsetMinutes(date) {
   const tzPart = berlinOffsetFormatter
     .formatToParts(date)
@@ -79,13 +114,6 @@ function getAppointmentDateTimeUtcFromSlot(dateObj, slot) {
   return new Date(baseUtcMillis - offsetMinutes * 60000);
 }
 
-function isBerlinFriday(dateUtc) {
-  if (!dateUtc) {
-    return false;
-  }
-  return berlinWeekdayFormatter.format(dateUtc) === "Fri";
-}
-
 function getBerlinFormattedDetails(dateUtc) {
   if (!dateUtc) {
     return {
@@ -100,54 +128,6 @@ function getBerlinFormattedDetails(dateUtc) {
   };
 }
 
-function getAppointmentDateTimeUtcFromAppointment(appointment) {
-  if (!appointment || !appointment.date) {
-    return null;
-  }
-
-  const baseDate =
-    appointment.date instanceof Date
-      ? new Date(appointment.date)
-      : new Date(appointment.date);
-
-  if (!baseDate || Number.isNaN(baseDate.getTime())) {
-    return null;
-  }
-
-  if (appointment.slot) {
-    return getAppointmentDateTimeUtcFromSlot(baseDate, appointment.slot);
-  }
-
-  return baseDate;
-}
-
-function computeIsVideoAppointment(appointment) {
-  if (!appointment) {
-    return false;
-  }
-
-  if (
-    appointment.doctorId &&
-    typeof appointment.doctorId === "object" &&
-    appointment.doctorId !== null &&
-    appointment.doctorId.name &&
-    VIDEO_DOCTOR_NAMES.has(appointment.doctorId.name)
-  ) {
-    return true;
-  }
-
-  if (!appointment) {
-    return false;
-  }
-
-  if (typeof appointment.isVideoAppointment === "boolean") {
-    return appointment.isVideoAppointment;
-  }
-
-  const dateTimeUtc = getAppointmentDateTimeUtcFromAppointment(appointment);
-  return isBerlinFriday(dateTimeUtc);
-}
-
 // Helper function
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -179,6 +159,10 @@ const appointmentValidationRules = [
   body("slot")
     .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
     .withMessage("Slot must be in HH:MM format"),
+  body("appointmentTypeId")
+    .optional()
+    .isMongoId()
+    .withMessage("Valid appointment type ID is required"),
   body("patientEmail")
     .isEmail()
     .withMessage("Valid email address is required")
@@ -210,8 +194,11 @@ const appointmentValidationRules = [
     .withMessage("Notes must not exceed 1000 characters"),
 ];
 
-// GET /api/appointments - Get all appointments (PUBLIC for dashboard access)
-router.get("/", async (req, res) => {
+// Longest period the public occupancy endpoint answers for at once
+const OCCUPANCY_MAX_DAYS = 31;
+
+// GET /api/appointments - Get all appointments (ADMIN only)
+router.get("/", requirePermission("appointments:read"), async (req, res) => {
   try {
     const {
       status,
@@ -219,6 +206,8 @@ router.get("/", async (req, res) => {
       date,
       startDate,
       endDate,
+      needsReview,
+      unconfirmed,
       limit = 50,
       page = 1,
     } = req.query;
@@ -229,9 +218,17 @@ router.get("/", async (req, res) => {
       filter.status = status;
     }
 
+    // Past appointments waiting for staff to record the outcome
+    if (needsReview !== undefined) {
+      filter.needsReview = needsReview === "true";
+    }
+
     if (doctorId) {
       filter.doctorId = doctorId;
     }
+    if (getDoctorScope(req)) {
+      filter.doctorId = getDoctorScope(req);
+    }
 
     if (date) {
       const targetDateUTC = new Date(date + "T00:00:00.000Z");
@@ -254,6 +251,17 @@ router.get("/", async (req, res) => {
       };
     }
 
+    // Appointments the patient was asked to confirm but has not answered
+    // yet, for a follow-up call (from today on unless a date is given)
+    if (unconfirmed === "true") {
+      filter.status = "scheduled";
+      filter.confirmationRequestedAt = { $exists: true };
+      if (!filter.date) {
+        const { year, month, day } = getBerlinParts(new Date());
+        filter.date = { $gte: new Date(Date.UTC(year, month - 1, day)) };
+      }
+    }
+
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     const appointmentsDocs = await Appointment.find(filter)
@@ -262,13 +270,9 @@ router.get("/", async (req, res) => {
       .skip(skip)
       .limit(parseInt(limit));
 
-    const appointments = appointmentsDocs.map((appointment) => {
-      const appointmentObj = appointment.toObject({ virtuals: true });
-      appointmentObj.isVideoAppointment = computeIsVideoAppointment(
-        appointmentObj
-      );
-      return appointmentObj;
-    });
+    const appointments = appointmentsDocs.map((appointment) =>
+      appointment.toObject({ virtuals: true })
+    );
 
     const total = await Appointment.countDocuments(filter);
 
@@ -291,9 +295,132 @@ router.get("/", async (req, res) => {
   }
 });
 
-// GET /api/appointments/:id - Get specific appointment (PUBLIC for dashboard access)
+// GET /api/appointments/stats - Appointment count per status, ?startDate=&endDate=&doctorId= (ADMIN only)
+router.get(
+  "/stats",
+  requirePermission("appointments:read"),
+  query("startDate").optional().isISO8601().withMessage("startDate must be a date (YYYY-MM-DD)"),
+  query("endDate").optional().isISO8601().withMessage("endDate must be a date (YYYY-MM-DD)"),
+  query("doctorId").optional().isMongoId().withMessage("Valid doctor ID is required"),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { startDate, endDate } = req.query;
+      const doctorId = getDoctorScope(req) || req.query.doctorId;
+      const match = {};
+
+      if (doctorId) {
+        match.doctorId = new mongoose.Types.ObjectId(doctorId);
+      }
+      if (startDate || endDate) {
+        match.date = {};
+        if (startDate) match.date.$gte = new Date(startDate.slice(0, 10) + "T00:00:00.000Z");
+        if (endDate) match.date.$lte = new Date(endDate.slice(0, 10) + "T00:00:00.000Z");
+      }
+
+      const [counts, needsReview, autoCompleted] = await Promise.all([
+        Appointment.aggregate([
+          { $match: match },
+          { $group: { _id: "$status", count: { $sum: 1 } } },
+        ]),
+        Appointment.countDocuments({ ...match, needsReview: true }),
+        Appointment.countDocuments({ ...match, status: "completed", autoCompleted: true }),
+      ]);
+
+      const stats = Appointment.schema
+        .path("status")
+        .enumValues.reduce((acc, status) => {
+          acc[status] = counts.find((c) => c._id === status)?.count || 0;
+          return acc;
+        }, {});
+
+      // Share of the appointments with a recorded outcome that were missed
+      const attended = stats.completed + stats.no_show;
+      const noShowRate = attended > 0 ? stats.no_show / attended : 0;
+
+      return res.status(200).json({
+        success: true,
+        stats,
+        needsReview,
+        autoCompleted,
+        noShowRate: Math.round(noShowRate * 1000) / 1000,
+      });
+    } catch (error) {
+      console.error("Error fetching appointment stats:", error);
+      return res.status(500).json({
+        message: "Error fetching appointment stats",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// GET /api/appointments/occupancy - Booked and held slots without patient data, ?date= or ?startDate=&endDate=, ?doctorId= (PUBLIC)
+router.get(
+  "/occupancy",
+  query("doctorId").optional().isMongoId().withMessage("Valid doctor ID is required"),
+  query("date").optional().isISO8601().withMessage("date must be a date (YYYY-MM-DD)"),
+  query("startDate").optional().isISO8601().withMessage("startDate must be a date (YYYY-MM-DD)"),
+  query("endDate").optional().isISO8601().withMessage("endDate must be a date (YYYY-MM-DD)"),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { doctorId, date } = req.query;
+      const startDate = date || req.query.startDate;
+      const endDate = date || req.query.endDate;
+
+      if (!startDate || !endDate) {
+        return res.status(400).json({
+          message: "date or startDate and endDate are required",
+        });
+      }
+
+      const start = new Date(startDate.slice(0, 10) + "T00:00:00.000Z");
+      const end = new Date(endDate.slice(0, 10) + "T00:00:00.000Z");
+      const days = (end - start) / 86400000 + 1;
+
+      if (days < 1 || days > OCCUPANCY_MAX_DAYS) {
+        return res.status(400).json({
+          message: `The period must cover 1 to ${OCCUPANCY_MAX_DAYS} days`,
+        });
+      }
+
+      const taken = await findTakenSlots({
+        doctorId,
+        startDate: start,
+        endDate: end,
+      });
+
+      // Only doctor, day and slot: nothing about the patient
+      const occupied = taken
+        .map((reservation) => ({
+          doctorId: reservation.doctorId,
+          date: reservation.date.toISOString().slice(0, 10),
+          slot: reservation.slot,
+        }))
+        .sort(
+          (a, b) =>
+            a.date.localeCompare(b.date) || a.slot.localeCompare(b.slot)
+        );
+
+      return res.status(200).json({
+        success: true,
+        occupied,
+      });
+    } catch (error) {
+      console.error("Error fetching slot occupancy:", error);
+      return res.status(500).json({
+        message: "Error fetching slot occupancy",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// GET /api/appointments/:id - Get specific appointment (ADMIN only)
 router.get(
   "/:id",
+  requirePermission("appointments:read"),
   param("id").isMongoId().withMessage("Valid appointment ID is required"),
   handleValidationErrors,
   async (req, res) => {
@@ -303,14 +430,13 @@ router.get(
         "name"
       );
 
-      if (!appointmentDoc) {
+      if (!appointmentDoc || !isInDoctorScope(req, appointmentDoc.doctorId)) {
         return res.status(404).json({
           message: "Appointment not found",
         });
       }
 
       const appointment = appointmentDoc.toObject({ virtuals: true });
-      appointment.isVideoAppointment = computeIsVideoAppointment(appointment);
 
       return res.status(200).json({
         success: true,
@@ -326,10 +452,44 @@ router.get(
   }
 );
 
+// GET /api/appointments/:id/reminders - Get reminder delivery history (ADMIN)
+router.get(
+  "/:id/reminders",
+  requirePermission("appointments:read"),
+  param("id").isMongoId().withMessage("Valid appointment ID is required"),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const appointment = await Appointment.findById(req.params.id).select(
+        "_id doctorId"
+      );
+
+      if (!appointment || !isInDoctorScope(req, appointment.doctorId)) {
+        return res.status(404).json({
+          message: "Appointment not found",
+        });
+      }
+
+      const reminders = await getReminderHistory(appointment._id);
+
+      return res.status(200).json({
+        success: true,
+        reminders,
+      });
+    } catch (error) {
+      console.error("Error fetching reminder history:", error);
+      return res.status(500).json({
+        message: "Error fetching reminder history",
+        error: error.message,
+      });
+    }
+  }
+);
+
 // POST /api/appointments/book - Book appointment from website (PUBLIC)
-router.post("/book", async (req, res) => {
+router.post("/book", publicFormRateLimit, async (req, res) => {
   try {
-    const { slot, patient, locale } = req.body;
+    const { slot, patient, locale, holdToken, appointmentTypeId } = req.body;
 
     console.log("patient", patient);
 
@@ -358,6 +518,23 @@ router.post("/book", async (req, res) => {
       });
     }
 
+    if (
+      patient.notificationPreference &&
+      !NOTIFICATION_PREFERENCES.includes(patient.notificationPreference)
+    ) {
+      return res.status(400).json({
+        error: "Invalid patient data: notificationPreference must be email, sms or both",
+      });
+    }
+
+    // Patients with repeated no-shows have to book by phone
+    if (await isOnlineBookingRestricted(patient.email)) {
+      return res.status(403).json({
+        error: "Online booking is not available, please contact the practice",
+        code: BOOKING_RESTRICTED_CODE,
+      });
+    }
+
     // Check if doctor exists
     const doctor = await Doctor.findById(slot.doctorId);
     if (!doctor) {
@@ -366,11 +543,39 @@ router.post("/book", async (req, res) => {
       });
     }
 
+    // Optional appointment type (duration, buffer, allowed doctors)
+    let appointmentType = null;
+    if (appointmentTypeId) {
+      appointmentType = /^[a-f0-9]{24}$/i.test(String(appointmentTypeId))
+        ? await findAppointmentType(appointmentTypeId)
+        : null;
+      if (!appointmentType) {
+        return res.status(404).json({
+          error: "Appointment type not found",
+        });
+      }
+
+      if (!isDoctorAllowed(appointmentType, slot.doctorId)) {
+        return res.status(400).json({
+          error: "The doctor does not offer this appointment type",
+        });
+      }
+    }
+
     // Parse the "when" field (e.g., "2025-10-30T10:30:00.000Z")
     const whenDate = new Date(slot.when);
     const appointmentDate = new Date(whenDate);
     appointmentDate.setUTCHours(0, 0, 0, 0);
 
+    // Reject holidays and doctor absences
+    const closure = await getClosure(slot.doctorId, appointmentDate);
+    if (closure) {
+      return res.status(409).json({
+        error: closure.message,
+        code: closure.code,
+      });
+    }
+
     // Extract time slot in HH:MM format (prefer original slot string if provided)
     let timeSlot = typeof slot.slot === "string" ? slot.slot : null;
     if (!timeSlot) {
@@ -379,24 +584,14 @@ router.post("/book", async (req, res) => {
       timeSlot = `${hours}:${minutes}`;
     }
 
-    const doctorNameTrimmed = (doctor.name || "").trim();
-    const isVideoDoctor = VIDEO_DOCTOR_NAMES.has(doctorNameTrimmed);
-    const isVideoAppointment = isVideoDoctor || isBerlinFriday(whenDate);
-
-    // Check if slot is available
-    const existingAppointment = await Appointment.findOne({
+    // Video rules, video-only slots and video appointment types
+    const isVideoAppointment = await resolveIsVideoAppointment({
       doctorId: slot.doctorId,
       date: appointmentDate,
       slot: timeSlot,
-      status: { $in: ["scheduled"] },
+      appointmentTypeId: appointmentType?._id,
     });
 
-    if (existingAppointment) {
-      return res.status(409).json({
-        error: "Time slot is already booked",
-      });
-    }
-
     // Create appointment
     const patientFullName = patient.name;
 
@@ -416,15 +611,60 @@ router.post("/book", async (req, res) => {
       managementToken: managementToken,
       status: "scheduled",
       isVideoAppointment,
+      appointmentTypeId: appointmentType ? appointmentType._id : undefined,
+      durationMinutes: appointmentType
+        ? appointmentType.durationMinutes
+        : undefined,
+      bufferMinutes: appointmentType ? appointmentType.bufferMinutes : undefined,
     });
 
-    await appointment.save();
+    // Longer appointment types need the following slots as well
+    const slotKey = {
+      doctorId: slot.doctorId,
+      date: appointmentDate,
+      slot: timeSlot,
+    };
+    const occupiedMinutes = getOccupiedMinutes(appointmentType);
+    const bookingSlots = await getBookingSlots(slotKey, occupiedMinutes);
+    if (!bookingSlots) {
+      return res.status(409).json({
+        error: "Not enough time for this appointment type at the selected time",
+        code: SLOT_TOO_SHORT_CODE,
+        alternatives: await findAlternativeSlots(slotKey, { occupiedMinutes }),
+      });
+    }
+
+    // Claim the slots atomically (turning the patient's hold into the
+    // appointment's reservation); fails if somebody else holds one of them
+    const reservations = await claimSlots(
+      { doctorId: slot.doctorId, date: appointmentDate, slots: bookingSlots },
+      appointment._id,
+      { holdToken }
+    );
+    if (!reservations) {
+      return res.status(409).json({
+        error: "Time slot is already booked",
+        code: SLOT_TAKEN_CODE,
+        alternatives: await findAlternativeSlots(slotKey, { occupiedMinutes }),
+      });
+    }
+
+    try {
+      await appointment.save();
+    } catch (saveError) {
+      await releaseSlots(appointment._id);
+      throw saveError;
+    }
+
+    // Video consultations get their room now so the link can go out with
+    // the confirmation
+    await syncVideoRoom(appointment);
 
     const populatedAppointment = await Appointment.findById(
       appointment._id
     ).populate("doctorId", "name");
     if (populatedAppointment) {
-      populatedAppointment.isVideoAppointment = isVideoAppointment;
+      populatedAppointment.isVideoAppointment = appointment.isVideoAppointment;
     }
 
     // Save patient record for marketing (only if email doesn't exist)
@@ -433,18 +673,19 @@ router.post("/book", async (req, res) => {
         name: patientFullName,
         email: patient.email,
         phone: patient.telefon || "",
+        notificationPreference: patient.notificationPreference,
       });
     } catch (patientError) {
       console.error("Error saving patient record:", patientError);
       // Don't fail appointment creation if patient save fails
     }
 
-    // Send confirmation email
+    // Send confirmation (email and/or SMS depending on patient preference)
     try {
       const emailLocale = locale || "de"; // Default to German if no locale provided
 
-      await sendAppointmentConfirmation(
-        patient.email,
+      const notification = await notifyAppointmentConfirmation(
+        { email: patient.email, phone: patient.telefon },
         {
           patientName: patientFullName,
           doctorName: doctor.name,
@@ -453,21 +694,25 @@ router.post("/book", async (req, res) => {
           title: patientFullName || "Termin",
           description: "",
           managementToken: managementToken,
-          isVideoAppointment,
+          isVideoAppointment: appointment.isVideoAppointment,
+          videoJoinUrl: getVideoJoinPageUrl(appointment),
+          appointmentId: appointment._id,
+          sequence: appointment.sequence,
+          durationMinutes: appointment.durationMinutes,
         },
         emailLocale
       );
       console.log(
-        `Appointment confirmation email sent to: ${patient.email} (locale: ${emailLocale})`
+        `Appointment confirmation sent to: ${patient.email} via ${notification.channels.join(", ")} (locale: ${emailLocale})`
       );
     } catch (emailError) {
-      // Log email error but don't fail the appointment creation
-      console.error("Failed to send confirmation email:", emailError);
+      // Log notification error but don't fail the appointment creation
+      console.error("Failed to send confirmation:", emailError);
     }
 
     // Notify practice about video consultations
     try {
-      if (isVideoAppointment) {
+      if (appointment.isVideoAppointment) {
         const { formattedDate, formattedTime } =
           getBerlinFormattedDetails(whenDate);
 
@@ -481,6 +726,7 @@ router.post("/book", async (req, res) => {
           insuranceType: patient.versicherungsart || "",
           insuranceNumber: patient.versicherungsnummer || "",
           notes: patient.notes || "",
+          videoRoomUrl: appointment.videoRoom?.joinUrl,
         });
         console.log(
           `📬 Video consultation notification sent for ${patient.email}`
@@ -517,6 +763,7 @@ router.post("/book", async (req, res) => {
 // POST /api/appointments - Create appointment (PUBLIC - no auth required for patient bookings)
 router.post(
   "/",
+  publicFormRateLimit,
   appointmentValidationRules,
   handleValidationErrors,
   async (req, res) => {
@@ -531,8 +778,18 @@ router.post(
         title,
         description,
         notes,
+        appointmentTypeId,
       } = req.body;
       console.log(req.body);
+
+      // Patients with repeated no-shows have to book by phone
+      if (await isOnlineBookingRestricted(patientEmail)) {
+        return res.status(403).json({
+          message: "Online booking is not available, please contact the practice",
+          code: BOOKING_RESTRICTED_CODE,
+        });
+      }
+
       // Check if doctor exists
       const doctor = await Doctor.findById(doctorId);
       if (!doctor) {
@@ -541,31 +798,44 @@ router.post(
         });
       }
 
-      // Check if slot is available
+      let appointmentType = null;
+      if (appointmentTypeId) {
+        appointmentType = await findAppointmentType(appointmentTypeId);
+        if (!appointmentType) {
+          return res.status(404).json({
+            message: "Appointment type not found",
+          });
+        }
+
+        if (!isDoctorAllowed(appointmentType, doctorId)) {
+          return res.status(400).json({
+            message: "The doctor does not offer this appointment type",
+          });
+        }
+      }
+
       const appointmentDate = new Date(date + "T00:00:00.000Z");
 
-      const existingAppointment = await Appointment.findOne({
+      // Reject holidays and doctor absences
+      const closure = await getClosure(doctorId, appointmentDate);
+      if (closure) {
+        return res.status(409).json({
+          message: closure.message,
+          code: closure.code,
+        });
+      }
+
+      // Generate unique management token
+      const managementToken = crypto.randomBytes(32).toString("hex");
+
+      const isVideoAppointment = await resolveIsVideoAppointment({
         doctorId,
         date: appointmentDate,
         slot,
-        status: { $in: ["scheduled"] },
+        appointmentTypeId: appointmentType?._id,
       });
 
-      if (existingAppointment) {
-        return res.status(409).json({
-          message: "Time slot is already booked",
-        });
-      }
-
       // Create appointment
-      const doctorNameTrimmed = (doctor.name || "").trim();
-      const isVideoDoctor = VIDEO_DOCTOR_NAMES.has(doctorNameTrimmed);
-      const isVideoAppointment =
-        isVideoDoctor ||
-        isBerlinFriday(
-          getAppointmentDateTimeUtcFromSlot(appointmentDate, slot)
-        );
-
       const appointment = new Appointment({
         doctorId,
         date: appointmentDate,
@@ -576,11 +846,51 @@ router.post(
         title,
         description,
         notes,
+        managementToken,
         status: "scheduled",
         isVideoAppointment,
+        appointmentTypeId: appointmentType ? appointmentType._id : undefined,
+        durationMinutes: appointmentType
+          ? appointmentType.durationMinutes
+          : undefined,
+        bufferMinutes: appointmentType
+          ? appointmentType.bufferMinutes
+          : undefined,
       });
 
-      await appointment.save();
+      // Longer appointment types need the following slots as well
+      const slotKey = { doctorId, date: appointmentDate, slot };
+      const occupiedMinutes = getOccupiedMinutes(appointmentType);
+      const bookingSlots = await getBookingSlots(slotKey, occupiedMinutes);
+      if (!bookingSlots) {
+        return res.status(409).json({
+          message: "Not enough time for this appointment type at the selected time",
+          code: SLOT_TOO_SHORT_CODE,
+          alternatives: await findAlternativeSlots(slotKey, { occupiedMinutes }),
+        });
+      }
+
+      // Claim the slots atomically; fails if somebody else holds one of them
+      const reservations = await claimSlots(
+        { doctorId, date: appointmentDate, slots: bookingSlots },
+        appointment._id
+      );
+      if (!reservations) {
+        return res.status(409).json({
+          message: "Time slot is already booked",
+          code: SLOT_TAKEN_CODE,
+          alternatives: await findAlternativeSlots(slotKey, { occupiedMinutes }),
+        });
+      }
+
+      try {
+        await appointment.save();
+      } catch (saveError) {
+        await releaseSlots(appointment._id);
+        throw saveError;
+      }
+
+      await syncVideoRoom(appointment);
 
       const populatedAppointment = await Appointment.findById(
         appointment._id
@@ -589,27 +899,30 @@ router.post(
         populatedAppointment.isVideoAppointment = appointment.isVideoAppointment;
       }
 
-      // Send confirmation email
+      // Send confirmation (email and/or SMS depending on patient preference)
       try {
-        const patientFullName = `${patientFirstName} ${patientLastName}`.trim();
-
-        await sendAppointmentConfirmation(
-          patientEmail,
+        await notifyAppointmentConfirmation(
+          { email: patientEmail, phone: patientPhone },
           {
-            patientName: patientFullName,
+            patientName,
             doctorName: doctor.name,
             date: appointmentDate,
             slot: slot,
-            title: patientFullName || title,
+            title: patientName || title,
             description: description,
+            managementToken,
             isVideoAppointment: appointment.isVideoAppointment,
+            videoJoinUrl: getVideoJoinPageUrl(appointment),
+            appointmentId: appointment._id,
+            sequence: appointment.sequence,
+            durationMinutes: appointment.durationMinutes,
           },
           "de" // Default locale, can be passed from request if needed
         );
-        console.log("Appointment confirmation email sent to:", patientEmail);
+        console.log("Appointment confirmation sent to:", patientEmail);
       } catch (emailError) {
-        // Log email error but don't fail the appointment creation
-        console.error("Failed to send confirmation email:", emailError);
+        // Log notification error but don't fail the appointment creation
+        console.error("Failed to send confirmation:", emailError);
       }
 
       // Notify practice if appointment qualifies as video consultation
@@ -632,6 +945,7 @@ router.post(
             insuranceType: "",
             insuranceNumber: "",
             notes: notes || "",
+            videoRoomUrl: appointment.videoRoom?.joinUrl,
           });
           console.log(
             `📬 Video consultation notification sent (manual create) for ${patientEmail}`
@@ -669,11 +983,11 @@ router.post(
 // PATCH /api/appointments/:id - Update appointment
 router.patch(
   "/:id",
-  authenticateToken,
+  requirePermission("appointments:write"),
   param("id").isMongoId().withMessage("Valid appointment ID is required"),
   body("status")
     .optional()
-    .isIn(["scheduled", "cancelled", "completed"])
+    .isIn(["scheduled", "confirmed", "cancelled", "completed", "no_show"])
     .withMessage("Invalid status"),
   body("title").optional().trim().isLength({ max: 200 }),
   body("description").optional().trim().isLength({ max: 1000 }),
@@ -684,7 +998,7 @@ router.patch(
     try {
       const appointment = await Appointment.findById(req.params.id);
 
-      if (!appointment) {
+      if (!appointment || !isInDoctorScope(req, appointment.doctorId)) {
         return res.status(404).json({
           message: "Appointment not found",
         });
@@ -694,6 +1008,45 @@ router.patch(
 
       // Track if appointment is being cancelled to send email
       const isCancelling = status === "cancelled" && appointment.status !== "cancelled";
+      const isReactivating =
+        ACTIVE_STATUSES.includes(status) &&
+        !ACTIVE_STATUSES.includes(appointment.status);
+
+      // A patient can only miss an appointment that has begun
+      if (status === "no_show" && appointment.status !== "no_show") {
+        const startsAt = getAppointmentStartUtc(appointment);
+        if (startsAt && startsAt > new Date()) {
+          return res.status(400).json({
+            message: "Only appointments that have started can be marked as no-show",
+          });
+        }
+      }
+
+      // A cancelled appointment only comes back if its slots are still free
+      if (isReactivating) {
+        const slotKey = {
+          doctorId: appointment.doctorId,
+          date: appointment.date,
+          slot: appointment.slot,
+        };
+        const occupiedMinutes = getOccupiedMinutes(appointment);
+        const bookingSlots = await getBookingSlots(slotKey, occupiedMinutes);
+        const reservations =
+          bookingSlots &&
+          (await claimSlots(
+            { ...slotKey, slots: bookingSlots },
+            appointment._id
+          ));
+        if (!reservations) {
+          return res.status(409).json({
+            message: "Time slot is already booked",
+            code: bookingSlots ? SLOT_TAKEN_CODE : SLOT_TOO_SHORT_CODE,
+            alternatives: await findAlternativeSlots(slotKey, {
+              occupiedMinutes,
+            }),
+          });
+        }
+      }
 
       if (status) {
         appointment.status = status;
@@ -721,6 +1074,18 @@ router.patch(
 
       await appointment.save();
 
+      // Cancelled and completed appointments give their video room up,
+      // reactivated ones get a new one
+      if (status) {
+        await syncVideoRoom(appointment);
+        await updatePatientReliability(appointment.patientEmail);
+      }
+
+      if (isCancelling) {
+        await releaseSlots(appointment._id);
+        await offerSlotToWaitlist(appointment);
+      }
+
       const updatedAppointment = await Appointment.findById(
         appointment._id
       ).populate("doctorId", "name");
@@ -734,18 +1099,23 @@ router.patch(
 
           if (patientEmail) {
             // Prepare appointment data for email
-            const isVideoAppointment =
-              computeIsVideoAppointment(updatedAppointment);
             const appointmentData = {
               doctorName: updatedAppointment.doctorId?.name || "N/A",
               date: updatedAppointment.date,
               slot: updatedAppointment.slot,
-              isVideoAppointment,
+              isVideoAppointment: updatedAppointment.isVideoAppointment,
+              appointmentId: updatedAppointment._id,
+              sequence: updatedAppointment.sequence,
+              durationMinutes: updatedAppointment.durationMinutes,
             };
 
-            // Send cancellation email
-            await sendAppointmentCancellation(patientEmail, appointmentData, locale);
-            console.log(`✅ Cancellation email sent to ${patientEmail}`);
+            // Send cancellation (email and/or SMS)
+            await notifyAppointmentCancellation(
+              { email: patientEmail, phone: updatedAppointment.patientPhone },
+              appointmentData,
+              locale
+            );
+            console.log(`✅ Cancellation sent to ${patientEmail}`);
           } else {
             console.log("⚠️ No patient email found, skipping cancellation email");
           }
@@ -773,7 +1143,7 @@ router.patch(
 // PUT /api/appointments/:id/cancel - Cancel appointment with optional reason (ADMIN)
 router.put(
   "/:id/cancel",
-  authenticateToken,
+  requirePermission("appointments:write"),
   param("id").isMongoId().withMessage("Valid appointment ID is required"),
   body("reason").optional().trim().isLength({ max: 500 }),
   handleValidationErrors,
@@ -786,7 +1156,7 @@ router.put(
         "name"
       );
 
-      if (!appointment) {
+      if (!appointment || !isInDoctorScope(req, appointment.doctorId)) {
         return res.status(404).json({
           message: "Appointment not found",
         });
@@ -804,6 +1174,12 @@ router.put(
         });
       }
 
+      if (appointment.status === "no_show") {
+        return res.status(400).json({
+          message: "Missed appointments cannot be cancelled",
+        });
+      }
+
       appointment.status = "cancelled";
       appointment.cancelledAt = new Date();
       if (reason) {
@@ -811,24 +1187,31 @@ router.put(
       }
 
       await appointment.save();
+      await releaseSlots(appointment._id);
+      await releaseVideoRoom(appointment);
+      await offerSlotToWaitlist(appointment);
 
       const locale = appointment.locale || "de";
       const patientEmail = appointment.patientEmail;
 
       if (patientEmail) {
         try {
-          await sendAppointmentCancellation(
-            patientEmail,
+          await notifyAppointmentCancellation(
+            { email: patientEmail, phone: appointment.patientPhone },
             {
               doctorName: appointment.doctorId?.name || "N/A",
               date: appointment.date,
               slot: appointment.slot,
+              isVideoAppointment: appointment.isVideoAppointment,
+              appointmentId: appointment._id,
+              sequence: appointment.sequence,
+              durationMinutes: appointment.durationMinutes,
             },
             locale
           );
-          console.log(`✅ Cancellation email sent to ${patientEmail}`);
+          console.log(`✅ Cancellation sent to ${patientEmail}`);
         } catch (emailError) {
-          console.error("❌ Error sending cancellation email:", emailError);
+          console.error("❌ Error sending cancellation:", emailError);
         }
       } else {
         console.log("⚠️ No patient email found, skipping cancellation email");
@@ -857,7 +1240,7 @@ router.put(
 // DELETE /api/appointments/:id - Delete appointment
 router.delete(
   "/:id",
-  authenticateToken,
+  requirePermission("appointments:delete"),
   param("id").isMongoId().withMessage("Valid appointment ID is required"),
   handleValidationErrors,
   async (req, res) => {
@@ -870,6 +1253,13 @@ router.delete(
         });
       }
 
+      await releaseSlots(appointment._id);
+      await releaseVideoRoom(appointment);
+      await updatePatientReliability(appointment.patientEmail);
+      if (ACTIVE_STATUSES.includes(appointment.status)) {
+        await offerSlotToWaitlist(appointment);
+      }
+
       return res.status(200).json({
         success: true,
         message: "Appointment deleted successfully",
@@ -4,6 +4,9 @@ const Admin = require("../models/Admin");
 const bcrypt = require("bcrypt");
 const jwt = require("jsonwebtoken");
 const { body, validationResult } = require("express-validator");
+const { getRolePermissions } = require("../config/permissions");
+const { authenticateToken } = require("../middleware/auth");
+const { loginRateLimit } = require("../middleware/rateLimit");
 
 const {
   setRefreshTokenCookie,
@@ -12,8 +15,24 @@ const {
 const {
   generateAccessToken,
   generateRefreshToken,
+  generateTwoFactorToken,
+  verifyToken,
   storeRefreshToken,
 } = require("../services/token/tokenService");
+const {
+  TWO_FACTOR_ENFORCED,
+  generateSecret,
+  getProvisioningUri,
+  verifyCode,
+  generateRecoveryCodes,
+  consumeSecondFactor,
+} = require("../services/twoFactor/twoFactorService");
+const {
+  LOGIN_LOCKED_CODE,
+  getLoginBlock,
+  registerFailedLogin,
+  resetFailedLogins,
+} = require("../services/loginProtectionService");
 
 // Helper function to handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -27,6 +46,80 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Account data for the dashboard, including what the role may do
+const getAdminProfile = (admin) => ({
+  id: admin._id,
+  name: admin.name,
+  email: admin.email,
+  role: admin.role,
+  doctorId: admin.doctorId,
+  permissions: getRolePermissions(admin.role),
+  twoFactorEnabled: Boolean(admin.twoFactor?.enabled),
+});
+
+// Issue access and refresh token once the login is complete
+async function issueTokens(res, admin) {
+  const accessToken = generateAccessToken(admin._id, "admin");
+  const refreshToken = await generateRefreshToken(admin._id, "admin");
+
+  console.log("🔑 Generated access token for admin:", admin.email);
+  console.log("🍪 Setting refresh token cookie...");
+
+  // Store refresh token
+  await storeRefreshToken(admin, refreshToken);
+
+  // Set refresh token cookie
+  setRefreshTokenCookie(res, refreshToken.token);
+
+  return accessToken;
+}
+
+// 429 for an account that is locked or has to wait before the next attempt;
+// only once the password is known (/login answers 401 instead)
+function sendLoginBlocked(res, block) {
+  res.set("Retry-After", String(block.retryAfter));
+  return res.status(429).json({
+    message:
+      block.code === LOGIN_LOCKED_CODE
+        ? "Account temporarily locked after too many failed logins"
+        : "Too many failed logins, please wait before trying again",
+    code: block.code,
+    retryAfter: block.retryAfter,
+  });
+}
+
+// Admin behind a two-factor token of the given purpose, or null
+async function findTwoFactorAdmin(token, purpose) {
+  const decoded = token && verifyToken(token, process.env.ACCESS_TOKEN_SECRET);
+
+  if (!decoded || decoded.userType !== "2fa" || decoded.purpose !== purpose) {
+    return null;
+  }
+
+  return Admin.findById(decoded.userId);
+}
+
+// Enrollment is open to logged-in accounts and, while 2FA is enforced, to
+// accounts that passed the password step (setup token)
+const authenticateTwoFactorSetup = async (req, res, next) => {
+  const authHeader = req.headers["authorization"];
+  const token = authHeader && authHeader.split(" ")[1];
+  const admin = await findTwoFactorAdmin(token, "setup").catch(() => null);
+
+  if (!admin) {
+    return authenticateToken(req, res, next);
+  }
+
+  req.admin = admin;
+  req.isTwoFactorSetup = true;
+  next();
+};
+
+const twoFactorCodeValidation = [
+  body("code").optional().trim().isLength({ min: 6, max: 6 }),
+  body("recoveryCode").optional().trim().isLength({ max: 20 }),
+];
+
 // Validation rules for admin login
 const adminLoginValidation = [
   body("email")
@@ -39,6 +132,7 @@ const adminLoginValidation = [
 // POST /auth/login - Admin login
 authController.post(
   "/login",
+  loginRateLimit,
   adminLoginValidation,
   handleValidationErrors,
   async (req, res) => {
@@ -54,27 +148,47 @@ authController.post(
         });
       }
 
+      // A locked or throttled account gets the same answer as an unknown
+      // email, so the response does not tell which accounts exist; the
+      // account holder learns about a lockout from the notification email
+      if (getLoginBlock(admin)) {
+        return res.status(401).json({
+          message: "Invalid email or password",
+        });
+      }
+
       // Check password
       const isPasswordValid = await bcrypt.compare(password, admin.password);
 
       if (!isPasswordValid) {
+        await registerFailedLogin(admin, { ip: req.ip });
         return res.status(401).json({
           message: "Invalid email or password",
         });
       }
 
-      // Generate tokens
-      const accessToken = generateAccessToken(admin._id, "admin");
-      const refreshToken = await generateRefreshToken(admin._id, "admin");
+      // Tokens only after the second factor (POST /auth/login/2fa), which
+      // counts its failures against the same account
+      if (admin.twoFactor?.enabled) {
+        return res.status(200).json({
+          success: true,
+          twoFactorRequired: true,
+          twoFactorToken: generateTwoFactorToken(admin._id, "login"),
+        });
+      }
 
-      console.log("🔑 Generated access token for admin:", admin.email);
-      console.log("🍪 Setting refresh token cookie...");
+      await resetFailedLogins(admin);
 
-      // Store refresh token
-      await storeRefreshToken(admin, refreshToken);
+      // Enforced 2FA: enroll first (POST /auth/2fa/setup and /auth/2fa/enable)
+      if (TWO_FACTOR_ENFORCED) {
+        return res.status(200).json({
+          success: true,
+          twoFactorSetupRequired: true,
+          twoFactorToken: generateTwoFactorToken(admin._id, "setup"),
+        });
+      }
 
-      // Set refresh token cookie
-      setRefreshTokenCookie(res, refreshToken.token);
+      const accessToken = await issueTokens(res, admin);
 
       console.log("✅ Login successful for admin:", admin.email);
 
@@ -82,11 +196,7 @@ authController.post(
         success: true,
         message: "Login successful",
         accessToken,
-        admin: {
-          id: admin._id,
-          name: admin.name,
-          email: admin.email,
-        },
+        admin: getAdminProfile(admin),
       });
     } catch (error) {
       console.error("Login error:", error);
@@ -98,6 +208,260 @@ authController.post(
   }
 );
 
+// POST /auth/login/2fa - Second login step with authenticator or recovery code
+authController.post(
+  "/login/2fa",
+  loginRateLimit,
+  body("twoFactorToken").notEmpty().withMessage("Two-factor token is required"),
+  twoFactorCodeValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { twoFactorToken, code, recoveryCode } = req.body;
+
+      const admin = await findTwoFactorAdmin(twoFactorToken, "login");
+
+      if (!admin) {
+        return res.status(401).json({
+          message: "Two-factor session expired, please log in again",
+        });
+      }
+
+      const block = getLoginBlock(admin);
+      if (block) {
+        return sendLoginBlocked(res, block);
+      }
+
+      const method = consumeSecondFactor(admin, { code, recoveryCode });
+
+      if (!method) {
+        await registerFailedLogin(admin, { ip: req.ip });
+        return res.status(401).json({
+          message: "Invalid two-factor code",
+        });
+      }
+
+      await admin.save();
+      await resetFailedLogins(admin);
+      const accessToken = await issueTokens(res, admin);
+
+      console.log(`✅ Login successful for admin (${method}):`, admin.email);
+
+      return res.status(200).json({
+        success: true,
+        message: "Login successful",
+        accessToken,
+        admin: getAdminProfile(admin),
+        // Tell the user when recovery codes run low
+        recoveryCodesLeft:
+          method === "recovery"
+            ? admin.twoFactor.recoveryCodes.length
+            : undefined,
+      });
+    } catch (error) {
+      console.error("Two-factor login error:", error);
+      return res.status(500).json({
+        message: "Login failed",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// POST /auth/2fa/setup - Start enrollment, returns secret and QR provisioning URI
+authController.post(
+  "/2fa/setup",
+  authenticateTwoFactorSetup,
+  async (req, res) => {
+    try {
+      const admin = req.admin;
+
+      if (admin.twoFactor.enabled) {
+        return res.status(400).json({
+          message: "Two-factor authentication is already enabled",
+        });
+      }
+
+      const secret = generateSecret();
+      admin.twoFactor.pendingSecret = secret;
+      await admin.save();
+
+      return res.status(200).json({
+        success: true,
+        secret,
+        otpauthUri: getProvisioningUri(secret, admin.email),
+      });
+    } catch (error) {
+      console.error("Two-factor setup error:", error);
+      return res.status(500).json({
+        message: "Error setting up two-factor authentication",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// POST /auth/2fa/enable - Confirm enrollment with a first code, returns recovery codes
+authController.post(
+  "/2fa/enable",
+  authenticateTwoFactorSetup,
+  body("code").trim().notEmpty().withMessage("Code is required"),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const admin = req.admin;
+
+      if (admin.twoFactor.enabled) {
+        return res.status(400).json({
+          message: "Two-factor authentication is already enabled",
+        });
+      }
+
+      const step = verifyCode(admin.twoFactor.pendingSecret, req.body.code);
+
+      if (step === null) {
+        return res.status(400).json({
+          message: "Invalid two-factor code",
+        });
+      }
+
+      const recoveryCodes = generateRecoveryCodes();
+      admin.twoFactor = {
+        enabled: true,
+        secret: admin.twoFactor.pendingSecret,
+        pendingSecret: undefined,
+        recoveryCodes: recoveryCodes.hashes,
+        lastUsedStep: step,
+        enabledAt: new Date(),
+      };
+      await admin.save();
+
+      console.log(
+        "🔐 Two-factor authentication enabled for admin:",
+        admin.email
+      );
+
+      // Enrolling was the last login step
+      const accessToken = req.isTwoFactorSetup
+        ? await issueTokens(res, admin)
+        : undefined;
+
+      return res.status(200).json({
+        success: true,
+        message: "Two-factor authentication enabled",
+        // Shown once; only hashes are stored
+        recoveryCodes: recoveryCodes.codes,
+        accessToken,
+        admin: getAdminProfile(admin),
+      });
+    } catch (error) {
+      console.error("Two-factor enable error:", error);
+      return res.status(500).json({
+        message: "Error enabling two-factor authentication",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// POST /auth/2fa/recovery-codes - Replace the recovery codes, needs a current code
+authController.post(
+  "/2fa/recovery-codes",
+  loginRateLimit,
+  authenticateToken,
+  body("code").trim().notEmpty().withMessage("Code is required"),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const admin = req.admin;
+
+      // Wrong codes count like failed logins, so a stolen access token
+      // cannot be used to guess them
+      const block = getLoginBlock(admin);
+      if (block) {
+        return sendLoginBlocked(res, block);
+      }
+
+      if (!consumeSecondFactor(admin, { code: req.body.code })) {
+        await registerFailedLogin(admin, { ip: req.ip });
+        return res.status(400).json({
+          message: "Invalid two-factor code",
+        });
+      }
+
+      const recoveryCodes = generateRecoveryCodes();
+      admin.twoFactor.recoveryCodes = recoveryCodes.hashes;
+      await admin.save();
+      await resetFailedLogins(admin);
+
+      return res.status(200).json({
+        success: true,
+        recoveryCodes: recoveryCodes.codes,
+      });
+    } catch (error) {
+      console.error("Recovery code error:", error);
+      return res.status(500).json({
+        message: "Error creating recovery codes",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// POST /auth/2fa/disable - Turn 2FA off with a code (not while it is enforced)
+authController.post(
+  "/2fa/disable",
+  loginRateLimit,
+  authenticateToken,
+  twoFactorCodeValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const admin = req.admin;
+
+      if (TWO_FACTOR_ENFORCED) {
+        return res.status(400).json({
+          message: "Two-factor authentication is required for all accounts",
+        });
+      }
+
+      const block = getLoginBlock(admin);
+      if (block) {
+        return sendLoginBlocked(res, block);
+      }
+
+      const { code, recoveryCode } = req.body;
+
+      if (!consumeSecondFactor(admin, { code, recoveryCode })) {
+        await registerFailedLogin(admin, { ip: req.ip });
+        return res.status(400).json({
+          message: "Invalid two-factor code",
+        });
+      }
+
+      admin.twoFactor = { enabled: false, recoveryCodes: [] };
+      await admin.save();
+      await resetFailedLogins(admin);
+
+      console.log(
+        "🔓 Two-factor authentication disabled for admin:",
+        admin.email
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: "Two-factor authentication disabled",
+      });
+    } catch (error) {
+      console.error("Two-factor disable error:", error);
+      return res.status(500).json({
+        message: "Error disabling two-factor authentication",
+        error: error.message,
+      });
+    }
+  }
+);
+
 // POST /auth/refresh - Refresh access token
 authController.post("/refresh", async (req, res) => {
   try {
@@ -142,6 +506,13 @@ authController.post("/refresh", async (req, res) => {
       });
     }
 
+    // Sessions from before 2FA was enforced end here
+    if (TWO_FACTOR_ENFORCED && !admin.twoFactor.enabled) {
+      return res.status(401).json({
+        message: "Two-factor authentication required, please log in again",
+      });
+    }
+
     // Generate new tokens
     const newAccessToken = generateAccessToken(admin._id, "admin");
     const newRefreshToken = await generateRefreshToken(admin._id, "admin");
@@ -160,11 +531,7 @@ authController.post("/refresh", async (req, res) => {
     return res.status(200).json({
       success: true,
       accessToken: newAccessToken,
-      admin: {
-        id: admin._id,
-        name: admin.name,
-        email: admin.email,
-      },
+      admin: getAdminProfile(admin),
     });
   } catch (error) {
     console.error("Refresh token error:", error);
@@ -204,11 +571,7 @@ authController.get("/me", async (req, res) => {
 
     return res.status(200).json({
       success: true,
-      admin: {
-        id: admin._id,
-        name: admin.name,
-        email: admin.email,
-      },
+      admin: getAdminProfile(admin),
     });
   } catch (error) {
     if (error.name === "TokenExpiredError") {
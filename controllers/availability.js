@@ -1,8 +1,19 @@
 const express = require("express");
 const { body, param, query, validationResult } = require("express-validator");
-const { authenticateToken } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/auth");
 const Availability = require("../models/Availability");
 const Doctor = require("../models/Doctor");
+const { getClosedDays } = require("../services/availabilityService");
+const {
+  getHeldSlots,
+  getTakenSlots,
+} = require("../services/slotReservationService");
+const {
+  getOccupiedMinutes,
+  getFittingStartTimes,
+  findAppointmentType,
+  isDoctorAllowed,
+} = require("../services/appointmentTypeService");
 
 const router = express.Router();
 
@@ -43,11 +54,32 @@ const availabilityValidationRules = [
 ];
 
 // GET /api/availability - Get all availability
+// ?appointmentTypeId= keeps only start times where the appointment type fits
 router.get("/", async (req, res) => {
   try {
-    const { doctorId, date, startDate, endDate } = req.query;
+    const {
+      doctorId,
+      date,
+      startDate,
+      endDate,
+      includeClosed,
+      holdToken,
+      appointmentTypeId,
+    } = req.query;
     const filter = {};
 
+    let appointmentType = null;
+    if (appointmentTypeId) {
+      appointmentType = /^[a-f0-9]{24}$/i.test(String(appointmentTypeId))
+        ? await findAppointmentType(appointmentTypeId)
+        : null;
+      if (!appointmentType) {
+        return res.status(404).json({
+          message: "Appointment type not found",
+        });
+      }
+    }
+
     if (doctorId) {
       filter.doctorId = doctorId;
     }
@@ -68,10 +100,76 @@ router.get("/", async (req, res) => {
       };
     }
 
-    const availability = await Availability.find(filter)
+    let availability = await Availability.find(filter)
       .populate("doctorId", "name")
       .sort({ date: 1 });
 
+    // Hide holidays and doctor absences unless explicitly requested (admin view)
+    if (includeClosed !== "true" && availability.length > 0) {
+      const closedDays = await getClosedDays(
+        {
+          startDate: availability[0].date,
+          endDate: availability[availability.length - 1].date,
+        },
+        doctorId
+      );
+      availability = availability.filter(
+        (a) => !closedDays.isClosed(a.doctorId?._id || a.doctorId, a.date)
+      );
+    }
+
+    // Drop doctors who do not offer the appointment type
+    if (appointmentType && availability.length > 0) {
+      availability = availability.filter((a) =>
+        isDoctorAllowed(appointmentType, a.doctorId?._id || a.doctorId)
+      );
+    }
+
+    // Keep start times where the appointment type fits: it and the following
+    // slots must be neither booked nor held by other patients
+    if (appointmentType && availability.length > 0) {
+      const takenSlots = await getTakenSlots(
+        {
+          doctorId,
+          startDate: availability[0].date,
+          endDate: availability[availability.length - 1].date,
+        },
+        holdToken
+      );
+      const occupiedMinutes = getOccupiedMinutes(appointmentType);
+      availability = availability.map((a) => {
+        const day = a.toObject();
+        const startTimes = new Set(
+          getFittingStartTimes(day.slots, occupiedMinutes, (slot) =>
+            takenSlots.isTaken(a.doctorId?._id || a.doctorId, a.date, slot)
+          )
+        );
+        day.slots = day.slots.filter((slot) => startTimes.has(slot));
+        day.videoSlots = (day.videoSlots || []).filter((slot) =>
+          startTimes.has(slot)
+        );
+        return day;
+      });
+    } else if (includeClosed !== "true" && availability.length > 0) {
+      // Hide slots other patients are holding (the caller's own hold stays)
+      const heldSlots = await getHeldSlots(
+        {
+          doctorId,
+          startDate: availability[0].date,
+          endDate: availability[availability.length - 1].date,
+        },
+        holdToken
+      );
+      availability = availability.map((a) => {
+        const day = a.toObject();
+        const isHeld = (slot) =>
+          heldSlots.isHeld(a.doctorId?._id || a.doctorId, a.date, slot);
+        day.slots = day.slots.filter((slot) => !isHeld(slot));
+        day.videoSlots = (day.videoSlots || []).filter((slot) => !isHeld(slot));
+        return day;
+      });
+    }
+
     res.json({
       success: true,
       data: availability,
@@ -121,7 +219,7 @@ router.get(
 // POST /api/availability - Create availability
 router.post(
   "/",
-  authenticateToken,
+  requirePermission("schedule:write"),
   availabilityValidationRules,
   handleValidationErrors,
   async (req, res) => {
@@ -191,7 +289,7 @@ router.post(
 // PUT /api/availability/:id - Update availability
 router.put(
   "/:id",
-  authenticateToken,
+  requirePermission("schedule:write"),
   [
     param("id").isMongoId().withMessage("Invalid availability ID"),
     body("slots")
@@ -217,6 +315,11 @@ router.put(
       // Remove duplicates and sort slots
       const uniqueSlots = [...new Set(slots)].sort();
       availability.slots = uniqueSlots;
+      availability.videoSlots = (availability.videoSlots || []).filter((s) =>
+        uniqueSlots.includes(s)
+      );
+      // Manually edited days are no longer managed by their template
+      availability.templateId = undefined;
 
       await availability.save();
 
@@ -242,7 +345,7 @@ router.put(
 // DELETE /api/availability/:id - Delete availability
 router.delete(
   "/:id",
-  authenticateToken,
+  requirePermission("schedule:write"),
   [param("id").isMongoId().withMessage("Invalid availability ID")],
   handleValidationErrors,
   async (req, res) => {
@@ -274,7 +377,7 @@ router.delete(
 // POST /api/availability/:id/add-slot - Add slot to existing availability
 router.post(
   "/:id/add-slot",
-  authenticateToken,
+  requirePermission("schedule:write"),
   [
     param("id").isMongoId().withMessage("Invalid availability ID"),
     body("slot")
@@ -302,6 +405,8 @@ router.post(
 
       availability.slots.push(slot);
       availability.slots.sort();
+      // Manually edited days are no longer managed by their template
+      availability.templateId = undefined;
       await availability.save();
 
       const updatedAvailability = await Availability.findById(
@@ -326,7 +431,7 @@ router.post(
 // DELETE /api/availability/:id/remove-slot - Remove slot from availability
 router.delete(
   "/:id/remove-slot",
-  authenticateToken,
+  requirePermission("schedule:write"),
   [
     param("id").isMongoId().withMessage("Invalid availability ID"),
     body("slot")
@@ -355,6 +460,11 @@ router.delete(
       }
 
       availability.slots.splice(slotIndex, 1);
+      availability.videoSlots = (availability.videoSlots || []).filter(
+        (s) => s !== slot
+      );
+      // Manually edited days are no longer managed by their template
+      availability.templateId = undefined;
       await availability.save();
 
       const updatedAvailability = await Availability.findById(
@@ -379,7 +489,7 @@ router.delete(
 // POST /api/availability/copy - Copy schedule from one doctor to another
 router.post(
   "/copy",
-  authenticateToken,
+  requirePermission("schedule:write"),
   [
     body("fromDoctorId")
       .notEmpty()
@@ -463,6 +573,7 @@ router.post(
         doctorId: toDoctorId,
         date: avail.date,
         slots: avail.slots,
+        videoSlots: avail.videoSlots,
         isActive: avail.isActive,
       }));
 
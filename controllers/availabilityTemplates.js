@@ -0,0 +1,371 @@
+const express = require("express");
+const { body, param, query, validationResult } = require("express-validator");
+const {
+  requirePermission,
+  getDoctorScope,
+  isInDoctorScope,
+} = require("../middleware/auth");
+const AvailabilityTemplate = require("../models/AvailabilityTemplate");
+const Doctor = require("../models/Doctor");
+const {
+  generateAvailabilityFromTemplates,
+} = require("../services/availabilityTemplateService");
+
+const router = express.Router();
+
+// Helper function
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+  next();
+};
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+// "2026-03-01" -> 2026-03-01T00:00:00.000Z
+const toUtcDay = (value) => new Date(`${value.slice(0, 10)}T00:00:00.000Z`);
+
+// Validation rules (fields optional so PATCH can reuse them)
+const templateValidationRules = [
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Name must be between 2 and 100 characters"),
+  body("validFrom")
+    .optional()
+    .isISO8601()
+    .withMessage("validFrom must be a date (YYYY-MM-DD)"),
+  body("validUntil")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("validUntil must be a date (YYYY-MM-DD)"),
+  body("weeklySchedule")
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage("Weekly schedule must be an array of at most 50 blocks"),
+  body("weeklySchedule.*.weekday")
+    .isInt({ min: 0, max: 6 })
+    .withMessage("Weekday must be 0 (Sunday) to 6 (Saturday)"),
+  body("weeklySchedule.*.startTime")
+    .matches(TIME_PATTERN)
+    .withMessage("Start time must be in HH:MM format"),
+  body("weeklySchedule.*.endTime")
+    .matches(TIME_PATTERN)
+    .withMessage("End time must be in HH:MM format"),
+  body("weeklySchedule.*.intervalMinutes")
+    .optional()
+    .isInt({ min: 5, max: 240 })
+    .withMessage("Interval must be between 5 and 240 minutes"),
+  body("weeklySchedule.*.videoOnly")
+    .optional()
+    .isBoolean()
+    .withMessage("videoOnly must be boolean"),
+  body("weeklySchedule.*").custom((block) => {
+    if (
+      TIME_PATTERN.test(block.startTime) &&
+      TIME_PATTERN.test(block.endTime) &&
+      toMinutes(block.startTime) >= toMinutes(block.endTime)
+    ) {
+      throw new Error("Start time must be before end time");
+    }
+    return true;
+  }),
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be boolean"),
+];
+
+function normalizeSchedule(weeklySchedule) {
+  return weeklySchedule.map((block) => ({
+    weekday: Number(block.weekday),
+    startTime: block.startTime,
+    endTime: block.endTime,
+    intervalMinutes: block.intervalMinutes
+      ? Number(block.intervalMinutes)
+      : undefined,
+    videoOnly: Boolean(block.videoOnly),
+  }));
+}
+
+// Regenerate a doctor's days after a template change; the template change
+// itself is already saved, so a failure here is only logged
+async function regenerate(doctorId) {
+  try {
+    return await generateAvailabilityFromTemplates({ doctorId });
+  } catch (error) {
+    console.error("Error regenerating availability:", error);
+    return null;
+  }
+}
+
+// GET /api/availability-templates - Get all templates, ?doctorId= (ADMIN only)
+router.get(
+  "/",
+  requirePermission("schedule:read"),
+  query("doctorId")
+    .optional()
+    .isMongoId()
+    .withMessage("Valid doctor ID is required"),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const filter = {};
+      if (req.query.doctorId) filter.doctorId = req.query.doctorId;
+      if (getDoctorScope(req)) filter.doctorId = getDoctorScope(req);
+
+      const templates = await AvailabilityTemplate.find(filter)
+        .populate("doctorId", "name")
+        .sort({ doctorId: 1, validFrom: -1 });
+
+      return res.status(200).json({
+        success: true,
+        templates,
+      });
+    } catch (error) {
+      console.error("Error fetching availability templates:", error);
+      return res.status(500).json({
+        message: "Error fetching availability templates",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// POST /api/availability-templates/generate - Generate availability now (ADMIN only)
+router.post(
+  "/generate",
+  requirePermission("schedule:write"),
+  body("doctorId")
+    .optional()
+    .isMongoId()
+    .withMessage("Valid doctor ID is required"),
+  body("weeks")
+    .optional()
+    .isInt({ min: 1, max: 52 })
+    .withMessage("Weeks must be between 1 and 52"),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { doctorId, weeks } = req.body;
+
+      const stats = await generateAvailabilityFromTemplates({
+        doctorId,
+        weeks: weeks ? Number(weeks) : undefined,
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: "Availability generated successfully",
+        stats,
+      });
+    } catch (error) {
+      console.error("Error generating availability:", error);
+      return res.status(500).json({
+        message: "Error generating availability",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// GET /api/availability-templates/:id - Get template by ID (ADMIN only)
+router.get(
+  "/:id",
+  requirePermission("schedule:read"),
+  param("id").isMongoId().withMessage("Valid template ID is required"),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const template = await AvailabilityTemplate.findById(
+        req.params.id
+      ).populate("doctorId", "name");
+
+      if (!template || !isInDoctorScope(req, template.doctorId)) {
+        return res.status(404).json({
+          message: "Availability template not found",
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        template,
+      });
+    } catch (error) {
+      console.error("Error fetching availability template:", error);
+      return res.status(500).json({
+        message: "Error fetching availability template",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// POST /api/availability-templates - Create template and generate availability (ADMIN only)
+router.post(
+  "/",
+  requirePermission("schedule:write"),
+  body("doctorId").isMongoId().withMessage("Valid doctor ID is required"),
+  body("name").trim().notEmpty().withMessage("Name is required"),
+  body("validFrom").notEmpty().withMessage("validFrom is required"),
+  body("weeklySchedule")
+    .isArray({ min: 1 })
+    .withMessage("At least one schedule block is required"),
+  templateValidationRules,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const {
+        doctorId,
+        name,
+        validFrom,
+        validUntil,
+        weeklySchedule,
+        isActive,
+      } = req.body;
+
+      const doctor = await Doctor.findById(doctorId);
+      if (!doctor) {
+        return res.status(404).json({
+          message: "Doctor not found",
+        });
+      }
+
+      const template = new AvailabilityTemplate({
+        doctorId,
+        name,
+        validFrom: toUtcDay(validFrom),
+        validUntil: validUntil ? toUtcDay(validUntil) : undefined,
+        weeklySchedule: normalizeSchedule(weeklySchedule),
+        isActive,
+      });
+
+      if (template.validUntil && template.validUntil < template.validFrom) {
+        return res.status(400).json({
+          message: "validUntil cannot be before validFrom",
+        });
+      }
+
+      await template.save();
+
+      const generation = await regenerate(doctorId);
+
+      return res.status(201).json({
+        success: true,
+        message: "Availability template created successfully",
+        template,
+        generation,
+      });
+    } catch (error) {
+      console.error("Error creating availability template:", error);
+      return res.status(500).json({
+        message: "Error creating availability template",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// PATCH /api/availability-templates/:id - Update template and regenerate availability (ADMIN only)
+router.patch(
+  "/:id",
+  requirePermission("schedule:write"),
+  param("id").isMongoId().withMessage("Valid template ID is required"),
+  templateValidationRules,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const template = await AvailabilityTemplate.findById(req.params.id);
+
+      if (!template) {
+        return res.status(404).json({
+          message: "Availability template not found",
+        });
+      }
+
+      const { name, validFrom, validUntil, weeklySchedule, isActive } =
+        req.body;
+
+      if (name !== undefined) template.name = name;
+      if (validFrom !== undefined) template.validFrom = toUtcDay(validFrom);
+      if (validUntil !== undefined) {
+        template.validUntil = validUntil ? toUtcDay(validUntil) : undefined;
+      }
+      if (weeklySchedule !== undefined) {
+        template.weeklySchedule = normalizeSchedule(weeklySchedule);
+      }
+      if (isActive !== undefined) template.isActive = isActive;
+
+      if (template.validUntil && template.validUntil < template.validFrom) {
+        return res.status(400).json({
+          message: "validUntil cannot be before validFrom",
+        });
+      }
+
+      await template.save();
+
+      const generation = await regenerate(template.doctorId);
+
+      return res.status(200).json({
+        success: true,
+        message: "Availability template updated successfully",
+        template,
+        generation,
+      });
+    } catch (error) {
+      console.error("Error updating availability template:", error);
+      return res.status(500).json({
+        message: "Error updating availability template",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// DELETE /api/availability-templates/:id - Delete template, free its unbooked slots (ADMIN only)
+router.delete(
+  "/:id",
+  requirePermission("schedule:write"),
+  param("id").isMongoId().withMessage("Valid template ID is required"),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const template = await AvailabilityTemplate.findByIdAndDelete(
+        req.params.id
+      );
+
+      if (!template) {
+        return res.status(404).json({
+          message: "Availability template not found",
+        });
+      }
+
+      const generation = await regenerate(template.doctorId);
+
+      return res.status(200).json({
+        success: true,
+        message: "Availability template deleted successfully",
+        generation,
+      });
+    } catch (error) {
+      console.error("Error deleting availability template:", error);
+      return res.status(500).json({
+        message: "Error deleting availability template",
+        error: error.message,
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,7 +1,13 @@
 const express = require("express");
-const { body, param, validationResult } = require("express-validator");
-const { authenticateToken } = require("../middleware/auth");
+const { body, param, query, validationResult } = require("express-validator");
+const { requirePermission } = require("../middleware/auth");
 const Doctor = require("../models/Doctor");
+const {
+  rotateCalendarToken,
+  revokeCalendarToken,
+  findDoctorByCalendarToken,
+  getDoctorCalendarFeed,
+} = require("../services/doctorCalendarService");
 
 const router = express.Router();
 
@@ -29,8 +35,18 @@ const doctorValidationRules = [
     .optional()
     .isInt({ min: 1, max: 20 })
     .withMessage("Priority must be between 1 and 20"),
+  body("calendarPrivacy")
+    .optional()
+    .isIn(["initials", "full"])
+    .withMessage("Calendar privacy must be initials or full"),
 ];
 
+const getCalendarUrl = (req, doctor) => {
+  const serverUrl =
+    process.env.SERVER_URL || `${req.protocol}://${req.get("host")}`;
+  return `${serverUrl}/api/doctors/${doctor._id}/calendar.ics?token=${doctor.calendarToken}`;
+};
+
 // GET /api/doctors - Get all doctors (PUBLIC - no auth required)
 router.get("/", async (req, res) => {
   try {
@@ -52,7 +68,7 @@ router.get("/", async (req, res) => {
 // GET /api/doctors/:id - Get doctor by ID
 router.get(
   "/:id",
-  authenticateToken,
+  requirePermission("doctors:read"),
   param("id").isMongoId().withMessage("Valid doctor ID is required"),
   handleValidationErrors,
   async (req, res) => {
@@ -82,14 +98,14 @@ router.get(
 // POST /api/doctors - Create doctor
 router.post(
   "/",
-  authenticateToken,
+  requirePermission("doctors:write"),
   doctorValidationRules,
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { name, priority } = req.body;
+      const { name, priority, calendarPrivacy } = req.body;
 
-      const doctor = new Doctor({ name, priority });
+      const doctor = new Doctor({ name, priority, calendarPrivacy });
       await doctor.save();
 
       return res.status(201).json({
@@ -110,18 +126,21 @@ router.post(
 // PATCH /api/doctors/:id - Update doctor
 router.patch(
   "/:id",
-  authenticateToken,
+  requirePermission("doctors:write"),
   param("id").isMongoId().withMessage("Valid doctor ID is required"),
   doctorValidationRules,
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { name, priority } = req.body;
+      const { name, priority, calendarPrivacy } = req.body;
 
       const updateData = { name };
       if (priority !== undefined) {
         updateData.priority = priority;
       }
+      if (calendarPrivacy !== undefined) {
+        updateData.calendarPrivacy = calendarPrivacy;
+      }
 
       const doctor = await Doctor.findByIdAndUpdate(req.params.id, updateData, {
         new: true,
@@ -149,10 +168,109 @@ router.patch(
   }
 );
 
+// GET /api/doctors/:id/calendar.ics?token=... - Read-only calendar feed (PUBLIC - token required)
+router.get(
+  "/:id/calendar.ics",
+  param("id").isMongoId().withMessage("Valid doctor ID is required"),
+  query("token").isString().notEmpty().withMessage("Token is required"),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const doctor = await findDoctorByCalendarToken(
+        req.params.id,
+        req.query.token
+      );
+
+      if (!doctor) {
+        return res.status(404).json({
+          message: "Calendar not found",
+        });
+      }
+
+      const calendar = await getDoctorCalendarFeed(doctor);
+
+      res.set({
+        "Content-Type": "text/calendar; charset=utf-8",
+        "Content-Disposition": 'inline; filename="calendar.ics"',
+        "Cache-Control": "private, max-age=300",
+      });
+      return res.status(200).send(calendar);
+    } catch (error) {
+      console.error("Error building doctor calendar:", error);
+      return res.status(500).json({
+        message: "Error building doctor calendar",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// POST /api/doctors/:id/calendar-token - Create or rotate the calendar feed URL (ADMIN only)
+router.post(
+  "/:id/calendar-token",
+  requirePermission("doctors:write"),
+  param("id").isMongoId().withMessage("Valid doctor ID is required"),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const doctor = await rotateCalendarToken(req.params.id);
+
+      if (!doctor) {
+        return res.status(404).json({
+          message: "Doctor not found",
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: "Calendar URL created, previous URLs no longer work",
+        calendarUrl: getCalendarUrl(req, doctor),
+        calendarPrivacy: doctor.calendarPrivacy,
+      });
+    } catch (error) {
+      console.error("Error creating calendar token:", error);
+      return res.status(500).json({
+        message: "Error creating calendar token",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// DELETE /api/doctors/:id/calendar-token - Disable the calendar feed (ADMIN only)
+router.delete(
+  "/:id/calendar-token",
+  requirePermission("doctors:write"),
+  param("id").isMongoId().withMessage("Valid doctor ID is required"),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const doctor = await revokeCalendarToken(req.params.id);
+
+      if (!doctor) {
+        return res.status(404).json({
+          message: "Doctor not found",
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: "Calendar feed disabled",
+      });
+    } catch (error) {
+      console.error("Error revoking calendar token:", error);
+      return res.status(500).json({
+        message: "Error revoking calendar token",
+        error: error.message,
+      });
+    }
+  }
+);
+
 // DELETE /api/doctors/:id - Delete doctor
 router.delete(
   "/:id",
-  authenticateToken,
+  requirePermission("doctors:delete"),
   param("id").isMongoId().withMessage("Valid doctor ID is required"),
   handleValidationErrors,
   async (req, res) => {
@@ -0,0 +1,169 @@
+const express = require("express");
+const { param, query, validationResult } = require("express-validator");
+const { requirePermission } = require("../middleware/auth");
+const EmailOutbox = require("../models/EmailOutbox");
+const { resendOutboxMessage } = require("../services/emailOutbox");
+
+const router = express.Router();
+
+// Helper function
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+  next();
+};
+
+const OUTBOX_STATUSES = ["pending", "sending", "sent", "failed", "dead"];
+
+const RESEND_MESSAGES = {
+  sent: "Email re-sent successfully",
+  failed: "Re-send failed, message queued for retry",
+  dead: "Re-send failed permanently",
+};
+
+// GET /api/email-outbox - List outbox messages with filters (ADMIN only)
+router.get(
+  "/",
+  requirePermission("emailOutbox:read"),
+  query("status").optional().isIn(OUTBOX_STATUSES),
+  query("type").optional().trim(),
+  query("to").optional().trim(),
+  query("limit").optional().isInt({ min: 1, max: 100 }),
+  query("skip").optional().isInt({ min: 0 }),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { status, type, to, limit = 50, skip = 0 } = req.query;
+      const filter = {};
+
+      if (status) filter.status = status;
+      if (type) filter.type = type;
+      if (to) filter.to = to;
+
+      const [messages, total] = await Promise.all([
+        EmailOutbox.find(filter)
+          .select("-html -text -icalEvent.content")
+          .sort({ createdAt: -1 })
+          .limit(parseInt(limit))
+          .skip(parseInt(skip)),
+        EmailOutbox.countDocuments(filter),
+      ]);
+
+      return res.status(200).json({
+        success: true,
+        messages,
+        total,
+        limit: parseInt(limit),
+        skip: parseInt(skip),
+      });
+    } catch (error) {
+      console.error("Error fetching email outbox:", error);
+      return res.status(500).json({
+        message: "Error fetching email outbox",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// GET /api/email-outbox/stats - Message count per status (ADMIN only)
+router.get("/stats", requirePermission("emailOutbox:read"), async (req, res) => {
+  try {
+    const counts = await EmailOutbox.aggregate([
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+    ]);
+
+    const stats = OUTBOX_STATUSES.reduce((acc, status) => {
+      acc[status] = counts.find((c) => c._id === status)?.count || 0;
+      return acc;
+    }, {});
+
+    return res.status(200).json({
+      success: true,
+      stats,
+    });
+  } catch (error) {
+    console.error("Error fetching email outbox stats:", error);
+    return res.status(500).json({
+      message: "Error fetching email outbox stats",
+      error: error.message,
+    });
+  }
+});
+
+// GET /api/email-outbox/:id - Get outbox message including HTML and text (ADMIN only)
+router.get(
+  "/:id",
+  requirePermission("emailOutbox:read"),
+  param("id").isMongoId().withMessage("Valid message ID is required"),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const message = await EmailOutbox.findById(req.params.id);
+
+      if (!message) {
+        return res.status(404).json({
+          message: "Outbox message not found",
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        outboxMessage: message,
+      });
+    } catch (error) {
+      console.error("Error fetching outbox message:", error);
+      return res.status(500).json({
+        message: "Error fetching outbox message",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// POST /api/email-outbox/:id/resend - Re-send a failed or dead message (ADMIN only)
+router.post(
+  "/:id/resend",
+  requirePermission("emailOutbox:write"),
+  param("id").isMongoId().withMessage("Valid message ID is required"),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const message = await resendOutboxMessage(req.params.id);
+
+      if (!message) {
+        const exists = await EmailOutbox.exists({ _id: req.params.id });
+        return exists
+          ? res.status(409).json({
+              message: "Only failed or dead messages can be re-sent",
+            })
+          : res.status(404).json({
+              message: "Outbox message not found",
+            });
+      }
+
+      const outboxMessage = message.toObject();
+      delete outboxMessage.html;
+      delete outboxMessage.text;
+
+      return res.status(200).json({
+        success: message.status === "sent",
+        message: RESEND_MESSAGES[message.status],
+        outboxMessage,
+      });
+    } catch (error) {
+      console.error("Error re-sending outbox message:", error);
+      return res.status(500).json({
+        message: "Error re-sending outbox message",
+        error: error.message,
+      });
+    }
+  }
+);
+
+module.exports = router;
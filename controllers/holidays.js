@@ -1,7 +1,17 @@
 const express = require("express");
-const { body, validationResult } = require("express-validator");
-const { authenticateToken } = require("../middleware/auth");
+const { body, param, query, validationResult } = require("express-validator");
+const {
+  requirePermission,
+  getDoctorScope,
+} = require("../middleware/auth");
 const Holiday = require("../models/Holiday");
+const {
+  findConflictingAppointments,
+} = require("../services/availabilityService");
+const {
+  FEDERAL_STATES,
+  getGermanHolidays,
+} = require("../utils/germanHolidays");
 
 const router = express.Router();
 
@@ -66,10 +76,139 @@ router.get("/", async (req, res) => {
   }
 });
 
+const germanHolidayValidationRules = (location) => [
+  location("year")
+    .isInt({ min: 2000, max: 2100 })
+    .withMessage("Year must be between 2000 and 2100"),
+  location("state")
+    .isIn(Object.keys(FEDERAL_STATES))
+    .withMessage(
+      `State must be one of ${Object.keys(FEDERAL_STATES).join(", ")}`
+    ),
+];
+
+// Computed public holidays, flagged if a holiday already exists on that date
+async function getGermanHolidayPreview(year, state) {
+  const holidays = getGermanHolidays(Number(year), state);
+  const existing = await Holiday.find({
+    date: { $in: holidays.map((h) => h.date) },
+  })
+    .select("date name")
+    .lean();
+  const existingByDate = new Map(
+    existing.map((h) => [h.date.toISOString(), h])
+  );
+
+  return holidays.map((h) => ({
+    date: h.date.toISOString().split("T")[0],
+    name: h.name,
+    exists: existingByDate.has(h.date.toISOString()),
+    existingName: existingByDate.get(h.date.toISOString())?.name,
+  }));
+}
+
+// GET /api/holidays/german/states - Federal states for the holiday import (ADMIN only)
+router.get("/german/states", requirePermission("schedule:read"), (req, res) => {
+  return res.status(200).json({
+    success: true,
+    states: Object.entries(FEDERAL_STATES).map(([code, name]) => ({
+      code,
+      name,
+    })),
+  });
+});
+
+// GET /api/holidays/german/preview?year=&state= - Preview public holidays of a state (ADMIN only)
+router.get(
+  "/german/preview",
+  requirePermission("schedule:read"),
+  germanHolidayValidationRules(query),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { year, state } = req.query;
+      const holidays = await getGermanHolidayPreview(year, state);
+
+      return res.status(200).json({
+        success: true,
+        year: Number(year),
+        state,
+        holidays,
+      });
+    } catch (error) {
+      console.error("Error previewing public holidays:", error);
+      return res.status(500).json({
+        message: "Error previewing public holidays",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// POST /api/holidays/german/import - Add missing public holidays of a state (ADMIN only)
+router.post(
+  "/german/import",
+  requirePermission("schedule:write"),
+  germanHolidayValidationRules(body),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { year, state } = req.body;
+      const preview = await getGermanHolidayPreview(year, state);
+      const missing = preview.filter((h) => !h.exists);
+
+      let created = [];
+      if (missing.length > 0) {
+        try {
+          created = await Holiday.insertMany(
+            missing.map((h) => ({
+              date: new Date(h.date + "T00:00:00.000Z"),
+              name: h.name,
+              description: `Gesetzlicher Feiertag (${FEDERAL_STATES[state]})`,
+            })),
+            { ordered: false }
+          );
+        } catch (error) {
+          // Another request inserted some of them in the meantime
+          if (error.code !== 11000) throw error;
+          created = error.insertedDocs || [];
+        }
+      }
+
+      // Appointments already booked on the new holidays
+      const conflicts = (
+        await Promise.all(
+          created.map((h) =>
+            findConflictingAppointments({ startDate: h.date, endDate: h.date })
+          )
+        )
+      ).flat();
+
+      return res.status(201).json({
+        success: true,
+        message: `${created.length} holiday(s) imported, ${preview.length - created.length} already existed`,
+        created: created.map((h) => ({
+          _id: h._id,
+          date: h.date.toISOString().split("T")[0],
+          name: h.name,
+        })),
+        skipped: preview.filter((h) => h.exists),
+        conflicts,
+      });
+    } catch (error) {
+      console.error("Error importing public holidays:", error);
+      return res.status(500).json({
+        message: "Error importing public holidays",
+        error: error.message,
+      });
+    }
+  }
+);
+
 // POST /api/holidays - Create holiday (ADMIN only)
 router.post(
   "/",
-  authenticateToken,
+  requirePermission("schedule:write"),
   holidayValidationRules,
   handleValidationErrors,
   async (req, res) => {
@@ -87,6 +226,12 @@ router.post(
 
       await holiday.save();
 
+      // Appointments already booked on this day need to be moved or cancelled
+      const conflicts = await findConflictingAppointments({
+        startDate: holidayDate,
+        endDate: holidayDate,
+      });
+
       return res.status(201).json({
         success: true,
         message: "Holiday created successfully",
@@ -96,6 +241,7 @@ router.post(
           name: holiday.name,
           description: holiday.description,
         },
+        conflicts,
       });
     } catch (error) {
       console.error("Error creating holiday:", error);
@@ -114,8 +260,45 @@ router.post(
   }
 );
 
+// GET /api/holidays/:id/conflicts - Scheduled appointments on this holiday (ADMIN only)
+router.get(
+  "/:id/conflicts",
+  requirePermission("schedule:read"),
+  param("id").isMongoId().withMessage("Valid holiday ID is required"),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const holiday = await Holiday.findById(req.params.id);
+
+      if (!holiday) {
+        return res.status(404).json({
+          message: "Holiday not found",
+        });
+      }
+
+      const conflicts = await findConflictingAppointments({
+        startDate: holiday.date,
+        endDate: holiday.date,
+        doctorId: getDoctorScope(req),
+      });
+
+      return res.status(200).json({
+        success: true,
+        conflicts,
+        count: conflicts.length,
+      });
+    } catch (error) {
+      console.error("Error fetching holiday conflicts:", error);
+      return res.status(500).json({
+        message: "Error fetching holiday conflicts",
+        error: error.message,
+      });
+    }
+  }
+);
+
 // DELETE /api/holidays/:id - Delete holiday (ADMIN only)
-router.delete("/:id", authenticateToken, async (req, res) => {
+router.delete("/:id", requirePermission("schedule:write"), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -1,12 +1,13 @@
 const express = require("express");
 const { body, validationResult } = require("express-validator");
-const { authenticateToken } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/auth");
+const { publicFormRateLimit } = require("../middleware/rateLimit");
 const Order = require("../models/Order");
+const { sendOrderMissingInsurance } = require("../services/mailer");
 const {
-  sendOrderConfirmation,
-  sendOrderReady,
-  sendOrderMissingInsurance,
-} = require("../services/mailer");
+  notifyOrderConfirmation,
+  notifyOrderReady,
+} = require("../services/notificationService");
 const { createOrUpdatePatient } = require("../services/patientService");
 
 const router = express.Router();
@@ -67,7 +68,7 @@ const orderValidationRules = [
 ];
 
 // GET /api/orders - Get all orders (ADMIN only)
-router.get("/", authenticateToken, async (req, res) => {
+router.get("/", requirePermission("orders:read"), async (req, res) => {
   try {
     const { status } = req.query;
     const filter = {};
@@ -93,7 +94,7 @@ router.get("/", authenticateToken, async (req, res) => {
 });
 
 // GET /api/orders/:id - Get specific order (ADMIN only)
-router.get("/:id", authenticateToken, async (req, res) => {
+router.get("/:id", requirePermission("orders:read"), async (req, res) => {
   try {
     const order = await Order.findById(req.params.id);
 
@@ -119,6 +120,7 @@ router.get("/:id", authenticateToken, async (req, res) => {
 // POST /api/orders - Create new order (PUBLIC - no auth)
 router.post(
   "/",
+  publicFormRateLimit,
   orderValidationRules,
   handleValidationErrors,
   async (req, res) => {
@@ -157,8 +159,8 @@ router.post(
 
         const emailLocale = locale || "de"; // Default to German if no locale provided
 
-        await sendOrderConfirmation(
-          patient.email,
+        await notifyOrderConfirmation(
+          { email: patient.email, phone: patient.telefon },
           {
             patientName,
             orderNumber: order._id.toString(),
@@ -170,7 +172,7 @@ router.post(
           emailLocale
         );
         console.log(
-          `Order confirmation email sent to: ${patient.email} (locale: ${emailLocale})`
+          `Order confirmation sent to: ${patient.email} (locale: ${emailLocale})`
         );
       } catch (emailError) {
         console.error("Error sending order confirmation email:", emailError);
@@ -196,7 +198,7 @@ router.post(
 );
 
 // PATCH /api/orders/:id - Update order status (ADMIN only)
-router.patch("/:id", authenticateToken, async (req, res) => {
+router.patch("/:id", requirePermission("orders:write"), async (req, res) => {
   try {
     const { status } = req.body;
 
@@ -229,15 +231,15 @@ router.patch("/:id", authenticateToken, async (req, res) => {
         const patientFullName = `${order.patient.vorname} ${order.patient.nachname}`.trim();
         const locale = order.locale || "de"; // Use locale from order or default to German
 
-        await sendOrderReady(
-          order.patient.email,
+        await notifyOrderReady(
+          { email: order.patient.email, phone: order.patient.telefon },
           {
             patientName: patientFullName,
           },
           locale
         );
         console.log(
-          `✅ Order ready email sent to: ${order.patient.email} (locale: ${locale})`
+          `✅ Order ready notification sent to: ${order.patient.email} (locale: ${locale})`
         );
       } catch (emailError) {
         // Log email error but don't fail the status update
@@ -260,7 +262,7 @@ router.patch("/:id", authenticateToken, async (req, res) => {
 });
 
 // POST /api/orders/:id/missing-card - Send missing insurance card email (ADMIN only)
-router.post("/:id/missing-card", authenticateToken, async (req, res) => {
+router.post("/:id/missing-card", requirePermission("orders:write"), async (req, res) => {
   try {
     const order = await Order.findById(req.params.id);
 
@@ -297,7 +299,7 @@ router.post("/:id/missing-card", authenticateToken, async (req, res) => {
 });
 
 // DELETE /api/orders/:id - Delete order (ADMIN only)
-router.delete("/:id", authenticateToken, async (req, res) => {
+router.delete("/:id", requirePermission("orders:delete"), async (req, res) => {
   try {
     const order = await Order.findByIdAndDelete(req.params.id);
 
@@ -1,8 +1,12 @@
 const express = require("express");
 const { body, query, validationResult } = require("express-validator");
-const { authenticateToken } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/auth");
 const Patient = require("../models/Patient");
 const { sendMarketingEmail } = require("../services/mailer");
+const {
+  isBookingRestricted,
+  updatePatientReliability,
+} = require("../services/patientReliabilityService");
 
 const router = express.Router();
 
@@ -23,12 +27,16 @@ const patientValidationRules = [
   body("name").trim().notEmpty().withMessage("Name ist erforderlich"),
   body("email").isEmail().normalizeEmail().withMessage("Gültige E-Mail erforderlich"),
   body("phone").trim().notEmpty().withMessage("Telefonnummer ist erforderlich"),
+  body("notificationPreference")
+    .optional()
+    .isIn(["email", "sms", "both"])
+    .withMessage("Benachrichtigung muss email, sms oder both sein"),
 ];
 
 // GET /api/patients - Get all patients with search and filters (ADMIN only)
 router.get(
   "/",
-  authenticateToken,
+  requirePermission("patients:read"),
   query("search").optional().trim(),
   query("limit").optional().isInt({ min: 1, max: 100 }),
   query("skip").optional().isInt({ min: 0 }),
@@ -71,7 +79,7 @@ router.get(
 );
 
 // GET /api/patients/stats - Get patient statistics (ADMIN only)
-router.get("/stats", authenticateToken, async (req, res) => {
+router.get("/stats", requirePermission("patients:read"), async (req, res) => {
   try {
     const total = await Patient.countDocuments();
 
@@ -99,7 +107,7 @@ router.get("/stats", authenticateToken, async (req, res) => {
 });
 
 // GET /api/patients/:id - Get specific patient (ADMIN only)
-router.get("/:id", authenticateToken, async (req, res) => {
+router.get("/:id", requirePermission("patients:read"), async (req, res) => {
   try {
     const patient = await Patient.findById(req.params.id);
 
@@ -112,6 +120,7 @@ router.get("/:id", authenticateToken, async (req, res) => {
     return res.status(200).json({
       success: true,
       patient,
+      bookingRestricted: isBookingRestricted(patient),
     });
   } catch (error) {
     console.error("Error fetching patient:", error);
@@ -122,15 +131,45 @@ router.get("/:id", authenticateToken, async (req, res) => {
   }
 });
 
+// POST /api/patients/:id/reliability - Recalculate the reliability record from the appointments (ADMIN only)
+router.post("/:id/reliability", requirePermission("patients:write"), async (req, res) => {
+  try {
+    const patient = await Patient.findById(req.params.id);
+
+    if (!patient) {
+      return res.status(404).json({
+        message: "Patient not found",
+      });
+    }
+
+    const reliability = await updatePatientReliability(patient.email);
+
+    return res.status(200).json({
+      success: true,
+      reliability,
+      bookingRestricted: isBookingRestricted({
+        bookingRestriction: patient.bookingRestriction,
+        reliability,
+      }),
+    });
+  } catch (error) {
+    console.error("Error recalculating patient reliability:", error);
+    return res.status(500).json({
+      message: "Error recalculating patient reliability",
+      error: error.message,
+    });
+  }
+});
+
 // POST /api/patients - Create new patient manually (ADMIN only)
 router.post(
   "/",
-  authenticateToken,
+  requirePermission("patients:write"),
   patientValidationRules,
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { name, email, phone } = req.body;
+      const { name, email, phone, notificationPreference } = req.body;
 
       // Check if patient with this email already exists
       const existingPatient = await Patient.findOne({ email });
@@ -146,6 +185,7 @@ router.post(
         name,
         email,
         phone,
+        notificationPreference,
       });
 
       await patient.save();
@@ -166,9 +206,15 @@ router.post(
 );
 
 // PATCH /api/patients/:id - Update patient (ADMIN only)
-router.patch("/:id", authenticateToken, async (req, res) => {
+router.patch("/:id", requirePermission("patients:write"), async (req, res) => {
   try {
-    const allowedUpdates = ["name", "email", "phone"];
+    const allowedUpdates = [
+      "name",
+      "email",
+      "phone",
+      "notificationPreference",
+      "bookingRestriction",
+    ];
 
     const updates = {};
     Object.keys(req.body).forEach((key) => {
@@ -217,7 +263,7 @@ router.patch("/:id", authenticateToken, async (req, res) => {
 });
 
 // DELETE /api/patients/:id - Delete patient (ADMIN only)
-router.delete("/:id", authenticateToken, async (req, res) => {
+router.delete("/:id", requirePermission("patients:delete"), async (req, res) => {
   try {
     const patient = await Patient.findByIdAndDelete(req.params.id);
 
@@ -243,7 +289,7 @@ router.delete("/:id", authenticateToken, async (req, res) => {
 // POST /api/patients/send-bulk-email - Send marketing email to selected patients (ADMIN only)
 router.post(
   "/send-bulk-email",
-  authenticateToken,
+  requirePermission("marketing:send"),
   [
     body("patientIds").isArray().withMessage("Patient IDs must be an array"),
     body("sendToAll").optional().isBoolean().withMessage("sendToAll must be boolean"),
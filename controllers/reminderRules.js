@@ -0,0 +1,285 @@
+const express = require("express");
+const { body, param, query, validationResult } = require("express-validator");
+const { requirePermission } = require("../middleware/auth");
+const ReminderRule = require("../models/ReminderRule");
+const Doctor = require("../models/Doctor");
+const {
+  loadActiveReminderRules,
+  resolveReminderRule,
+} = require("../services/reminderRuleService");
+
+const router = express.Router();
+
+// Helper function
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+  next();
+};
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Validation rules (fields optional so PATCH can reuse them)
+const reminderRuleValidationRules = [
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Name must be between 2 and 100 characters"),
+  body("doctorId")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("Valid doctor ID is required"),
+  body("appointmentType")
+    .optional()
+    .isIn(["any", "video", "in_person"])
+    .withMessage("Appointment type must be any, video or in_person"),
+  body("offsetsMinutes")
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage("Offsets must be an array of at most 10 entries"),
+  body("offsetsMinutes.*")
+    .isInt({ min: 5, max: 30 * 24 * 60 })
+    .withMessage("Each offset must be between 5 minutes and 30 days"),
+  body("quietHours")
+    .optional({ nullable: true })
+    .custom((value) => {
+      if (
+        !value ||
+        !TIME_PATTERN.test(value.start || "") ||
+        !TIME_PATTERN.test(value.end || "")
+      ) {
+        throw new Error("Quiet hours need start and end in HH:MM format");
+      }
+      return true;
+    }),
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be boolean"),
+];
+
+function normalizeOffsets(offsets) {
+  return [...new Set(offsets.map(Number))].sort((a, b) => b - a);
+}
+
+async function ensureDoctorExists(doctorId) {
+  if (!doctorId) {
+    return true;
+  }
+  return Boolean(await Doctor.exists({ _id: doctorId }));
+}
+
+// GET /api/reminder-rules - Get all reminder rules (ADMIN only)
+router.get("/", requirePermission("settings:read"), async (req, res) => {
+  try {
+    const rules = await ReminderRule.find()
+      .populate("doctorId", "name")
+      .sort({ doctorId: 1, appointmentType: 1 });
+
+    return res.status(200).json({
+      success: true,
+      rules,
+    });
+  } catch (error) {
+    console.error("Error fetching reminder rules:", error);
+    return res.status(500).json({
+      message: "Error fetching reminder rules",
+      error: error.message,
+    });
+  }
+});
+
+// GET /api/reminder-rules/resolve - Show which rule applies to a doctor/type (ADMIN only)
+router.get(
+  "/resolve",
+  requirePermission("settings:read"),
+  query("doctorId")
+    .optional()
+    .isMongoId()
+    .withMessage("Valid doctor ID is required"),
+  query("isVideoAppointment").optional().isBoolean(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const rules = await loadActiveReminderRules();
+      const rule = resolveReminderRule(rules, {
+        doctorId: req.query.doctorId,
+        isVideoAppointment: req.query.isVideoAppointment === "true",
+      });
+
+      return res.status(200).json({
+        success: true,
+        rule,
+      });
+    } catch (error) {
+      console.error("Error resolving reminder rule:", error);
+      return res.status(500).json({
+        message: "Error resolving reminder rule",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// POST /api/reminder-rules - Create reminder rule (ADMIN only)
+router.post(
+  "/",
+  requirePermission("settings:write"),
+  body("name").trim().notEmpty().withMessage("Name is required"),
+  body("offsetsMinutes").isArray().withMessage("Offsets are required"),
+  reminderRuleValidationRules,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const {
+        name,
+        doctorId,
+        appointmentType,
+        offsetsMinutes,
+        quietHours,
+        isActive,
+      } = req.body;
+
+      if (!(await ensureDoctorExists(doctorId))) {
+        return res.status(404).json({
+          message: "Doctor not found",
+        });
+      }
+
+      const rule = new ReminderRule({
+        name,
+        doctorId: doctorId || null,
+        appointmentType,
+        offsetsMinutes: normalizeOffsets(offsetsMinutes),
+        quietHours: quietHours || undefined,
+        isActive,
+      });
+
+      await rule.save();
+
+      return res.status(201).json({
+        success: true,
+        message: "Reminder rule created successfully",
+        rule,
+      });
+    } catch (error) {
+      console.error("Error creating reminder rule:", error);
+
+      if (error.code === 11000) {
+        return res.status(409).json({
+          message: "A rule for this doctor and appointment type already exists",
+        });
+      }
+
+      return res.status(500).json({
+        message: "Error creating reminder rule",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// PATCH /api/reminder-rules/:id - Update reminder rule (ADMIN only)
+router.patch(
+  "/:id",
+  requirePermission("settings:write"),
+  param("id").isMongoId().withMessage("Valid rule ID is required"),
+  reminderRuleValidationRules,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const rule = await ReminderRule.findById(req.params.id);
+
+      if (!rule) {
+        return res.status(404).json({
+          message: "Reminder rule not found",
+        });
+      }
+
+      const {
+        name,
+        doctorId,
+        appointmentType,
+        offsetsMinutes,
+        quietHours,
+        isActive,
+      } = req.body;
+
+      if (doctorId !== undefined) {
+        if (!(await ensureDoctorExists(doctorId))) {
+          return res.status(404).json({
+            message: "Doctor not found",
+          });
+        }
+        rule.doctorId = doctorId || null;
+      }
+
+      if (name !== undefined) rule.name = name;
+      if (appointmentType !== undefined) rule.appointmentType = appointmentType;
+      if (offsetsMinutes !== undefined) {
+        rule.offsetsMinutes = normalizeOffsets(offsetsMinutes);
+      }
+      if (quietHours !== undefined) rule.quietHours = quietHours || undefined;
+      if (isActive !== undefined) rule.isActive = isActive;
+
+      await rule.save();
+
+      return res.status(200).json({
+        success: true,
+        message: "Reminder rule updated successfully",
+        rule,
+      });
+    } catch (error) {
+      console.error("Error updating reminder rule:", error);
+
+      if (error.code === 11000) {
+        return res.status(409).json({
+          message: "A rule for this doctor and appointment type already exists",
+        });
+      }
+
+      return res.status(500).json({
+        message: "Error updating reminder rule",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// DELETE /api/reminder-rules/:id - Delete reminder rule (ADMIN only)
+router.delete(
+  "/:id",
+  requirePermission("settings:write"),
+  param("id").isMongoId().withMessage("Valid rule ID is required"),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const rule = await ReminderRule.findByIdAndDelete(req.params.id);
+
+      if (!rule) {
+        return res.status(404).json({
+          message: "Reminder rule not found",
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: "Reminder rule deleted successfully",
+      });
+    } catch (error) {
+      console.error("Error deleting reminder rule:", error);
+      return res.status(500).json({
+        message: "Error deleting reminder rule",
+        error: error.message,
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,185 @@
+const express = require("express");
+const { body, param, validationResult } = require("express-validator");
+const Availability = require("../models/Availability");
+const Doctor = require("../models/Doctor");
+const { slotHoldRateLimit } = require("../middleware/rateLimit");
+const { getClosure } = require("../services/availabilityService");
+const {
+  SLOT_TAKEN_CODE,
+  getHolderKey,
+  holdSlot,
+  findHold,
+  releaseHold,
+  findAlternativeSlots,
+} = require("../services/slotReservationService");
+const { convertBerlinSlotToUtc } = require("../utils/berlinTime");
+
+const router = express.Router();
+
+// Helper function
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+  next();
+};
+
+const HOLD_TOKEN_PATTERN = /^[a-f0-9]{64}$/;
+
+function formatHold(hold) {
+  return {
+    holdToken: hold.holdToken,
+    doctorId: hold.doctorId,
+    date: hold.date.toISOString().slice(0, 10),
+    slot: hold.slot,
+    expiresAt: hold.expiresAt,
+  };
+}
+
+// POST /api/slot-holds - Hold a slot while the booking form is filled in (PUBLIC)
+// One active hold per client: a new hold replaces the previous one
+router.post(
+  "/",
+  slotHoldRateLimit,
+  body("doctorId").isMongoId().withMessage("Valid doctor ID is required"),
+  body("date")
+    .isISO8601()
+    .withMessage("Valid date is required (YYYY-MM-DD format)"),
+  body("slot")
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage("Valid time slot required (HH:MM format)"),
+  body("replaceHoldToken")
+    .optional()
+    .matches(HOLD_TOKEN_PATTERN)
+    .withMessage("Invalid hold token"),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { doctorId, date, slot, replaceHoldToken } = req.body;
+
+      const doctor = await Doctor.findById(doctorId);
+      if (!doctor) {
+        return res.status(404).json({
+          message: "Doctor not found",
+        });
+      }
+
+      const appointmentDate = new Date(`${date.slice(0, 10)}T00:00:00.000Z`);
+
+      if (convertBerlinSlotToUtc(appointmentDate, slot) <= new Date()) {
+        return res.status(400).json({
+          message: "Cannot hold a slot in the past",
+        });
+      }
+
+      // Reject holidays and doctor absences
+      const closure = await getClosure(doctorId, appointmentDate);
+      if (closure) {
+        return res.status(409).json({
+          message: closure.message,
+          code: closure.code,
+        });
+      }
+
+      const offered = await Availability.exists({
+        doctorId,
+        date: appointmentDate,
+        slots: slot,
+      });
+      if (!offered) {
+        return res.status(400).json({
+          message: "The selected time slot is not offered",
+        });
+      }
+
+      const slotKey = { doctorId, date: appointmentDate, slot };
+      const hold = await holdSlot(slotKey, {
+        replaceHoldToken,
+        holderKey: getHolderKey(req.ip),
+      });
+      if (!hold) {
+        return res.status(409).json({
+          message: "The selected time slot is already booked",
+          code: SLOT_TAKEN_CODE,
+          alternatives: await findAlternativeSlots(slotKey),
+        });
+      }
+
+      return res.status(201).json({
+        success: true,
+        message: "Slot held successfully",
+        hold: formatHold(hold),
+      });
+    } catch (error) {
+      console.error("Error holding slot:", error);
+      return res.status(500).json({
+        message: "Error holding slot",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// GET /api/slot-holds/:token - Check a hold (PUBLIC)
+router.get(
+  "/:token",
+  param("token").matches(HOLD_TOKEN_PATTERN).withMessage("Invalid hold token"),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const hold = await findHold(req.params.token);
+
+      if (!hold) {
+        return res.status(404).json({
+          message: "Hold not found or expired",
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        hold: formatHold(hold),
+      });
+    } catch (error) {
+      console.error("Error fetching slot hold:", error);
+      return res.status(500).json({
+        message: "Error fetching slot hold",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// DELETE /api/slot-holds/:token - Release a hold early (PUBLIC)
+router.delete(
+  "/:token",
+  param("token").matches(HOLD_TOKEN_PATTERN).withMessage("Invalid hold token"),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const released = await releaseHold(req.params.token);
+
+      if (!released) {
+        return res.status(404).json({
+          message: "Hold not found or expired",
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: "Hold released successfully",
+      });
+    } catch (error) {
+      console.error("Error releasing slot hold:", error);
+      return res.status(500).json({
+        message: "Error releasing slot hold",
+        error: error.message,
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,324 @@
+const express = require("express");
+const bcrypt = require("bcrypt");
+const { body, param, validationResult } = require("express-validator");
+const { requirePermission } = require("../middleware/auth");
+const Admin = require("../models/Admin");
+const Doctor = require("../models/Doctor");
+const { ROLES } = require("../config/permissions");
+const { resetFailedLogins } = require("../services/loginProtectionService");
+
+const router = express.Router();
+
+// Helper function
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+  next();
+};
+
+// Validation rules (fields optional so PATCH can reuse them)
+const staffAccountValidationRules = [
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Name must be between 2 and 100 characters"),
+  body("password")
+    .optional()
+    .isLength({ min: 8 })
+    .withMessage("Password must be at least 8 characters"),
+  body("role")
+    .optional()
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(", ")}`),
+  body("doctorId")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("Valid doctor ID is required"),
+];
+
+// Never hand out password hashes, 2FA secrets or refresh tokens
+const STAFF_ACCOUNT_FIELDS =
+  "name email role doctorId twoFactor.enabled twoFactor.enabledAt loginSecurity.lockedUntil createdAt updatedAt";
+
+// The practice must keep at least one account that can manage the others
+async function isLastOwner(account) {
+  if (account.role !== "owner") {
+    return false;
+  }
+  // Accounts from before roles existed have no role stored and are owners
+  const owners = await Admin.countDocuments({ role: { $in: ["owner", null] } });
+  return owners <= 1;
+}
+
+// GET /api/staff-accounts - Get all dashboard accounts (ADMIN only)
+router.get("/", requirePermission("staff:manage"), async (req, res) => {
+  try {
+    const accounts = await Admin.find()
+      .select(STAFF_ACCOUNT_FIELDS)
+      .populate("doctorId", "name")
+      .sort({ name: 1 });
+
+    return res.status(200).json({
+      success: true,
+      accounts,
+    });
+  } catch (error) {
+    console.error("Error fetching staff accounts:", error);
+    return res.status(500).json({
+      message: "Error fetching staff accounts",
+      error: error.message,
+    });
+  }
+});
+
+// POST /api/staff-accounts - Create dashboard account (ADMIN only)
+router.post(
+  "/",
+  requirePermission("staff:manage"),
+  body("name").trim().notEmpty().withMessage("Name is required"),
+  body("email")
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Valid email is required"),
+  body("password").notEmpty().withMessage("Password is required"),
+  body("role").notEmpty().withMessage("Role is required"),
+  staffAccountValidationRules,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { name, email, password, role, doctorId } = req.body;
+
+      if (await Admin.exists({ email })) {
+        return res.status(409).json({
+          message: "An account with this email already exists",
+        });
+      }
+
+      if (
+        role === "doctor" &&
+        (!doctorId || !(await Doctor.exists({ _id: doctorId })))
+      ) {
+        return res.status(400).json({
+          message: "Doctor accounts need a valid doctorId",
+        });
+      }
+
+      const account = new Admin({
+        name,
+        email,
+        password: await bcrypt.hash(password, 10),
+        role,
+        doctorId: role === "doctor" ? doctorId : undefined,
+      });
+
+      await account.save();
+
+      return res.status(201).json({
+        success: true,
+        message: "Staff account created successfully",
+        account: await Admin.findById(account._id).select(STAFF_ACCOUNT_FIELDS),
+      });
+    } catch (error) {
+      console.error("Error creating staff account:", error);
+      return res.status(500).json({
+        message: "Error creating staff account",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// PATCH /api/staff-accounts/:id - Update name, role, doctor or password (ADMIN only)
+// Takes effect with the account's next request
+router.patch(
+  "/:id",
+  requirePermission("staff:manage"),
+  param("id").isMongoId().withMessage("Valid account ID is required"),
+  staffAccountValidationRules,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const account = await Admin.findById(req.params.id);
+
+      if (!account) {
+        return res.status(404).json({
+          message: "Staff account not found",
+        });
+      }
+
+      const { name, password, role, doctorId } = req.body;
+
+      if (role && role !== "owner" && (await isLastOwner(account))) {
+        return res.status(400).json({
+          message: "The last owner account cannot be given another role",
+        });
+      }
+
+      if (name !== undefined) account.name = name;
+      if (role !== undefined) account.role = role;
+      if (doctorId !== undefined) account.doctorId = doctorId || undefined;
+      if (account.role !== "doctor") account.doctorId = undefined;
+
+      if (
+        account.role === "doctor" &&
+        (!account.doctorId || !(await Doctor.exists({ _id: account.doctorId })))
+      ) {
+        return res.status(400).json({
+          message: "Doctor accounts need a valid doctorId",
+        });
+      }
+
+      if (password) {
+        account.password = await bcrypt.hash(password, 10);
+        // Sign the account out everywhere
+        account.refreshTokens.forEach((token) => {
+          token.invalidated = true;
+        });
+      }
+
+      await account.save();
+
+      return res.status(200).json({
+        success: true,
+        message: "Staff account updated successfully",
+        account: await Admin.findById(account._id).select(STAFF_ACCOUNT_FIELDS),
+      });
+    } catch (error) {
+      console.error("Error updating staff account:", error);
+      return res.status(500).json({
+        message: "Error updating staff account",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// POST /api/staff-accounts/:id/reset-2fa - Turn off 2FA after a lost device (ADMIN only)
+// The account logs in with its password again and enrolls anew
+router.post(
+  "/:id/reset-2fa",
+  requirePermission("staff:manage"),
+  param("id").isMongoId().withMessage("Valid account ID is required"),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const account = await Admin.findById(req.params.id);
+
+      if (!account) {
+        return res.status(404).json({
+          message: "Staff account not found",
+        });
+      }
+
+      account.twoFactor = { enabled: false, recoveryCodes: [] };
+      // Whoever has the device may also have a session
+      account.refreshTokens.forEach((token) => {
+        token.invalidated = true;
+      });
+      await account.save();
+
+      console.log(
+        `🔓 Two-factor authentication of ${account.email} reset by ${req.admin.email}`
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: "Two-factor authentication reset successfully",
+      });
+    } catch (error) {
+      console.error("Error resetting two-factor authentication:", error);
+      return res.status(500).json({
+        message: "Error resetting two-factor authentication",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// POST /api/staff-accounts/:id/unlock - Lift a lockout after failed logins (ADMIN only)
+router.post(
+  "/:id/unlock",
+  requirePermission("staff:manage"),
+  param("id").isMongoId().withMessage("Valid account ID is required"),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const account = await Admin.findById(req.params.id);
+
+      if (!account) {
+        return res.status(404).json({
+          message: "Staff account not found",
+        });
+      }
+
+      await resetFailedLogins(account);
+
+      console.log(
+        `🔓 Login lockout of ${account.email} lifted by ${req.admin.email}`
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: "Staff account unlocked successfully",
+      });
+    } catch (error) {
+      console.error("Error unlocking staff account:", error);
+      return res.status(500).json({
+        message: "Error unlocking staff account",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// DELETE /api/staff-accounts/:id - Delete dashboard account (ADMIN only)
+router.delete(
+  "/:id",
+  requirePermission("staff:manage"),
+  param("id").isMongoId().withMessage("Valid account ID is required"),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      if (req.params.id === req.admin._id.toString()) {
+        return res.status(400).json({
+          message: "You cannot delete your own account",
+        });
+      }
+
+      const account = await Admin.findById(req.params.id);
+
+      if (!account) {
+        return res.status(404).json({
+          message: "Staff account not found",
+        });
+      }
+
+      if (await isLastOwner(account)) {
+        return res.status(400).json({
+          message: "The last owner account cannot be deleted",
+        });
+      }
+
+      await account.deleteOne();
+
+      return res.status(200).json({
+        success: true,
+        message: "Staff account deleted successfully",
+      });
+    } catch (error) {
+      console.error("Error deleting staff account:", error);
+      return res.status(500).json({
+        message: "Error deleting staff account",
+        error: error.message,
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,270 @@
+const express = require("express");
+const { body, param, query, validationResult } = require("express-validator");
+const { requirePermission } = require("../middleware/auth");
+const VideoRule = require("../models/VideoRule");
+const Doctor = require("../models/Doctor");
+const {
+  loadActiveVideoRules,
+  matchesVideoRule,
+} = require("../services/videoRuleService");
+
+const router = express.Router();
+
+// Helper function
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+  next();
+};
+
+// "2026-03-01" -> 2026-03-01T00:00:00.000Z
+const toUtcDay = (value) => new Date(`${value.slice(0, 10)}T00:00:00.000Z`);
+
+// Validation rules (fields optional so PATCH can reuse them)
+const videoRuleValidationRules = [
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Name must be between 2 and 100 characters"),
+  body("doctorId")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("Valid doctor ID is required"),
+  body("weekdays")
+    .optional()
+    .isArray({ max: 7 })
+    .withMessage("Weekdays must be an array"),
+  body("weekdays.*")
+    .isInt({ min: 0, max: 6 })
+    .withMessage("Each weekday must be between 0 (Sunday) and 6 (Saturday)"),
+  body("startDate")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("startDate must be a date (YYYY-MM-DD)"),
+  body("endDate")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("endDate must be a date (YYYY-MM-DD)"),
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be boolean"),
+];
+
+function normalizeWeekdays(weekdays) {
+  return [...new Set(weekdays.map(Number))].sort((a, b) => a - b);
+}
+
+async function ensureDoctorExists(doctorId) {
+  if (!doctorId) {
+    return true;
+  }
+  return Boolean(await Doctor.exists({ _id: doctorId }));
+}
+
+function hasValidRange(rule) {
+  return !rule.startDate || !rule.endDate || rule.startDate <= rule.endDate;
+}
+
+// GET /api/video-rules - Get all video consultation rules (ADMIN only)
+router.get("/", requirePermission("settings:read"), async (req, res) => {
+  try {
+    const rules = await VideoRule.find()
+      .populate("doctorId", "name")
+      .sort({ doctorId: 1, name: 1 });
+
+    return res.status(200).json({
+      success: true,
+      rules,
+    });
+  } catch (error) {
+    console.error("Error fetching video rules:", error);
+    return res.status(500).json({
+      message: "Error fetching video rules",
+      error: error.message,
+    });
+  }
+});
+
+// GET /api/video-rules/resolve - Show which rules make a doctor's day a video day (ADMIN only)
+router.get(
+  "/resolve",
+  requirePermission("settings:read"),
+  query("doctorId").isMongoId().withMessage("Valid doctor ID is required"),
+  query("date").isISO8601().withMessage("date must be a date (YYYY-MM-DD)"),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const criteria = {
+        doctorId: req.query.doctorId,
+        date: toUtcDay(req.query.date),
+      };
+      const rules = (await loadActiveVideoRules()).filter((rule) =>
+        matchesVideoRule(rule, criteria)
+      );
+
+      return res.status(200).json({
+        success: true,
+        isVideoAppointment: rules.length > 0,
+        rules,
+      });
+    } catch (error) {
+      console.error("Error resolving video rules:", error);
+      return res.status(500).json({
+        message: "Error resolving video rules",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// POST /api/video-rules - Create video consultation rule (ADMIN only)
+router.post(
+  "/",
+  requirePermission("settings:write"),
+  body("name").trim().notEmpty().withMessage("Name is required"),
+  videoRuleValidationRules,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { name, doctorId, weekdays, startDate, endDate, isActive } =
+        req.body;
+
+      if (!(await ensureDoctorExists(doctorId))) {
+        return res.status(404).json({
+          message: "Doctor not found",
+        });
+      }
+
+      const rule = new VideoRule({
+        name,
+        doctorId: doctorId || null,
+        weekdays: normalizeWeekdays(weekdays || []),
+        startDate: startDate ? toUtcDay(startDate) : undefined,
+        endDate: endDate ? toUtcDay(endDate) : undefined,
+        isActive,
+      });
+
+      if (!hasValidRange(rule)) {
+        return res.status(400).json({
+          message: "endDate cannot be before startDate",
+        });
+      }
+
+      await rule.save();
+
+      return res.status(201).json({
+        success: true,
+        message: "Video rule created successfully",
+        rule,
+      });
+    } catch (error) {
+      console.error("Error creating video rule:", error);
+      return res.status(500).json({
+        message: "Error creating video rule",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// PATCH /api/video-rules/:id - Update video consultation rule (ADMIN only)
+// Booked appointments keep their video flag until they are saved again
+router.patch(
+  "/:id",
+  requirePermission("settings:write"),
+  param("id").isMongoId().withMessage("Valid rule ID is required"),
+  videoRuleValidationRules,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const rule = await VideoRule.findById(req.params.id);
+
+      if (!rule) {
+        return res.status(404).json({
+          message: "Video rule not found",
+        });
+      }
+
+      const { name, doctorId, weekdays, startDate, endDate, isActive } =
+        req.body;
+
+      if (doctorId !== undefined) {
+        if (!(await ensureDoctorExists(doctorId))) {
+          return res.status(404).json({
+            message: "Doctor not found",
+          });
+        }
+        rule.doctorId = doctorId || null;
+      }
+
+      if (name !== undefined) rule.name = name;
+      if (weekdays !== undefined) rule.weekdays = normalizeWeekdays(weekdays);
+      if (startDate !== undefined) {
+        rule.startDate = startDate ? toUtcDay(startDate) : undefined;
+      }
+      if (endDate !== undefined) {
+        rule.endDate = endDate ? toUtcDay(endDate) : undefined;
+      }
+      if (isActive !== undefined) rule.isActive = isActive;
+
+      if (!hasValidRange(rule)) {
+        return res.status(400).json({
+          message: "endDate cannot be before startDate",
+        });
+      }
+
+      await rule.save();
+
+      return res.status(200).json({
+        success: true,
+        message: "Video rule updated successfully",
+        rule,
+      });
+    } catch (error) {
+      console.error("Error updating video rule:", error);
+      return res.status(500).json({
+        message: "Error updating video rule",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// DELETE /api/video-rules/:id - Delete video consultation rule (ADMIN only)
+router.delete(
+  "/:id",
+  requirePermission("settings:write"),
+  param("id").isMongoId().withMessage("Valid rule ID is required"),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const rule = await VideoRule.findByIdAndDelete(req.params.id);
+
+      if (!rule) {
+        return res.status(404).json({
+          message: "Video rule not found",
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: "Video rule deleted successfully",
+      });
+    } catch (error) {
+      console.error("Error deleting video rule:", error);
+      return res.status(500).json({
+        message: "Error deleting video rule",
+        error: error.message,
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,393 @@
+const express = require("express");
+const { body, param, query, validationResult } = require("express-validator");
+const {
+  requirePermission,
+  getDoctorScope,
+} = require("../middleware/auth");
+const { publicFormRateLimit } = require("../middleware/rateLimit");
+const WaitlistEntry = require("../models/WaitlistEntry");
+const Doctor = require("../models/Doctor");
+const {
+  joinWaitlist,
+  withdrawFromWaitlist,
+  claimWaitlistOffer,
+} = require("../services/waitlistService");
+const { SLOT_TAKEN_CODE } = require("../services/slotReservationService");
+const {
+  notifyAppointmentConfirmation,
+} = require("../services/notificationService");
+const { createOrUpdatePatient } = require("../services/patientService");
+const {
+  BOOKING_RESTRICTED_CODE,
+  isOnlineBookingRestricted,
+} = require("../services/patientReliabilityService");
+const {
+  syncVideoRoom,
+  getVideoJoinPageUrl,
+} = require("../services/video/videoRoomService");
+
+const router = express.Router();
+
+// Helper function
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+  next();
+};
+
+const WAITLIST_TOKEN_PATTERN = /^[a-f0-9]{64}$/;
+const WAITLIST_STATUSES = [
+  "waiting",
+  "offered",
+  "booked",
+  "expired",
+  "withdrawn",
+];
+
+// "2026-03-01" -> 2026-03-01T00:00:00.000Z
+const toUtcDay = (value) => new Date(`${value.slice(0, 10)}T00:00:00.000Z`);
+
+const tokenValidation = param("token")
+  .matches(WAITLIST_TOKEN_PATTERN)
+  .withMessage("Invalid waitlist token");
+
+// What the patient sees of their own entry
+function formatEntry(entry) {
+  const offer =
+    entry.status === "offered" && entry.offer
+      ? {
+          date: entry.offer.date.toISOString().slice(0, 10),
+          slot: entry.offer.slot,
+          expiresAt: entry.offer.expiresAt,
+        }
+      : null;
+
+  return {
+    token: entry.token,
+    doctorId: entry.doctorId,
+    startDate: entry.startDate.toISOString().slice(0, 10),
+    endDate: entry.endDate.toISOString().slice(0, 10),
+    status: entry.status,
+    offer,
+    createdAt: entry.createdAt,
+  };
+}
+
+// GET /api/waitlist - Get waitlist entries, ?doctorId=&status= (ADMIN only)
+router.get(
+  "/",
+  requirePermission("waitlist:read"),
+  query("doctorId")
+    .optional()
+    .isMongoId()
+    .withMessage("Valid doctor ID is required"),
+  query("status")
+    .optional()
+    .isIn(WAITLIST_STATUSES)
+    .withMessage("Invalid status"),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { doctorId, status } = req.query;
+      const filter = {};
+
+      if (doctorId) filter.doctorId = doctorId;
+      if (getDoctorScope(req)) filter.doctorId = getDoctorScope(req);
+      if (status) filter.status = status;
+
+      const entries = await WaitlistEntry.find(filter)
+        .select("-token -offer.holdToken")
+        .populate("doctorId", "name")
+        .sort({ createdAt: 1 });
+
+      return res.status(200).json({
+        success: true,
+        entries,
+      });
+    } catch (error) {
+      console.error("Error fetching waitlist:", error);
+      return res.status(500).json({
+        message: "Error fetching waitlist",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// POST /api/waitlist - Join the waitlist for a doctor and date range (PUBLIC)
+router.post(
+  "/",
+  publicFormRateLimit,
+  body("doctorId").isMongoId().withMessage("Valid doctor ID is required"),
+  body("startDate")
+    .isISO8601()
+    .withMessage("startDate must be a date (YYYY-MM-DD)"),
+  body("endDate")
+    .isISO8601()
+    .withMessage("endDate must be a date (YYYY-MM-DD)"),
+  body("patientEmail")
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Valid email is required"),
+  body("patientName")
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Name must be between 2 and 100 characters"),
+  body("patientPhone").optional().trim().isLength({ max: 30 }),
+  body("birthdate").trim().notEmpty().withMessage("Birthdate is required"),
+  body("locale")
+    .optional()
+    .isIn(["de", "en", "bg", "pl", "tr"])
+    .withMessage("Invalid locale"),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const {
+        doctorId,
+        startDate,
+        endDate,
+        patientEmail,
+        patientName,
+        patientPhone,
+        birthdate,
+        locale,
+      } = req.body;
+
+      const doctor = await Doctor.findById(doctorId);
+      if (!doctor) {
+        return res.status(404).json({
+          message: "Doctor not found",
+        });
+      }
+
+      const start = toUtcDay(startDate);
+      const end = toUtcDay(endDate);
+      const today = new Date();
+      today.setUTCHours(0, 0, 0, 0);
+
+      if (end < start) {
+        return res.status(400).json({
+          message: "endDate cannot be before startDate",
+        });
+      }
+
+      if (end < today) {
+        return res.status(400).json({
+          message: "endDate cannot be in the past",
+        });
+      }
+
+      // Offers turn into bookings, so the online booking restriction applies
+      if (await isOnlineBookingRestricted(patientEmail)) {
+        return res.status(403).json({
+          message: "Online booking is not available, please contact the practice",
+          code: BOOKING_RESTRICTED_CODE,
+        });
+      }
+
+      const existing = await WaitlistEntry.exists({
+        doctorId,
+        patientEmail,
+        status: { $in: ["waiting", "offered"] },
+      });
+      if (existing) {
+        return res.status(409).json({
+          message: "You are already on the waitlist for this doctor",
+        });
+      }
+
+      const entry = await joinWaitlist({
+        doctorId,
+        startDate: start,
+        endDate: end,
+        patientEmail,
+        patientName,
+        patientPhone,
+        birthdate,
+        locale,
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: "Added to the waitlist successfully",
+        entry: formatEntry(entry),
+      });
+    } catch (error) {
+      console.error("Error joining waitlist:", error);
+      return res.status(500).json({
+        message: "Error joining waitlist",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// GET /api/waitlist/:token - Get own entry and current offer (PUBLIC)
+router.get(
+  "/:token",
+  tokenValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const entry = await WaitlistEntry.findOne({ token: req.params.token });
+
+      if (!entry) {
+        return res.status(404).json({
+          message: "Waitlist entry not found or token is invalid",
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        entry: formatEntry(entry),
+      });
+    } catch (error) {
+      console.error("Error fetching waitlist entry:", error);
+      return res.status(500).json({
+        message: "Error fetching waitlist entry",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// POST /api/waitlist/:token/claim - Book the offered slot (PUBLIC)
+router.post(
+  "/:token/claim",
+  publicFormRateLimit,
+  tokenValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const entry = await WaitlistEntry.findOne({ token: req.params.token });
+
+      if (!entry) {
+        return res.status(404).json({
+          message: "Waitlist entry not found or token is invalid",
+        });
+      }
+
+      if (entry.status !== "offered" || !entry.offer) {
+        return res.status(400).json({
+          message: "There is no open offer for this waitlist entry",
+        });
+      }
+
+      if (entry.offer.expiresAt <= new Date()) {
+        return res.status(400).json({
+          message: "This offer has expired",
+        });
+      }
+
+      const appointment = await claimWaitlistOffer(entry);
+      if (!appointment) {
+        return res.status(409).json({
+          message: "The offered time slot is no longer available",
+          code: SLOT_TAKEN_CODE,
+        });
+      }
+
+      await syncVideoRoom(appointment);
+
+      const doctor = await Doctor.findById(appointment.doctorId).select("name");
+
+      // Save patient record for marketing (only if email doesn't exist)
+      try {
+        await createOrUpdatePatient({
+          name: entry.patientName,
+          email: entry.patientEmail,
+          phone: entry.patientPhone || "",
+        });
+      } catch (patientError) {
+        console.error("Error saving patient record:", patientError);
+      }
+
+      // Send confirmation (email and/or SMS depending on patient preference)
+      try {
+        await notifyAppointmentConfirmation(
+          { email: entry.patientEmail, phone: entry.patientPhone },
+          {
+            patientName: entry.patientName,
+            doctorName: doctor ? doctor.name : "",
+            date: appointment.date,
+            slot: appointment.slot,
+            title: appointment.title,
+            description: "",
+            managementToken: appointment.managementToken,
+            isVideoAppointment: appointment.isVideoAppointment,
+            videoJoinUrl: getVideoJoinPageUrl(appointment),
+            appointmentId: appointment._id,
+            sequence: appointment.sequence,
+          },
+          entry.locale || "de"
+        );
+      } catch (notifyError) {
+        console.error("Failed to send confirmation:", notifyError);
+      }
+
+      return res.status(201).json({
+        success: true,
+        message: "Appointment booked successfully",
+        appointment: {
+          _id: appointment._id,
+          doctorId: appointment.doctorId,
+          date: appointment.date,
+          slot: appointment.slot,
+          status: appointment.status,
+          isVideoAppointment: appointment.isVideoAppointment,
+          managementToken: appointment.managementToken,
+        },
+      });
+    } catch (error) {
+      console.error("Error claiming waitlist offer:", error);
+      return res.status(500).json({
+        message: "Error claiming waitlist offer",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// DELETE /api/waitlist/:token - Leave the waitlist (PUBLIC)
+router.delete(
+  "/:token",
+  tokenValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const entry = await WaitlistEntry.findOne({ token: req.params.token });
+
+      if (!entry) {
+        return res.status(404).json({
+          message: "Waitlist entry not found or token is invalid",
+        });
+      }
+
+      if (!["waiting", "offered"].includes(entry.status)) {
+        return res.status(400).json({
+          message: "This waitlist entry is no longer active",
+        });
+      }
+
+      await withdrawFromWaitlist(entry);
+
+      return res.status(200).json({
+        success: true,
+        message: "Removed from the waitlist successfully",
+      });
+    } catch (error) {
+      console.error("Error leaving waitlist:", error);
+      return res.status(500).json({
+        message: "Error leaving waitlist",
+        error: error.message,
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,107 @@
+require("dotenv").config();
+const getEmailHead = require("./emailParts/head");
+const { getEmailHeader } = require("./emailParts/header");
+const { getEmailFooter } = require("./emailParts/footer");
+const { getTextDetails, formatTextEmail } = require("./emailParts/text");
+const i18n = require("../config/i18n");
+
+const localeMap = {
+  de: "de-DE",
+  en: "en-US",
+  bg: "bg-BG",
+  pl: "pl-PL",
+  tr: "tr-TR",
+};
+
+// "19.10.2026, 14:30" in Berlin time
+function formatDateTime(date, locale) {
+  return new Date(date).toLocaleString(localeMap[locale] || "de-DE", {
+    timeZone: "Europe/Berlin",
+    day: "2-digit",
+    month: "2-digit",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+function getLockoutDetails(lockoutData, locale) {
+  return [
+    [i18n.t("accountLockout.account"), lockoutData.email],
+    [i18n.t("accountLockout.failedAttempts"), lockoutData.failedAttempts],
+    [i18n.t("accountLockout.ipAddress"), lockoutData.ip],
+    [
+      i18n.t("accountLockout.lockedUntil"),
+      formatDateTime(lockoutData.lockedUntil, locale),
+    ],
+  ];
+}
+
+async function getAccountLockoutTemplate(lockoutData, locale = "de") {
+  await i18n.changeLanguage(locale);
+
+  const details = getLockoutDetails(lockoutData, locale)
+    .filter(([, value]) => value)
+    .map(
+      ([label, value]) => `
+                <tr>
+                  <td style="padding: 4px 16px 4px 0; color: #475467; white-space: nowrap;">${label}</td>
+                  <td style="padding: 4px 0; color: #101828; font-weight: 600;">${value}</td>
+                </tr>`
+    )
+    .join("");
+
+  return `
+<!DOCTYPE html>
+<html lang="${locale}">
+${getEmailHead(i18n.t("accountLockout.subject"))}
+<body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f4f7fa;">
+  <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background-color: #f4f7fa;">
+    <tr>
+      <td style="padding: 20px 0;">
+        <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="600" style="margin: 0 auto; background-color: #ffffff; border-radius: 12px; max-width: 600px;" class="email-container">
+          ${getEmailHeader()}
+          <tr>
+            <td style="padding: 40px; color: #1d2939; font-size: 16px; line-height: 1.6;">
+              <h1 style="margin: 0 0 16px 0; font-size: 24px; color: #101828;">${i18n.t("accountLockout.title")}</h1>
+              <p style="margin: 0 0 24px 0;">${i18n.t("accountLockout.message", { name: lockoutData.name })}</p>
+              <table role="presentation" cellspacing="0" cellpadding="0" border="0" style="margin: 0 0 24px 0; font-size: 15px;">${details}
+              </table>
+              <p style="margin: 0 0 16px 0;">${i18n.t("accountLockout.unlockInfo")}</p>
+              <p style="margin: 0;">${i18n.t("accountLockout.notYou")}</p>
+            </td>
+          </tr>
+          ${getEmailFooter(
+            i18n.t("accountLockout.footer", { year: new Date().getFullYear() })
+          )}
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+  `.trim();
+}
+
+// Plain-text alternative with the same content as the HTML version
+async function getAccountLockoutText(lockoutData, locale = "de") {
+  await i18n.changeLanguage(locale);
+
+  return formatTextEmail([
+    i18n.t("accountLockout.title"),
+    i18n.t("accountLockout.message", { name: lockoutData.name }),
+    getTextDetails(
+      getLockoutDetails(lockoutData, locale).map(([label, value]) => [
+        `${label}:`,
+        value,
+      ])
+    ),
+    i18n.t("accountLockout.unlockInfo"),
+    i18n.t("accountLockout.notYou"),
+  ]);
+}
+
+module.exports = {
+  getAccountLockoutTemplate,
+  getAccountLockoutText,
+};
@@ -0,0 +1,74 @@
+require("dotenv").config();
+const i18n = require("../config/i18n");
+const { buildAppointmentCalendar } = require("../utils/icalendar");
+
+const ORGANIZER = {
+  name: "Praxis Dr. Kerim",
+  email: "info@praxiskerim.de",
+};
+
+/**
+ * Calendar invite (.ics) for appointment emails, in the shape nodemailer
+ * expects for `icalEvent`
+ * @param {Object} appointmentData - Needs appointmentId, date and slot; sequence defaults to 0, durationMinutes to 30
+ * @param {string} method - "REQUEST" for new/changed appointments, "CANCEL" for cancellations
+ * @param {Object} options - { locale, attendeeEmail }
+ * @returns {Promise<Object|null>} { method, filename, content } or null without appointmentId
+ */
+async function getAppointmentCalendarEvent(
+  appointmentData,
+  method,
+  { locale = "de", attendeeEmail } = {}
+) {
+  if (
+    !appointmentData?.appointmentId ||
+    !appointmentData.date ||
+    !appointmentData.slot
+  ) {
+    return null;
+  }
+
+  await i18n.changeLanguage(locale);
+
+  const websiteUrl = process.env.WEBSITE_URL || "https://praxiskerim.de";
+  const isVideo = Boolean(appointmentData.isVideoAppointment);
+
+  const description = [
+    isVideo
+      ? i18n.t("appointmentEmail.videoNote")
+      : i18n.t("calendar.description"),
+    appointmentData.managementToken &&
+      i18n.t("sms.manageLink", {
+        link: `${websiteUrl}/termin-verwalten?token=${appointmentData.managementToken}`,
+      }),
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+
+  const content = buildAppointmentCalendar({
+    method,
+    appointmentId: appointmentData.appointmentId,
+    sequence: appointmentData.sequence || 0,
+    date: appointmentData.date,
+    slot: appointmentData.slot,
+    durationMinutes: appointmentData.durationMinutes || undefined,
+    summary: i18n.t(isVideo ? "calendar.videoSummary" : "calendar.summary", {
+      doctorName: appointmentData.doctorName,
+    }),
+    description,
+    location: i18n.t(isVideo ? "calendar.videoLocation" : "calendar.location"),
+    organizer: ORGANIZER,
+    attendee: {
+      name: appointmentData.patientName,
+      email: attendeeEmail,
+    },
+  });
+
+  return {
+    method,
+    filename: method === "CANCEL" ? "cancel.ics" : "invite.ics",
+    content,
+  };
+}
+
+module.exports = { getAppointmentCalendarEvent };
@@ -2,6 +2,7 @@ require("dotenv").config();
 const { getEmailFooter } = require("./emailParts/footer");
 const getEmailHead = require("./emailParts/head");
 const { getEmailHeader } = require("./emailParts/header");
+const { getTextDetails, formatTextEmail } = require("./emailParts/text");
 const i18n = require("../config/i18n");
 
 async function getAppointmentCancellationTemplate(appointmentData, locale = "de") {
@@ -268,7 +269,52 @@ async function getAppointmentCancellationTemplate(appointmentData, locale = "de"
   }
 }
 
+// Plain-text alternative with the same content as the HTML version
+async function getAppointmentCancellationText(appointmentData, locale = "de") {
+  await i18n.changeLanguage(locale);
+
+  const localeMap = {
+    de: "de-DE",
+    en: "en-US",
+    bg: "bg-BG",
+    pl: "pl-PL",
+    tr: "tr-TR",
+  };
+  const dateLocale = localeMap[locale] || "de-DE";
+
+  const formattedDate = new Date(appointmentData.date).toLocaleDateString(
+    dateLocale,
+    { weekday: "long", year: "numeric", month: "long", day: "numeric" }
+  );
+  const practicePhone = process.env.PRACTICE_PHONE || "+49 69 870015360";
+  const practiceEmail = process.env.PRACTICE_EMAIL || "info@praxiskerim.de";
+
+  return formatTextEmail([
+    i18n.t("cancellationEmail.title"),
+    i18n.t("cancellationEmail.greeting"),
+    i18n.t("cancellationEmail.message"),
+    appointmentData.isVideoAppointment && i18n.t("cancellationEmail.videoNote"),
+    [
+      `${i18n.t("cancellationEmail.appointmentDetails")}:`,
+      getTextDetails([
+        [`${i18n.t("cancellationEmail.doctor")}:`, appointmentData.doctorName],
+        [`${i18n.t("cancellationEmail.date")}:`, formattedDate],
+        [`${i18n.t("cancellationEmail.time")}:`, appointmentData.slot],
+      ]),
+    ].join("\n"),
+    i18n.t("cancellationEmail.apology"),
+    [
+      i18n.t("cancellationEmail.rescheduleInfo"),
+      `${i18n.t("cancellationEmail.phone")}: ${practicePhone}`,
+      `${i18n.t("cancellationEmail.email")}: ${practiceEmail}`,
+    ].join("\n"),
+    i18n.t("cancellationEmail.closing"),
+    [i18n.t("cancellationEmail.regards"), i18n.t("cancellationEmail.practiceName")].join("\n"),
+  ]);
+}
+
 module.exports = {
   getAppointmentCancellationTemplate,
+  getAppointmentCancellationText,
 };
 
@@ -2,7 +2,11 @@ require("dotenv").config();
 const { getEmailFooter } = require("./emailParts/footer");
 const getEmailHead = require("./emailParts/head");
 const { getEmailHeader } = require("./emailParts/header");
+const { getTextDetails, formatTextEmail } = require("./emailParts/text");
 const i18n = require("../config/i18n");
+const {
+  VIDEO_JOIN_EARLY_MINUTES,
+} = require("../services/video/videoRoomService");
 
 async function getAppointmentConfirmationTemplate(
   appointmentData,
@@ -161,7 +165,27 @@ async function getAppointmentConfirmationTemplate(
                                                                 </td>
                                                             </tr>
                                                             ${
-                                                              appointmentData.isVideoAppointment
+                                                              appointmentData.videoJoinUrl
+                                                                ? `
+                                                            <tr>
+                                                                <td align="center" class="es-m-p10t es-m-p10b"
+                                                                    style="padding:0;Margin:0;padding-top:10px;padding-bottom:20px">
+                                                                    <p
+                                                                        style="Margin:0;mso-line-height-rule:exactly;font-family:arial, 'helvetica neue', helvetica, sans-serif;line-height:21px;letter-spacing:0;color:#333333;font-size:14px;margin-bottom:15px">
+                                                                        <strong>💻 ${i18n.t("appointmentEmail.videoJoinTitle")}</strong>
+                                                                    </p>
+                                                                    <p
+                                                                        style="Margin:0;mso-line-height-rule:exactly;font-family:arial, 'helvetica neue', helvetica, sans-serif;line-height:21px;letter-spacing:0;color:#666666;font-size:13px;margin-bottom:15px">
+                                                                        ${i18n.t("appointmentEmail.videoJoinDescription", { minutes: VIDEO_JOIN_EARLY_MINUTES })}
+                                                                    </p>
+                                                                    <a href="${appointmentData.videoJoinUrl}"
+                                                                        style="text-decoration:none;display:inline-block;background-color:#f06706;color:#ffffff;padding:12px 30px;border-radius:6px;font-family:arial, 'helvetica neue', helvetica, sans-serif;font-size:14px;font-weight:bold;mso-padding-alt:0;text-decoration:none">
+                                                                        ${i18n.t("appointmentEmail.videoJoinButton")}
+                                                                    </a>
+                                                                </td>
+                                                            </tr>
+                                                            `
+                                                                : appointmentData.isVideoAppointment
                                                                 ? `
                                                             <tr>
                                                               <td align="left" style="padding:0;Margin:0;padding-top:10px;padding-bottom:10px">
@@ -283,4 +307,79 @@ async function getAppointmentConfirmationTemplate(
   }
 }
 
-module.exports = { getAppointmentConfirmationTemplate };
+// Plain-text alternative with the same content as the HTML version
+async function getAppointmentConfirmationText(appointmentData, locale = "de") {
+  await i18n.changeLanguage(locale);
+
+  const localeMap = {
+    de: "de-DE",
+    en: "en-US",
+    bg: "bg-BG",
+    pl: "pl-PL",
+    tr: "tr-TR",
+  };
+  const dateLocale = localeMap[locale] || "de-DE";
+
+  const websiteUrl = process.env.WEBSITE_URL || "https://praxiskerim.de";
+  const managementUrl = appointmentData.managementToken
+    ? `${websiteUrl}/termin-verwalten?token=${appointmentData.managementToken}`
+    : null;
+
+  const formattedDate = new Date(appointmentData.date).toLocaleDateString(
+    dateLocale,
+    { weekday: "long", year: "numeric", month: "long", day: "numeric" }
+  );
+
+  return formatTextEmail([
+    i18n.t("appointmentEmail.title"),
+    i18n.t("appointmentEmail.greeting"),
+    i18n.t("appointmentEmail.thankYou"),
+    [
+      i18n.t("appointmentEmail.detailsTitle"),
+      getTextDetails([
+        [i18n.t("appointmentEmail.doctor"), appointmentData.doctorName],
+        [i18n.t("appointmentEmail.date"), formattedDate],
+        [i18n.t("appointmentEmail.time"), appointmentData.slot],
+        [i18n.t("appointmentEmail.subject_field"), appointmentData.title],
+        [i18n.t("appointmentEmail.description"), appointmentData.description],
+      ]),
+    ].join("\n"),
+    appointmentData.videoJoinUrl
+      ? [
+          i18n.t("appointmentEmail.videoJoinTitle"),
+          i18n.t("appointmentEmail.videoJoinDescription", {
+            minutes: VIDEO_JOIN_EARLY_MINUTES,
+          }),
+          appointmentData.videoJoinUrl,
+        ].join("\n")
+      : appointmentData.isVideoAppointment &&
+        i18n.t("appointmentEmail.videoNote"),
+    [
+      i18n.t("appointmentEmail.importantTitle"),
+      `- ${i18n.t("appointmentEmail.hint1")}`,
+      `- ${i18n.t("appointmentEmail.hint2")}`,
+      `- ${i18n.t("appointmentEmail.hint3")}`,
+    ].join("\n"),
+    managementUrl &&
+      [
+        i18n.t("appointmentEmail.manageTitle"),
+        i18n.t("appointmentEmail.manageDescription"),
+        managementUrl,
+      ].join("\n"),
+    [
+      i18n.t("appointmentEmail.practiceTitle"),
+      i18n.t("appointmentEmail.practiceName"),
+      `${i18n.t("appointmentEmail.phone")} +49 69 870015360`,
+      `${i18n.t("appointmentEmail.email")} info@praxiskerim.de`,
+    ].join("\n"),
+    i18n.t("appointmentEmail.lookingForward"),
+    [i18n.t("appointmentEmail.regards"), i18n.t("appointmentEmail.team")].join(
+      "\n"
+    ),
+  ]);
+}
+
+module.exports = {
+  getAppointmentConfirmationTemplate,
+  getAppointmentConfirmationText,
+};
@@ -2,7 +2,53 @@ require("dotenv").config();
 const { getEmailFooter } = require("./emailParts/footer");
 const getEmailHead = require("./emailParts/head");
 const { getEmailHeader } = require("./emailParts/header");
+const { getTextDetails, formatTextEmail } = require("./emailParts/text");
 const i18n = require("../config/i18n");
+const {
+  VIDEO_JOIN_EARLY_MINUTES,
+} = require("../services/video/videoRoomService");
+
+/**
+ * Translate a reminder type key ("24h", "2h", "48h", "90m") into the lead time
+ * text used in subject and body, in the currently active language
+ * @param {string} reminderType - Reminder type key
+ * @returns {string} Localized lead time, e.g. "2 Tagen"
+ */
+function getReminderTimeText(reminderType = "24h") {
+  if (reminderType === "24h") return i18n.t("reminderEmail.time24h");
+  if (reminderType === "2h") return i18n.t("reminderEmail.time2h");
+
+  const match = /^(\d+)([hm])$/.exec(reminderType);
+  if (!match) return i18n.t("reminderEmail.time24h");
+
+  const value = Number(match[1]);
+  if (match[2] === "m") {
+    return i18n.t("reminderEmail.timeMinutes", { count: value });
+  }
+  if (value % 24 === 0) {
+    return i18n.t("reminderEmail.timeDays", { count: value / 24 });
+  }
+  return i18n.t("reminderEmail.timeHours", { count: value });
+}
+
+/**
+ * One-click attendance confirmation links, bound to the management token
+ * @param {string} confirmationToken - Management token of an unconfirmed appointment
+ * @returns {Object|null} { confirmUrl, declineUrl } or null without a token
+ */
+function getConfirmationUrls(confirmationToken) {
+  if (!confirmationToken) {
+    return null;
+  }
+
+  const websiteUrl = process.env.WEBSITE_URL || "https://praxiskerim.de";
+  const pageUrl = `${websiteUrl}/termin-bestaetigen?token=${confirmationToken}`;
+
+  return {
+    confirmUrl: `${pageUrl}&answer=yes`,
+    declineUrl: `${pageUrl}&answer=no`,
+  };
+}
 
 async function getAppointmentReminderTemplate(appointmentData, reminderType = "24h", locale = "de") {
   try {
@@ -29,24 +75,30 @@ async function getAppointmentReminderTemplate(appointmentData, reminderType = "2
       month: "long",
       day: "numeric",
     });
-    const formattedTime = appointmentDate.toLocaleTimeString(dateLocale, {
-      hour: "2-digit",
-      minute: "2-digit",
-    });
+    // Prefer the booked slot (Berlin local time) over the server-local time
+    const formattedTime =
+      appointmentData.slot ||
+      appointmentDate.toLocaleTimeString(dateLocale, {
+        hour: "2-digit",
+        minute: "2-digit",
+      });
 
     // Practice information
     const practicePhone = process.env.PRACTICE_PHONE || "+49 69 870015360";
     const practiceEmail = process.env.PRACTICE_EMAIL || "info@praxiskerim.de";
 
     // Determine reminder time text
-    const reminderTimeKey = reminderType === "24h" ? "reminderEmail.time24h" : "reminderEmail.time2h";
+    const timeText = getReminderTimeText(reminderType);
+    const confirmationUrls = getConfirmationUrls(
+      appointmentData.confirmationToken
+    );
 
     return `
 <!DOCTYPE html
     PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">
 <html dir="ltr" xmlns="http://www.w3.org/1999/xhtml" xmlns:o="urn:schemas-microsoft-com:office:office" lang="${locale}">
 
-  ${getEmailHead(i18n.t("reminderEmail.subject", { time: i18n.t(reminderTimeKey) }))}
+  ${getEmailHead(i18n.t("reminderEmail.subject", { time: timeText }))}
 
 <body class="body"
     style="width:100%;height:100%;-webkit-text-size-adjust:100%;-ms-text-size-adjust:100%;padding:0;Margin:0">
@@ -109,7 +161,7 @@ async function getAppointmentReminderTemplate(appointmentData, reminderType = "2
                                                                     </p>
                                                                     <p
                                                                         style="Margin:0;mso-line-height-rule:exactly;font-family:arial, 'helvetica neue', helvetica, sans-serif;line-height:21px;letter-spacing:0;color:#333333;font-size:14px">
-                                                                        ${i18n.t("reminderEmail.reminderText", { time: i18n.t(reminderTimeKey) })}</p>
+                                                                        ${i18n.t("reminderEmail.reminderText", { time: timeText })}</p>
                                                                 </td>
                                                             </tr>
                                                             <tr>
@@ -164,7 +216,54 @@ async function getAppointmentReminderTemplate(appointmentData, reminderType = "2
                                                                 </td>
                                                             </tr>
                                                             ${
-                                                              appointmentData.isVideoAppointment
+                                                              confirmationUrls
+                                                                ? `
+                                                            <tr>
+                                                                <td align="center" class="es-m-p10t es-m-p10b"
+                                                                    style="padding:0;Margin:0;padding-top:15px;padding-bottom:5px">
+                                                                    <p
+                                                                        style="Margin:0;mso-line-height-rule:exactly;font-family:arial, 'helvetica neue', helvetica, sans-serif;line-height:21px;letter-spacing:0;color:#333333;font-size:14px;margin-bottom:15px">
+                                                                        <strong>${i18n.t("reminderEmail.confirmTitle")}</strong>
+                                                                    </p>
+                                                                    <p
+                                                                        style="Margin:0;mso-line-height-rule:exactly;font-family:arial, 'helvetica neue', helvetica, sans-serif;line-height:21px;letter-spacing:0;color:#666666;font-size:13px;margin-bottom:15px">
+                                                                        ${i18n.t("reminderEmail.confirmDescription")}
+                                                                    </p>
+                                                                    <a href="${confirmationUrls.confirmUrl}"
+                                                                        style="text-decoration:none;display:inline-block;background-color:#f06706;color:#ffffff;padding:12px 30px;border-radius:6px;font-family:arial, 'helvetica neue', helvetica, sans-serif;font-size:14px;font-weight:bold;mso-padding-alt:0;text-decoration:none;margin:5px">
+                                                                        ${i18n.t("reminderEmail.confirmButton")}
+                                                                    </a>
+                                                                    <a href="${confirmationUrls.declineUrl}"
+                                                                        style="text-decoration:none;display:inline-block;background-color:#ffffff;color:#f06706;border:1px solid #f06706;padding:11px 29px;border-radius:6px;font-family:arial, 'helvetica neue', helvetica, sans-serif;font-size:14px;font-weight:bold;mso-padding-alt:0;text-decoration:none;margin:5px">
+                                                                        ${i18n.t("reminderEmail.declineButton")}
+                                                                    </a>
+                                                                </td>
+                                                            </tr>
+                                                            `
+                                                                : ""
+                                                            }
+                                                            ${
+                                                              appointmentData.videoJoinUrl
+                                                                ? `
+                                                            <tr>
+                                                                <td align="center" class="es-m-p10t es-m-p10b"
+                                                                    style="padding:0;Margin:0;padding-top:15px;padding-bottom:5px">
+                                                                    <p
+                                                                        style="Margin:0;mso-line-height-rule:exactly;font-family:arial, 'helvetica neue', helvetica, sans-serif;line-height:21px;letter-spacing:0;color:#333333;font-size:14px;margin-bottom:15px">
+                                                                        <strong>💻 ${i18n.t("reminderEmail.videoJoinTitle")}</strong>
+                                                                    </p>
+                                                                    <p
+                                                                        style="Margin:0;mso-line-height-rule:exactly;font-family:arial, 'helvetica neue', helvetica, sans-serif;line-height:21px;letter-spacing:0;color:#666666;font-size:13px;margin-bottom:15px">
+                                                                        ${i18n.t("reminderEmail.videoJoinDescription", { minutes: VIDEO_JOIN_EARLY_MINUTES })}
+                                                                    </p>
+                                                                    <a href="${appointmentData.videoJoinUrl}"
+                                                                        style="text-decoration:none;display:inline-block;background-color:#f06706;color:#ffffff;padding:12px 30px;border-radius:6px;font-family:arial, 'helvetica neue', helvetica, sans-serif;font-size:14px;font-weight:bold;mso-padding-alt:0;text-decoration:none">
+                                                                        ${i18n.t("reminderEmail.videoJoinButton")}
+                                                                    </a>
+                                                                </td>
+                                                            </tr>
+                                                            `
+                                                                : appointmentData.isVideoAppointment
                                                                 ? `
                                                             <tr>
                                                               <td align="center"
@@ -261,5 +360,92 @@ async function getAppointmentReminderTemplate(appointmentData, reminderType = "2
   }
 }
 
-module.exports = { getAppointmentReminderTemplate };
+// Plain-text alternative with the same content as the HTML version
+async function getAppointmentReminderText(
+  appointmentData,
+  reminderType = "24h",
+  locale = "de"
+) {
+  await i18n.changeLanguage(locale);
+
+  const localeMap = {
+    de: "de-DE",
+    en: "en-US",
+    bg: "bg-BG",
+    pl: "pl-PL",
+    tr: "tr-TR",
+  };
+  const dateLocale = localeMap[locale] || "de-DE";
+
+  const appointmentDate = new Date(appointmentData.date);
+  const formattedDate = appointmentDate.toLocaleDateString(dateLocale, {
+    weekday: "long",
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+  const formattedTime =
+    appointmentData.slot ||
+    appointmentDate.toLocaleTimeString(dateLocale, {
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+
+  const practicePhone = process.env.PRACTICE_PHONE || "+49 69 870015360";
+  const practiceEmail = process.env.PRACTICE_EMAIL || "info@praxiskerim.de";
+  const timeText = getReminderTimeText(reminderType);
+  const confirmationUrls = getConfirmationUrls(
+    appointmentData.confirmationToken
+  );
+
+  return formatTextEmail([
+    i18n.t("reminderEmail.title"),
+    i18n.t("reminderEmail.greeting", {
+      patientName: appointmentData.patientName || "",
+    }),
+    [
+      i18n.t("reminderEmail.reminderText", { time: timeText }),
+      getTextDetails([
+        [i18n.t("reminderEmail.doctor"), appointmentData.doctorName],
+        [i18n.t("reminderEmail.date"), formattedDate],
+        [i18n.t("reminderEmail.time"), formattedTime],
+      ]),
+    ].join("\n"),
+    i18n.t("reminderEmail.planAhead"),
+    i18n.t("reminderEmail.cancellationNote"),
+    [
+      `${i18n.t("reminderEmail.phone")} ${practicePhone}`,
+      `${i18n.t("reminderEmail.email")} ${practiceEmail}`,
+    ].join("\n"),
+    confirmationUrls &&
+      [
+        i18n.t("reminderEmail.confirmTitle"),
+        i18n.t("reminderEmail.confirmDescription"),
+        `${i18n.t("reminderEmail.confirmButton")}: ${confirmationUrls.confirmUrl}`,
+        `${i18n.t("reminderEmail.declineButton")}: ${confirmationUrls.declineUrl}`,
+      ].join("\n"),
+    appointmentData.videoJoinUrl
+      ? [
+          i18n.t("reminderEmail.videoJoinTitle"),
+          i18n.t("reminderEmail.videoJoinDescription", {
+            minutes: VIDEO_JOIN_EARLY_MINUTES,
+          }),
+          appointmentData.videoJoinUrl,
+        ].join("\n")
+      : appointmentData.isVideoAppointment &&
+        i18n.t("reminderEmail.videoNote"),
+    i18n.t("reminderEmail.lookingForward"),
+    [
+      i18n.t("reminderEmail.regards"),
+      i18n.t("reminderEmail.practiceName"),
+      i18n.t("reminderEmail.address"),
+    ].join("\n"),
+  ]);
+}
+
+module.exports = {
+  getAppointmentReminderTemplate,
+  getAppointmentReminderText,
+  getReminderTimeText,
+};
 
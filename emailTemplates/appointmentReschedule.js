@@ -2,6 +2,7 @@ require("dotenv").config();
 const { getEmailFooter } = require("./emailParts/footer");
 const getEmailHead = require("./emailParts/head");
 const { getEmailHeader } = require("./emailParts/header");
+const { getTextDetails, formatTextEmail } = require("./emailParts/text");
 const i18n = require("../config/i18n");
 
 async function getAppointmentRescheduleTemplate(appointmentData, locale = "de") {
@@ -284,5 +285,54 @@ async function getAppointmentRescheduleTemplate(appointmentData, locale = "de")
   }
 }
 
-module.exports = { getAppointmentRescheduleTemplate };
+// Plain-text alternative with the same content as the HTML version
+async function getAppointmentRescheduleText(appointmentData, locale = "de") {
+  await i18n.changeLanguage(locale);
+
+  const localeMap = {
+    de: "de-DE",
+    en: "en-US",
+    bg: "bg-BG",
+    pl: "pl-PL",
+    tr: "tr-TR",
+  };
+  const dateLocale = localeMap[locale] || "de-DE";
+
+  const formattedDate = new Date(appointmentData.date).toLocaleDateString(
+    dateLocale,
+    { weekday: "long", year: "numeric", month: "long", day: "numeric" }
+  );
+  const websiteUrl = process.env.WEBSITE_URL || "https://praxiskerim.de";
+  const managementUrl = appointmentData.managementToken
+    ? `${websiteUrl}/termin-verwalten?token=${appointmentData.managementToken}`
+    : null;
+
+  return formatTextEmail([
+    i18n.t("rescheduleEmail.title"),
+    i18n.t("rescheduleEmail.greeting"),
+    i18n.t("rescheduleEmail.message"),
+    appointmentData.isVideoAppointment && i18n.t("rescheduleEmail.videoNote"),
+    [
+      `${i18n.t("rescheduleEmail.newAppointmentDetails")}:`,
+      getTextDetails([
+        [`${i18n.t("rescheduleEmail.doctor")}:`, appointmentData.doctorName],
+        [`${i18n.t("rescheduleEmail.date")}:`, formattedDate],
+        [`${i18n.t("rescheduleEmail.time")}:`, appointmentData.slot],
+      ]),
+    ].join("\n"),
+    managementUrl &&
+      [
+        i18n.t("rescheduleEmail.manageTitle"),
+        i18n.t("rescheduleEmail.manageDescription"),
+        managementUrl,
+      ].join("\n"),
+    i18n.t("rescheduleEmail.lookingForward"),
+    [i18n.t("rescheduleEmail.regards"), i18n.t("rescheduleEmail.practiceName")].join("\n"),
+  ]);
+}
+
+module.exports = {
+  getAppointmentRescheduleTemplate,
+  getAppointmentRescheduleText,
+};
 
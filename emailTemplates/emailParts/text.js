@@ -0,0 +1,51 @@
+// Helpers for the plain-text alternative that is sent next to every HTML email
+
+/**
+ * Label/value lines, e.g. "Datum: Dienstag, 10. März 2026"; rows without a
+ * value are left out
+ * @param {Array<Array>} rows - [label, value] pairs
+ * @returns {string} One line per row
+ */
+function getTextDetails(rows) {
+  return rows
+    .filter(([, value]) => value)
+    .map(([label, value]) => `${label} ${value}`)
+    .join("\n");
+}
+
+/**
+ * Join text blocks with blank lines, skipping empty ones
+ * @param {Array<string>} blocks - Paragraphs of the email
+ * @returns {string} Plain-text body
+ */
+function formatTextEmail(blocks) {
+  return `${blocks
+    .filter(Boolean)
+    .map((block) => block.trim())
+    .join("\n\n")}\n`;
+}
+
+/**
+ * Convert (possibly HTML) content to plain text
+ * @param {string} content - HTML or plain text
+ * @returns {string} Plain text
+ */
+function htmlToText(content = "") {
+  return content
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|h[1-6]|li|tr)>/gi, "\n\n")
+    .replace(/<li[^>]*>/gi, "- ")
+    .replace(/<a[^>]*href="([^"]+)"[^>]*>([\s\S]*?)<\/a>/gi, "$2 ($1)")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+module.exports = { getTextDetails, formatTextEmail, htmlToText };
@@ -2,6 +2,7 @@ require("dotenv").config();
 const { getEmailFooter } = require("./emailParts/footer");
 const getEmailHead = require("./emailParts/head");
 const { getEmailHeader } = require("./emailParts/header");
+const { getTextDetails, formatTextEmail } = require("./emailParts/text");
 const i18n = require("../config/i18n");
 
 async function getFridayVideoNotificationTemplate(
@@ -27,6 +28,7 @@ async function getFridayVideoNotificationTemplate(
       insuranceType,
       insuranceNumber,
       notes,
+      videoRoomUrl,
     } = notificationData || {};
 
     return `
@@ -155,6 +157,16 @@ async function getFridayVideoNotificationTemplate(
                                                                             )}</strong></td>
                                                                             <td>${doctorName || "-"}</td>
                                                                         </tr>
+                                                                        ${
+                                                                          videoRoomUrl
+                                                                            ? `<tr>
+                                                                            <td style="border-top:1px solid #eeeeee"><strong>${i18n.t(
+                                                                              "fridayVideoNotification.videoRoom"
+                                                                            )}</strong></td>
+                                                                            <td style="border-top:1px solid #eeeeee"><a href="${videoRoomUrl}" style="color:#f06706">${videoRoomUrl}</a></td>
+                                                                        </tr>`
+                                                                            : ""
+                                                                        }
                                                                     </table>
                                                                 </td>
                                                             </tr>
@@ -327,7 +339,56 @@ async function getFridayVideoNotificationTemplate(
   }
 }
 
+// Plain-text alternative with the same content as the HTML version
+async function getFridayVideoNotificationText(notificationData, locale = "de") {
+  await i18n.changeLanguage(locale);
+
+  const practicePhone = process.env.PRACTICE_PHONE || "+49 69 870015360";
+  const practiceEmail = process.env.PRACTICE_EMAIL || "info@praxiskerim.de";
+  const {
+    doctorName,
+    formattedDate,
+    formattedTime,
+    patientName,
+    patientEmail,
+    patientPhone,
+    insuranceType,
+    insuranceNumber,
+    notes,
+    videoRoomUrl,
+  } = notificationData || {};
+
+  return formatTextEmail([
+    i18n.t("fridayVideoNotification.title"),
+    [i18n.t("fridayVideoNotification.intro"), i18n.t("fridayVideoNotification.message")].join("\n"),
+    [
+      i18n.t("fridayVideoNotification.appointmentDetails"),
+      getTextDetails([
+        [`${i18n.t("fridayVideoNotification.date")}:`, formattedDate || "-"],
+        [`${i18n.t("fridayVideoNotification.time")}:`, formattedTime || "-"],
+        [`${i18n.t("fridayVideoNotification.doctor")}:`, doctorName || "-"],
+        [`${i18n.t("fridayVideoNotification.videoRoom")}:`, videoRoomUrl],
+      ]),
+    ].join("\n"),
+    [
+      i18n.t("fridayVideoNotification.patientDetails"),
+      getTextDetails([
+        [`${i18n.t("fridayVideoNotification.patientName")}:`, patientName || "-"],
+        [`${i18n.t("fridayVideoNotification.patientEmail")}:`, patientEmail || "-"],
+        [`${i18n.t("fridayVideoNotification.patientPhone")}:`, patientPhone || "-"],
+        [`${i18n.t("fridayVideoNotification.insuranceType")}:`, insuranceType || "-"],
+        [`${i18n.t("fridayVideoNotification.insuranceNumber")}:`, insuranceNumber || "-"],
+        [`${i18n.t("fridayVideoNotification.notes")}:`, notes],
+      ]),
+    ].join("\n"),
+    i18n.t("fridayVideoNotification.closing"),
+    [i18n.t("fridayVideoNotification.regards"), i18n.t("fridayVideoNotification.team")].join("\n"),
+    `${i18n.t("appointmentEmail.practiceName") || "Praxis Dr. Kerim"} · ${practicePhone} · ${practiceEmail}`,
+  ]);
+}
+
 module.exports = {
   getFridayVideoNotificationTemplate,
+  getFridayVideoNotificationText,
 };
 
@@ -2,6 +2,7 @@ require("dotenv").config();
 const getEmailHead = require("./emailParts/head");
 const { getEmailHeader } = require("./emailParts/header");
 const { getEmailFooter } = require("./emailParts/footer");
+const { formatTextEmail, htmlToText } = require("./emailParts/text");
 
 function escapeHtml(text = "") {
   return text
@@ -127,7 +128,28 @@ ${emailHead}
   `.trim();
 }
 
+// Plain-text alternative with the same content as the HTML version
+function getMarketingEmailText({ patientName, content, i18n }) {
+  const greeting = patientName
+    ? i18n?.t("marketingEmail.greetingWithName", { name: patientName }) ||
+      `Sehr geehrte/r ${patientName},`
+    : i18n?.t("marketingEmail.greetingWithoutName") ||
+      "Sehr geehrte Patientin, sehr geehrter Patient,";
+
+  return formatTextEmail([
+    i18n?.t("marketingEmail.title") || "Neuigkeiten aus Ihrer Praxis",
+    i18n?.t("marketingEmail.subtitle"),
+    greeting,
+    htmlToText(content),
+    [
+      i18n?.t("marketingEmail.closing") || "Mit freundlichen Grüßen",
+      i18n?.t("marketingEmail.signature") || "Ihr Praxis Dr. Kerim Team",
+    ].join("\n"),
+  ]);
+}
+
 module.exports = {
   getMarketingEmailTemplate,
+  getMarketingEmailText,
 };
 
@@ -2,6 +2,7 @@ require("dotenv").config();
 const { getEmailFooter } = require("./emailParts/footer");
 const getEmailHead = require("./emailParts/head");
 const { getEmailHeader } = require("./emailParts/header");
+const { getTextDetails, formatTextEmail } = require("./emailParts/text");
 const i18n = require("../config/i18n");
 
 async function getOrderConfirmationTemplate(orderData, locale = "de") {
@@ -242,4 +243,62 @@ async function getOrderConfirmationTemplate(orderData, locale = "de") {
   }
 }
 
-module.exports = { getOrderConfirmationTemplate };
+// Plain-text alternative with the same content as the HTML version
+async function getOrderConfirmationText(orderData, locale = "de") {
+  await i18n.changeLanguage(locale);
+
+  const localeMap = {
+    de: "de-DE",
+    en: "en-US",
+    bg: "bg-BG",
+    pl: "pl-PL",
+    tr: "tr-TR",
+  };
+  const dateLocale = localeMap[locale] || "de-DE";
+
+  const orderDate = new Date(orderData.createdAt);
+  const formattedDate = orderDate.toLocaleDateString(dateLocale, {
+    weekday: "long",
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+  const formattedTime = orderDate.toLocaleTimeString(dateLocale, {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+  const practicePhone = process.env.PRACTICE_PHONE || "+49 69 870015360";
+  const practiceEmail = process.env.PRACTICE_EMAIL || "info@praxiskerim.de";
+
+  return formatTextEmail([
+    i18n.t("orderEmail.title"),
+    i18n.t("orderEmail.greeting", { patientName: orderData.patientName || "" }),
+    [i18n.t("orderEmail.thankYou"), i18n.t("orderEmail.confirmation")].join("\n"),
+    [
+      i18n.t("orderEmail.detailsTitle"),
+      getTextDetails([
+        [i18n.t("orderEmail.orderNumber"), orderData.orderNumber || orderData._id],
+        [i18n.t("orderEmail.orderDate"), `${formattedDate}, ${formattedTime}`],
+        [i18n.t("orderEmail.orderType"), orderData.orderType],
+        [i18n.t("orderEmail.description"), orderData.description],
+      ]),
+    ].join("\n"),
+    [i18n.t("orderEmail.processing"), i18n.t("orderEmail.notification")].join("\n"),
+    [i18n.t("orderEmail.importantTitle"), i18n.t("orderEmail.deadlineNote")].join("\n"),
+    [
+      i18n.t("orderEmail.contactTitle"),
+      `${i18n.t("orderEmail.phone")} ${practicePhone}`,
+      `${i18n.t("orderEmail.email")} ${practiceEmail}`,
+    ].join("\n"),
+    [
+      i18n.t("orderEmail.regards"),
+      i18n.t("orderEmail.practiceName"),
+      i18n.t("orderEmail.address"),
+    ].join("\n"),
+  ]);
+}
+
+module.exports = {
+  getOrderConfirmationTemplate,
+  getOrderConfirmationText,
+};
@@ -2,6 +2,7 @@ require("dotenv").config();
 const { getEmailFooter } = require("./emailParts/footer");
 const getEmailHead = require("./emailParts/head");
 const { getEmailHeader } = require("./emailParts/header");
+const { getTextDetails, formatTextEmail } = require("./emailParts/text");
 const i18n = require("../config/i18n");
 
 async function getOrderMissingInsuranceTemplate(orderData, locale = "de") {
@@ -164,7 +165,32 @@ async function getOrderMissingInsuranceTemplate(orderData, locale = "de") {
   }
 }
 
+// Plain-text alternative with the same content as the HTML version
+async function getOrderMissingInsuranceText(orderData, locale = "de") {
+  await i18n.changeLanguage(locale);
+
+  const practicePhone = process.env.PRACTICE_PHONE || "+49 69 870015360";
+  const practiceEmail = process.env.PRACTICE_EMAIL || "info@praxiskerim.de";
+
+  return formatTextEmail([
+    i18n.t("orderMissingInsurance.title"),
+    i18n.t("orderMissingInsurance.greeting", { patientName: orderData.patientName || "" }),
+    i18n.t("orderMissingInsurance.message1"),
+    i18n.t("orderMissingInsurance.message2"),
+    i18n.t("orderMissingInsurance.message3"),
+    i18n.t("orderMissingInsurance.highlight"),
+    [
+      i18n.t("orderMissingInsurance.contactTitle"),
+      `${i18n.t("orderMissingInsurance.phone")} ${practicePhone}`,
+      `${i18n.t("orderMissingInsurance.email")} ${practiceEmail}`,
+    ].join("\n"),
+    [i18n.t("orderMissingInsurance.practiceName"), i18n.t("orderMissingInsurance.address")].join("\n"),
+    [i18n.t("orderMissingInsurance.regards"), i18n.t("orderMissingInsurance.team")].join("\n"),
+  ]);
+}
+
 module.exports = {
   getOrderMissingInsuranceTemplate,
+  getOrderMissingInsuranceText,
 };
 
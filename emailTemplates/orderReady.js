@@ -2,6 +2,7 @@ require("dotenv").config();
 const { getEmailFooter } = require("./emailParts/footer");
 const getEmailHead = require("./emailParts/head");
 const { getEmailHeader } = require("./emailParts/header");
+const { getTextDetails, formatTextEmail } = require("./emailParts/text");
 const i18n = require("../config/i18n");
 
 async function getOrderReadyTemplate(orderData, locale = "de") {
@@ -182,5 +183,39 @@ async function getOrderReadyTemplate(orderData, locale = "de") {
   }
 }
 
-module.exports = { getOrderReadyTemplate };
+// Plain-text alternative with the same content as the HTML version
+async function getOrderReadyText(orderData, locale = "de") {
+  await i18n.changeLanguage(locale);
+
+  const practicePhone = process.env.PRACTICE_PHONE || "+49 69 870015360";
+  const practiceEmail = process.env.PRACTICE_EMAIL || "info@praxiskerim.de";
+
+  return formatTextEmail([
+    i18n.t("orderReadyEmail.title"),
+    i18n.t("orderReadyEmail.greeting", { patientName: orderData.patientName || "" }),
+    i18n.t("orderReadyEmail.message"),
+    [
+      i18n.t("orderReadyEmail.dependingOnType"),
+      `- ${i18n.t("orderReadyEmail.referralInfo")}`,
+      `- ${i18n.t("orderReadyEmail.auInfo")}`,
+      `- ${i18n.t("orderReadyEmail.prescriptionInfo")}`,
+    ].join("\n"),
+    [
+      i18n.t("orderReadyEmail.pickupLocation"),
+      i18n.t("orderReadyEmail.practiceName"),
+      i18n.t("orderReadyEmail.address"),
+    ].join("\n"),
+    [
+      i18n.t("orderReadyEmail.contactTitle"),
+      `${i18n.t("orderReadyEmail.phone")} ${practicePhone}`,
+      `${i18n.t("orderReadyEmail.email")} ${practiceEmail}`,
+    ].join("\n"),
+    i18n.t("orderReadyEmail.regards"),
+  ]);
+}
+
+module.exports = {
+  getOrderReadyTemplate,
+  getOrderReadyText,
+};
 
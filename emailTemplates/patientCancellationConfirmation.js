@@ -2,6 +2,7 @@ require("dotenv").config();
 const { getEmailFooter } = require("./emailParts/footer");
 const getEmailHead = require("./emailParts/head");
 const { getEmailHeader } = require("./emailParts/header");
+const { getTextDetails, formatTextEmail } = require("./emailParts/text");
 const i18n = require("../config/i18n");
 
 async function getPatientCancellationConfirmationTemplate(appointmentData, locale = "de") {
@@ -246,5 +247,50 @@ async function getPatientCancellationConfirmationTemplate(appointmentData, local
   }
 }
 
-module.exports = { getPatientCancellationConfirmationTemplate };
+// Plain-text alternative with the same content as the HTML version
+async function getPatientCancellationConfirmationText(appointmentData, locale = "de") {
+  await i18n.changeLanguage(locale);
+
+  const localeMap = {
+    de: "de-DE",
+    en: "en-US",
+    bg: "bg-BG",
+    pl: "pl-PL",
+    tr: "tr-TR",
+  };
+  const dateLocale = localeMap[locale] || "de-DE";
+
+  const formattedDate = new Date(appointmentData.date).toLocaleDateString(
+    dateLocale,
+    { weekday: "long", year: "numeric", month: "long", day: "numeric" }
+  );
+  const practicePhone = process.env.PRACTICE_PHONE || "+49 69 870015360";
+  const practiceEmail = process.env.PRACTICE_EMAIL || "info@praxiskerim.de";
+
+  return formatTextEmail([
+    i18n.t("patientCancellationConfirmation.title"),
+    i18n.t("patientCancellationConfirmation.greeting"),
+    i18n.t("patientCancellationConfirmation.message"),
+    appointmentData.isVideoAppointment && i18n.t("patientCancellationConfirmation.videoNote"),
+    [
+      `${i18n.t("patientCancellationConfirmation.cancelledAppointmentDetails")}:`,
+      getTextDetails([
+        [`${i18n.t("patientCancellationConfirmation.doctor")}:`, appointmentData.doctorName],
+        [`${i18n.t("patientCancellationConfirmation.date")}:`, formattedDate],
+        [`${i18n.t("patientCancellationConfirmation.time")}:`, appointmentData.slot],
+      ]),
+    ].join("\n"),
+    [
+      i18n.t("patientCancellationConfirmation.rebookInfo"),
+      `${i18n.t("patientCancellationConfirmation.phone")}: ${practicePhone}`,
+      `${i18n.t("patientCancellationConfirmation.email")}: ${practiceEmail}`,
+    ].join("\n"),
+    [i18n.t("patientCancellationConfirmation.regards"), i18n.t("patientCancellationConfirmation.practiceName")].join("\n"),
+  ]);
+}
+
+module.exports = {
+  getPatientCancellationConfirmationTemplate,
+  getPatientCancellationConfirmationText,
+};
 
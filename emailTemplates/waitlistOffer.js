@@ -0,0 +1,325 @@
+require("dotenv").config();
+const { getEmailFooter } = require("./emailParts/footer");
+const getEmailHead = require("./emailParts/head");
+const { getEmailHeader } = require("./emailParts/header");
+const { getTextDetails, formatTextEmail } = require("./emailParts/text");
+const i18n = require("../config/i18n");
+
+// "Mittwoch, 4. März, 14:30" in Berlin time
+function formatExpiry(expiresAt, dateLocale) {
+  return new Date(expiresAt).toLocaleString(dateLocale, {
+    timeZone: "Europe/Berlin",
+    weekday: "long",
+    day: "numeric",
+    month: "long",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+async function getWaitlistOfferTemplate(appointmentData, locale = "de") {
+  try {
+    // Set the language for this email
+    await i18n.changeLanguage(locale);
+
+    const currentYear = new Date().getFullYear();
+
+    // Format date based on locale
+    const localeMap = {
+      de: "de-DE",
+      en: "en-US",
+      bg: "bg-BG",
+      pl: "pl-PL",
+      tr: "tr-TR",
+    };
+    const dateLocale = localeMap[locale] || "de-DE";
+
+    // Link to the page where the patient claims the offered slot
+    const websiteUrl = process.env.WEBSITE_URL || "https://praxiskerim.de";
+    const claimUrl = `${websiteUrl}/warteliste?token=${appointmentData.claimToken}`;
+    const formattedExpiry = formatExpiry(appointmentData.expiresAt, dateLocale);
+
+    // Format date
+    const appointmentDate = new Date(appointmentData.date);
+    const formattedDate = appointmentDate.toLocaleDateString(dateLocale, {
+      weekday: "long",
+      year: "numeric",
+      month: "long",
+      day: "numeric",
+    });
+
+    return `
+<!DOCTYPE html
+    PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">
+<html dir="ltr" xmlns="http://www.w3.org/1999/xhtml" xmlns:o="urn:schemas-microsoft-com:office:office" lang="en">
+
+  ${getEmailHead(i18n.t("waitlistOffer.subject"))}
+
+<body class="body"
+    style="width:100%;height:100%;-webkit-text-size-adjust:100%;-ms-text-size-adjust:100%;padding:0;Margin:0">
+    <div dir="ltr" class="es-wrapper-color" lang="${locale}" style="background-color:#FAFAFA"><!--[if gte mso 9]>
+			<v:background xmlns:v="urn:schemas-microsoft-com:vml" fill="t">
+				<v:fill type="tile" color="#fafafa"></v:fill>
+			</v:background>
+		<![endif]-->
+        <table width="100%" cellspacing="0" cellpadding="0" class="es-wrapper" role="none"
+            style="mso-table-lspace:0pt;mso-table-rspace:0pt;border-collapse:collapse;border-spacing:0px;padding:0;Margin:0;width:100%;height:100%;background-repeat:repeat;background-position:center top;background-color:#FAFAFA">
+            <tr>
+                <td valign="top" style="padding:0;Margin:0">
+                    ${getEmailHeader()}
+                    <table cellpadding="0" cellspacing="0" align="center" class="es-content" role="none"
+                        style="mso-table-lspace:0pt;mso-table-rspace:0pt;border-collapse:collapse;border-spacing:0px;width:100%;table-layout:fixed !important">
+                        <tr>
+                            <td align="center" style="padding:0;Margin:0">
+                                <table bgcolor="#ffffff" align="center" cellpadding="0" cellspacing="0"
+                                    class="es-content-body" role="none"
+                                    style="mso-table-lspace:0pt;mso-table-rspace:0pt;border-collapse:collapse;border-spacing:0px;background-color:#FFFFFF;width:600px">
+                                    <tr>
+                                        <td align="left"
+                                            style="Margin:0;padding-right:20px;padding-left:20px;padding-bottom:30px;padding-top:30px">
+                                            <table cellpadding="0" cellspacing="0" width="100%" role="none"
+                                                style="mso-table-lspace:0pt;mso-table-rspace:0pt;border-collapse:collapse;border-spacing:0px">
+                                                <tr>
+                                                    <td align="center" valign="top"
+                                                        style="padding:0;Margin:0;width:560px">
+                                                        <table cellpadding="0" cellspacing="0" width="100%"
+                                                            role="presentation"
+                                                            style="mso-table-lspace:0pt;mso-table-rspace:0pt;border-collapse:collapse;border-spacing:0px">
+                                                            <tr>
+                                                                <td align="center"
+                                                                    style="padding:0;Margin:0;padding-bottom:10px;padding-top:10px;font-size:0px">
+                                                                    <img src="https://images-pickup2.s3.eu-north-1.amazonaws.com/confrim-email.png"
+                                                                        alt="${i18n.t("waitlistOffer.iconAlt")}"
+                                                                        style="display:block;font-size:14px;border:0;outline:none;text-decoration:none"
+                                                                        width="100" title="${i18n.t("waitlistOffer.iconAlt")}" />
+                                                                </td>
+                                                            </tr>
+                                                            <tr>
+                                                                <td align="center" class="es-m-txt-c"
+                                                                    style="padding:0;Margin:0;padding-bottom:10px;padding-top:20px">
+                                                                    <h1
+                                                                        style="Margin:0;font-family:arial, 'helvetica neue', helvetica, sans-serif;mso-line-height-rule:exactly;letter-spacing:0;font-size:30px;font-style:normal;font-weight:bold;line-height:36px;color:#333333">
+                                                                        ${i18n.t("waitlistOffer.title")}</h1>
+                                                                </td>
+                                                            </tr>
+                                                            <tr>
+                                                                <td align="left"
+                                                                    style="padding:0;Margin:0;padding-top:10px;padding-bottom:10px">
+                                                                    <p
+                                                                        style="Margin:0;mso-line-height-rule:exactly;font-family:arial, 'helvetica neue', helvetica, sans-serif;line-height:21px;letter-spacing:0;color:#333333;font-size:14px">
+                                                                        ${i18n.t("waitlistOffer.greeting")}</p>
+                                                                </td>
+                                                            </tr>
+                                                            <tr>
+                                                                <td align="left"
+                                                                    style="padding:0;Margin:0;padding-top:10px;padding-bottom:10px">
+                                                                    <p
+                                                                        style="Margin:0;mso-line-height-rule:exactly;font-family:arial, 'helvetica neue', helvetica, sans-serif;line-height:21px;letter-spacing:0;color:#333333;font-size:14px">
+                                                                        ${i18n.t("waitlistOffer.message")}</p>
+                                                                </td>
+                                                            </tr>
+                                                        </table>
+                                                    </td>
+                                                </tr>
+                                            </table>
+                                        </td>
+                                    </tr>
+                                    <tr>
+                                        <td align="left"
+                                            style="padding:0;Margin:0;padding-right:20px;padding-left:20px">
+                                            <table cellpadding="0" cellspacing="0" width="100%" role="none"
+                                                style="mso-table-lspace:0pt;mso-table-rspace:0pt;border-collapse:collapse;border-spacing:0px">
+                                                <tr>
+                                                    <td align="center" valign="top"
+                                                        style="padding:0;Margin:0;width:560px">
+                                                        <table cellpadding="0" cellspacing="0" width="100%"
+                                                            role="presentation"
+                                                            style="mso-table-lspace:0pt;mso-table-rspace:0pt;border-collapse:collapse;border-spacing:0px">
+                                                            <tr>
+                                                                <td align="left"
+                                                                    style="padding:0;Margin:0;padding-top:10px;padding-bottom:15px">
+                                                                    <p
+                                                                        style="Margin:0;mso-line-height-rule:exactly;font-family:arial, 'helvetica neue', helvetica, sans-serif;line-height:21px;letter-spacing:0;color:#333333;font-size:14px">
+                                                                        <strong>${i18n.t("waitlistOffer.offeredAppointmentDetails")}:</strong>
+                                                                    </p>
+                                                                </td>
+                                                            </tr>
+                                                            <tr>
+                                                                <td align="left"
+                                                                    style="padding:0;Margin:0;padding-bottom:5px">
+                                                                    <p
+                                                                        style="Margin:0;mso-line-height-rule:exactly;font-family:arial, 'helvetica neue', helvetica, sans-serif;line-height:21px;letter-spacing:0;color:#333333;font-size:14px">
+                                                                        📋 <strong>${i18n.t("waitlistOffer.doctor")}:</strong> ${appointmentData.doctorName}
+                                                                    </p>
+                                                                </td>
+                                                            </tr>
+                                                            <tr>
+                                                                <td align="left"
+                                                                    style="padding:0;Margin:0;padding-bottom:5px">
+                                                                    <p
+                                                                        style="Margin:0;mso-line-height-rule:exactly;font-family:arial, 'helvetica neue', helvetica, sans-serif;line-height:21px;letter-spacing:0;color:#333333;font-size:14px">
+                                                                        📅 <strong>${i18n.t("waitlistOffer.date")}:</strong> ${formattedDate}
+                                                                    </p>
+                                                                </td>
+                                                            </tr>
+                                                            <tr>
+                                                                <td align="left"
+                                                                    style="padding:0;Margin:0;padding-bottom:15px">
+                                                                    <p
+                                                                        style="Margin:0;mso-line-height-rule:exactly;font-family:arial, 'helvetica neue', helvetica, sans-serif;line-height:21px;letter-spacing:0;color:#333333;font-size:14px">
+                                                                        ⏰ <strong>${i18n.t("waitlistOffer.time")}:</strong> ${appointmentData.slot}
+                                                                    </p>
+                                                                </td>
+                                                            </tr>
+                                                        </table>
+                                                    </td>
+                                                </tr>
+                                            </table>
+                                        </td>
+                                    </tr>
+                                    <tr>
+                                        <td align="left"
+                                            style="Margin:0;padding-top:20px;padding-right:20px;padding-left:20px;padding-bottom:30px">
+                                            <table cellpadding="0" cellspacing="0" width="100%" role="none"
+                                                style="mso-table-lspace:0pt;mso-table-rspace:0pt;border-collapse:collapse;border-spacing:0px">
+                                                <tr>
+                                                    <td align="center" valign="top"
+                                                        style="padding:0;Margin:0;width:560px">
+                                                        <table cellpadding="0" cellspacing="0" width="100%"
+                                                            role="presentation"
+                                                            style="mso-table-lspace:0pt;mso-table-rspace:0pt;border-collapse:collapse;border-spacing:0px">
+                                                            <tr>
+                                                                <td align="center" class="es-m-p10t es-m-p10b"
+                                                                    style="padding:0;Margin:0;padding-top:20px;padding-bottom:20px">
+                                                                    <p
+                                                                        style="Margin:0;mso-line-height-rule:exactly;font-family:arial, 'helvetica neue', helvetica, sans-serif;line-height:21px;letter-spacing:0;color:#333333;font-size:14px;margin-bottom:15px">
+                                                                        <strong>${i18n.t("waitlistOffer.claimTitle")}</strong>
+                                                                    </p>
+                                                                    <p
+                                                                        style="Margin:0;mso-line-height-rule:exactly;font-family:arial, 'helvetica neue', helvetica, sans-serif;line-height:21px;letter-spacing:0;color:#666666;font-size:13px;margin-bottom:15px">
+                                                                        ${i18n.t("waitlistOffer.claimDescription", { expiresAt: formattedExpiry })}
+                                                                    </p>
+                                                                    <a href="${claimUrl}"
+                                                                        style="text-decoration:none;display:inline-block;background-color:#f06706;color:#ffffff;padding:12px 30px;border-radius:6px;font-family:arial, 'helvetica neue', helvetica, sans-serif;font-size:14px;font-weight:bold;mso-padding-alt:0;text-decoration:none">
+                                                                        <!--[if mso]>
+                                                                        <span style="padding:12px 30px;background-color:#f06706;color:#ffffff;font-weight:bold;">
+                                                                        <![endif]-->
+                                                                        ${i18n.t("waitlistOffer.claimButton")}
+                                                                        <!--[if mso]>
+                                                                        </span>
+                                                                        <![endif]-->
+                                                                    </a>
+                                                                </td>
+                                                            </tr>
+                                                        </table>
+                                                    </td>
+                                                </tr>
+                                            </table>
+                                        </td>
+                                    </tr>
+                                    <tr>
+                                        <td align="left"
+                                            style="Margin:0;padding-top:20px;padding-right:20px;padding-left:20px;padding-bottom:30px">
+                                            <table cellpadding="0" cellspacing="0" width="100%" role="none"
+                                                style="mso-table-lspace:0pt;mso-table-rspace:0pt;border-collapse:collapse;border-spacing:0px">
+                                                <tr>
+                                                    <td align="center" valign="top"
+                                                        style="padding:0;Margin:0;width:560px">
+                                                        <table cellpadding="0" cellspacing="0" width="100%"
+                                                            role="presentation"
+                                                            style="mso-table-lspace:0pt;mso-table-rspace:0pt;border-collapse:collapse;border-spacing:0px">
+                                                            <tr>
+                                                                <td align="left"
+                                                                    style="padding:0;Margin:0;padding-top:15px">
+                                                                    <p
+                                                                        style="Margin:0;mso-line-height-rule:exactly;font-family:arial, 'helvetica neue', helvetica, sans-serif;line-height:21px;letter-spacing:0;color:#333333;font-size:14px">
+                                                                        ${i18n.t("waitlistOffer.lookingForward")}
+                                                                    </p>
+                                                                </td>
+                                                            </tr>
+                                                            <tr>
+                                                                <td align="left"
+                                                                    style="padding:0;Margin:0;padding-top:15px">
+                                                                    <p
+                                                                        style="Margin:0;mso-line-height-rule:exactly;font-family:arial, 'helvetica neue', helvetica, sans-serif;line-height:21px;letter-spacing:0;color:#333333;font-size:14px">
+                                                                        <strong>${i18n.t("waitlistOffer.regards")}</strong><br>
+                                                                        ${i18n.t("waitlistOffer.practiceName")}
+                                                                    </p>
+                                                                </td>
+                                                            </tr>
+                                                        </table>
+                                                    </td>
+                                                </tr>
+                                            </table>
+                                        </td>
+                                    </tr>
+                                </table>
+                            </td>
+                        </tr>
+                    </table>
+                   ${getEmailFooter(i18n.t("waitlistOffer.footer", { year: currentYear }))}
+                </td>
+            </tr>
+        </table>
+    </div>
+</body>
+
+</html>
+    `;
+  } catch (error) {
+    console.error(
+      "Error generating waitlist offer email template:",
+      error
+    );
+    throw error;
+  }
+}
+
+// Plain-text alternative with the same content as the HTML version
+async function getWaitlistOfferText(appointmentData, locale = "de") {
+  await i18n.changeLanguage(locale);
+
+  const localeMap = {
+    de: "de-DE",
+    en: "en-US",
+    bg: "bg-BG",
+    pl: "pl-PL",
+    tr: "tr-TR",
+  };
+  const dateLocale = localeMap[locale] || "de-DE";
+
+  const formattedDate = new Date(appointmentData.date).toLocaleDateString(
+    dateLocale,
+    { weekday: "long", year: "numeric", month: "long", day: "numeric" }
+  );
+  const websiteUrl = process.env.WEBSITE_URL || "https://praxiskerim.de";
+  const claimUrl = `${websiteUrl}/warteliste?token=${appointmentData.claimToken}`;
+  const formattedExpiry = formatExpiry(appointmentData.expiresAt, dateLocale);
+
+  return formatTextEmail([
+    i18n.t("waitlistOffer.title"),
+    i18n.t("waitlistOffer.greeting"),
+    i18n.t("waitlistOffer.message"),
+    [
+      `${i18n.t("waitlistOffer.offeredAppointmentDetails")}:`,
+      getTextDetails([
+        [`${i18n.t("waitlistOffer.doctor")}:`, appointmentData.doctorName],
+        [`${i18n.t("waitlistOffer.date")}:`, formattedDate],
+        [`${i18n.t("waitlistOffer.time")}:`, appointmentData.slot],
+      ]),
+    ].join("\n"),
+    [
+      i18n.t("waitlistOffer.claimTitle"),
+      i18n.t("waitlistOffer.claimDescription", { expiresAt: formattedExpiry }),
+      claimUrl,
+    ].join("\n"),
+    i18n.t("waitlistOffer.lookingForward"),
+    [i18n.t("waitlistOffer.regards"), i18n.t("waitlistOffer.practiceName")].join("\n"),
+  ]);
+}
+
+module.exports = {
+  getWaitlistOfferTemplate,
+  getWaitlistOfferText,
+};
+
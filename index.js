@@ -6,6 +6,14 @@ const routerConfig = require("./config/routes");
 const {
   startReminderScheduler,
 } = require("./services/appointmentReminderScheduler");
+const { startEmailOutboxWorker } = require("./services/emailOutbox");
+const {
+  startAvailabilityGenerator,
+} = require("./services/availabilityTemplateService");
+const { startWaitlistWorker } = require("./services/waitlistService");
+const {
+  startAppointmentCompletionWorker,
+} = require("./services/appointmentCompletionService");
 
 start();
 async function start() {
@@ -19,6 +27,18 @@ async function start() {
   // Start appointment reminder scheduler (24h and 2h before appointments)
   startReminderScheduler();
 
+  // Retry failed emails from the outbox in the background
+  startEmailOutboxWorker();
+
+  // Turn weekly availability templates into bookable days
+  startAvailabilityGenerator();
+
+  // Pass unclaimed waitlist offers on to the next patient
+  startWaitlistWorker();
+
+  // Complete (or flag for review) appointments that are over
+  startAppointmentCompletionWorker();
+
   app.listen(process.env.PORT, () =>
     console.log("REST Service started!", process.env.PORT)
   );
@@ -1,5 +1,6 @@
 const jwt = require("jsonwebtoken");
 const Admin = require("../models/Admin");
+const { hasPermission } = require("../config/permissions");
 
 // Authenticate admin token
 const authenticateToken = async (req, res, next) => {
@@ -44,6 +45,42 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Authenticate admin token and check that the account's role grants the
+// permission (see config/permissions.js)
+const requirePermission = (permission) => [
+  authenticateToken,
+  (req, res, next) => {
+    if (!hasPermission(req.admin.role, permission)) {
+      return res.status(403).json({
+        message: "Insufficient permissions",
+        permission,
+      });
+    }
+
+    // A doctor account without a doctor would see every schedule
+    if (req.admin.role === "doctor" && !req.admin.doctorId) {
+      return res.status(403).json({
+        message: "Account is not linked to a doctor",
+      });
+    }
+
+    next();
+  },
+];
+
+// Doctor the request is limited to (doctor accounts), or null for all doctors
+const getDoctorScope = (req) =>
+  req.admin?.role === "doctor" ? req.admin.doctorId.toString() : null;
+
+// Whether a document of this doctor lies within the request's scope
+const isInDoctorScope = (req, doctorId) => {
+  const scope = getDoctorScope(req);
+  return !scope || String(doctorId?._id || doctorId) === scope;
+};
+
 module.exports = {
   authenticateToken,
+  requirePermission,
+  getDoctorScope,
+  isInDoctorScope,
 };
@@ -0,0 +1,77 @@
+require("dotenv").config();
+const { rateLimit } = require("express-rate-limit");
+
+/**
+ * Per-IP rate limits (in memory, per server process)
+ * - login: failed logins and 2FA codes per IP
+ * - public forms: bookings, orders and waitlist sign-ups per IP
+ * - slot holds: holds placed while the booking form is open, per IP
+ * - public search: the next-available-slot search, per IP
+ * Behind a reverse proxy set TRUST_PROXY (config/express.js), otherwise all
+ * requests share the proxy's IP.
+ */
+
+const RATE_LIMITED_CODE = "RATE_LIMITED";
+
+const LOGIN_RATE_LIMIT = parseInt(process.env.LOGIN_RATE_LIMIT, 10) || 10;
+const LOGIN_RATE_LIMIT_WINDOW_MINUTES =
+  parseInt(process.env.LOGIN_RATE_LIMIT_WINDOW_MINUTES, 10) || 15;
+const PUBLIC_FORM_RATE_LIMIT =
+  parseInt(process.env.PUBLIC_FORM_RATE_LIMIT, 10) || 20;
+const PUBLIC_FORM_RATE_LIMIT_WINDOW_MINUTES =
+  parseInt(process.env.PUBLIC_FORM_RATE_LIMIT_WINDOW_MINUTES, 10) || 60;
+const SLOT_HOLD_RATE_LIMIT =
+  parseInt(process.env.SLOT_HOLD_RATE_LIMIT, 10) || 30;
+const SLOT_HOLD_RATE_LIMIT_WINDOW_MINUTES =
+  parseInt(process.env.SLOT_HOLD_RATE_LIMIT_WINDOW_MINUTES, 10) || 10;
+const PUBLIC_SEARCH_RATE_LIMIT =
+  parseInt(process.env.PUBLIC_SEARCH_RATE_LIMIT, 10) || 60;
+const PUBLIC_SEARCH_RATE_LIMIT_WINDOW_MINUTES =
+  parseInt(process.env.PUBLIC_SEARCH_RATE_LIMIT_WINDOW_MINUTES, 10) || 10;
+
+function createRateLimit({ limit, windowMinutes, ...options }) {
+  return rateLimit({
+    windowMs: windowMinutes * 60000,
+    limit,
+    standardHeaders: "draft-7", // RateLimit and Retry-After headers
+    legacyHeaders: false,
+    message: {
+      message: "Too many requests, please try again later",
+      code: RATE_LIMITED_CODE,
+    },
+    ...options,
+  });
+}
+
+// Only failed attempts count, so a practice behind one IP is not locked out
+// by its own successful logins
+const loginRateLimit = createRateLimit({
+  limit: LOGIN_RATE_LIMIT,
+  windowMinutes: LOGIN_RATE_LIMIT_WINDOW_MINUTES,
+  skipSuccessfulRequests: true,
+});
+
+const publicFormRateLimit = createRateLimit({
+  limit: PUBLIC_FORM_RATE_LIMIT,
+  windowMinutes: PUBLIC_FORM_RATE_LIMIT_WINDOW_MINUTES,
+});
+
+// Patients click through a few slots before booking, so this one is looser
+const slotHoldRateLimit = createRateLimit({
+  limit: SLOT_HOLD_RATE_LIMIT,
+  windowMinutes: SLOT_HOLD_RATE_LIMIT_WINDOW_MINUTES,
+});
+
+// Searches scan the availability of every doctor over several weeks
+const publicSearchRateLimit = createRateLimit({
+  limit: PUBLIC_SEARCH_RATE_LIMIT,
+  windowMinutes: PUBLIC_SEARCH_RATE_LIMIT_WINDOW_MINUTES,
+});
+
+module.exports = {
+  RATE_LIMITED_CODE,
+  loginRateLimit,
+  publicFormRateLimit,
+  slotHoldRateLimit,
+  publicSearchRateLimit,
+};
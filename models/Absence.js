@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+// A period in which one doctor takes no appointments (vacation, sickness, ...)
+const absenceSchema = new mongoose.Schema(
+  {
+    doctorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Doctor",
+      required: true,
+    },
+    // First and last day of the absence (UTC midnight, both inclusive)
+    startDate: {
+      type: Date,
+      required: true,
+    },
+    endDate: {
+      type: Date,
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: ["vacation", "sickness", "training", "other"],
+      default: "vacation",
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+  },
+  { timestamps: true }
+);
+
+absenceSchema.index({ doctorId: 1, startDate: 1, endDate: 1 });
+
+const Absence = mongoose.model("Absence", absenceSchema);
+
+module.exports = Absence;
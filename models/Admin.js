@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { ROLES } = require("../config/permissions");
 
 const adminSchema = new mongoose.Schema(
   {
@@ -18,6 +19,39 @@ const adminSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // What the account may do, see config/permissions.js. Accounts created
+    // before roles existed are owners
+    role: {
+      type: String,
+      enum: ROLES,
+      default: "owner",
+    },
+    // Doctor whose schedule a doctor account is limited to
+    doctorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Doctor",
+      required: function () {
+        return this.role === "doctor";
+      },
+    },
+    // TOTP two-factor authentication, see services/twoFactor
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String },
+      // Secret during enrollment, until the first code confirms it
+      pendingSecret: { type: String },
+      // SHA-256 hashes of the unused recovery codes
+      recoveryCodes: { type: [String], default: [] },
+      // Time step of the last accepted code, so no code works twice
+      lastUsedStep: { type: Number },
+      enabledAt: { type: Date },
+    },
+    // Failed logins and temporary lockout, see services/loginProtectionService
+    loginSecurity: {
+      failedAttempts: { type: Number, default: 0 },
+      lastFailedAt: { type: Date },
+      lockedUntil: { type: Date },
+    },
     refreshTokens: {
       type: [
         {
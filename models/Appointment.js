@@ -1,134 +1,7 @@
 const mongoose = require("mongoose");
-const Doctor = require("./Doctor");
 
-const BERLIN_TZ = "Europe/Berlin";
-
-const berlinWeekdayFormatter = new Intl.DateTimeFormat("en-US", {
-  timeZone: BERLIN_TZ,
-  weekday: "short",
-});
-
-const berlinOffsetFormatter = new Intl.DateTimeFormat("en-US", {
-  timeZone: BERLIN_TZ,
-  timeZoneName: "shortOffset",
-  hour: "2-digit",
-  minute: "2-digit",
-  second: "2-digit",
-  hour12: false,
-});
-
-const VIDEO_DOCTOR_NAMES = new Set(["M. Cem Samar"]);
-
-function getBerlinOffsetMinutes(date) {
-  const tzPart = berlinOffsetFormatter
-    .formatToParts(date)
-    .find((part) => part.type === "timeZoneName");
-
-  const match = tzPart?.value.match(/GMT([+-]\d{1,2})(?::(\d{2}))?/);
-  if (!match) {
-    return 60; // Default to UTC+1
-  }
-
-  const sign = match[1].startsWith("-") ? -1 : 1;
-  const hours = Math.abs(Number(match[1]));
-  const minutes = match[2] ? Number(match[2]) : 0;
-
-  return sign * (hours * 60 + minutes);
-}
-
-function convertBerlinSlotToUtc(date, slot) {
-  if (!date || !slot) {
-    return null;
-  }
-
-  const [hour, minute] = slot.split(":").map(Number);
-  const year = date.getUTCFullYear();
-  const month = date.getUTCMonth();
-  const day = date.getUTCDate();
-
-  const baseUtcMillis = Date.UTC(year, month, day, hour, minute);
-  const baseDate = new Date(baseUtcMillis);
-  const offsetMinutes = getBerlinOffsetMinutes(baseDate);
-
-  return new Date(baseUtcMillis - offsetMinutes * 60000);
-}
-
-function isBerlinFriday(dateUtc) {
-  if (!dateUtc) {
-    return false;
-  }
-  return berlinWeekdayFormatter.format(dateUtc) === "Fri";
-}
-
-async function isVideoDoctor(doc) {
-  try {
-    if (!doc) {
-      return false;
-    }
-
-    if (typeof doc.populated === "function" && doc.populated("doctorId")) {
-      const populatedDoctor = doc.doctorId;
-      return Boolean(
-        populatedDoctor && VIDEO_DOCTOR_NAMES.has(populatedDoctor.name)
-      );
-    }
-
-    if (
-      doc.doctorId &&
-      typeof doc.doctorId === "object" &&
-      doc.doctorId !== null &&
-      doc.doctorId.name
-    ) {
-      return VIDEO_DOCTOR_NAMES.has(doc.doctorId.name);
-    }
-
-    const doctorId =
-      typeof doc.doctorId === "object" && doc.doctorId !== null
-        ? doc.doctorId._id || doc.doctorId
-        : doc.doctorId;
-
-    if (doctorId) {
-      const doctor = await Doctor.findById(doctorId).select("name").lean();
-      if (doctor && VIDEO_DOCTOR_NAMES.has(doctor.name)) {
-        return true;
-      }
-    }
-  } catch (error) {
-    console.error("Error determining video doctor:", error);
-  }
-
-  return false;
-}
-
-async function deriveIsVideoAppointment(doc) {
-  if (!doc || !doc.date) {
-    return false;
-  }
-
-  const canCheckModified = typeof doc.isModified === "function";
-  const immutable =
-    canCheckModified &&
-    !doc.isModified("date") &&
-    !doc.isModified("slot") &&
-    !doc.isModified("doctorId");
-
-  if (immutable && doc.isVideoAppointment === true) {
-    return true;
-  }
-
-  if (await isVideoDoctor(doc)) {
-    return true;
-  }
-
-  const appointmentDate = doc.date instanceof Date ? doc.date : new Date(doc.date);
-
-  if (!doc.slot) {
-    return isBerlinFriday(appointmentDate);
-  }
-
-  const appointmentDateTimeUtc = convertBerlinSlotToUtc(appointmentDate, doc.slot);
-  return isBerlinFriday(appointmentDateTimeUtc);
-}
+// Statuses of appointments that still take place and hold their slots
+const ACTIVE_STATUSES = ["scheduled", "confirmed"];
 
 const appointmentSchema = new mongoose.Schema({
   doctorId: {
@@ -163,7 +36,7 @@ const appointmentSchema = new mongoose.Schema({
   status: {
     type: String,
     required: true,
-    enum: ["scheduled", "cancelled", "completed"],
+    enum: ["scheduled", "confirmed", "cancelled", "completed", "no_show"],
     default: "scheduled",
   },
   title: {
@@ -178,10 +51,32 @@ const appointmentSchema = new mongoose.Schema({
     type: String,
     trim: true,
   },
+  // Set when booked or moved, see services/videoRuleService
   isVideoAppointment: {
     type: Boolean,
     default: false,
   },
+  // Room of a video appointment, managed by services/video/videoRoomService
+  videoRoom: {
+    provider: String,
+    roomName: String,
+    joinUrl: String,
+    // The room closes (and the join URL stops working) at this time
+    expiresAt: Date,
+    createdAt: Date,
+  },
+  appointmentTypeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "AppointmentType",
+  },
+  // Copied from the appointment type at booking; the appointment holds every
+  // slot duration plus buffer cover. Unset for single-slot appointments
+  durationMinutes: {
+    type: Number,
+  },
+  bufferMinutes: {
+    type: Number,
+  },
   locale: {
     type: String,
     default: "de",
@@ -192,6 +87,12 @@ const appointmentSchema = new mongoose.Schema({
     unique: true,
     sparse: true,
   },
+  // iCalendar SEQUENCE of the invite sent to the patient, bumped on every
+  // reschedule and on cancellation so calendar clients apply the update
+  sequence: {
+    type: Number,
+    default: 0,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -207,16 +108,44 @@ const appointmentSchema = new mongoose.Schema({
     type: String,
     trim: true,
   },
+  // Cancelled by the patient less than LATE_CANCELLATION_HOURS before the start
+  lateCancellation: {
+    type: Boolean,
+    default: false,
+  },
   completedAt: {
     type: Date,
   },
+  // Attendance confirmation: asked with the reminder, answered by the patient
+  confirmationRequestedAt: {
+    type: Date,
+  },
+  confirmedAt: {
+    type: Date,
+  },
+  // Set when staff record that the patient did not show up
+  noShowAt: {
+    type: Date,
+  },
+  // Marked completed by the auto-completion job rather than by staff
+  autoCompleted: {
+    type: Boolean,
+    default: false,
+  },
+  // Past its end but still open; staff should record completed or no_show
+  // (auto-completion job in review mode)
+  needsReview: {
+    type: Boolean,
+    default: false,
+  },
 });
 
-// Create compound index for doctor, date, and slot to prevent double booking
-appointmentSchema.index({ doctorId: 1, date: 1, slot: 1 }, { unique: true });
+// Lookup index for doctor, date, and slot; not unique so cancelled slots can
+// be booked again (double booking is prevented by SlotReservation)
+appointmentSchema.index({ doctorId: 1, date: 1, slot: 1 });
 
 // Update the updatedAt field before saving
-appointmentSchema.pre("save", async function (next) {
+appointmentSchema.pre("save", function (next) {
   this.updatedAt = Date.now();
 
   // Set timestamp based on status change
@@ -232,10 +161,24 @@ appointmentSchema.pre("save", async function (next) {
       case "completed":
         this.completedAt = now;
         break;
+      case "no_show":
+        this.noShowAt = now;
+        break;
     }
+
+    // Staff decided on the outcome
+    this.needsReview = false;
   }
 
-  this.isVideoAppointment = await deriveIsVideoAppointment(this);
+  if (
+    !this.isNew &&
+    (this.isModified("date") ||
+      this.isModified("slot") ||
+      this.isModified("doctorId") ||
+      (this.isModified("status") && this.status === "cancelled"))
+  ) {
+    this.sequence = (this.sequence || 0) + 1;
+  }
 
   next();
 });
@@ -243,3 +186,4 @@ appointmentSchema.pre("save", async function (next) {
 const Appointment = mongoose.model("Appointment", appointmentSchema);
 
 module.exports = Appointment;
+module.exports.ACTIVE_STATUSES = ACTIVE_STATUSES;
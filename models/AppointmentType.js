@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+// Kind of appointment (e.g. Erstgespräch 30 min); decides how many
+// consecutive slots a booking takes
+const appointmentTypeSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      unique: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    durationMinutes: {
+      type: Number,
+      required: true,
+      min: 5,
+      max: 240,
+    },
+    // Time kept free after the appointment (documentation, cleaning, ...)
+    bufferMinutes: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 120,
+    },
+    // Doctors offering this type; empty means all doctors
+    doctorIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Doctor",
+      },
+    ],
+    // Appointments of this type always take place as video consultation
+    isVideo: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+const AppointmentType = mongoose.model(
+  "AppointmentType",
+  appointmentTypeSchema
+);
+
+module.exports = AppointmentType;
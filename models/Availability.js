@@ -17,6 +17,19 @@ const availabilitySchema = new mongoose.Schema({
       match: /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, // HH:MM format validation
     },
   ],
+  // Subset of slots that can only be booked as video consultation
+  videoSlots: [
+    {
+      type: String,
+      match: /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/,
+    },
+  ],
+  // Set when the day was generated from a weekly template; manual edits clear
+  // it so regeneration leaves the day alone
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "AvailabilityTemplate",
+  },
   isActive: {
     type: Boolean,
     default: true,
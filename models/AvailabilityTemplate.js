@@ -0,0 +1,81 @@
+const mongoose = require("mongoose");
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/; // HH:MM format validation
+
+// One block of consecutive slots on a weekday, e.g. Mon 08:00-12:00 every 15 minutes
+const scheduleBlockSchema = new mongoose.Schema(
+  {
+    // 0 = Sunday ... 6 = Saturday (same as Date#getUTCDay)
+    weekday: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 6,
+    },
+    startTime: {
+      type: String,
+      required: true,
+      match: TIME_PATTERN,
+    },
+    // Exclusive: the last slot starts before endTime
+    endTime: {
+      type: String,
+      required: true,
+      match: TIME_PATTERN,
+    },
+    intervalMinutes: {
+      type: Number,
+      default: 15,
+      min: 5,
+      max: 240,
+    },
+    // Slots of this block can only be booked as video consultation
+    videoOnly: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
+
+const availabilityTemplateSchema = new mongoose.Schema(
+  {
+    doctorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Doctor",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // First day (UTC midnight) the template applies to
+    validFrom: {
+      type: Date,
+      required: true,
+    },
+    // Last day the template applies to; open-ended if not set
+    validUntil: {
+      type: Date,
+    },
+    weeklySchedule: {
+      type: [scheduleBlockSchema],
+      default: [],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+availabilityTemplateSchema.index({ doctorId: 1, validFrom: -1 });
+
+const AvailabilityTemplate = mongoose.model(
+  "AvailabilityTemplate",
+  availabilityTemplateSchema
+);
+
+module.exports = AvailabilityTemplate;
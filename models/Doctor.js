@@ -13,6 +13,20 @@ const doctorSchema = new mongoose.Schema(
       min: 1,
       max: 20,
     },
+    // Secret for the read-only calendar feed (/api/doctors/:id/calendar.ics);
+    // not selected by default so it never shows up in the public doctor list
+    calendarToken: {
+      type: String,
+      unique: true,
+      sparse: true,
+      select: false,
+    },
+    // How patients are shown in the calendar feed
+    calendarPrivacy: {
+      type: String,
+      enum: ["initials", "full"],
+      default: "initials",
+    },
   },
   { timestamps: true }
 );
@@ -0,0 +1,89 @@
+const mongoose = require("mongoose");
+
+const emailOutboxSchema = new mongoose.Schema(
+  {
+    // Template that produced the message, e.g. "appointmentConfirmation"
+    type: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    locale: {
+      type: String,
+      default: "de",
+    },
+    from: {
+      type: String,
+      required: true,
+    },
+    to: {
+      type: [String],
+      required: true,
+    },
+    subject: {
+      type: String,
+      required: true,
+    },
+    html: {
+      type: String,
+      required: true,
+    },
+    // Plain-text alternative part
+    text: {
+      type: String,
+    },
+    // Calendar invite sent as text/calendar part (appointment emails)
+    icalEvent: {
+      method: String,
+      filename: String,
+      content: String,
+    },
+    // pending: waiting for first attempt, sending: claimed by a worker,
+    // failed: waiting for retry, dead: gave up (needs manual resend)
+    status: {
+      type: String,
+      required: true,
+      enum: ["pending", "sending", "sent", "failed", "dead"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 6,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedAt: {
+      type: Date,
+    },
+    lastError: {
+      type: String,
+    },
+    messageId: {
+      type: String,
+    },
+    // Mail transport that delivered the message (ses, smtp, file)
+    transport: {
+      type: String,
+    },
+    sentAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+// Worker query: due messages by status
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+// Admin list
+emailOutboxSchema.index({ createdAt: -1 });
+emailOutboxSchema.index({ to: 1, createdAt: -1 });
+
+const EmailOutbox = mongoose.model("EmailOutbox", emailOutboxSchema);
+
+module.exports = EmailOutbox;
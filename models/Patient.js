@@ -20,6 +20,45 @@ const patientSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    // Channel(s) for appointment and order notifications
+    notificationPreference: {
+      type: String,
+      enum: ["email", "sms", "both"],
+      default: "email",
+    },
+    // Attendance record, recalculated from the patient's appointments by
+    // services/patientReliabilityService
+    reliability: {
+      completedCount: {
+        type: Number,
+        default: 0,
+      },
+      noShowCount: {
+        type: Number,
+        default: 0,
+      },
+      lateCancellationCount: {
+        type: Number,
+        default: 0,
+      },
+      lastNoShowAt: {
+        type: Date,
+      },
+      // 0-100; unset while the patient has no outcome yet
+      score: {
+        type: Number,
+      },
+      updatedAt: {
+        type: Date,
+      },
+    },
+    // Online booking: "auto" restricts it once the patient reaches
+    // NO_SHOW_BOOKING_LIMIT no-shows; "blocked" and "allowed" override that
+    bookingRestriction: {
+      type: String,
+      enum: ["auto", "blocked", "allowed"],
+      default: "auto",
+    },
   },
   {
     timestamps: true,
@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+
+const reminderDeliverySchema = new mongoose.Schema(
+  {
+    appointmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+      required: true,
+    },
+    reminderType: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Channel(s) the reminder went out on: email, sms or both
+    channel: {
+      type: String,
+      default: "email",
+    },
+    recipient: {
+      type: String,
+      trim: true,
+    },
+    status: {
+      type: String,
+      required: true,
+      enum: ["sending", "sent", "failed"],
+      default: "sending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    messageId: {
+      type: String,
+    },
+    smsMessageId: {
+      type: String,
+    },
+    // Email outbox entry that carries (and retries) the reminder email
+    outboxId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "EmailOutbox",
+    },
+    error: {
+      type: String,
+    },
+    lastAttemptAt: {
+      type: Date,
+    },
+    sentAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+// One ledger entry per appointment and reminder type - this unique index is
+// what keeps concurrent scheduler instances from sending the same reminder
+reminderDeliverySchema.index(
+  { appointmentId: 1, reminderType: 1 },
+  { unique: true }
+);
+reminderDeliverySchema.index({ status: 1, lastAttemptAt: 1 });
+
+const ReminderDelivery = mongoose.model(
+  "ReminderDelivery",
+  reminderDeliverySchema
+);
+
+module.exports = ReminderDelivery;
@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/; // HH:MM format validation
+
+const reminderRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Rule applies to one doctor only; null means practice-wide default
+    doctorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Doctor",
+      default: null,
+    },
+    appointmentType: {
+      type: String,
+      enum: ["any", "video", "in_person"],
+      default: "any",
+    },
+    // Minutes before the appointment start; an empty list disables reminders
+    offsetsMinutes: {
+      type: [
+        {
+          type: Number,
+          min: 5,
+          max: 30 * 24 * 60,
+        },
+      ],
+      default: [],
+    },
+    // Berlin local time window in which no reminder is sent (may span midnight)
+    quietHours: {
+      start: {
+        type: String,
+        match: TIME_PATTERN,
+      },
+      end: {
+        type: String,
+        match: TIME_PATTERN,
+      },
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// One rule per doctor (or practice default) and appointment type
+reminderRuleSchema.index({ doctorId: 1, appointmentType: 1 }, { unique: true });
+
+const ReminderRule = mongoose.model("ReminderRule", reminderRuleSchema);
+
+module.exports = ReminderRule;
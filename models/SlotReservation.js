@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+// Claim on one bookable slot; at most one per doctor, day and slot. Owned
+// either by an appointment or, while the patient fills in the booking form,
+// by a temporary hold (holdToken + expiresAt)
+const slotReservationSchema = new mongoose.Schema({
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Doctor",
+    required: true,
+  },
+  // Appointment day (UTC midnight) and Berlin "HH:MM" slot, as on Appointment
+  date: {
+    type: Date,
+    required: true,
+  },
+  slot: {
+    type: String,
+    required: true,
+    match: /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/,
+  },
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Appointment",
+  },
+  holdToken: {
+    type: String,
+    unique: true,
+    sparse: true,
+  },
+  // Only set on holds; removed when the hold becomes an appointment
+  expiresAt: {
+    type: Date,
+  },
+  // Hashed client (IP) that placed the hold; one active hold per client
+  holderKey: {
+    type: String,
+  },
+  claimedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// The unique index is what makes claiming a slot atomic
+slotReservationSchema.index(
+  { doctorId: 1, date: 1, slot: 1 },
+  { unique: true }
+);
+slotReservationSchema.index({ appointmentId: 1 });
+slotReservationSchema.index({ holderKey: 1 }, { sparse: true });
+// MongoDB removes expired holds by itself (within about a minute)
+slotReservationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const SlotReservation = mongoose.model(
+  "SlotReservation",
+  slotReservationSchema
+);
+
+module.exports = SlotReservation;
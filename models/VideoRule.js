@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+// Appointments matching a rule take place as video consultation
+const videoRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Rule applies to one doctor only; null means all doctors
+    doctorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Doctor",
+      default: null,
+    },
+    // Berlin weekdays, 0 = Sunday; empty means every day
+    weekdays: {
+      type: [
+        {
+          type: Number,
+          min: 0,
+          max: 6,
+        },
+      ],
+      default: [],
+    },
+    // Optional date range (UTC midnight, both inclusive)
+    startDate: {
+      type: Date,
+    },
+    endDate: {
+      type: Date,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+videoRuleSchema.index({ isActive: 1, doctorId: 1 });
+
+const VideoRule = mongoose.model("VideoRule", videoRuleSchema);
+
+module.exports = VideoRule;
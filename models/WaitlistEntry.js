@@ -0,0 +1,82 @@
+const mongoose = require("mongoose");
+
+// A patient waiting for a slot with one doctor within a date range
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    doctorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Doctor",
+      required: true,
+    },
+    // First and last acceptable day (UTC midnight, both inclusive)
+    startDate: {
+      type: Date,
+      required: true,
+    },
+    endDate: {
+      type: Date,
+      required: true,
+    },
+    patientEmail: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      match: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    },
+    patientName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    patientPhone: {
+      type: String,
+      trim: true,
+    },
+    birthdate: {
+      type: String,
+      trim: true,
+    },
+    locale: {
+      type: String,
+      default: "de",
+      enum: ["de", "en", "bg", "pl", "tr"],
+    },
+    // Lets the patient check, claim or leave the waitlist without an account
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    status: {
+      type: String,
+      enum: ["waiting", "offered", "booked", "expired", "withdrawn"],
+      default: "waiting",
+    },
+    // Current offer; the slot is held for the patient until expiresAt
+    offer: {
+      date: Date,
+      slot: String,
+      holdToken: String,
+      offeredAt: Date,
+      expiresAt: Date,
+    },
+    // "YYYY-MM-DD HH:MM" of every slot offered so far, never offered twice
+    offeredSlots: {
+      type: [String],
+      default: [],
+    },
+    appointmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+    },
+  },
+  { timestamps: true }
+);
+
+waitlistEntrySchema.index({ doctorId: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ status: 1, "offer.expiresAt": 1 });
+
+const WaitlistEntry = mongoose.model("WaitlistEntry", waitlistEntrySchema);
+
+module.exports = WaitlistEntry;
@@ -29,6 +29,7 @@ async function createAdmin() {
       name,
       email,
       password: hashedPassword,
+      role: "owner",
     });
 
     await admin.save();
@@ -0,0 +1,97 @@
+const mongoose = require("mongoose");
+const Appointment = require("../models/Appointment");
+const SlotReservation = require("../models/SlotReservation");
+
+const { ACTIVE_STATUSES } = Appointment;
+
+require("dotenv").config();
+
+async function migrateSlotReservations() {
+  try {
+    console.log("🔧 Starting slot reservation migration...");
+
+    // Connect to database
+    await mongoose.connect(process.env.DB_CONNECTION_STRING, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log("✅ Connected to database");
+
+    const collection = mongoose.connection.db.collection("appointments");
+
+    // The old unique index blocks re-booking cancelled slots
+    try {
+      console.log("\n🗑️  Dropping unique 'doctorId_1_date_1_slot_1' index...");
+      const indexes = await collection.indexes();
+      const oldIndex = indexes.find(
+        (index) => index.name === "doctorId_1_date_1_slot_1"
+      );
+
+      if (oldIndex && oldIndex.unique) {
+        await collection.dropIndex("doctorId_1_date_1_slot_1");
+        console.log("✅ Unique index dropped");
+      } else {
+        console.log("ℹ️  Unique index not found (already dropped)");
+      }
+    } catch (error) {
+      console.log(`⚠️  Error dropping index: ${error.message}`);
+    }
+
+    await Appointment.syncIndexes();
+    await SlotReservation.syncIndexes();
+    console.log("✅ Indexes in sync with the models");
+
+    // Give every active appointment a reservation for its slot
+    console.log("\n📝 Creating reservations for active appointments...");
+    const appointments = await Appointment.find({
+      status: { $in: ACTIVE_STATUSES },
+    })
+      .select("doctorId date slot")
+      .lean();
+
+    let created = 0;
+    let existing = 0;
+    let conflicts = 0;
+
+    for (const appointment of appointments) {
+      const key = {
+        doctorId: appointment.doctorId,
+        date: appointment.date,
+        slot: appointment.slot,
+      };
+      const reservation = await SlotReservation.findOne(key).lean();
+
+      if (!reservation) {
+        await SlotReservation.create({
+          ...key,
+          appointmentId: appointment._id,
+        });
+        created += 1;
+      } else if (
+        String(reservation.appointmentId) === appointment._id.toString()
+      ) {
+        existing += 1;
+      } else {
+        conflicts += 1;
+        console.log(
+          `⚠️  Slot ${appointment.date.toISOString().slice(0, 10)} ${appointment.slot} is held by ${reservation.appointmentId}, appointment ${appointment._id} shares it`
+        );
+      }
+    }
+
+    console.log(
+      `📊 ${created} created, ${existing} already present, ${conflicts} conflict(s)`
+    );
+    console.log("\n🎉 Slot reservation migration completed successfully!");
+  } catch (error) {
+    console.error("❌ Error migrating slot reservations:", error);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log("👋 Disconnected from database");
+    process.exit(0);
+  }
+}
+
+// Run the migration
+migrateSlotReservations();
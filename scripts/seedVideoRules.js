@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+const Doctor = require("../models/Doctor");
+const VideoRule = require("../models/VideoRule");
+
+require("dotenv").config();
+
+// The rules that used to be hardcoded: every Friday is a video day, and
+// these doctors only offer video consultations
+const FRIDAY_RULE_NAME = "Freitag Videosprechstunde";
+const VIDEO_DOCTOR_NAMES = ["M. Cem Samar"];
+
+async function createRuleIfMissing(name, rule) {
+  const existing = await VideoRule.findOne({ name });
+  if (existing) {
+    console.log(`ℹ️  Rule "${name}" already exists, skipping`);
+    return;
+  }
+
+  await VideoRule.create({ name, ...rule });
+  console.log(`✅ Rule "${name}" created`);
+}
+
+async function seedVideoRules() {
+  try {
+    console.log("🔧 Seeding video consultation rules...");
+
+    await mongoose.connect(process.env.DB_CONNECTION_STRING, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log("✅ Connected to database");
+
+    await createRuleIfMissing(FRIDAY_RULE_NAME, {
+      doctorId: null,
+      weekdays: [5],
+    });
+
+    for (const doctorName of VIDEO_DOCTOR_NAMES) {
+      const doctor = await Doctor.findOne({ name: doctorName }).select("_id");
+      if (!doctor) {
+        console.log(`⚠️  Doctor "${doctorName}" not found, skipping`);
+        continue;
+      }
+
+      await createRuleIfMissing(`Video only: ${doctorName}`, {
+        doctorId: doctor._id,
+        weekdays: [],
+      });
+    }
+
+    console.log("\n✅ Video rules seeded");
+  } catch (error) {
+    console.error("❌ Error seeding video rules:", error);
+  } finally {
+    await mongoose.disconnect();
+    process.exit(0);
+  }
+}
+
+seedVideoRules();
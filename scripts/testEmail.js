@@ -1,16 +1,22 @@
 require("dotenv").config();
 const { sendAppointmentConfirmation } = require("../services/mailer");
+const { getMailTransport } = require("../services/mail/mailTransport");
 
 // Test email sending
 async function testEmail() {
   try {
     console.log("Testing email configuration...");
-    console.log("AWS Region: eu-north-1");
+    console.log("Mail transport:", getMailTransport().name);
     console.log("From: info@praxiskerim.de");
-    console.log("Credentials loaded:", {
-      accessKeyId: process.env.AWS_SES_KEY_ID ? "SET" : "NOT SET",
-      secretKey: process.env.AWS_SES_SECRET_KEY_ID ? "SET" : "NOT SET",
-    });
+    if (getMailTransport().name === "ses") {
+      console.log("AWS Region: eu-north-1");
+      console.log("Credentials loaded:", {
+        accessKeyId: process.env.AWS_SES_KEY_ID ? "SET" : "NOT SET",
+        secretKey: process.env.AWS_SES_SECRET_KEY_ID ? "SET" : "NOT SET",
+      });
+    } else {
+      console.log("(set MAIL_TRANSPORT=ses to send through Amazon SES)");
+    }
 
     const testAppointment = {
       doctorName: "Dr. Test",
@@ -18,6 +24,7 @@ async function testEmail() {
       slot: "10:30",
       title: "Test Appointment",
       description: "This is a test email",
+      appointmentId: "test-appointment", // attaches a calendar invite
     };
 
     // Replace with your verified email address
@@ -0,0 +1,148 @@
+require("dotenv").config();
+const cron = require("node-cron");
+const Appointment = require("../models/Appointment");
+const { ACTIVE_STATUSES } = Appointment;
+const { getAppointmentStartUtc } = require("../utils/berlinTime");
+const { DEFAULT_SLOT_MINUTES } = require("./appointmentTypeService");
+const { releaseVideoRoom } = require("./video/videoRoomService");
+const { updatePatientReliability } = require("./patientReliabilityService");
+
+/**
+ * Appointment auto-completion
+ *
+ * Appointments still open APPOINTMENT_COMPLETION_GRACE_MINUTES after their
+ * Berlin-local end (start plus duration) are closed by a background job.
+ * Depending on APPOINTMENT_COMPLETION_MODE they are
+ * - "complete" (default): marked completed with autoCompleted set, so staff
+ *   only have to record the no-shows
+ * - "review": left open and flagged needsReview until staff record completed
+ *   or no_show
+ */
+
+const APPOINTMENT_COMPLETION_MODE =
+  process.env.APPOINTMENT_COMPLETION_MODE === "review" ? "review" : "complete";
+const APPOINTMENT_COMPLETION_GRACE_MINUTES =
+  parseInt(process.env.APPOINTMENT_COMPLETION_GRACE_MINUTES, 10) || 30;
+const APPOINTMENT_COMPLETION_INTERVAL =
+  process.env.APPOINTMENT_COMPLETION_INTERVAL || "*/15 * * * *"; // Default: every 15 minutes
+
+let isProcessing = false;
+
+/**
+ * Get the end of an appointment in UTC
+ * @param {Object} appointment - Appointment document or plain object
+ * @returns {Date|null} Start plus duration (one slot without a type)
+ */
+function getAppointmentEndUtc(appointment) {
+  const startsAt = getAppointmentStartUtc(appointment);
+
+  if (!startsAt) {
+    return null;
+  }
+
+  const durationMinutes = appointment.durationMinutes || DEFAULT_SLOT_MINUTES;
+  return new Date(startsAt.getTime() + durationMinutes * 60000);
+}
+
+/**
+ * Find open appointments whose end plus grace time has passed
+ * @param {Date} now - Current time
+ * @returns {Promise<Array>} Appointment documents
+ */
+async function findAppointmentsDueForCompletion(now = new Date()) {
+  const cutoff = new Date(
+    now.getTime() - APPOINTMENT_COMPLETION_GRACE_MINUTES * 60000
+  );
+
+  // Appointment.date is the UTC midnight of the Berlin day, so every
+  // appointment that ended before the cutoff is on or before its date
+  const appointments = await Appointment.find({
+    status: { $in: ACTIVE_STATUSES },
+    needsReview: { $ne: true },
+    date: { $lte: cutoff },
+  });
+
+  return appointments.filter((appointment) => {
+    const endsAt = getAppointmentEndUtc(appointment);
+    return endsAt && endsAt <= cutoff;
+  });
+}
+
+/**
+ * Complete (or flag for review) every appointment that is due
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { completed, flagged }
+ */
+async function processAppointmentCompletion(now = new Date()) {
+  const stats = { completed: 0, flagged: 0 };
+  const appointments = await findAppointmentsDueForCompletion(now);
+
+  for (const appointment of appointments) {
+    // Conditional update instead of save() so an outcome staff recorded in
+    // the meantime is never overwritten
+    const update =
+      APPOINTMENT_COMPLETION_MODE === "review"
+        ? { needsReview: true, updatedAt: now }
+        : {
+            status: "completed",
+            completedAt: now,
+            autoCompleted: true,
+            updatedAt: now,
+          };
+
+    const result = await Appointment.updateOne(
+      { _id: appointment._id, status: { $in: ACTIVE_STATUSES } },
+      { $set: update }
+    );
+    if (result.modifiedCount === 0) {
+      continue;
+    }
+
+    await releaseVideoRoom(appointment);
+
+    if (APPOINTMENT_COMPLETION_MODE === "review") {
+      stats.flagged += 1;
+    } else {
+      stats.completed += 1;
+      await updatePatientReliability(appointment.patientEmail);
+    }
+  }
+
+  return stats;
+}
+
+function startAppointmentCompletionWorker() {
+  const run = async () => {
+    // Skip the run if the previous one is still busy
+    if (isProcessing) {
+      return;
+    }
+
+    isProcessing = true;
+    try {
+      const stats = await processAppointmentCompletion();
+      if (stats.completed > 0 || stats.flagged > 0) {
+        console.log(
+          `🏁 Appointment completion: ${stats.completed} completed, ${stats.flagged} flagged for review`
+        );
+      }
+    } catch (error) {
+      console.error("❌ Error completing past appointments:", error);
+    } finally {
+      isProcessing = false;
+    }
+  };
+
+  cron.schedule(APPOINTMENT_COMPLETION_INTERVAL, run);
+
+  console.log(
+    `🏁 Appointment completion worker started (interval: ${APPOINTMENT_COMPLETION_INTERVAL}, mode: ${APPOINTMENT_COMPLETION_MODE}, grace ${APPOINTMENT_COMPLETION_GRACE_MINUTES} min)`
+  );
+}
+
+module.exports = {
+  getAppointmentEndUtc,
+  findAppointmentsDueForCompletion,
+  processAppointmentCompletion,
+  startAppointmentCompletionWorker,
+};
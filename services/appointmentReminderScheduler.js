@@ -1,35 +1,229 @@
 const cron = require("node-cron");
 const Appointment = require("../models/Appointment");
-const { sendAppointmentReminder } = require("./mailer");
+const { ACTIVE_STATUSES } = Appointment;
+const ReminderDelivery = require("../models/ReminderDelivery");
+const { notifyAppointmentReminder } = require("./notificationService");
+const { getAppointmentStartUtc } = require("../utils/berlinTime");
+const {
+  getDefaultReminderRule,
+  loadActiveReminderRules,
+  resolveReminderRule,
+  getMaxOffsetMinutes,
+  getReminderTypeKey,
+  isWithinQuietHours,
+  getReminderSendTime,
+} = require("./reminderRuleService");
+const {
+  syncVideoRoom,
+  getVideoJoinPageUrl,
+} = require("./video/videoRoomService");
 
 /**
  * Appointment Reminder Scheduler - Production Ready
  *
- * Sends automatic reminders 24 hours and 2 hours before appointments
+ * Sends automatic reminders before appointments according to the reminder
+ * rules managed under /api/reminder-rules (per doctor, video vs. in-practice,
+ * any number of offsets, quiet hours). Without a matching rule it falls back
+ * to 24h and 2h reminders, switched by ENABLE_24H_REMINDERS/ENABLE_2H_REMINDERS.
  *
  * Features:
- * - Duplicate prevention with in-memory tracking
- * - Automatic cleanup of old tracking data
+ * - Duplicate prevention with a persistent MongoDB ledger (ReminderDelivery),
+ *   safe across restarts and multiple server instances
+ * - Email and/or SMS delivery according to the patient's notification preference
+ * - Retries of failed sends up to REMINDER_MAX_ATTEMPTS
  * - Comprehensive error handling
  * - Detailed logging with timestamps
  * - Environment-based configuration
  * - Configurable via environment variables
  */
 
-// Track sent reminders to avoid duplicates (in-memory)
-const sentReminders = new Set();
-
 // Production configuration from environment variables
 const PRODUCTION_MODE = process.env.NODE_ENV === "production";
 const REMINDER_CHECK_INTERVAL =
   process.env.REMINDER_CHECK_INTERVAL || "*/30 * * * *"; // Default: every 30 minutes
-const ENABLE_24H_REMINDERS = process.env.ENABLE_24H_REMINDERS !== "false"; // Default: true
-const ENABLE_2H_REMINDERS = process.env.ENABLE_2H_REMINDERS !== "false"; // Default: true
+const REMINDER_MAX_ATTEMPTS =
+  parseInt(process.env.REMINDER_MAX_ATTEMPTS, 10) || 3; // Default: 3 attempts
+const REMINDER_CATCH_UP_MINUTES =
+  parseInt(process.env.REMINDER_CATCH_UP_MINUTES, 10) || 60; // Default: 1 hour
+
+// Look-ahead window per run (matches the default check interval)
+const REMINDER_WINDOW_MINUTES = 30;
+// A "sending" claim older than this is treated as abandoned (e.g. crash mid-send)
+const STALE_CLAIM_MINUTES = 15;
+
+// Email address, or phone number for patients reachable by SMS only
+function getRecipientLabel(appointment) {
+  return appointment.patientEmail || appointment.patientPhone;
+}
+
+/**
+ * Atomically claim a reminder for sending.
+ * Returns the ledger entry when this process may send, or null when the
+ * reminder was already sent, is being sent elsewhere, or ran out of attempts.
+ * @param {Object} appointment - Appointment document
+ * @param {string} reminderType - Reminder type key (e.g. "24h")
+ * @returns {Promise<Object|null>} ReminderDelivery document or null
+ */
+async function claimReminder(appointment, reminderType) {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - STALE_CLAIM_MINUTES * 60000);
+
+  // Take over a failed or abandoned attempt
+  const retried = await ReminderDelivery.findOneAndUpdate(
+    {
+      appointmentId: appointment._id,
+      reminderType,
+      attempts: { $lt: REMINDER_MAX_ATTEMPTS },
+      $or: [
+        { status: "failed" },
+        { status: "sending", lastAttemptAt: { $lt: staleBefore } },
+      ],
+    },
+    {
+      $set: {
+        status: "sending",
+        recipient: getRecipientLabel(appointment),
+        lastAttemptAt: now,
+      },
+      $inc: { attempts: 1 },
+    },
+    { new: true }
+  );
+
+  if (retried) {
+    return retried;
+  }
+
+  try {
+    return await ReminderDelivery.create({
+      appointmentId: appointment._id,
+      reminderType,
+      recipient: getRecipientLabel(appointment),
+      status: "sending",
+      attempts: 1,
+      lastAttemptAt: now,
+    });
+  } catch (error) {
+    // Unique index violation: an entry exists and is not claimable
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Find upcoming appointments that may need a reminder within the horizon
+ * @param {Date} now - Current time
+ * @param {number} horizonMinutes - Largest reminder offset plus look-ahead
+ * @returns {Promise<Array>} Appointment documents with populated doctor
+ */
+async function findUpcomingAppointments(now, horizonMinutes) {
+  const horizonEnd = new Date(now.getTime() + horizonMinutes * 60000);
+
+  // Appointment.date is the UTC midnight of the Berlin day, so widen the
+  // date query by one day and filter on the exact start time afterwards
+  const dayFrom = new Date(now);
+  dayFrom.setUTCHours(0, 0, 0, 0);
+  dayFrom.setUTCDate(dayFrom.getUTCDate() - 1);
+
+  const appointments = await Appointment.find({
+    status: { $in: ACTIVE_STATUSES },
+    date: { $gte: dayFrom, $lte: horizonEnd },
+  })
+    .populate("doctorId", "name")
+    .exec();
+
+  return appointments.filter((appointment) => {
+    const startsAt = getAppointmentStartUtc(appointment);
+    return startsAt && startsAt > now && startsAt <= horizonEnd;
+  });
+}
+
+function isReminderDue(sendAt, now) {
+  return (
+    sendAt <= new Date(now.getTime() + REMINDER_WINDOW_MINUTES * 60000) &&
+    sendAt > new Date(now.getTime() - REMINDER_CATCH_UP_MINUTES * 60000)
+  );
+}
+
+async function sendReminderIfDue(appointment, reminderType) {
+  const { isVideoAppointment } = appointment;
+  const shortId = `${appointment._id.toString().substring(0, 8)}...`;
+
+  if (!appointment.patientEmail && !appointment.patientPhone) {
+    console.log(`  ⚠️  No patient email or phone | Appointment: ${shortId}`);
+    return "skipped";
+  }
+
+  const delivery = await claimReminder(appointment, reminderType);
+
+  if (!delivery) {
+    console.log(`  ⏭️  Already handled for ${getRecipientLabel(appointment)}`);
+    return "skipped";
+  }
+
+  try {
+    // The reminder carries the join link, so make sure the room exists
+    if (isVideoAppointment) {
+      await syncVideoRoom(appointment);
+    }
+
+    const result = await notifyAppointmentReminder(
+      { email: appointment.patientEmail, phone: appointment.patientPhone },
+      {
+        patientName: appointment.patientName || "Patient",
+        doctorName: appointment.doctorId?.name || "Dr. Kerim",
+        date: appointment.date,
+        slot: appointment.slot,
+        isVideoAppointment,
+        videoJoinUrl: isVideoAppointment
+          ? getVideoJoinPageUrl(appointment)
+          : null,
+        // Ask for attendance until the patient has confirmed
+        confirmationToken:
+          appointment.status === "scheduled" ? appointment.managementToken : null,
+      },
+      reminderType,
+      appointment.locale || "de"
+    );
+
+    delivery.status = "sent";
+    delivery.sentAt = new Date();
+    delivery.channel = result.channels.length > 1 ? "both" : result.channels[0];
+    delivery.messageId = result.email?.MessageId;
+    delivery.outboxId = result.email?.outboxId;
+    delivery.smsMessageId = result.sms?.messageId;
+    delivery.error = undefined;
+    await delivery.save();
+
+    // Unanswered from now on; stored without save() so the sequence stays
+    if (appointment.status === "scheduled" && appointment.managementToken) {
+      await Appointment.updateOne(
+        { _id: appointment._id, confirmationRequestedAt: { $exists: false } },
+        { $set: { confirmationRequestedAt: delivery.sentAt } }
+      );
+    }
 
-const VIDEO_DOCTOR_NAMES = new Set(["M. Cem Samar"]);
+    console.log(
+      `  ✅ Sent to ${getRecipientLabel(appointment)} via ${result.channels.join(", ")} | Appointment: ${shortId}`
+    );
+    return "sent";
+  } catch (error) {
+    delivery.status = "failed";
+    delivery.error = error.message;
+    await delivery.save().catch((saveError) => {
+      console.error(
+        `  ❌ Could not record failed reminder for ${shortId}:`,
+        saveError.message
+      );
+    });
 
-function getReminderKey(appointmentId, type) {
-  return `${appointmentId}_${type}`;
+    console.error(
+      `  ❌ Failed for ${getRecipientLabel(appointment)} (attempt ${delivery.attempts}/${REMINDER_MAX_ATTEMPTS}) | Error: ${error.message}`
+    );
+    return "failed";
+  }
 }
 
 async function checkAndSendReminders() {
@@ -40,174 +234,56 @@ async function checkAndSendReminders() {
   console.log(`[${timestamp}] 🔄 Checking for appointment reminders...`);
   console.log(`${"=".repeat(60)}`);
 
-  // Calculate time windows (with 30-minute buffer for safety)
-  const in24Hours = new Date(now.getTime() + 24 * 60 * 60 * 1000);
-  const in24HoursPlus30Min = new Date(
-    now.getTime() + (24 * 60 + 30) * 60 * 1000
-  );
-
-  const in2Hours = new Date(now.getTime() + 2 * 60 * 60 * 1000);
-  const in2HoursPlus30Min = new Date(now.getTime() + (2 * 60 + 30) * 60 * 1000);
-
   let totalSent = 0;
   let totalFailed = 0;
 
   try {
-    // ==================== 24-HOUR REMINDERS ====================
-    if (ENABLE_24H_REMINDERS) {
-      const appointments24h = await Appointment.find({
-        status: { $in: ["scheduled", "confirmed"] },
-      })
-        .populate("doctorId", "name")
-        .exec();
-
-      const filtered24h = appointments24h.filter((appointment) => {
-        const when = new Date(appointment.date);
-        return when >= in24Hours && when <= in24HoursPlus30Min;
-      });
+    const rules = await loadActiveReminderRules();
+    const horizonMinutes = getMaxOffsetMinutes(rules) + REMINDER_WINDOW_MINUTES;
 
-      console.log(
-        `\n📋 24-Hour Reminders: Found ${filtered24h.length} appointments`
-      );
+    const appointments = await findUpcomingAppointments(now, horizonMinutes);
 
-      for (const appointment of filtered24h) {
-        const reminderKey = getReminderKey(appointment._id, "24h");
-
-        if (!sentReminders.has(reminderKey)) {
-          try {
-            const patientName =
-              `${appointment.patient.firstName || ""} ${appointment.patient.lastName || ""}`.trim() ||
-              "Patient";
-            const doctorNameTrimmed = appointment.doctorId?.name
-              ? appointment.doctorId.name.trim()
-              : "";
-            const isVideoDoctor = VIDEO_DOCTOR_NAMES.has(doctorNameTrimmed);
-            const isVideoAppointment =
-              appointment.isVideoAppointment || isVideoDoctor;
-
-            await sendAppointmentReminder(
-              appointment.patient.email,
-              {
-                patientName,
-                doctorName: appointment.doctorId?.name || "Dr. Kerim",
-                date: appointment.date,
-                slot: appointment.slot,
-                isVideoAppointment,
-              },
-              "24h",
-              appointment.patient.locale || "de"
-            );
-
-            sentReminders.add(reminderKey);
-            totalSent++;
-            console.log(
-              `  ✅ Sent to ${appointment.patient.email} | Appointment: ${appointment._id.toString().substring(0, 8)}...`
-            );
-          } catch (error) {
-            totalFailed++;
-            console.error(
-              `  ❌ Failed for ${appointment.patient.email} | Error: ${error.message}`
-            );
-          }
-        } else {
-          console.log(`  ⏭️  Already sent to ${appointment.patient.email}`);
-        }
-      }
-    } else {
-      console.log(
-        `\n⚠️  24-hour reminders are DISABLED (set ENABLE_24H_REMINDERS=true to enable)`
-      );
-    }
+    console.log(
+      `\n📋 ${appointments.length} upcoming appointments, ${rules.length} active reminder rules`
+    );
 
-    // ==================== 2-HOUR REMINDERS ====================
-    if (ENABLE_2H_REMINDERS) {
-      const appointments2h = await Appointment.find({
-        status: { $in: ["scheduled", "confirmed"] },
-      })
-        .populate("doctorId", "name")
-        .exec();
-
-      const filtered2h = appointments2h.filter((appointment) => {
-        const when = new Date(appointment.date);
-        return when >= in2Hours && when <= in2HoursPlus30Min;
+    for (const appointment of appointments) {
+      const startsAt = getAppointmentStartUtc(appointment);
+      const rule = resolveReminderRule(rules, {
+        doctorId: appointment.doctorId?._id || appointment.doctorId,
+        isVideoAppointment: appointment.isVideoAppointment,
       });
 
-      console.log(
-        `\n📋 2-Hour Reminders: Found ${filtered2h.length} appointments`
-      );
+      for (const offsetMinutes of rule.offsetsMinutes || []) {
+        const sendAt = getReminderSendTime(
+          startsAt,
+          offsetMinutes,
+          rule.quietHours
+        );
 
-      for (const appointment of filtered2h) {
-        const reminderKey = getReminderKey(appointment._id, "2h");
-
-        if (!sentReminders.has(reminderKey)) {
-          try {
-            const patientName =
-              `${appointment.patient.firstName || ""} ${appointment.patient.lastName || ""}`.trim() ||
-              "Patient";
-            const doctorNameTrimmed = appointment.doctorId?.name
-              ? appointment.doctorId.name.trim()
-              : "";
-            const isVideoDoctor = VIDEO_DOCTOR_NAMES.has(doctorNameTrimmed);
-            const isVideoAppointment =
-              appointment.isVideoAppointment || isVideoDoctor;
-
-            await sendAppointmentReminder(
-              appointment.patient.email,
-              {
-                patientName,
-                doctorName: appointment.doctorId?.name || "Dr. Kerim",
-                date: appointment.date,
-                slot: appointment.slot,
-                isVideoAppointment,
-              },
-              "2h",
-              appointment.patient.locale || "de"
-            );
-
-            sentReminders.add(reminderKey);
-            totalSent++;
-            console.log(
-              `  ✅ Sent to ${appointment.patient.email} | Appointment: ${appointment._id.toString().substring(0, 8)}...`
-            );
-          } catch (error) {
-            totalFailed++;
-            console.error(
-              `  ❌ Failed for ${appointment.patient.email} | Error: ${error.message}`
-            );
-          }
-        } else {
-          console.log(`  ⏭️  Already sent to ${appointment.patient.email}`);
+        if (!isReminderDue(sendAt, now)) {
+          continue;
         }
-      }
-    } else {
-      console.log(
-        `\n⚠️  2-hour reminders are DISABLED (set ENABLE_2H_REMINDERS=true to enable)`
-      );
-    }
 
-    // ==================== CLEANUP OLD TRACKING DATA ====================
-    const twoDaysAgo = new Date(now.getTime() - 48 * 60 * 60 * 1000);
-    const oldAppointments = await Appointment.find({
-      date: { $lt: twoDaysAgo },
-    }).select("_id");
-
-    let cleanedCount = 0;
-    for (const apt of oldAppointments) {
-      const deleted24h = sentReminders.delete(getReminderKey(apt._id, "24h"));
-      const deleted2h = sentReminders.delete(getReminderKey(apt._id, "2h"));
-      if (deleted24h || deleted2h) cleanedCount++;
-    }
+        const reminderType = getReminderTypeKey(offsetMinutes);
 
-    if (cleanedCount > 0) {
-      console.log(
-        `\n🧹 Cleaned up ${cleanedCount} old reminder tracking entries`
-      );
+        if (isWithinQuietHours(now, rule.quietHours)) {
+          console.log(
+            `  🌙 Quiet hours (${rule.name}) - holding ${reminderType} reminder for ${getRecipientLabel(appointment)}`
+          );
+          continue;
+        }
+
+        console.log(`\n🔔 ${reminderType} reminder (rule: ${rule.name})`);
+        const result = await sendReminderIfDue(appointment, reminderType);
+        if (result === "sent") totalSent++;
+        if (result === "failed") totalFailed++;
+      }
     }
 
     // ==================== SUMMARY ====================
     console.log(`\n${"=".repeat(60)}`);
     console.log(`📊 Summary: ${totalSent} sent, ${totalFailed} failed`);
-    console.log(`💾 Tracking ${sentReminders.size} sent reminders in memory`);
     console.log(`${"=".repeat(60)}\n`);
   } catch (error) {
     console.error(`\n❌ CRITICAL ERROR in reminder scheduler:`);
@@ -216,6 +292,18 @@ async function checkAndSendReminders() {
   }
 }
 
+/**
+ * Get the reminder delivery history for an appointment
+ * @param {string} appointmentId - Appointment ID
+ * @returns {Promise<Array>} ReminderDelivery entries, oldest first
+ */
+async function getReminderHistory(appointmentId) {
+  return ReminderDelivery.find({ appointmentId })
+    .populate("outboxId", "status attempts lastError sentAt")
+    .sort({ createdAt: 1 })
+    .lean();
+}
+
 /**
  * Start the reminder scheduler
  * Production-ready with configurable interval and error handling
@@ -229,11 +317,13 @@ function startReminderScheduler() {
   );
   console.log(`Schedule: ${REMINDER_CHECK_INTERVAL}`);
   console.log(
-    `24h Reminders: ${ENABLE_24H_REMINDERS ? "ENABLED ✅" : "DISABLED ❌"}`
-  );
-  console.log(
-    `2h Reminders: ${ENABLE_2H_REMINDERS ? "ENABLED ✅" : "DISABLED ❌"}`
+    `Fallback offsets: ${
+      getDefaultReminderRule()
+        .offsetsMinutes.map(getReminderTypeKey)
+        .join(", ") || "none"
+    } (used when no reminder rule matches)`
   );
+  console.log(`Max attempts per reminder: ${REMINDER_MAX_ATTEMPTS}`);
   console.log(`${"=".repeat(60)}\n`);
 
   // Validate cron expression
@@ -265,4 +355,4 @@ function startReminderScheduler() {
   console.log(`   Next check will run according to schedule: ${schedule}\n`);
 }
 
-module.exports = { startReminderScheduler };
+module.exports = { startReminderScheduler, getReminderHistory };
@@ -0,0 +1,164 @@
+const AppointmentType = require("../models/AppointmentType");
+const Availability = require("../models/Availability");
+
+/**
+ * Appointment types
+ *
+ * An appointment type (Erstgespräch 30 min, Kontrolle 15 min, ...) decides
+ * how long a booking takes. Availability keeps its fixed grid of slots (the
+ * smallest gap between a day's slots, usually 15 minutes); a booking takes
+ * its start slot plus as many following slots as its duration and buffer
+ * time need. A start time fits a type only if all of these slots are offered
+ * and free. Appointments without a type take a single slot, as before.
+ */
+
+const DEFAULT_SLOT_MINUTES = 15;
+const SLOT_TOO_SHORT_CODE = "SLOT_TOO_SHORT";
+
+function timeToMinutes(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+function minutesToTime(totalMinutes) {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}`;
+}
+
+/**
+ * Length of one slot on a day
+ * @param {Array<string>} slots - Slots offered that day ("HH:MM")
+ * @returns {number} Smallest gap between two slots in minutes
+ */
+function getSlotMinutes(slots = []) {
+  const minutes = slots.map(timeToMinutes).sort((a, b) => a - b);
+  let step = null;
+
+  for (let i = 1; i < minutes.length; i++) {
+    const gap = minutes[i] - minutes[i - 1];
+    if (gap > 0 && (step === null || gap < step)) {
+      step = gap;
+    }
+  }
+
+  return step || DEFAULT_SLOT_MINUTES;
+}
+
+/**
+ * Minutes a booking keeps the doctor busy
+ * @param {Object} source - AppointmentType or Appointment (durationMinutes, bufferMinutes)
+ * @returns {number|null} Duration plus buffer, or null for single-slot bookings
+ */
+function getOccupiedMinutes(source) {
+  if (!source || !source.durationMinutes) {
+    return null;
+  }
+  return source.durationMinutes + (source.bufferMinutes || 0);
+}
+
+/**
+ * Slots a booking takes when it starts at a given slot
+ * @param {Array<string>} slots - Slots offered that day ("HH:MM")
+ * @param {string} start - Start slot
+ * @param {number|null} occupiedMinutes - See getOccupiedMinutes; null for a single slot
+ * @returns {Array<string>|null} [start, ...following slots], or null if they are not all offered
+ */
+function getRequiredSlots(slots, start, occupiedMinutes) {
+  if (!slots.includes(start)) {
+    return null;
+  }
+
+  if (!occupiedMinutes) {
+    return [start];
+  }
+
+  const offered = new Set(slots);
+  const step = getSlotMinutes(slots);
+  const count = Math.ceil(occupiedMinutes / step);
+  const required = [];
+
+  for (let i = 0; i < count; i++) {
+    const slot = minutesToTime(timeToMinutes(start) + i * step);
+    if (!offered.has(slot)) {
+      return null;
+    }
+    required.push(slot);
+  }
+
+  return required;
+}
+
+/**
+ * Start times on a day where a booking of the given length fits
+ * @param {Array<string>} slots - Slots offered that day ("HH:MM")
+ * @param {number|null} occupiedMinutes - See getOccupiedMinutes
+ * @param {Function} isTaken - (slot) => whether the slot is booked or held
+ * @returns {Array<string>} Start slots, in the order of `slots`
+ */
+function getFittingStartTimes(slots, occupiedMinutes, isTaken) {
+  return slots.filter((start) => {
+    const required = getRequiredSlots(slots, start, occupiedMinutes);
+    return Boolean(required) && required.every((slot) => !isTaken(slot));
+  });
+}
+
+/**
+ * Slots a booking takes, read from the doctor's availability that day
+ * @param {Object} slot - { doctorId, date, slot }; date as UTC midnight
+ * @param {number|null} occupiedMinutes - See getOccupiedMinutes
+ * @returns {Promise<Array<string>|null>} The slots, or null if the booking does not fit
+ */
+async function getBookingSlots({ doctorId, date, slot }, occupiedMinutes) {
+  if (!occupiedMinutes) {
+    return [slot];
+  }
+
+  const availability = await Availability.findOne({ doctorId, date })
+    .select("slots")
+    .lean();
+
+  return getRequiredSlots(
+    availability ? availability.slots : [],
+    slot,
+    occupiedMinutes
+  );
+}
+
+/**
+ * Find a bookable appointment type
+ * @param {string} appointmentTypeId - AppointmentType ID
+ * @returns {Promise<Object|null>} The type, or null if unknown or inactive
+ */
+async function findAppointmentType(appointmentTypeId) {
+  return AppointmentType.findOne({
+    _id: appointmentTypeId,
+    isActive: true,
+  }).lean();
+}
+
+/**
+ * Whether a doctor offers an appointment type
+ * @param {Object} appointmentType - AppointmentType
+ * @param {string} doctorId - Doctor ID
+ * @returns {boolean}
+ */
+function isDoctorAllowed(appointmentType, doctorId) {
+  const doctorIds = appointmentType.doctorIds || [];
+  return (
+    doctorIds.length === 0 ||
+    doctorIds.some((id) => String(id) === String(doctorId))
+  );
+}
+
+module.exports = {
+  DEFAULT_SLOT_MINUTES,
+  SLOT_TOO_SHORT_CODE,
+  getSlotMinutes,
+  getOccupiedMinutes,
+  getRequiredSlots,
+  getFittingStartTimes,
+  getBookingSlots,
+  findAppointmentType,
+  isDoctorAllowed,
+};
@@ -0,0 +1,130 @@
+const Holiday = require("../models/Holiday");
+const Absence = require("../models/Absence");
+const Appointment = require("../models/Appointment");
+const { ACTIVE_STATUSES } = Appointment;
+
+/**
+ * Closed days
+ *
+ * A day is closed for a doctor if it is a practice-wide holiday (Holiday) or
+ * falls into one of the doctor's absences (Absence). Closed days have no
+ * bookable slots; booking and rescheduling onto them is rejected with one of
+ * the CLOSURE_CODES.
+ */
+
+const CLOSURE_CODES = {
+  holiday: "PRACTICE_HOLIDAY",
+  absence: "DOCTOR_ABSENT",
+};
+
+const CLOSURE_MESSAGES = {
+  holiday: "The practice is closed on this day",
+  absence: "The doctor is not available on this day",
+};
+
+/**
+ * Check whether a doctor can see patients on a day
+ * @param {string} doctorId - Doctor ID
+ * @param {Date} date - Day as UTC midnight
+ * @returns {Promise<Object|null>} { type, code, message, name|reason } or null if open
+ */
+async function getClosure(doctorId, date) {
+  const [holiday, absence] = await Promise.all([
+    Holiday.findOne({ date }).select("name").lean(),
+    Absence.findOne({
+      doctorId,
+      startDate: { $lte: date },
+      endDate: { $gte: date },
+    })
+      .select("reason")
+      .lean(),
+  ]);
+
+  if (holiday) {
+    return {
+      type: "holiday",
+      code: CLOSURE_CODES.holiday,
+      message: CLOSURE_MESSAGES.holiday,
+      name: holiday.name,
+    };
+  }
+
+  if (absence) {
+    return {
+      type: "absence",
+      code: CLOSURE_CODES.absence,
+      message: CLOSURE_MESSAGES.absence,
+      reason: absence.reason,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Closed days in a date range, for filtering many availability days at once
+ * @param {Object} range - { startDate, endDate } as UTC midnight, inclusive
+ * @param {string} doctorId - Limit absences to one doctor (optional)
+ * @returns {Promise<Object>} { holidays: Set of ISO dates, isClosed(doctorId, date) }
+ */
+async function getClosedDays({ startDate, endDate }, doctorId) {
+  const dateFilter = {};
+  if (startDate) dateFilter.$gte = startDate;
+  if (endDate) dateFilter.$lte = endDate;
+
+  const absenceFilter = {};
+  if (doctorId) absenceFilter.doctorId = doctorId;
+  if (endDate) absenceFilter.startDate = { $lte: endDate };
+  if (startDate) absenceFilter.endDate = { $gte: startDate };
+
+  const [holidays, absences] = await Promise.all([
+    Holiday.find(startDate || endDate ? { date: dateFilter } : {})
+      .select("date")
+      .lean(),
+    Absence.find(absenceFilter).select("doctorId startDate endDate").lean(),
+  ]);
+
+  const holidayKeys = new Set(holidays.map((h) => h.date.toISOString()));
+
+  return {
+    holidays: holidayKeys,
+    isClosed(forDoctorId, date) {
+      const day = new Date(date);
+      return (
+        holidayKeys.has(day.toISOString()) ||
+        absences.some(
+          (absence) =>
+            absence.doctorId.toString() === String(forDoctorId) &&
+            absence.startDate <= day &&
+            absence.endDate >= day
+        )
+      );
+    },
+  };
+}
+
+/**
+ * Scheduled appointments that fall on a holiday or into an absence
+ * @param {Object} options - { startDate, endDate, doctorId }; doctorId limits to one doctor
+ * @returns {Promise<Array>} Appointments with doctor name and patient contact data
+ */
+async function findConflictingAppointments({ startDate, endDate, doctorId }) {
+  const filter = {
+    status: { $in: ACTIVE_STATUSES },
+    date: { $gte: startDate, $lte: endDate },
+  };
+  if (doctorId) filter.doctorId = doctorId;
+
+  return Appointment.find(filter)
+    .select("doctorId date slot patientName patientEmail patientPhone")
+    .populate("doctorId", "name")
+    .sort({ date: 1, slot: 1 })
+    .lean();
+}
+
+module.exports = {
+  CLOSURE_CODES,
+  getClosure,
+  getClosedDays,
+  findConflictingAppointments,
+};
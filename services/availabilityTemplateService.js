@@ -0,0 +1,288 @@
+require("dotenv").config();
+const cron = require("node-cron");
+const AvailabilityTemplate = require("../models/AvailabilityTemplate");
+const Availability = require("../models/Availability");
+const Appointment = require("../models/Appointment");
+const { ACTIVE_STATUSES } = Appointment;
+const SlotReservation = require("../models/SlotReservation");
+const Holiday = require("../models/Holiday");
+
+/**
+ * Availability Templates
+ *
+ * Weekly schedules per doctor (AvailabilityTemplate) are turned into the
+ * day-by-day Availability documents the booking flow reads. Generation runs
+ * nightly for the next AVAILABILITY_GENERATION_WEEKS weeks and right after a
+ * template changes. It is safe to run repeatedly:
+ * - holidays get no generated slots
+ * - days created or edited by hand (no templateId) are never touched
+ * - slots with a scheduled appointment are kept even if the template drops them
+ * If several templates of a doctor cover the same day, the one with the
+ * latest validFrom wins.
+ */
+
+const AVAILABILITY_GENERATION_INTERVAL =
+  process.env.AVAILABILITY_GENERATION_INTERVAL || "0 3 * * *"; // Default: daily at 03:00
+const AVAILABILITY_GENERATION_WEEKS =
+  parseInt(process.env.AVAILABILITY_GENERATION_WEEKS, 10) || 8;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let isGenerating = false;
+
+function timeToMinutes(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+function minutesToTime(totalMinutes) {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}`;
+}
+
+function startOfUtcDay(date) {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+}
+
+function sortSlots(slots) {
+  return [...new Set(slots)].sort(
+    (a, b) => timeToMinutes(a) - timeToMinutes(b)
+  );
+}
+
+/**
+ * Slots a template produces for one day
+ * @param {Object} template - AvailabilityTemplate
+ * @param {Date} date - Day as UTC midnight
+ * @returns {Object} { slots, videoSlots } sorted HH:MM lists
+ */
+function getTemplateDaySlots(template, date) {
+  const weekday = date.getUTCDay();
+  const slots = [];
+  const videoSlots = [];
+
+  template.weeklySchedule
+    .filter((block) => block.weekday === weekday)
+    .forEach((block) => {
+      const end = timeToMinutes(block.endTime);
+      const step = block.intervalMinutes || 15;
+
+      for (let t = timeToMinutes(block.startTime); t < end; t += step) {
+        const slot = minutesToTime(t);
+        slots.push(slot);
+        if (block.videoOnly) {
+          videoSlots.push(slot);
+        }
+      }
+    });
+
+  return { slots: sortSlots(slots), videoSlots: sortSlots(videoSlots) };
+}
+
+function isTemplateValidOn(template, date) {
+  return (
+    template.validFrom <= date &&
+    (!template.validUntil || template.validUntil >= date)
+  );
+}
+
+function sameSlots(a = [], b = []) {
+  return a.length === b.length && a.every((slot, i) => slot === b[i]);
+}
+
+async function generateForDoctor(doctorId, days, holidayKeys, stats) {
+  const from = days[0];
+  const until = new Date(days[days.length - 1].getTime() + DAY_MS);
+  const dateRange = { $gte: from, $lt: until };
+
+  const [templates, existing, appointments, reservations] = await Promise.all([
+    AvailabilityTemplate.find({ doctorId, isActive: true })
+      .sort({ validFrom: -1 })
+      .lean(),
+    Availability.find({ doctorId, date: dateRange }),
+    Appointment.find({
+      doctorId,
+      date: dateRange,
+      status: { $in: ACTIVE_STATUSES },
+    })
+      .select("date slot")
+      .lean(),
+    // Covers the following slots of appointments longer than one slot
+    SlotReservation.find({
+      doctorId,
+      date: dateRange,
+      appointmentId: { $exists: true },
+    })
+      .select("date slot")
+      .lean(),
+  ]);
+
+  const existingByDay = new Map(
+    existing.map((availability) => [
+      availability.date.toISOString(),
+      availability,
+    ])
+  );
+  const bookedByDay = new Map();
+  [...appointments, ...reservations].forEach((appointment) => {
+    const key = appointment.date.toISOString();
+    if (!bookedByDay.has(key)) bookedByDay.set(key, new Set());
+    bookedByDay.get(key).add(appointment.slot);
+  });
+
+  for (const day of days) {
+    const key = day.toISOString();
+    const current = existingByDay.get(key);
+
+    if (current && !current.templateId) {
+      stats.skippedManual += 1;
+      continue;
+    }
+
+    const template = templates.find((t) => isTemplateValidOn(t, day));
+    let target = { slots: [], videoSlots: [] };
+    if (template && holidayKeys.has(key)) {
+      stats.skippedHolidays += 1;
+    } else if (template) {
+      target = getTemplateDaySlots(template, day);
+    }
+
+    if (!current) {
+      if (target.slots.length > 0) {
+        await Availability.create({
+          doctorId,
+          date: day,
+          slots: target.slots,
+          videoSlots: target.videoSlots,
+          templateId: template._id,
+        });
+        stats.created += 1;
+      }
+      continue;
+    }
+
+    // Never take away a slot somebody already booked
+    const booked = bookedByDay.get(key) || new Set();
+    const keptSlots = current.slots.filter(
+      (slot) => booked.has(slot) && !target.slots.includes(slot)
+    );
+    const slots = sortSlots([...target.slots, ...keptSlots]);
+    const videoSlots = sortSlots([
+      ...target.videoSlots,
+      ...(current.videoSlots || []).filter((slot) => keptSlots.includes(slot)),
+    ]);
+    stats.keptBookedSlots += keptSlots.length;
+
+    if (slots.length === 0) {
+      await Availability.deleteOne({ _id: current._id });
+      stats.removed += 1;
+    } else if (
+      !sameSlots(current.slots, slots) ||
+      !sameSlots(current.videoSlots, videoSlots)
+    ) {
+      current.slots = slots;
+      current.videoSlots = videoSlots;
+      if (template) current.templateId = template._id;
+      await current.save();
+      stats.updated += 1;
+    } else {
+      stats.unchanged += 1;
+    }
+  }
+}
+
+/**
+ * Materialize Availability documents from the active templates
+ * @param {Object} options - { doctorId, from, weeks }; all optional
+ * @returns {Promise<Object>} { created, updated, removed, unchanged, skippedManual, skippedHolidays, keptBookedSlots }
+ */
+async function generateAvailabilityFromTemplates({
+  doctorId,
+  from = new Date(),
+  weeks = AVAILABILITY_GENERATION_WEEKS,
+} = {}) {
+  const stats = {
+    created: 0,
+    updated: 0,
+    removed: 0,
+    unchanged: 0,
+    skippedManual: 0,
+    skippedHolidays: 0,
+    keptBookedSlots: 0,
+  };
+
+  const start = startOfUtcDay(from);
+  const days = Array.from(
+    { length: weeks * 7 },
+    (_, i) => new Date(start.getTime() + i * DAY_MS)
+  );
+  const until = new Date(start.getTime() + weeks * 7 * DAY_MS);
+
+  const holidays = await Holiday.find({
+    date: { $gte: start, $lt: until },
+  })
+    .select("date")
+    .lean();
+  const holidayKeys = new Set(holidays.map((h) => h.date.toISOString()));
+
+  // Doctors with templates plus doctors that still have generated days
+  // (e.g. after their template was deleted or deactivated)
+  let doctorIds = [doctorId];
+  if (!doctorId) {
+    const [withTemplates, withGeneratedDays] = await Promise.all([
+      AvailabilityTemplate.distinct("doctorId", { isActive: true }),
+      Availability.distinct("doctorId", {
+        templateId: { $exists: true, $ne: null },
+        date: { $gte: start, $lt: until },
+      }),
+    ]);
+    doctorIds = [
+      ...new Set(
+        [...withTemplates, ...withGeneratedDays].map((id) => id.toString())
+      ),
+    ];
+  }
+
+  for (const id of doctorIds) {
+    await generateForDoctor(id, days, holidayKeys, stats);
+  }
+
+  return stats;
+}
+
+function startAvailabilityGenerator() {
+  const run = async () => {
+    // Skip the run if the previous one is still busy
+    if (isGenerating) {
+      return;
+    }
+
+    isGenerating = true;
+    try {
+      const stats = await generateAvailabilityFromTemplates();
+      console.log(
+        `🗓️ Availability generated: ${stats.created} created, ${stats.updated} updated, ${stats.removed} removed, ${stats.skippedHolidays} holiday(s) skipped`
+      );
+    } catch (error) {
+      console.error("❌ Error generating availability from templates:", error);
+    } finally {
+      isGenerating = false;
+    }
+  };
+
+  cron.schedule(AVAILABILITY_GENERATION_INTERVAL, run);
+
+  console.log(
+    `🗓️ Availability generator started (interval: ${AVAILABILITY_GENERATION_INTERVAL}, ${AVAILABILITY_GENERATION_WEEKS} weeks ahead)`
+  );
+}
+
+module.exports = {
+  AVAILABILITY_GENERATION_WEEKS,
+  getTemplateDaySlots,
+  generateAvailabilityFromTemplates,
+  startAvailabilityGenerator,
+};
@@ -0,0 +1,143 @@
+const crypto = require("crypto");
+const Appointment = require("../models/Appointment");
+const { ACTIVE_STATUSES } = Appointment;
+const Doctor = require("../models/Doctor");
+const { buildCalendarFeed } = require("../utils/icalendar");
+
+/**
+ * Doctor calendar feed
+ *
+ * Every doctor can get a secret subscription URL
+ * (/api/doctors/:id/calendar.ics?token=...) that calendar apps poll. The feed
+ * is read-only and contains the doctor's scheduled appointments from
+ * CALENDAR_FEED_PAST_DAYS ago onwards. Patient names are reduced to initials
+ * unless the doctor's calendarPrivacy is "full".
+ */
+
+const CALENDAR_FEED_PAST_DAYS = 30;
+const CALENDAR_FEED_REFRESH_MINUTES = 15;
+
+/**
+ * Create (or replace) the calendar token of a doctor; old URLs stop working
+ * @param {string} doctorId - Doctor ID
+ * @returns {Promise<Object|null>} Doctor including calendarToken, null if not found
+ */
+async function rotateCalendarToken(doctorId) {
+  return Doctor.findByIdAndUpdate(
+    doctorId,
+    { calendarToken: crypto.randomBytes(32).toString("hex") },
+    { new: true }
+  ).select("+calendarToken");
+}
+
+/**
+ * Remove the calendar token of a doctor, disabling the feed
+ * @param {string} doctorId - Doctor ID
+ * @returns {Promise<Object|null>} Doctor or null if not found
+ */
+async function revokeCalendarToken(doctorId) {
+  return Doctor.findByIdAndUpdate(
+    doctorId,
+    { $unset: { calendarToken: 1 } },
+    { new: true }
+  );
+}
+
+/**
+ * Load a doctor by ID if the given feed token matches
+ * @param {string} doctorId - Doctor ID
+ * @param {string} token - Token from the subscription URL
+ * @returns {Promise<Object|null>} Doctor or null if token is missing or wrong
+ */
+async function findDoctorByCalendarToken(doctorId, token) {
+  if (!token) {
+    return null;
+  }
+
+  const doctor = await Doctor.findById(doctorId).select("+calendarToken");
+  if (!doctor?.calendarToken) {
+    return null;
+  }
+
+  const expected = Buffer.from(doctor.calendarToken);
+  const given = Buffer.from(String(token));
+  if (
+    expected.length !== given.length ||
+    !crypto.timingSafeEqual(expected, given)
+  ) {
+    return null;
+  }
+
+  return doctor;
+}
+
+/**
+ * "Maria Anna Müller" -> "M. A. M."
+ * @param {string} name - Full name
+ * @returns {string} Initials
+ */
+function getInitials(name = "") {
+  return name
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((part) => `${part.charAt(0).toUpperCase()}.`)
+    .join(" ");
+}
+
+function getPatientLabel(appointment, privacy) {
+  const name = appointment.patientName || "";
+
+  if (privacy === "full") {
+    return name || "Patient";
+  }
+  return getInitials(name) || "Patient";
+}
+
+/**
+ * Build the iCalendar feed for a doctor
+ * @param {Object} doctor - Doctor document
+ * @returns {Promise<string>} iCalendar content
+ */
+async function getDoctorCalendarFeed(doctor) {
+  const since = new Date();
+  since.setUTCHours(0, 0, 0, 0);
+  since.setUTCDate(since.getUTCDate() - CALENDAR_FEED_PAST_DAYS);
+
+  const appointments = await Appointment.find({
+    doctorId: doctor._id,
+    status: { $in: ACTIVE_STATUSES },
+    date: { $gte: since },
+  })
+    .select("date slot durationMinutes patientName isVideoAppointment sequence")
+    .sort({ date: 1, slot: 1 })
+    .lean();
+
+  const events = appointments.map((appointment) => {
+    const patientLabel = getPatientLabel(appointment, doctor.calendarPrivacy);
+
+    return {
+      appointmentId: appointment._id,
+      sequence: appointment.sequence || 0,
+      date: appointment.date,
+      slot: appointment.slot,
+      durationMinutes: appointment.durationMinutes || undefined,
+      summary: appointment.isVideoAppointment
+        ? `${patientLabel} (Video)`
+        : patientLabel,
+    };
+  });
+
+  return buildCalendarFeed({
+    name: `Praxis Dr. Kerim – ${doctor.name}`,
+    refreshMinutes: CALENDAR_FEED_REFRESH_MINUTES,
+    events,
+  });
+}
+
+module.exports = {
+  rotateCalendarToken,
+  revokeCalendarToken,
+  findDoctorByCalendarToken,
+  getDoctorCalendarFeed,
+};
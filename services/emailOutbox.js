@@ -0,0 +1,266 @@
+require("dotenv").config();
+const cron = require("node-cron");
+const mongoose = require("mongoose");
+const EmailOutbox = require("../models/EmailOutbox");
+const { sendMail } = require("./mail/mailTransport");
+
+/**
+ * Email Outbox
+ *
+ * Every outgoing email is stored in the `emailoutboxes` collection before it
+ * is handed to the mail transport. The first delivery attempt happens right away; if it
+ * fails, a background worker retries with exponential backoff until
+ * EMAIL_OUTBOX_MAX_ATTEMPTS is reached and then marks the message as "dead".
+ * Dead messages can be inspected and re-sent via /api/email-outbox.
+ *
+ * Without a database connection (e.g. the scripts/test*Email.js scripts)
+ * emails are sent directly.
+ */
+
+const EMAIL_OUTBOX_INTERVAL = process.env.EMAIL_OUTBOX_INTERVAL || "* * * * *"; // Default: every minute
+const EMAIL_OUTBOX_MAX_ATTEMPTS =
+  parseInt(process.env.EMAIL_OUTBOX_MAX_ATTEMPTS, 10) || 6;
+const EMAIL_OUTBOX_RETRY_BASE_SECONDS =
+  parseInt(process.env.EMAIL_OUTBOX_RETRY_BASE_SECONDS, 10) || 120; // 2, 4, 8, 16, 32 minutes
+const MAX_RETRY_DELAY_MINUTES = 6 * 60;
+const BATCH_SIZE = 20;
+// A "sending" claim older than this is treated as abandoned (e.g. crash mid-send)
+const STALE_LOCK_MINUTES = 10;
+
+// SES errors that will not go away by retrying
+const PERMANENT_ERRORS = new Set([
+  "MessageRejected",
+  "InvalidParameterValue",
+  "MailFromDomainNotVerifiedException",
+]);
+
+let isProcessing = false;
+
+function isPermanentError(error) {
+  // SMTP 5xx replies are permanent failures as well
+  return PERMANENT_ERRORS.has(error.name) || error.responseCode >= 500;
+}
+
+function toMailMessage({ from, to, subject, html, text, icalEvent }) {
+  return {
+    from,
+    to: Array.isArray(to) ? to : [to],
+    subject,
+    html,
+    text,
+    icalEvent: icalEvent?.content
+      ? {
+          method: icalEvent.method,
+          filename: icalEvent.filename,
+          content: icalEvent.content,
+        }
+      : undefined,
+  };
+}
+
+function getRetryDelayMinutes(attempts) {
+  const delayMinutes =
+    (EMAIL_OUTBOX_RETRY_BASE_SECONDS / 60) * 2 ** Math.max(attempts - 1, 0);
+  return Math.min(delayMinutes, MAX_RETRY_DELAY_MINUTES);
+}
+
+/**
+ * Run one delivery attempt for a claimed outbox message and record the outcome
+ * @param {Object} message - EmailOutbox document with status "sending"
+ * @returns {Promise<Object>} Updated document
+ */
+async function attemptDelivery(message) {
+  message.attempts += 1;
+
+  try {
+    const response = await sendMail(toMailMessage(message));
+
+    message.status = "sent";
+    message.messageId = response.messageId;
+    message.transport = response.transport;
+    message.sentAt = new Date();
+    message.lastError = undefined;
+  } catch (error) {
+    const isPermanent = isPermanentError(error);
+    const hasAttemptsLeft = message.attempts < message.maxAttempts;
+
+    message.lastError = error.message;
+
+    if (!isPermanent && hasAttemptsLeft) {
+      message.status = "failed";
+      message.nextAttemptAt = new Date(
+        Date.now() + getRetryDelayMinutes(message.attempts) * 60000
+      );
+      console.warn(
+        `📮 Email ${message._id} (${message.type}) failed, retry ${message.attempts}/${message.maxAttempts} at ${message.nextAttemptAt.toISOString()}: ${error.message}`
+      );
+    } else {
+      message.status = "dead";
+      console.error(
+        `☠️ Email ${message._id} (${message.type}) to ${message.to.join(", ")} gave up after ${message.attempts} attempt(s): ${error.message}`
+      );
+    }
+  }
+
+  message.lockedAt = undefined;
+  await message.save();
+  return message;
+}
+
+/**
+ * Store an email in the outbox and try to deliver it immediately.
+ * Resolves as long as the message is either sent or safely queued for retry.
+ * @param {Object} email - { type, locale, from, to, subject, html, text, icalEvent }
+ * @returns {Promise<Object>} { outboxId, status, MessageId }
+ */
+async function queueEmail({
+  type,
+  locale,
+  from,
+  to,
+  subject,
+  html,
+  text,
+  icalEvent,
+}) {
+  if (mongoose.connection.readyState !== 1) {
+    const response = await sendMail(
+      toMailMessage({ from, to, subject, html, text, icalEvent })
+    );
+    return { outboxId: null, status: "sent", MessageId: response.messageId };
+  }
+
+  let message;
+
+  try {
+    message = await EmailOutbox.create({
+      type,
+      locale,
+      from,
+      to: Array.isArray(to) ? to : [to],
+      subject,
+      html,
+      text,
+      icalEvent: icalEvent || undefined,
+      status: "sending",
+      lockedAt: new Date(),
+      maxAttempts: EMAIL_OUTBOX_MAX_ATTEMPTS,
+    });
+  } catch (error) {
+    // Without the outbox we can still try a direct send
+    console.error(
+      `⚠️ Could not store ${type} email in outbox, sending directly:`,
+      error.message
+    );
+    const response = await sendMail(
+      toMailMessage({ from, to, subject, html, text, icalEvent })
+    );
+    return { outboxId: null, status: "sent", MessageId: response.messageId };
+  }
+
+  await attemptDelivery(message);
+
+  return {
+    outboxId: message._id,
+    status: message.status,
+    MessageId: message.messageId,
+  };
+}
+
+async function claimNextDueMessage(now) {
+  const staleBefore = new Date(now.getTime() - STALE_LOCK_MINUTES * 60000);
+
+  return EmailOutbox.findOneAndUpdate(
+    {
+      $or: [
+        {
+          status: { $in: ["pending", "failed"] },
+          nextAttemptAt: { $lte: now },
+        },
+        { status: "sending", lockedAt: { $lt: staleBefore } },
+      ],
+    },
+    { $set: { status: "sending", lockedAt: now } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Retry all due outbox messages (one batch per run)
+ * @returns {Promise<Object>} { sent, failed, dead }
+ */
+async function processEmailOutbox() {
+  const stats = { sent: 0, failed: 0, dead: 0 };
+
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const message = await claimNextDueMessage(new Date());
+    if (!message) {
+      break;
+    }
+
+    const result = await attemptDelivery(message);
+    stats[result.status] += 1;
+  }
+
+  return stats;
+}
+
+/**
+ * Put a failed or dead message back into the queue and try it right away
+ * @param {string} id - EmailOutbox ID
+ * @returns {Promise<Object|null>} Updated document or null if not resendable
+ */
+async function resendOutboxMessage(id) {
+  const message = await EmailOutbox.findOneAndUpdate(
+    { _id: id, status: { $in: ["failed", "dead"] } },
+    {
+      $set: {
+        status: "sending",
+        lockedAt: new Date(),
+        attempts: 0,
+        nextAttemptAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+
+  if (!message) {
+    return null;
+  }
+
+  return attemptDelivery(message);
+}
+
+function startEmailOutboxWorker() {
+  cron.schedule(EMAIL_OUTBOX_INTERVAL, async () => {
+    // Skip the run if the previous one is still busy
+    if (isProcessing) {
+      return;
+    }
+
+    isProcessing = true;
+    try {
+      const stats = await processEmailOutbox();
+      if (stats.sent || stats.failed || stats.dead) {
+        console.log(
+          `📮 Email outbox: ${stats.sent} sent, ${stats.failed} failed, ${stats.dead} dead`
+        );
+      }
+    } catch (error) {
+      console.error("❌ Error processing email outbox:", error);
+    } finally {
+      isProcessing = false;
+    }
+  });
+
+  console.log(
+    `📮 Email outbox worker started (interval: ${EMAIL_OUTBOX_INTERVAL}, max attempts: ${EMAIL_OUTBOX_MAX_ATTEMPTS})`
+  );
+}
+
+module.exports = {
+  queueEmail,
+  processEmailOutbox,
+  resendOutboxMessage,
+  startEmailOutboxWorker,
+};
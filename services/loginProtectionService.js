@@ -0,0 +1,181 @@
+require("dotenv").config();
+const Admin = require("../models/Admin");
+const { sendAccountLockoutNotification } = require("./mailer");
+
+/**
+ * Brute-force protection of dashboard accounts (Admin.loginSecurity)
+ *
+ * Every wrong password or two-factor code counts as a failed attempt. After
+ * each failure the account has to wait before the next try, starting at
+ * LOGIN_DELAY_BASE_SECONDS and doubling up to LOGIN_DELAY_MAX_SECONDS. After
+ * LOGIN_MAX_FAILED_ATTEMPTS the account is locked for LOGIN_LOCKOUT_MINUTES
+ * and gets a security email. Failures older than the lockout period are
+ * forgotten; a successful login clears them.
+ * The per-IP limits live in middleware/rateLimit.js.
+ */
+
+const LOGIN_MAX_FAILED_ATTEMPTS =
+  parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS, 10) || 5;
+const LOGIN_LOCKOUT_MINUTES =
+  parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+const LOGIN_DELAY_BASE_SECONDS =
+  parseInt(process.env.LOGIN_DELAY_BASE_SECONDS, 10) || 1;
+const LOGIN_DELAY_MAX_SECONDS =
+  parseInt(process.env.LOGIN_DELAY_MAX_SECONDS, 10) || 30;
+
+const LOGIN_LOCKED_CODE = "LOGIN_LOCKED";
+const LOGIN_THROTTLED_CODE = "LOGIN_THROTTLED";
+
+function getStaleBefore(now) {
+  return new Date(now.getTime() - LOGIN_LOCKOUT_MINUTES * 60000);
+}
+
+/**
+ * Wait time before the next attempt after a number of failures
+ * @param {number} failedAttempts - Consecutive failed attempts
+ * @returns {number} Seconds, 0 without failures
+ */
+function getLoginDelaySeconds(failedAttempts) {
+  if (!failedAttempts) {
+    return 0;
+  }
+
+  return Math.min(
+    LOGIN_DELAY_BASE_SECONDS * 2 ** (failedAttempts - 1),
+    LOGIN_DELAY_MAX_SECONDS
+  );
+}
+
+/**
+ * Whether an account may try to log in right now
+ * Check before the password so a locked account learns nothing about it
+ * @param {Object} admin - Admin document
+ * @param {Date} now - Current time (optional)
+ * @returns {Object|null} { code, retryAfter } (seconds) if blocked, otherwise null
+ */
+function getLoginBlock(admin, now = new Date()) {
+  const { failedAttempts, lastFailedAt, lockedUntil } =
+    admin.loginSecurity || {};
+
+  if (lockedUntil && lockedUntil > now) {
+    return {
+      code: LOGIN_LOCKED_CODE,
+      retryAfter: Math.ceil((lockedUntil - now) / 1000),
+    };
+  }
+
+  if (!lastFailedAt || lastFailedAt < getStaleBefore(now)) {
+    return null;
+  }
+
+  const nextAttemptAt = new Date(
+    lastFailedAt.getTime() + getLoginDelaySeconds(failedAttempts) * 1000
+  );
+
+  if (nextAttemptAt > now) {
+    return {
+      code: LOGIN_THROTTLED_CODE,
+      retryAfter: Math.ceil((nextAttemptAt - now) / 1000),
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Count a failed attempt, locking the account once the limit is reached
+ * Counted atomically, so parallel requests cannot slip past the limit
+ * @param {Object} admin - Admin document
+ * @param {Object} context - { ip } of the request, for the notification
+ * @returns {Promise<Object|null>} Block for the next attempt, see getLoginBlock()
+ */
+async function registerFailedLogin(admin, { ip } = {}) {
+  const now = new Date();
+
+  // Start over if the last failure is older than the lockout period
+  await Admin.updateOne(
+    {
+      _id: admin._id,
+      "loginSecurity.lastFailedAt": { $lt: getStaleBefore(now) },
+    },
+    { $set: { "loginSecurity.failedAttempts": 0 } }
+  );
+
+  const updated = await Admin.findOneAndUpdate(
+    { _id: admin._id },
+    {
+      $inc: { "loginSecurity.failedAttempts": 1 },
+      $set: { "loginSecurity.lastFailedAt": now },
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    return null;
+  }
+
+  const { failedAttempts } = updated.loginSecurity;
+
+  if (failedAttempts < LOGIN_MAX_FAILED_ATTEMPTS) {
+    return getLoginBlock(updated, now);
+  }
+
+  // After the lockout the account gets the full number of attempts again
+  const lockedUntil = new Date(now.getTime() + LOGIN_LOCKOUT_MINUTES * 60000);
+  await Admin.updateOne(
+    { _id: admin._id },
+    {
+      $set: {
+        "loginSecurity.lockedUntil": lockedUntil,
+        "loginSecurity.failedAttempts": 0,
+      },
+    }
+  );
+
+  console.log(
+    `🔒 Admin account ${updated.email} locked until ${lockedUntil.toISOString()} after ${failedAttempts} failed logins (last from ${ip})`
+  );
+
+  // Only the request that reached the limit sends the notification
+  if (failedAttempts === LOGIN_MAX_FAILED_ATTEMPTS) {
+    sendAccountLockoutNotification({
+      name: updated.name,
+      email: updated.email,
+      failedAttempts,
+      ip,
+      lockedUntil,
+    }).catch((error) => {
+      console.error("Error sending account lockout notification:", error);
+    });
+  }
+
+  return {
+    code: LOGIN_LOCKED_CODE,
+    retryAfter: LOGIN_LOCKOUT_MINUTES * 60,
+  };
+}
+
+/**
+ * Forget failed attempts and lift a lockout (successful login, unlock)
+ * @param {Object} admin - Admin document
+ */
+async function resetFailedLogins(admin) {
+  if (
+    !admin.loginSecurity?.failedAttempts &&
+    !admin.loginSecurity?.lockedUntil
+  ) {
+    return;
+  }
+
+  await Admin.updateOne({ _id: admin._id }, { $unset: { loginSecurity: 1 } });
+  admin.loginSecurity = undefined;
+}
+
+module.exports = {
+  LOGIN_LOCKED_CODE,
+  LOGIN_THROTTLED_CODE,
+  getLoginDelaySeconds,
+  getLoginBlock,
+  registerFailedLogin,
+  resetFailedLogins,
+};
@@ -0,0 +1,46 @@
+require("dotenv").config();
+
+/**
+ * Mail transport layer.
+ *
+ * A transport is an object { name, send(message) } whose send() resolves to
+ * { messageId }. A message is { from, to, subject, html, text, icalEvent }
+ * where icalEvent is an optional calendar invite in nodemailer's format
+ * ({ method, filename, content }). Select a transport with MAIL_TRANSPORT:
+ * - "ses" (default): Amazon SES
+ * - "smtp": any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, ...)
+ * - "file": write .eml files to MAIL_OUTPUT_DIR (default: temp/mail)
+ */
+const transports = {
+  ses: require("./transports/sesTransport"),
+  smtp: require("./transports/smtpTransport"),
+  file: require("./transports/fileTransport"),
+};
+
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || "ses";
+
+function getMailTransport() {
+  const transport = transports[MAIL_TRANSPORT];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${MAIL_TRANSPORT}`);
+  }
+
+  return transport;
+}
+
+/**
+ * Deliver an email through the configured transport
+ * @param {Object} message - { from, to: [String], subject, html, text, icalEvent }
+ * @returns {Promise<Object>} { messageId, transport }
+ */
+async function sendMail(message) {
+  const transport = getMailTransport();
+  const { messageId } = await transport.send(message);
+  return { messageId, transport: transport.name };
+}
+
+module.exports = {
+  sendMail,
+  getMailTransport,
+};
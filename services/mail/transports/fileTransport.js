@@ -0,0 +1,39 @@
+const fs = require("fs/promises");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+const MAIL_OUTPUT_DIR =
+  process.env.MAIL_OUTPUT_DIR || path.join(__dirname, "../../../temp/mail");
+
+// Builds the complete MIME message without sending it anywhere
+const composer = nodemailer.createTransport({
+  streamTransport: true,
+  buffer: true,
+  newline: "unix",
+});
+
+/**
+ * Development mail transport - writes every email as an .eml file that can be
+ * opened in any mail client, no AWS credentials needed
+ */
+module.exports = {
+  name: "file",
+
+  async send({ from, to, subject, html, text, icalEvent }) {
+    const info = await composer.sendMail({
+      from,
+      to,
+      subject,
+      html,
+      text,
+      icalEvent,
+    });
+    const fileName = `${Date.now()}-${info.messageId.replace(/[<>]/g, "").split("@")[0]}.eml`;
+
+    await fs.mkdir(MAIL_OUTPUT_DIR, { recursive: true });
+    await fs.writeFile(path.join(MAIL_OUTPUT_DIR, fileName), info.message);
+
+    console.log(`📁 Email written to ${path.join(MAIL_OUTPUT_DIR, fileName)}`);
+    return { messageId: info.messageId };
+  },
+};
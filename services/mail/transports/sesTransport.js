@@ -0,0 +1,52 @@
+const { SESClient, SendRawEmailCommand } = require("@aws-sdk/client-ses");
+const MailComposer = require("nodemailer/lib/mail-composer");
+
+let sesClient;
+
+function getSesClient() {
+  if (!sesClient) {
+    sesClient = new SESClient({
+      region: process.env.AWS_SES_REGION || "eu-north-1", // Stockholm
+      credentials: {
+        accessKeyId: process.env.AWS_SES_KEY_ID,
+        secretAccessKey: process.env.AWS_SES_SECRET_KEY_ID,
+      },
+    });
+  }
+  return sesClient;
+}
+
+/**
+ * Amazon SES mail transport (production default)
+ * Requires AWS_SES_KEY_ID and AWS_SES_SECRET_KEY_ID
+ *
+ * The MIME message is built locally and sent with SendRawEmail, which is the
+ * only SES API that supports multipart/alternative with a calendar invite.
+ */
+module.exports = {
+  name: "ses",
+
+  async send({ from, to, subject, html, text, icalEvent }) {
+    const rawMessage = await new MailComposer({
+      from,
+      to,
+      subject,
+      html,
+      text,
+      icalEvent,
+    })
+      .compile()
+      .build();
+
+    const command = new SendRawEmailCommand({
+      Source: from,
+      Destinations: to,
+      RawMessage: {
+        Data: rawMessage,
+      },
+    });
+
+    const response = await getSesClient().send(command);
+    return { messageId: response.MessageId };
+  },
+};
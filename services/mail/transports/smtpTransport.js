@@ -0,0 +1,41 @@
+const nodemailer = require("nodemailer");
+
+let transporter;
+
+function getTransporter() {
+  if (!transporter) {
+    if (!process.env.SMTP_HOST) {
+      throw new Error("SMTP_HOST must be set for MAIL_TRANSPORT=smtp");
+    }
+
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === "true", // true for port 465
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined,
+    });
+  }
+  return transporter;
+}
+
+/**
+ * Plain SMTP mail transport (any mail server, e.g. the hosting provider's)
+ * Requires SMTP_HOST; SMTP_PORT, SMTP_SECURE, SMTP_USER and SMTP_PASSWORD are optional
+ */
+module.exports = {
+  name: "smtp",
+
+  async send({ from, to, subject, html, text, icalEvent }) {
+    const info = await getTransporter().sendMail({
+      from,
+      to,
+      subject,
+      html,
+      text,
+      icalEvent,
+    });
+    return { messageId: info.messageId };
+  },
+};
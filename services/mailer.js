@@ -1,47 +1,60 @@
 require("dotenv").config();
-const { SESClient, SendEmailCommand } = require("@aws-sdk/client-ses");
 const i18n = require("i18next");
 
 const {
   getAppointmentConfirmationTemplate,
+  getAppointmentConfirmationText,
 } = require("../emailTemplates/appointmentConfirmation");
 const {
   getOrderConfirmationTemplate,
+  getOrderConfirmationText,
 } = require("../emailTemplates/orderConfirmation");
 const {
   getOrderReadyTemplate,
+  getOrderReadyText,
 } = require("../emailTemplates/orderReady");
 const {
   getOrderMissingInsuranceTemplate,
+  getOrderMissingInsuranceText,
 } = require("../emailTemplates/orderMissingInsurance");
 const {
   getAppointmentReminderTemplate,
+  getAppointmentReminderText,
+  getReminderTimeText,
 } = require("../emailTemplates/appointmentReminder");
 const {
   getAppointmentCancellationTemplate,
+  getAppointmentCancellationText,
 } = require("../emailTemplates/appointmentCancellation");
 const {
   getAppointmentRescheduleTemplate,
+  getAppointmentRescheduleText,
 } = require("../emailTemplates/appointmentReschedule");
 const {
   getPatientCancellationConfirmationTemplate,
+  getPatientCancellationConfirmationText,
 } = require("../emailTemplates/patientCancellationConfirmation");
 const {
   getMarketingEmailTemplate,
+  getMarketingEmailText,
 } = require("../emailTemplates/marketingEmail");
 const {
   getFridayVideoNotificationTemplate,
+  getFridayVideoNotificationText,
 } = require("../emailTemplates/fridayVideoNotification");
+const {
+  getWaitlistOfferTemplate,
+  getWaitlistOfferText,
+} = require("../emailTemplates/waitlistOffer");
+const {
+  getAccountLockoutTemplate,
+  getAccountLockoutText,
+} = require("../emailTemplates/accountLockout");
+const {
+  getAppointmentCalendarEvent,
+} = require("../emailTemplates/appointmentCalendar");
 const { getLocalizedDoctorName } = require("../utils/doctor");
-
-// Create SES service client
-const sesClient = new SESClient({
-  region: "eu-north-1", // Back to Stockholm
-  credentials: {
-    accessKeyId: process.env.AWS_SES_KEY_ID,
-    secretAccessKey: process.env.AWS_SES_SECRET_KEY_ID,
-  },
-});
+const { queueEmail } = require("./emailOutbox");
 
 const DEFAULT_FROM_EMAIL =
   process.env.PRACTICE_EMAIL_SENDER || "Praxis Dr. Kerim <info@praxiskerim.de>";
@@ -71,27 +84,30 @@ async function sendAppointmentConfirmation(
       localizedAppointmentData,
       locale
     );
+    const textContent = await getAppointmentConfirmationText(
+      localizedAppointmentData,
+      locale
+    );
+    const icalEvent = await getAppointmentCalendarEvent(
+      localizedAppointmentData,
+      "REQUEST",
+      { locale, attendeeEmail: email }
+    );
 
-    const params = {
-      Source: fromEmail,
-      Destination: {
-        ToAddresses: [email],
-      },
-      Message: {
-        Subject: {
-          Data: i18nServer.t("appointmentEmail.subject"),
-        },
-        Body: {
-          Html: {
-            Data: htmlContent,
-          },
-        },
-      },
-    };
-
-    const command = new SendEmailCommand(params);
-    const response = await sesClient.send(command);
-    console.log("Appointment Confirmation Email sent:", response.MessageId);
+    const response = await queueEmail({
+      type: "appointmentConfirmation",
+      locale,
+      from: fromEmail,
+      to: email,
+      subject: i18nServer.t("appointmentEmail.subject"),
+      html: htmlContent,
+      text: textContent,
+      icalEvent,
+    });
+    console.log(
+      `Appointment Confirmation Email ${response.status}:`,
+      response.MessageId || response.outboxId
+    );
     return response;
   } catch (error) {
     console.error("Error sending appointment confirmation email:", error);
@@ -107,27 +123,21 @@ async function sendOrderConfirmation(email, orderData, locale = "de") {
     await i18nServer.changeLanguage(locale);
     
     const htmlContent = await getOrderConfirmationTemplate(orderData, locale);
+    const textContent = await getOrderConfirmationText(orderData, locale);
 
-    const params = {
-      Source: fromEmail,
-      Destination: {
-        ToAddresses: [email],
-      },
-      Message: {
-        Subject: {
-          Data: i18nServer.t("orderEmail.subject"),
-        },
-        Body: {
-          Html: {
-            Data: htmlContent,
-          },
-        },
-      },
-    };
-
-    const command = new SendEmailCommand(params);
-    const response = await sesClient.send(command);
-    console.log("Order Confirmation Email sent:", response.MessageId);
+    const response = await queueEmail({
+      type: "orderConfirmation",
+      locale,
+      from: fromEmail,
+      to: email,
+      subject: i18nServer.t("orderEmail.subject"),
+      html: htmlContent,
+      text: textContent,
+    });
+    console.log(
+      `Order Confirmation Email ${response.status}:`,
+      response.MessageId || response.outboxId
+    );
     return response;
   } catch (error) {
     console.error("Error sending order confirmation email:", error);
@@ -143,27 +153,21 @@ async function sendOrderReady(email, orderData, locale = "de") {
     await i18nServer.changeLanguage(locale);
     
     const htmlContent = await getOrderReadyTemplate(orderData, locale);
+    const textContent = await getOrderReadyText(orderData, locale);
 
-    const params = {
-      Source: fromEmail,
-      Destination: {
-        ToAddresses: [email],
-      },
-      Message: {
-        Subject: {
-          Data: i18nServer.t("orderReadyEmail.subject"),
-        },
-        Body: {
-          Html: {
-            Data: htmlContent,
-          },
-        },
-      },
-    };
-
-    const command = new SendEmailCommand(params);
-    const response = await sesClient.send(command);
-    console.log("Order Ready Email sent:", response.MessageId);
+    const response = await queueEmail({
+      type: "orderReady",
+      locale,
+      from: fromEmail,
+      to: email,
+      subject: i18nServer.t("orderReadyEmail.subject"),
+      html: htmlContent,
+      text: textContent,
+    });
+    console.log(
+      `Order Ready Email ${response.status}:`,
+      response.MessageId || response.outboxId
+    );
     return response;
   } catch (error) {
     console.error("Error sending order ready email:", error);
@@ -182,27 +186,24 @@ async function sendOrderMissingInsurance(email, orderData, locale = "de") {
       orderData,
       locale
     );
+    const textContent = await getOrderMissingInsuranceText(
+      orderData,
+      locale
+    );
 
-    const params = {
-      Source: fromEmail,
-      Destination: {
-        ToAddresses: [email],
-      },
-      Message: {
-        Subject: {
-          Data: i18nServer.t("orderMissingInsurance.subject"),
-        },
-        Body: {
-          Html: {
-            Data: htmlContent,
-          },
-        },
-      },
-    };
-
-    const command = new SendEmailCommand(params);
-    const response = await sesClient.send(command);
-    console.log("Order missing insurance email sent:", response.MessageId);
+    const response = await queueEmail({
+      type: "orderMissingInsurance",
+      locale,
+      from: fromEmail,
+      to: email,
+      subject: i18nServer.t("orderMissingInsurance.subject"),
+      html: htmlContent,
+      text: textContent,
+    });
+    console.log(
+      `Order missing insurance email ${response.status}:`,
+      response.MessageId || response.outboxId
+    );
     return response;
   } catch (error) {
     console.error("Error sending order missing insurance email:", error);
@@ -218,8 +219,7 @@ async function sendAppointmentReminder(email, appointmentData, reminderType = "2
     await i18nServer.changeLanguage(locale);
     
     // Get translated time for subject
-    const reminderTimeKey = reminderType === "24h" ? "reminderEmail.time24h" : "reminderEmail.time2h";
-    const timeText = i18nServer.t(reminderTimeKey);
+    const timeText = getReminderTimeText(reminderType);
 
     const localizedAppointmentData = appointmentData
       ? {
@@ -236,27 +236,25 @@ async function sendAppointmentReminder(email, appointmentData, reminderType = "2
       reminderType,
       locale
     );
+    const textContent = await getAppointmentReminderText(
+      localizedAppointmentData,
+      reminderType,
+      locale
+    );
 
-    const params = {
-      Source: fromEmail,
-      Destination: {
-        ToAddresses: [email],
-      },
-      Message: {
-        Subject: {
-          Data: i18nServer.t("reminderEmail.subject", { time: timeText }),
-        },
-        Body: {
-          Html: {
-            Data: htmlContent,
-          },
-        },
-      },
-    };
-
-    const command = new SendEmailCommand(params);
-    const response = await sesClient.send(command);
-    console.log(`Appointment Reminder (${reminderType}) Email sent:`, response.MessageId);
+    const response = await queueEmail({
+      type: "appointmentReminder",
+      locale,
+      from: fromEmail,
+      to: email,
+      subject: i18nServer.t("reminderEmail.subject", { time: timeText }),
+      html: htmlContent,
+      text: textContent,
+    });
+    console.log(
+      `Appointment Reminder (${reminderType}) Email ${response.status}:`,
+      response.MessageId || response.outboxId
+    );
     return response;
   } catch (error) {
     console.error(`Error sending appointment reminder (${reminderType}) email:`, error);
@@ -285,27 +283,30 @@ async function sendAppointmentCancellation(email, appointmentData, locale = "de"
       localizedAppointmentData,
       locale
     );
+    const textContent = await getAppointmentCancellationText(
+      localizedAppointmentData,
+      locale
+    );
+    const icalEvent = await getAppointmentCalendarEvent(
+      localizedAppointmentData,
+      "CANCEL",
+      { locale, attendeeEmail: email }
+    );
 
-    const params = {
-      Source: fromEmail,
-      Destination: {
-        ToAddresses: [email],
-      },
-      Message: {
-        Subject: {
-          Data: i18nServer.t("cancellationEmail.subject"),
-        },
-        Body: {
-          Html: {
-            Data: htmlContent,
-          },
-        },
-      },
-    };
-
-    const command = new SendEmailCommand(params);
-    const response = await sesClient.send(command);
-    console.log("Appointment Cancellation Email sent:", response.MessageId);
+    const response = await queueEmail({
+      type: "appointmentCancellation",
+      locale,
+      from: fromEmail,
+      to: email,
+      subject: i18nServer.t("cancellationEmail.subject"),
+      html: htmlContent,
+      text: textContent,
+      icalEvent,
+    });
+    console.log(
+      `Appointment Cancellation Email ${response.status}:`,
+      response.MessageId || response.outboxId
+    );
     return response;
   } catch (error) {
     console.error("Error sending appointment cancellation email:", error);
@@ -334,27 +335,30 @@ async function sendAppointmentReschedule(email, appointmentData, locale = "de")
       localizedAppointmentData,
       locale
     );
+    const textContent = await getAppointmentRescheduleText(
+      localizedAppointmentData,
+      locale
+    );
+    const icalEvent = await getAppointmentCalendarEvent(
+      localizedAppointmentData,
+      "REQUEST",
+      { locale, attendeeEmail: email }
+    );
 
-    const params = {
-      Source: fromEmail,
-      Destination: {
-        ToAddresses: [email],
-      },
-      Message: {
-        Subject: {
-          Data: i18nServer.t("rescheduleEmail.subject"),
-        },
-        Body: {
-          Html: {
-            Data: htmlContent,
-          },
-        },
-      },
-    };
-
-    const command = new SendEmailCommand(params);
-    const response = await sesClient.send(command);
-    console.log("Appointment Reschedule Email sent:", response.MessageId);
+    const response = await queueEmail({
+      type: "appointmentReschedule",
+      locale,
+      from: fromEmail,
+      to: email,
+      subject: i18nServer.t("rescheduleEmail.subject"),
+      html: htmlContent,
+      text: textContent,
+      icalEvent,
+    });
+    console.log(
+      `Appointment Reschedule Email ${response.status}:`,
+      response.MessageId || response.outboxId
+    );
     return response;
   } catch (error) {
     console.error("Error sending appointment reschedule email:", error);
@@ -383,27 +387,30 @@ async function sendPatientCancellationConfirmation(email, appointmentData, local
       localizedAppointmentData,
       locale
     );
+    const textContent = await getPatientCancellationConfirmationText(
+      localizedAppointmentData,
+      locale
+    );
+    const icalEvent = await getAppointmentCalendarEvent(
+      localizedAppointmentData,
+      "CANCEL",
+      { locale, attendeeEmail: email }
+    );
 
-    const params = {
-      Source: fromEmail,
-      Destination: {
-        ToAddresses: [email],
-      },
-      Message: {
-        Subject: {
-          Data: i18nServer.t("patientCancellationConfirmation.subject"),
-        },
-        Body: {
-          Html: {
-            Data: htmlContent,
-          },
-        },
-      },
-    };
-
-    const command = new SendEmailCommand(params);
-    const response = await sesClient.send(command);
-    console.log("Patient Cancellation Confirmation Email sent:", response.MessageId);
+    const response = await queueEmail({
+      type: "patientCancellationConfirmation",
+      locale,
+      from: fromEmail,
+      to: email,
+      subject: i18nServer.t("patientCancellationConfirmation.subject"),
+      html: htmlContent,
+      text: textContent,
+      icalEvent,
+    });
+    console.log(
+      `Patient Cancellation Confirmation Email ${response.status}:`,
+      response.MessageId || response.outboxId
+    );
     return response;
   } catch (error) {
     console.error("Error sending patient cancellation confirmation email:", error);
@@ -430,31 +437,25 @@ async function sendMarketingEmail(
       locale,
       i18n: i18nServer,
     });
+    const textContent = getMarketingEmailText({
+      patientName,
+      content,
+      locale,
+      i18n: i18nServer,
+    });
 
-    const params = {
-      Source: fromEmail,
-      Destination: {
-        ToAddresses: [email],
-      },
-      Message: {
-        Subject: {
-          Data: subject,
-          Charset: "UTF-8",
-        },
-        Body: {
-          Html: {
-            Data: htmlContent,
-            Charset: "UTF-8",
-          },
-        },
-      },
-    };
+    const response = await queueEmail({
+      type: "marketingEmail",
+      locale,
+      from: fromEmail,
+      to: email,
+      subject,
+      html: htmlContent,
+      text: textContent,
+    });
 
-    const command = new SendEmailCommand(params);
-    await sesClient.send(command);
-    
-    console.log(`✅ Marketing email sent successfully to: ${email}`);
-    return { success: true };
+    console.log(`✅ Marketing email ${response.status} for: ${email}`);
+    return { success: true, outboxId: response.outboxId };
   } catch (error) {
     console.error(`❌ Error sending marketing email to ${email}:`, error);
     throw error;
@@ -479,29 +480,23 @@ async function sendFridayVideoNotification(notificationData, locale = "de") {
       notificationData,
       locale
     );
+    const textContent = await getFridayVideoNotificationText(
+      notificationData,
+      locale
+    );
 
-    const params = {
-      Source: fromEmail,
-      Destination: {
-        ToAddresses: [practiceEmail],
-      },
-      Message: {
-        Subject: {
-          Data: i18nServer.t("fridayVideoNotification.subject"),
-        },
-        Body: {
-          Html: {
-            Data: htmlContent,
-          },
-        },
-      },
-    };
-
-    const command = new SendEmailCommand(params);
-    const response = await sesClient.send(command);
+    const response = await queueEmail({
+      type: "fridayVideoNotification",
+      locale,
+      from: fromEmail,
+      to: practiceEmail,
+      subject: i18nServer.t("fridayVideoNotification.subject"),
+      html: htmlContent,
+      text: textContent,
+    });
     console.log(
-      "Video consultation notification email sent:",
-      response.MessageId
+      `Video consultation notification email ${response.status}:`,
+      response.MessageId || response.outboxId
     );
     return response;
   } catch (error) {
@@ -513,6 +508,80 @@ async function sendFridayVideoNotification(notificationData, locale = "de") {
   }
 }
 
+async function sendWaitlistOffer(email, offerData, locale = "de") {
+  const fromEmail = DEFAULT_FROM_EMAIL;
+  const i18nServer = require("../config/i18n");
+
+  try {
+    await i18nServer.changeLanguage(locale);
+
+    const localizedOfferData = {
+      ...offerData,
+      doctorName: getLocalizedDoctorName(offerData.doctorName, i18nServer),
+    };
+
+    const htmlContent = await getWaitlistOfferTemplate(
+      localizedOfferData,
+      locale
+    );
+    const textContent = await getWaitlistOfferText(localizedOfferData, locale);
+
+    const response = await queueEmail({
+      type: "waitlistOffer",
+      locale,
+      from: fromEmail,
+      to: email,
+      subject: i18nServer.t("waitlistOffer.subject"),
+      html: htmlContent,
+      text: textContent,
+    });
+    console.log(
+      `Waitlist offer email ${response.status}:`,
+      response.MessageId || response.outboxId
+    );
+    return response;
+  } catch (error) {
+    console.error("Error sending waitlist offer email:", error);
+    throw error;
+  }
+}
+
+// Security notice to a dashboard account (and SECURITY_ALERT_EMAIL, if set)
+// that was locked after repeated failed logins
+async function sendAccountLockoutNotification(lockoutData, locale = "de") {
+  const fromEmail = DEFAULT_FROM_EMAIL;
+  const i18nServer = require("../config/i18n");
+  const recipients = [
+    lockoutData.email,
+    process.env.SECURITY_ALERT_EMAIL,
+  ].filter(Boolean);
+
+  try {
+    await i18nServer.changeLanguage(locale);
+
+    const htmlContent = await getAccountLockoutTemplate(lockoutData, locale);
+    const textContent = await getAccountLockoutText(lockoutData, locale);
+
+    const response = await queueEmail({
+      type: "accountLockout",
+      locale,
+      from: fromEmail,
+      to: recipients,
+      subject: i18nServer.t("accountLockout.subject"),
+      html: htmlContent,
+      text: textContent,
+    });
+    console.log(
+      `Account lockout email ${response.status}:`,
+      response.MessageId || response.outboxId
+    );
+    return response;
+  } catch (error) {
+    console.error("Error sending account lockout email:", error);
+    throw error;
+  }
+}
+
 module.exports = {
   sendAppointmentConfirmation,
   sendOrderConfirmation,
@@ -524,4 +593,6 @@ module.exports = {
   sendPatientCancellationConfirmation,
   sendMarketingEmail,
   sendFridayVideoNotification,
+  sendWaitlistOffer,
+  sendAccountLockoutNotification,
 };
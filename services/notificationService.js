@@ -0,0 +1,212 @@
+const Patient = require("../models/Patient");
+const mailer = require("./mailer");
+const { sendSms, normalizePhoneNumber } = require("./sms/smsService");
+const {
+  getAppointmentSmsText,
+  getOrderSmsText,
+} = require("./sms/smsTemplates");
+
+/**
+ * Notification Service
+ *
+ * Sends patient notifications by email, SMS or both, depending on the
+ * notificationPreference stored on the Patient record (default: email).
+ * If the preferred channel is not reachable (no phone number for SMS, no
+ * email address for email) the other channel is used instead.
+ *
+ * Every notify* function takes a recipient { email, phone } and resolves to
+ * { channels, email, sms } with the raw result per channel. It only throws
+ * if every attempted channel failed.
+ */
+
+const NOTIFICATION_PREFERENCES = ["email", "sms", "both"];
+
+async function getNotificationPreference(recipient) {
+  if (NOTIFICATION_PREFERENCES.includes(recipient.notificationPreference)) {
+    return recipient.notificationPreference;
+  }
+
+  if (!recipient.email) {
+    return "email";
+  }
+
+  try {
+    const patient = await Patient.findOne({
+      email: recipient.email.toLowerCase(),
+    })
+      .select("notificationPreference")
+      .lean();
+    return patient?.notificationPreference || "email";
+  } catch (error) {
+    console.error("Error loading notification preference:", error.message);
+    return "email";
+  }
+}
+
+/**
+ * Determine which channels to use for a recipient
+ * @param {Object} recipient - { email, phone, notificationPreference? }
+ * @returns {Promise<Array<string>>} Channels, e.g. ["email"] or ["email", "sms"]
+ */
+async function resolveChannels(recipient) {
+  const preference = await getNotificationPreference(recipient);
+  const hasEmail = Boolean(recipient.email);
+  const hasPhone = Boolean(normalizePhoneNumber(recipient.phone));
+
+  const channels = [];
+  if (hasEmail && preference !== "sms") channels.push("email");
+  if (hasPhone && preference !== "email") channels.push("sms");
+
+  // Fall back to whatever channel is reachable
+  if (channels.length === 0) {
+    if (hasEmail) channels.push("email");
+    else if (hasPhone) channels.push("sms");
+  }
+
+  return channels;
+}
+
+async function dispatch(recipient, { sendEmail, getSmsText }) {
+  const channels = await resolveChannels(recipient);
+
+  if (channels.length === 0) {
+    throw new Error("Recipient has neither email address nor phone number");
+  }
+
+  const result = { channels: [] };
+  const errors = [];
+
+  for (const channel of channels) {
+    try {
+      if (channel === "email") {
+        result.email = await sendEmail(recipient.email);
+      } else {
+        result.sms = await sendSms(recipient.phone, await getSmsText());
+      }
+      result.channels.push(channel);
+    } catch (error) {
+      errors.push(`${channel}: ${error.message}`);
+    }
+  }
+
+  if (result.channels.length === 0) {
+    throw new Error(`All notification channels failed (${errors.join("; ")})`);
+  }
+
+  if (errors.length > 0) {
+    console.warn(`⚠️ Notification partially failed: ${errors.join("; ")}`);
+  }
+
+  return result;
+}
+
+async function notifyAppointmentConfirmation(
+  recipient,
+  appointmentData,
+  locale = "de"
+) {
+  return dispatch(recipient, {
+    sendEmail: (email) =>
+      mailer.sendAppointmentConfirmation(email, appointmentData, locale),
+    getSmsText: () =>
+      getAppointmentSmsText("appointmentConfirmation", appointmentData, locale),
+  });
+}
+
+async function notifyAppointmentReminder(
+  recipient,
+  appointmentData,
+  reminderType = "24h",
+  locale = "de"
+) {
+  return dispatch(recipient, {
+    sendEmail: (email) =>
+      mailer.sendAppointmentReminder(
+        email,
+        appointmentData,
+        reminderType,
+        locale
+      ),
+    getSmsText: () =>
+      getAppointmentSmsText(
+        "appointmentReminder",
+        appointmentData,
+        locale,
+        reminderType
+      ),
+  });
+}
+
+async function notifyAppointmentCancellation(
+  recipient,
+  appointmentData,
+  locale = "de"
+) {
+  return dispatch(recipient, {
+    sendEmail: (email) =>
+      mailer.sendAppointmentCancellation(email, appointmentData, locale),
+    getSmsText: () =>
+      getAppointmentSmsText("appointmentCancellation", appointmentData, locale),
+  });
+}
+
+async function notifyPatientCancellationConfirmation(
+  recipient,
+  appointmentData,
+  locale = "de"
+) {
+  return dispatch(recipient, {
+    sendEmail: (email) =>
+      mailer.sendPatientCancellationConfirmation(
+        email,
+        appointmentData,
+        locale
+      ),
+    getSmsText: () =>
+      getAppointmentSmsText(
+        "patientCancellationConfirmation",
+        appointmentData,
+        locale
+      ),
+  });
+}
+
+async function notifyAppointmentReschedule(
+  recipient,
+  appointmentData,
+  locale = "de"
+) {
+  return dispatch(recipient, {
+    sendEmail: (email) =>
+      mailer.sendAppointmentReschedule(email, appointmentData, locale),
+    getSmsText: () =>
+      getAppointmentSmsText("appointmentReschedule", appointmentData, locale),
+  });
+}
+
+async function notifyOrderConfirmation(recipient, orderData, locale = "de") {
+  return dispatch(recipient, {
+    sendEmail: (email) =>
+      mailer.sendOrderConfirmation(email, orderData, locale),
+    getSmsText: () => getOrderSmsText("orderConfirmation", locale),
+  });
+}
+
+async function notifyOrderReady(recipient, orderData, locale = "de") {
+  return dispatch(recipient, {
+    sendEmail: (email) => mailer.sendOrderReady(email, orderData, locale),
+    getSmsText: () => getOrderSmsText("orderReady", locale),
+  });
+}
+
+module.exports = {
+  NOTIFICATION_PREFERENCES,
+  resolveChannels,
+  notifyAppointmentConfirmation,
+  notifyAppointmentReminder,
+  notifyAppointmentCancellation,
+  notifyPatientCancellationConfirmation,
+  notifyAppointmentReschedule,
+  notifyOrderConfirmation,
+  notifyOrderReady,
+};
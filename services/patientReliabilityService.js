@@ -0,0 +1,185 @@
+require("dotenv").config();
+const Appointment = require("../models/Appointment");
+const Patient = require("../models/Patient");
+const { getAppointmentStartUtc } = require("../utils/berlinTime");
+
+/**
+ * Patient reliability
+ *
+ * Staff record no-shows (status "no_show"), and patients who cancel through
+ * their management link less than LATE_CANCELLATION_HOURS before the start
+ * are flagged lateCancellation. Both are summed up per patient (by email) on
+ * Patient.reliability together with the completed appointments and a score.
+ * The record is recalculated from the appointments after every change, so
+ * corrections by staff are picked up as well.
+ *
+ * With NO_SHOW_BOOKING_LIMIT set, patients with that many no-shows can no
+ * longer book online and are asked to call the practice; admins can block or
+ * allow a patient regardless (Patient.bookingRestriction).
+ */
+
+const LATE_CANCELLATION_HOURS =
+  parseInt(process.env.LATE_CANCELLATION_HOURS, 10) || 24;
+// 0 (default) never restricts online booking
+const NO_SHOW_BOOKING_LIMIT =
+  parseInt(process.env.NO_SHOW_BOOKING_LIMIT, 10) || 0;
+const BOOKING_RESTRICTED_CODE = "BOOKING_RESTRICTED";
+
+// A late cancellation weighs half as much as a no-show
+const LATE_CANCELLATION_WEIGHT = 0.5;
+
+/**
+ * Whether cancelling now is a late cancellation
+ * @param {Object} appointment - Appointment document or plain object
+ * @param {Date} now - Time of the cancellation
+ * @returns {boolean}
+ */
+function isLateCancellation(appointment, now = new Date()) {
+  const startsAt = getAppointmentStartUtc(appointment);
+
+  if (!startsAt) {
+    return false;
+  }
+
+  return startsAt.getTime() - now.getTime() < LATE_CANCELLATION_HOURS * 3600000;
+}
+
+/**
+ * Score from the counts: share of attended appointments, with late
+ * cancellations counting half as missed
+ * @param {Object} counts - { completedCount, noShowCount, lateCancellationCount }
+ * @returns {number|undefined} 0-100, undefined without any outcome
+ */
+function getReliabilityScore({
+  completedCount,
+  noShowCount,
+  lateCancellationCount,
+}) {
+  const missed = noShowCount + lateCancellationCount * LATE_CANCELLATION_WEIGHT;
+  const total = completedCount + missed;
+
+  if (total === 0) {
+    return undefined;
+  }
+
+  return Math.round((completedCount / total) * 100);
+}
+
+/**
+ * Recalculate Patient.reliability from the patient's appointments
+ * Never throws; the record is simply recalculated with the next change
+ * @param {string} email - Patient email
+ * @returns {Promise<Object|null>} The reliability record, or null without a patient
+ */
+async function updatePatientReliability(email) {
+  if (!email) {
+    return null;
+  }
+
+  try {
+    const [counts] = await Appointment.aggregate([
+      { $match: { patientEmail: email.toLowerCase() } },
+      {
+        $group: {
+          _id: null,
+          completedCount: {
+            $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] },
+          },
+          noShowCount: {
+            $sum: { $cond: [{ $eq: ["$status", "no_show"] }, 1, 0] },
+          },
+          lateCancellationCount: {
+            $sum: {
+              $cond: [
+                {
+                  $and: [
+                    { $eq: ["$status", "cancelled"] },
+                    { $eq: ["$lateCancellation", true] },
+                  ],
+                },
+                1,
+                0,
+              ],
+            },
+          },
+          lastNoShowAt: {
+            $max: {
+              $cond: [{ $eq: ["$status", "no_show"] }, "$noShowAt", null],
+            },
+          },
+        },
+      },
+    ]);
+
+    const reliability = {
+      completedCount: counts?.completedCount || 0,
+      noShowCount: counts?.noShowCount || 0,
+      lateCancellationCount: counts?.lateCancellationCount || 0,
+      lastNoShowAt: counts?.lastNoShowAt || undefined,
+      updatedAt: new Date(),
+    };
+    reliability.score = getReliabilityScore(reliability);
+
+    const patient = await Patient.findOneAndUpdate(
+      { email: email.toLowerCase() },
+      { $set: { reliability } },
+      { new: true }
+    );
+
+    return patient ? patient.reliability : null;
+  } catch (error) {
+    console.error(`Error updating reliability of patient ${email}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Whether a patient may no longer book online
+ * @param {Object} patient - Patient document or plain object
+ * @returns {boolean}
+ */
+function isBookingRestricted(patient) {
+  if (!patient) {
+    return false;
+  }
+
+  if (patient.bookingRestriction === "blocked") {
+    return true;
+  }
+  if (patient.bookingRestriction === "allowed") {
+    return false;
+  }
+
+  return (
+    NO_SHOW_BOOKING_LIMIT > 0 &&
+    (patient.reliability?.noShowCount || 0) >= NO_SHOW_BOOKING_LIMIT
+  );
+}
+
+/**
+ * Check the patient with this email before an online booking
+ * @param {string} email - Email entered in the booking form
+ * @returns {Promise<boolean>} true if online booking is restricted
+ */
+async function isOnlineBookingRestricted(email) {
+  if (!email) {
+    return false;
+  }
+
+  const patient = await Patient.findOne({ email: email.toLowerCase() })
+    .select("reliability bookingRestriction")
+    .lean();
+
+  return isBookingRestricted(patient);
+}
+
+module.exports = {
+  LATE_CANCELLATION_HOURS,
+  NO_SHOW_BOOKING_LIMIT,
+  BOOKING_RESTRICTED_CODE,
+  isLateCancellation,
+  getReliabilityScore,
+  updatePatientReliability,
+  isBookingRestricted,
+  isOnlineBookingRestricted,
+};
@@ -2,12 +2,14 @@ const Patient = require("../models/Patient");
 
 /**
  * Create or update a patient record
- * @param {Object} patientData - Patient information (name, email, phone)
+ * Public bookings are not authenticated, so an existing patient keeps the
+ * stored notification channel; staff change it through /api/patients
+ * @param {Object} patientData - Patient information (name, email, phone, notificationPreference)
  * @returns {Promise<Object>} - Patient document
  */
 async function createOrUpdatePatient(patientData) {
   try {
-    const { name, email, phone } = patientData;
+    const { name, email, phone, notificationPreference } = patientData;
 
     if (!email) {
       console.warn("⚠️ Cannot save patient: email is required");
@@ -29,6 +31,7 @@ async function createOrUpdatePatient(patientData) {
         name: name || "N/A",
         email,
         phone: phone || "N/A",
+        notificationPreference,
       });
 
       await patient.save();
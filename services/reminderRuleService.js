@@ -0,0 +1,190 @@
+const ReminderRule = require("../models/ReminderRule");
+const { getBerlinParts } = require("../utils/berlinTime");
+
+// Fallback configuration used when no database rule matches an appointment
+const ENABLE_24H_REMINDERS = process.env.ENABLE_24H_REMINDERS !== "false"; // Default: true
+const ENABLE_2H_REMINDERS = process.env.ENABLE_2H_REMINDERS !== "false"; // Default: true
+const REMINDER_QUIET_HOURS = process.env.REMINDER_QUIET_HOURS || ""; // e.g. "21:00-08:00"
+
+const MINUTES_PER_DAY = 24 * 60;
+
+function parseQuietHours(value) {
+  const match = /^(\d{1,2}:\d{2})-(\d{1,2}:\d{2})$/.exec(value.trim());
+  return match ? { start: match[1], end: match[2] } : undefined;
+}
+
+function getDefaultReminderRule() {
+  const offsetsMinutes = [];
+  if (ENABLE_24H_REMINDERS) offsetsMinutes.push(24 * 60);
+  if (ENABLE_2H_REMINDERS) offsetsMinutes.push(2 * 60);
+
+  return {
+    name: "Default (environment)",
+    doctorId: null,
+    appointmentType: "any",
+    offsetsMinutes,
+    quietHours: parseQuietHours(REMINDER_QUIET_HOURS),
+    isDefault: true,
+  };
+}
+
+/**
+ * Load all active reminder rules
+ * @returns {Promise<Array>} Plain rule objects
+ */
+async function loadActiveReminderRules() {
+  return ReminderRule.find({ isActive: true }).lean();
+}
+
+/**
+ * Pick the rule for an appointment. Precedence:
+ * doctor + type, doctor + any, practice + type, practice + any, environment default
+ * @param {Array} rules - Active rules from loadActiveReminderRules()
+ * @param {Object} criteria - { doctorId, isVideoAppointment }
+ * @returns {Object} Matching rule
+ */
+function resolveReminderRule(rules, { doctorId, isVideoAppointment }) {
+  const appointmentType = isVideoAppointment ? "video" : "in_person";
+  const doctorKey = doctorId ? doctorId.toString() : null;
+
+  const find = (forDoctor, type) =>
+    rules.find(
+      (rule) =>
+        (forDoctor
+          ? rule.doctorId && rule.doctorId.toString() === doctorKey
+          : !rule.doctorId) && rule.appointmentType === type
+    );
+
+  return (
+    (doctorKey && find(true, appointmentType)) ||
+    (doctorKey && find(true, "any")) ||
+    find(false, appointmentType) ||
+    find(false, "any") ||
+    getDefaultReminderRule()
+  );
+}
+
+/**
+ * Largest offset of all rules, used to limit the appointment query
+ * @param {Array} rules - Active rules
+ * @returns {number} Minutes
+ */
+function getMaxOffsetMinutes(rules) {
+  return [...rules, getDefaultReminderRule()].reduce(
+    (max, rule) => Math.max(max, ...(rule.offsetsMinutes || [])),
+    0
+  );
+}
+
+/**
+ * Stable ledger key for an offset, e.g. 1440 -> "24h", 90 -> "90m"
+ * @param {number} offsetMinutes - Minutes before the appointment
+ * @returns {string} Reminder type key
+ */
+function getReminderTypeKey(offsetMinutes) {
+  return offsetMinutes % 60 === 0
+    ? `${offsetMinutes / 60}h`
+    : `${offsetMinutes}m`;
+}
+
+function toMinutesOfDay(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+function getBerlinMinutesOfDay(date) {
+  const { hour, minute } = getBerlinParts(date);
+  return hour * 60 + minute;
+}
+
+function hasQuietHours(quietHours) {
+  return Boolean(
+    quietHours &&
+    quietHours.start &&
+    quietHours.end &&
+    quietHours.start !== quietHours.end
+  );
+}
+
+/**
+ * Check if an instant falls into the quiet hours (Berlin local time)
+ * @param {Date} date - Instant to check
+ * @param {Object} quietHours - { start: "HH:MM", end: "HH:MM" }
+ * @returns {boolean} Whether no reminder may be sent at that time
+ */
+function isWithinQuietHours(date, quietHours) {
+  if (!hasQuietHours(quietHours)) {
+    return false;
+  }
+
+  const minutes = getBerlinMinutesOfDay(date);
+  const start = toMinutesOfDay(quietHours.start);
+  const end = toMinutesOfDay(quietHours.end);
+
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+// Move an instant by whole minutes and snap it onto the given Berlin wall
+// time, compensating for a DST switch in between
+function shiftToWallTime(date, deltaMinutes, targetMinutesOfDay) {
+  const shifted = new Date(date.getTime() + deltaMinutes * 60000);
+  const drift = targetMinutesOfDay - getBerlinMinutesOfDay(shifted);
+
+  if (drift !== 0 && Math.abs(drift) <= 60) {
+    return new Date(shifted.getTime() + drift * 60000);
+  }
+  return shifted;
+}
+
+/**
+ * Calculate when a reminder should go out.
+ * A reminder that would fall into quiet hours is postponed to the end of the
+ * quiet hours if at least half of its lead time remains, otherwise it is
+ * brought forward to the start of the quiet hours.
+ * @param {Date} startsAt - Appointment start (UTC)
+ * @param {number} offsetMinutes - Minutes before the appointment
+ * @param {Object} quietHours - Optional { start, end }
+ * @returns {Date} Planned send time
+ */
+function getReminderSendTime(startsAt, offsetMinutes, quietHours) {
+  const dueAt = new Date(startsAt.getTime() - offsetMinutes * 60000);
+
+  if (!isWithinQuietHours(dueAt, quietHours)) {
+    return dueAt;
+  }
+
+  const dueMinutes = getBerlinMinutesOfDay(dueAt);
+  const quietStart = toMinutesOfDay(quietHours.start);
+  const quietEnd = toMinutesOfDay(quietHours.end);
+
+  const postponed = shiftToWallTime(
+    dueAt,
+    (quietEnd - dueMinutes + MINUTES_PER_DAY) % MINUTES_PER_DAY,
+    quietEnd
+  );
+  const latestUseful = new Date(
+    startsAt.getTime() - (offsetMinutes / 2) * 60000
+  );
+
+  if (postponed <= latestUseful) {
+    return postponed;
+  }
+
+  return shiftToWallTime(
+    dueAt,
+    -((dueMinutes - quietStart + MINUTES_PER_DAY) % MINUTES_PER_DAY),
+    quietStart
+  );
+}
+
+module.exports = {
+  getDefaultReminderRule,
+  loadActiveReminderRules,
+  resolveReminderRule,
+  getMaxOffsetMinutes,
+  getReminderTypeKey,
+  isWithinQuietHours,
+  getReminderSendTime,
+};
@@ -0,0 +1,541 @@
+require("dotenv").config();
+const crypto = require("crypto");
+const SlotReservation = require("../models/SlotReservation");
+const Appointment = require("../models/Appointment");
+const { ACTIVE_STATUSES } = Appointment;
+const Availability = require("../models/Availability");
+const { getClosedDays } = require("./availabilityService");
+const {
+  getOccupiedMinutes,
+  getFittingStartTimes,
+} = require("./appointmentTypeService");
+const { convertBerlinSlotToUtc } = require("../utils/berlinTime");
+
+/**
+ * Slot reservations
+ *
+ * Every scheduled appointment owns a SlotReservation for its doctor, day and
+ * slot. The unique index on { doctorId, date, slot } turns claiming a slot
+ * into a single insert, so of two concurrent bookings exactly one wins and
+ * the other gets SLOT_TAKEN. The claim is made with the appointment's _id
+ * before the appointment is saved and released again when the appointment is
+ * cancelled, deleted or moved, so cancelled slots can be booked again.
+ * Appointments with a type longer than one slot own a reservation for every
+ * slot they cover (claimSlots).
+ *
+ * While filling in the booking form a patient can hold a slot: a reservation
+ * without appointment that carries a holdToken and expires after
+ * SLOT_HOLD_MINUTES. Held slots are hidden from other patients; booking with
+ * the holdToken turns the hold into the appointment's reservation. Each
+ * client (holderKey) has at most one active hold: holding another slot
+ * releases the previous one, so a single client cannot block a whole day.
+ *
+ * A reservation is stale, and taken over by the next claim, when its hold
+ * has expired, when its appointment is no longer scheduled on that slot, or
+ * when the appointment was never saved (booking crashed between claim and
+ * save) PENDING_CLAIM_TIMEOUT_MS after the claim.
+ */
+
+const SLOT_TAKEN_CODE = "SLOT_TAKEN";
+const SLOT_HOLD_MINUTES = parseInt(process.env.SLOT_HOLD_MINUTES, 10) || 10;
+const PENDING_CLAIM_TIMEOUT_MS = 2 * 60 * 1000;
+const ALTERNATIVE_SLOT_DAYS = 14;
+const ALTERNATIVE_SLOT_LIMIT = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OWNER_FIELDS = ["appointmentId", "holdToken", "expiresAt", "holderKey"];
+
+function toId(value) {
+  if (value && typeof value === "object" && value._id) {
+    return value._id;
+  }
+  return value;
+}
+
+function sameId(a, b) {
+  return String(toId(a)) === String(toId(b));
+}
+
+function timeToMinutes(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+async function isStale(reservation) {
+  if (!reservation.appointmentId) {
+    return !(reservation.expiresAt > new Date());
+  }
+
+  const appointment = await Appointment.findById(reservation.appointmentId)
+    .select("doctorId date slot status durationMinutes bufferMinutes")
+    .lean();
+
+  if (!appointment) {
+    return (
+      reservation.claimedAt < new Date(Date.now() - PENDING_CLAIM_TIMEOUT_MS)
+    );
+  }
+
+  return (
+    !ACTIVE_STATUSES.includes(appointment.status) ||
+    !sameId(appointment.doctorId, reservation.doctorId) ||
+    appointment.date.getTime() !== reservation.date.getTime() ||
+    !coversSlot(appointment, reservation.slot)
+  );
+}
+
+// Start slot, or one of the following slots of a longer appointment
+function coversSlot(appointment, slot) {
+  const offset = timeToMinutes(slot) - timeToMinutes(appointment.slot);
+  return (
+    offset === 0 ||
+    (offset > 0 && offset < (getOccupiedMinutes(appointment) || 0))
+  );
+}
+
+// Owner fields of a reservation; the ones not given are removed
+function ownerUpdate(owner) {
+  const $set = { claimedAt: new Date() };
+  const $unset = {};
+  OWNER_FIELDS.forEach((field) => {
+    if (owner[field] === undefined) $unset[field] = "";
+    else $set[field] = owner[field];
+  });
+  return { $set, $unset };
+}
+
+async function insertReservation(key, owner) {
+  try {
+    return await SlotReservation.create({ ...key, ...owner });
+  } catch (error) {
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Insert a reservation, or take over the existing one if canTakeOver allows
+// it and nobody else took it over since we read it
+async function acquireSlot(key, owner, canTakeOver) {
+  let reservation = await insertReservation(key, owner);
+
+  if (!reservation) {
+    const existing = await SlotReservation.findOne(key).lean();
+
+    if (!existing) {
+      // Released in the meantime
+      reservation = await insertReservation(key, owner);
+    } else if (await canTakeOver(existing)) {
+      reservation = await SlotReservation.findOneAndUpdate(
+        { _id: existing._id, claimedAt: existing.claimedAt },
+        ownerUpdate(owner),
+        { new: true }
+      );
+    }
+  }
+
+  if (!reservation) {
+    return null;
+  }
+
+  // Appointments booked before reservations existed hold their slot without
+  // a reservation; hand the reservation to them instead
+  const legacyFilter = { ...key, status: { $in: ACTIVE_STATUSES } };
+  if (owner.appointmentId) legacyFilter._id = { $ne: owner.appointmentId };
+
+  const legacyAppointment = await Appointment.findOne(legacyFilter)
+    .select("_id")
+    .lean();
+
+  if (legacyAppointment) {
+    await SlotReservation.updateOne(
+      { _id: reservation._id, claimedAt: reservation.claimedAt },
+      ownerUpdate({ appointmentId: legacyAppointment._id })
+    );
+    return null;
+  }
+
+  return reservation;
+}
+
+/**
+ * Atomically claim a slot for an appointment
+ * @param {Object} slot - { doctorId, date, slot }; date as UTC midnight
+ * @param {string} appointmentId - Appointment that will own the slot (may be unsaved)
+ * @param {Object} options - { holdToken }: hold on this slot to convert
+ * @returns {Promise<Object|null>} The reservation, or null if the slot is taken
+ */
+async function claimSlot(
+  { doctorId, date, slot },
+  appointmentId,
+  options = {}
+) {
+  const key = { doctorId: toId(doctorId), date, slot };
+  const { holdToken } = options;
+
+  return acquireSlot(
+    key,
+    { appointmentId },
+    async (existing) =>
+      sameId(existing.appointmentId, appointmentId) ||
+      Boolean(
+        holdToken && !existing.appointmentId && existing.holdToken === holdToken
+      ) ||
+      isStale(existing)
+  );
+}
+
+/**
+ * Atomically claim consecutive slots for an appointment, all or nothing
+ * @param {Object} slots - { doctorId, date, slots }; date as UTC midnight, slots in order
+ * @param {string} appointmentId - Appointment that will own the slots (may be unsaved)
+ * @param {Object} options - { holdToken }: hold on the first slot to convert
+ * @returns {Promise<Array|null>} The reservations, or null if a slot is taken
+ */
+async function claimSlots(
+  { doctorId, date, slots },
+  appointmentId,
+  options = {}
+) {
+  const { holdToken } = options;
+  const [owned, hold] = await Promise.all([
+    SlotReservation.find({ appointmentId: toId(appointmentId) })
+      .select("_id")
+      .lean(),
+    holdToken ? findHold(holdToken) : null,
+  ]);
+  const ownedIds = new Set(owned.map((r) => String(r._id)));
+  const reservations = [];
+
+  for (const [index, slot] of slots.entries()) {
+    const reservation = await claimSlot(
+      { doctorId, date, slot },
+      appointmentId,
+      index === 0 ? { holdToken } : {}
+    );
+
+    if (!reservation) {
+      // Give back what this call claimed; slots the appointment already
+      // owned stay, a converted hold becomes a hold again
+      for (const claimed of reservations) {
+        if (ownedIds.has(String(claimed._id))) {
+          continue;
+        }
+        if (hold && sameId(hold._id, claimed._id)) {
+          await SlotReservation.updateOne(
+            { _id: claimed._id, appointmentId: toId(appointmentId) },
+            ownerUpdate({
+              holdToken,
+              expiresAt: hold.expiresAt,
+              holderKey: hold.holderKey,
+            })
+          );
+        } else {
+          await SlotReservation.deleteOne({
+            _id: claimed._id,
+            appointmentId: toId(appointmentId),
+          });
+        }
+      }
+      return null;
+    }
+
+    reservations.push(reservation);
+  }
+
+  return reservations;
+}
+
+/**
+ * Key of the client placing a hold, so the IP itself is not stored
+ * @param {string} ip - Client IP (req.ip)
+ * @returns {string} SHA-256 hex digest
+ */
+function getHolderKey(ip) {
+  return crypto
+    .createHash("sha256")
+    .update(String(ip || ""))
+    .digest("hex");
+}
+
+/**
+ * Hold a slot for SLOT_HOLD_MINUTES while the patient completes the booking
+ * Replaces the client's previous hold, if any
+ * @param {Object} slot - { doctorId, date, slot }; date as UTC midnight
+ * @param {Object} options - { replaceHoldToken, holderKey, minutes }: earlier hold of the same patient to release, client placing the hold (see getHolderKey()), hold duration
+ * @returns {Promise<Object|null>} The hold reservation (holdToken, expiresAt), or null if the slot is taken
+ */
+async function holdSlot({ doctorId, date, slot }, options = {}) {
+  const key = { doctorId: toId(doctorId), date, slot };
+  const { replaceHoldToken, holderKey, minutes = SLOT_HOLD_MINUTES } = options;
+
+  const isOwnHold = (existing) =>
+    !existing.appointmentId &&
+    Boolean(
+      (replaceHoldToken && existing.holdToken === replaceHoldToken) ||
+      (holderKey && existing.holderKey === holderKey)
+    );
+
+  const hold = await acquireSlot(
+    key,
+    {
+      holdToken: crypto.randomBytes(32).toString("hex"),
+      expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+      holderKey,
+    },
+    async (existing) => isOwnHold(existing) || isStale(existing)
+  );
+
+  if (!hold) {
+    return null;
+  }
+
+  if (replaceHoldToken) {
+    await releaseHold(replaceHoldToken);
+  }
+
+  // One active hold per client
+  if (holderKey) {
+    await SlotReservation.deleteMany({
+      holderKey,
+      appointmentId: { $exists: false },
+      _id: { $ne: hold._id },
+    });
+  }
+
+  return hold;
+}
+
+/**
+ * Find an active hold
+ * @param {string} holdToken - Hold token
+ * @returns {Promise<Object|null>} The hold, or null if unknown, expired or already booked
+ */
+async function findHold(holdToken) {
+  return SlotReservation.findOne({
+    holdToken,
+    appointmentId: { $exists: false },
+    expiresAt: { $gt: new Date() },
+  }).lean();
+}
+
+/**
+ * Release a hold before it expires
+ * @param {string} holdToken - Hold token
+ * @returns {Promise<boolean>} Whether a hold was released
+ */
+async function releaseHold(holdToken) {
+  const result = await SlotReservation.deleteOne({
+    holdToken,
+    appointmentId: { $exists: false },
+  });
+  return result.deletedCount > 0;
+}
+
+/**
+ * Slots held by other patients, to hide them from availability queries
+ * @param {Object} filter - { doctorId, startDate, endDate }; doctorId optional, dates as UTC midnight, inclusive
+ * @param {string} exceptHoldToken - The caller's own hold, which stays visible (optional)
+ * @returns {Promise<Object>} { isHeld(doctorId, date, slot) }
+ */
+async function getHeldSlots({ doctorId, startDate, endDate }, exceptHoldToken) {
+  const filter = {
+    holdToken: { $exists: true },
+    appointmentId: { $exists: false },
+    expiresAt: { $gt: new Date() },
+    date: { $gte: startDate, $lte: endDate },
+  };
+  if (doctorId) filter.doctorId = toId(doctorId);
+  if (exceptHoldToken) filter.holdToken.$ne = exceptHoldToken;
+
+  const holds = await SlotReservation.find(filter)
+    .select("doctorId date slot")
+    .lean();
+  const keys = new Set(
+    holds.map((h) => `${h.doctorId}|${h.date.toISOString()}|${h.slot}`)
+  );
+
+  return {
+    isHeld(forDoctorId, date, slot) {
+      return keys.has(
+        `${toId(forDoctorId)}|${new Date(date).toISOString()}|${slot}`
+      );
+    },
+  };
+}
+
+/**
+ * Booked and held slots, each listed once
+ * @param {Object} filter - { doctorId, startDate, endDate }; doctorId optional (one ID or an array), dates as UTC midnight, inclusive
+ * @param {string} exceptHoldToken - The caller's own hold, which counts as free (optional)
+ * @returns {Promise<Array>} [{ doctorId, date, slot }]
+ */
+async function findTakenSlots({ doctorId, startDate, endDate }, exceptHoldToken) {
+  const baseFilter = { date: { $gte: startDate, $lte: endDate } };
+  if (Array.isArray(doctorId)) {
+    baseFilter.doctorId = { $in: doctorId.map(toId) };
+  } else if (doctorId) {
+    baseFilter.doctorId = toId(doctorId);
+  }
+
+  const holdFilter = { expiresAt: { $gt: new Date() } };
+  if (exceptHoldToken) holdFilter.holdToken = { $ne: exceptHoldToken };
+
+  const [reservations, appointments] = await Promise.all([
+    SlotReservation.find({
+      ...baseFilter,
+      $or: [{ appointmentId: { $exists: true } }, holdFilter],
+    })
+      .select("doctorId date slot")
+      .lean(),
+    // Appointments from before slot reservations existed
+    Appointment.find({ ...baseFilter, status: { $in: ACTIVE_STATUSES } })
+      .select("doctorId date slot")
+      .lean(),
+  ]);
+
+  const taken = new Map();
+  [...reservations, ...appointments].forEach(({ doctorId, date, slot }) => {
+    taken.set(`${doctorId}|${date.toISOString()}|${slot}`, {
+      doctorId,
+      date,
+      slot,
+    });
+  });
+
+  return [...taken.values()];
+}
+
+/**
+ * Booked and held slots, for start times that must fit several slots
+ * @param {Object} filter - { doctorId, startDate, endDate }; doctorId optional (one ID or an array), dates as UTC midnight, inclusive
+ * @param {string} exceptHoldToken - The caller's own hold, which counts as free (optional)
+ * @returns {Promise<Object>} { isTaken(doctorId, date, slot) }
+ */
+async function getTakenSlots(filter, exceptHoldToken) {
+  const keys = new Set(
+    (await findTakenSlots(filter, exceptHoldToken)).map(
+      (r) => `${r.doctorId}|${r.date.toISOString()}|${r.slot}`
+    )
+  );
+
+  return {
+    isTaken(forDoctorId, date, slot) {
+      return keys.has(
+        `${toId(forDoctorId)}|${new Date(date).toISOString()}|${slot}`
+      );
+    },
+  };
+}
+
+/**
+ * Release the slots held by an appointment
+ * @param {string} appointmentId - Appointment ID
+ * @param {Object} options - { except }: reservation ID or IDs to keep (after a move)
+ * @returns {Promise<number>} Number of released reservations
+ */
+async function releaseSlots(appointmentId, { except } = {}) {
+  const filter = { appointmentId: toId(appointmentId) };
+  if (except) filter._id = { $nin: [].concat(except).map(toId) };
+
+  const result = await SlotReservation.deleteMany(filter);
+  return result.deletedCount;
+}
+
+/**
+ * Free slots of a doctor close to a requested one, for 409 responses
+ * @param {Object} slot - { doctorId, date, slot }; date as UTC midnight
+ * @param {Object} options - { occupiedMinutes, limit }: length of the booking (see getOccupiedMinutes), maximum number of suggestions
+ * @returns {Promise<Array>} [{ date: "YYYY-MM-DD", slot }], same day first (closest time first), then the following days
+ */
+async function findAlternativeSlots(
+  { doctorId, date, slot },
+  { occupiedMinutes = null, limit = ALTERNATIVE_SLOT_LIMIT } = {}
+) {
+  const doctor = toId(doctorId);
+  const startDate = new Date(date);
+  const endDate = new Date(
+    startDate.getTime() + (ALTERNATIVE_SLOT_DAYS - 1) * DAY_MS
+  );
+  const dateRange = { $gte: startDate, $lte: endDate };
+
+  const [availabilities, reservations, closedDays] = await Promise.all([
+    Availability.find({ doctorId: doctor, date: dateRange })
+      .select("date slots")
+      .sort({ date: 1 })
+      .lean(),
+    SlotReservation.find({
+      doctorId: doctor,
+      date: dateRange,
+      $or: [
+        { appointmentId: { $exists: true } },
+        { expiresAt: { $gt: new Date() } },
+      ],
+    })
+      .select("date slot")
+      .lean(),
+    getClosedDays({ startDate, endDate }, doctor),
+  ]);
+
+  const taken = new Set(
+    reservations.map((r) => `${r.date.toISOString()}|${r.slot}`)
+  );
+  const now = new Date();
+  const requestedMinutes = slot ? timeToMinutes(slot) : 0;
+  const alternatives = [];
+
+  for (const availability of availabilities) {
+    if (closedDays.isClosed(doctor, availability.date)) {
+      continue;
+    }
+
+    const dayKey = availability.date.toISOString();
+    const isRequestedDay = availability.date.getTime() === startDate.getTime();
+
+    const free = getFittingStartTimes(
+      availability.slots,
+      occupiedMinutes,
+      (candidate) => taken.has(`${dayKey}|${candidate}`)
+    ).filter(
+      (candidate) =>
+        !(isRequestedDay && candidate === slot) &&
+        convertBerlinSlotToUtc(availability.date, candidate) > now
+    );
+
+    if (isRequestedDay) {
+      free.sort(
+        (a, b) =>
+          Math.abs(timeToMinutes(a) - requestedMinutes) -
+          Math.abs(timeToMinutes(b) - requestedMinutes)
+      );
+    } else {
+      free.sort((a, b) => timeToMinutes(a) - timeToMinutes(b));
+    }
+
+    for (const candidate of free) {
+      alternatives.push({ date: dayKey.slice(0, 10), slot: candidate });
+      if (alternatives.length >= limit) {
+        return alternatives;
+      }
+    }
+  }
+
+  return alternatives;
+}
+
+module.exports = {
+  SLOT_TAKEN_CODE,
+  SLOT_HOLD_MINUTES,
+  claimSlot,
+  claimSlots,
+  getHolderKey,
+  holdSlot,
+  findHold,
+  releaseHold,
+  getHeldSlots,
+  findTakenSlots,
+  getTakenSlots,
+  releaseSlots,
+  findAlternativeSlots,
+};
@@ -0,0 +1,188 @@
+const Doctor = require("../models/Doctor");
+const Availability = require("../models/Availability");
+const Appointment = require("../models/Appointment");
+const { ACTIVE_STATUSES } = Appointment;
+const SlotReservation = require("../models/SlotReservation");
+const { getClosedDays } = require("./availabilityService");
+const {
+  getOccupiedMinutes,
+  getFittingStartTimes,
+  isDoctorAllowed,
+} = require("./appointmentTypeService");
+const {
+  loadActiveVideoRules,
+  isVideoByRules,
+} = require("./videoRuleService");
+const { convertBerlinSlotToUtc } = require("../utils/berlinTime");
+
+/**
+ * Next available slots
+ *
+ * Searches the free slots of all (or some) doctors over a date range and
+ * returns the earliest ones, for "first available appointment" booking.
+ * A slot is free if it is offered in Availability, not on a closed day, not
+ * reserved (booked or held) and not in the past. Slots starting at the same
+ * time are ordered by Doctor.priority (lower first), then by name. For an
+ * appointment type only its doctors and start times it fits are returned.
+ */
+
+const TIME_OF_DAY_RANGES = {
+  morning: ["00:00", "12:00"],
+  afternoon: ["12:00", "17:00"],
+  evening: ["17:00", "24:00"],
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function timeToMinutes(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+function matchesTimeOfDay(slot, timeOfDay) {
+  if (!timeOfDay || timeOfDay.length === 0) {
+    return true;
+  }
+
+  const minutes = timeToMinutes(slot);
+  return timeOfDay.some((period) => {
+    const [start, end] = TIME_OF_DAY_RANGES[period];
+    return minutes >= timeToMinutes(start) && minutes < timeToMinutes(end);
+  });
+}
+
+/**
+ * Earliest free slots across doctors
+ * @param {Object} options - { from, to, doctorIds, type, timeOfDay, appointmentType, limit }
+ *   from/to: days as UTC midnight (inclusive); doctorIds: limit to these doctors;
+ *   type: "video", "practice" or "any"; timeOfDay: subset of "morning", "afternoon", "evening";
+ *   appointmentType: AppointmentType the slot must fit (optional)
+ * @returns {Promise<Array>} [{ doctorId, doctorName, date, slot, startsAt, isVideoAppointment }] ordered by start time
+ */
+async function findNextAvailableSlots({
+  from,
+  to,
+  doctorIds,
+  type = "any",
+  timeOfDay = [],
+  appointmentType = null,
+  limit = 10,
+}) {
+  const doctorFilter =
+    doctorIds && doctorIds.length ? { _id: { $in: doctorIds } } : {};
+  const doctors = (
+    await Doctor.find(doctorFilter)
+      .select("name priority")
+      .sort({ priority: 1, name: 1 })
+      .lean()
+  ).filter(
+    (doctor) => !appointmentType || isDoctorAllowed(appointmentType, doctor._id)
+  );
+
+  if (doctors.length === 0) {
+    return [];
+  }
+
+  const doctorById = new Map(doctors.map((d) => [d._id.toString(), d]));
+  const ids = doctors.map((d) => d._id);
+  const dateRange = { $gte: from, $lt: new Date(to.getTime() + DAY_MS) };
+
+  const [availabilities, reservations, appointments, closedDays, videoRules] =
+    await Promise.all([
+      Availability.find({ doctorId: { $in: ids }, date: dateRange })
+        .select("doctorId date slots videoSlots")
+        .lean(),
+      SlotReservation.find({
+        doctorId: { $in: ids },
+        date: dateRange,
+        $or: [
+          { appointmentId: { $exists: true } },
+          { expiresAt: { $gt: new Date() } },
+        ],
+      })
+        .select("doctorId date slot")
+        .lean(),
+      // Appointments from before slot reservations existed
+      Appointment.find({
+        doctorId: { $in: ids },
+        date: dateRange,
+        status: { $in: ACTIVE_STATUSES },
+      })
+        .select("doctorId date slot")
+        .lean(),
+      getClosedDays({ startDate: from, endDate: to }),
+      loadActiveVideoRules(),
+    ]);
+
+  const taken = new Set(
+    [...reservations, ...appointments].map(
+      (r) => `${r.doctorId}|${r.date.toISOString()}|${r.slot}`
+    )
+  );
+  const now = new Date();
+  const results = [];
+
+  availabilities.forEach((availability) => {
+    const doctor = doctorById.get(availability.doctorId.toString());
+    if (!doctor || closedDays.isClosed(doctor._id, availability.date)) {
+      return;
+    }
+
+    const isVideoDay = isVideoByRules(videoRules, {
+      doctorId: doctor._id,
+      date: availability.date,
+    });
+    const videoSlots = new Set(availability.videoSlots || []);
+    const dayKey = `${doctor._id}|${availability.date.toISOString()}`;
+    const startTimes = getFittingStartTimes(
+      availability.slots,
+      getOccupiedMinutes(appointmentType),
+      (slot) => taken.has(`${dayKey}|${slot}`)
+    );
+
+    startTimes.forEach((slot) => {
+      const startsAt = convertBerlinSlotToUtc(availability.date, slot);
+
+      if (startsAt <= now || !matchesTimeOfDay(slot, timeOfDay)) {
+        return;
+      }
+
+      const isVideoAppointment =
+        isVideoDay ||
+        videoSlots.has(slot) ||
+        Boolean(appointmentType && appointmentType.isVideo);
+
+      if (
+        (type === "video" && !isVideoAppointment) ||
+        (type === "practice" && isVideoAppointment)
+      ) {
+        return;
+      }
+
+      results.push({
+        doctorId: doctor._id,
+        doctorName: doctor.name,
+        priority: doctor.priority,
+        date: availability.date.toISOString().slice(0, 10),
+        slot,
+        startsAt,
+        isVideoAppointment,
+      });
+    });
+  });
+
+  return results
+    .sort(
+      (a, b) =>
+        a.startsAt - b.startsAt ||
+        a.priority - b.priority ||
+        a.doctorName.localeCompare(b.doctorName)
+    )
+    .slice(0, limit)
+    .map(({ priority, ...result }) => result);
+}
+
+module.exports = {
+  TIME_OF_DAY_RANGES,
+  findNextAvailableSlots,
+};
@@ -0,0 +1,18 @@
+const crypto = require("crypto");
+
+/**
+ * Development SMS provider - prints messages to the server log
+ */
+module.exports = {
+  name: "console",
+
+  async send({ to, text, from }) {
+    const messageId = `console-${crypto.randomUUID()}`;
+
+    console.log(`\n📱 [SMS ${messageId}] ${from} → ${to}`);
+    console.log(text);
+    console.log("");
+
+    return { messageId };
+  },
+};
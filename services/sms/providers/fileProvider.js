@@ -0,0 +1,30 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+
+const SMS_OUTPUT_DIR =
+  process.env.SMS_OUTPUT_DIR || path.join(__dirname, "../../../temp/sms");
+
+/**
+ * Development SMS provider - writes every message to a JSON file so it can be
+ * inspected (or asserted on) without sending anything
+ */
+module.exports = {
+  name: "file",
+
+  async send({ to, text, from }) {
+    const messageId = `file-${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+
+    await fs.mkdir(SMS_OUTPUT_DIR, { recursive: true });
+    await fs.writeFile(
+      path.join(SMS_OUTPUT_DIR, `${messageId}.json`),
+      JSON.stringify(
+        { messageId, from, to, text, createdAt: new Date().toISOString() },
+        null,
+        2
+      )
+    );
+
+    return { messageId };
+  },
+};
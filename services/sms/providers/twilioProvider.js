@@ -0,0 +1,30 @@
+const axios = require("axios");
+
+/**
+ * Twilio SMS provider (REST API, no SDK required)
+ * Requires TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN
+ */
+module.exports = {
+  name: "twilio",
+
+  async send({ to, text, from }) {
+    const accountSid = process.env.TWILIO_ACCOUNT_SID;
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+
+    if (!accountSid || !authToken) {
+      throw new Error("TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN must be set");
+    }
+
+    const response = await axios.post(
+      `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`,
+      new URLSearchParams({ To: to, From: from, Body: text }).toString(),
+      {
+        auth: { username: accountSid, password: authToken },
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        timeout: 10000,
+      }
+    );
+
+    return { messageId: response.data.sid };
+  },
+};
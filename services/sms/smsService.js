@@ -0,0 +1,86 @@
+require("dotenv").config();
+
+/**
+ * SMS service with pluggable providers.
+ *
+ * A provider is an object { name, send({ to, text, from }) } whose send()
+ * resolves to { messageId }. Select one with SMS_PROVIDER:
+ * - "console" (default): print to the server log
+ * - "file": write JSON files to SMS_OUTPUT_DIR (default: temp/sms)
+ * - "twilio": send through the Twilio REST API
+ */
+const providers = {
+  console: require("./providers/consoleProvider"),
+  file: require("./providers/fileProvider"),
+  twilio: require("./providers/twilioProvider"),
+};
+
+const SMS_PROVIDER = process.env.SMS_PROVIDER || "console";
+const SMS_SENDER = process.env.SMS_SENDER || "PraxisKerim";
+const DEFAULT_COUNTRY_CODE = "49";
+
+function getSmsProvider() {
+  const provider = providers[SMS_PROVIDER];
+
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${SMS_PROVIDER}`);
+  }
+
+  return provider;
+}
+
+/**
+ * Normalize a phone number to E.164, assuming German numbers without prefix
+ * @param {string} phone - Phone number as entered by the patient
+ * @returns {string|null} E.164 number (e.g. +4917612345678) or null if unusable
+ */
+function normalizePhoneNumber(phone) {
+  if (!phone) {
+    return null;
+  }
+
+  let digits = String(phone)
+    .trim()
+    .replace(/[\s\-/().]/g, "");
+
+  if (digits.startsWith("00")) {
+    digits = `+${digits.slice(2)}`;
+  } else if (digits.startsWith("0")) {
+    digits = `+${DEFAULT_COUNTRY_CODE}${digits.slice(1)}`;
+  } else if (!digits.startsWith("+")) {
+    digits = `+${DEFAULT_COUNTRY_CODE}${digits}`;
+  }
+
+  return /^\+[1-9]\d{6,14}$/.test(digits) ? digits : null;
+}
+
+/**
+ * Send a text message
+ * @param {string} phone - Recipient phone number
+ * @param {string} text - Message text
+ * @returns {Promise<Object>} { messageId, provider }
+ */
+async function sendSms(phone, text) {
+  const to = normalizePhoneNumber(phone);
+
+  if (!to) {
+    throw new Error(`Invalid phone number for SMS: ${phone}`);
+  }
+
+  const provider = getSmsProvider();
+
+  try {
+    const { messageId } = await provider.send({ to, text, from: SMS_SENDER });
+    console.log(`SMS sent via ${provider.name}:`, messageId);
+    return { messageId, provider: provider.name };
+  } catch (error) {
+    console.error(`Error sending SMS via ${provider.name}:`, error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  sendSms,
+  normalizePhoneNumber,
+  getSmsProvider,
+};
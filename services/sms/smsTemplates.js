@@ -0,0 +1,103 @@
+const i18n = require("../../config/i18n");
+const { getLocalizedDoctorName } = require("../../utils/doctor");
+const { BERLIN_TZ } = require("../../utils/berlinTime");
+const {
+  getReminderTimeText,
+} = require("../../emailTemplates/appointmentReminder");
+
+// Notifications about an upcoming appointment that mention the video format
+const VIDEO_NOTE_TYPES = [
+  "appointmentConfirmation",
+  "appointmentReminder",
+  "appointmentReschedule",
+];
+
+const localeMap = {
+  de: "de-DE",
+  en: "en-US",
+  bg: "bg-BG",
+  pl: "pl-PL",
+  tr: "tr-TR",
+};
+
+function getManagementUrl(managementToken) {
+  const websiteUrl = process.env.WEBSITE_URL || "https://praxiskerim.de";
+  return `${websiteUrl}/termin-verwalten?token=${managementToken}`;
+}
+
+function getAppointmentVariables(appointmentData, locale) {
+  const dateLocale = localeMap[locale] || "de-DE";
+  const appointmentDate = new Date(appointmentData.date);
+
+  return {
+    doctorName: getLocalizedDoctorName(appointmentData.doctorName, i18n),
+    date: appointmentDate.toLocaleDateString(dateLocale, {
+      day: "2-digit",
+      month: "2-digit",
+      year: "numeric",
+      timeZone: BERLIN_TZ,
+    }),
+    time:
+      appointmentData.slot ||
+      appointmentDate.toLocaleTimeString(dateLocale, {
+        hour: "2-digit",
+        minute: "2-digit",
+        timeZone: BERLIN_TZ,
+      }),
+  };
+}
+
+/**
+ * Build the SMS text for an appointment notification
+ * @param {string} type - appointmentConfirmation, appointmentReminder,
+ *   appointmentCancellation, patientCancellationConfirmation or appointmentReschedule
+ * @param {Object} appointmentData - { doctorName, date, slot, isVideoAppointment, managementToken }
+ * @param {string} locale - Language code
+ * @param {string} reminderType - Reminder type key, only used for reminders
+ * @returns {Promise<string>} Message text
+ */
+async function getAppointmentSmsText(
+  type,
+  appointmentData,
+  locale = "de",
+  reminderType = "24h"
+) {
+  await i18n.changeLanguage(locale);
+
+  const parts = [
+    i18n.t(`sms.${type}`, {
+      ...getAppointmentVariables(appointmentData, locale),
+      leadTime: getReminderTimeText(reminderType),
+    }),
+  ];
+
+  if (appointmentData.isVideoAppointment && VIDEO_NOTE_TYPES.includes(type)) {
+    parts.push(i18n.t("sms.videoNote"));
+  }
+
+  if (appointmentData.managementToken) {
+    parts.push(
+      i18n.t("sms.manageLink", {
+        link: getManagementUrl(appointmentData.managementToken),
+      })
+    );
+  }
+
+  return parts.join(" ");
+}
+
+/**
+ * Build the SMS text for an order notification
+ * @param {string} type - orderConfirmation or orderReady
+ * @param {string} locale - Language code
+ * @returns {Promise<string>} Message text
+ */
+async function getOrderSmsText(type, locale = "de") {
+  await i18n.changeLanguage(locale);
+  return i18n.t(`sms.${type}`);
+}
+
+module.exports = {
+  getAppointmentSmsText,
+  getOrderSmsText,
+};
@@ -26,6 +26,17 @@ function generateRefreshToken(userId, userType) {
   return { token, jti };
 }
 
+// Short-lived token between password and second factor (purpose "login")
+// or for the enrollment an enforced 2FA requires first (purpose "setup").
+// Its userType keeps it from being accepted as an access token
+function generateTwoFactorToken(userId, purpose) {
+  return jwt.sign(
+    { userId, userType: "2fa", purpose },
+    process.env.ACCESS_TOKEN_SECRET,
+    { expiresIn: "10m" }
+  );
+}
+
 function verifyToken(token, secret) {
   try {
     return jwt.verify(token, secret);
@@ -197,6 +208,7 @@ async function cleanupOldTokens(user) {
 module.exports = {
   generateAccessToken,
   generateRefreshToken,
+  generateTwoFactorToken,
   verifyToken,
   storeRefreshToken,
   invalidateRefreshToken,
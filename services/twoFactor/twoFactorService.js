@@ -0,0 +1,207 @@
+require("dotenv").config();
+const crypto = require("crypto");
+
+/**
+ * Two-factor authentication (TOTP, RFC 6238) for dashboard accounts
+ *
+ * Accounts enroll with any authenticator app: the dashboard shows the
+ * otpauth:// provisioning URI as a QR code, the account confirms with a first
+ * code and gets TWO_FACTOR_RECOVERY_CODES one-time recovery codes (stored as
+ * hashes only). Afterwards login takes a second step with a code.
+ * With TWO_FACTOR_ENFORCED=true accounts without 2FA have to enroll before
+ * they get access.
+ */
+
+const TWO_FACTOR_ENFORCED = process.env.TWO_FACTOR_ENFORCED === "true";
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || "Praxis Dr. Kerim";
+const TWO_FACTOR_RECOVERY_CODES = 10;
+
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Codes of one step before and after count as well (clock drift)
+const TOTP_WINDOW = 1;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buffer) {
+  let bits = "";
+  buffer.forEach((byte) => {
+    bits += byte.toString(2).padStart(8, "0");
+  });
+
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+}
+
+function base32Decode(value) {
+  let bits = "";
+  value
+    .toUpperCase()
+    .replace(/=+$/, "")
+    .split("")
+    .forEach((char) => {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error("Invalid base32 character");
+      }
+      bits += index.toString(2).padStart(5, "0");
+    });
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * New random TOTP secret
+ * @returns {string} Base32 secret (160 bits)
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Provisioning URI for authenticator apps, shown as QR code
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Shown in the app, e.g. the email
+ * @returns {string} otpauth://totp/... URI
+ */
+function getProvisioningUri(secret, accountName) {
+  const label = encodeURIComponent(`${TWO_FACTOR_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TWO_FACTOR_ISSUER,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+function getTimeStep(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+}
+
+/**
+ * Check a code from the authenticator app
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} lastUsedStep - Step of the last accepted code, which cannot be used again (optional)
+ * @returns {number|null} Time step of the matching code, or null
+ */
+function verifyCode(secret, code, lastUsedStep) {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!secret || !new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep();
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+    const step = currentStep + offset;
+    if (lastUsedStep != null && step <= lastUsedStep) {
+      continue;
+    }
+
+    const expected = generateCode(secret, step);
+    if (
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))
+    ) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Hash of a recovery code as stored on the account
+ * @param {string} code - Recovery code, dashes and case are ignored
+ * @returns {string} SHA-256 hex digest
+ */
+function hashRecoveryCode(code) {
+  const normalized = String(code || "")
+    .replace(/[^a-z0-9]/gi, "")
+    .toLowerCase();
+  return crypto.createHash("sha256").update(normalized).digest("hex");
+}
+
+/**
+ * New set of one-time recovery codes
+ * @returns {Object} { codes: shown to the user once, hashes: to store }
+ */
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: TWO_FACTOR_RECOVERY_CODES }, () => {
+    const value = crypto.randomBytes(5).toString("hex");
+    return `${value.slice(0, 5)}-${value.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(hashRecoveryCode),
+  };
+}
+
+/**
+ * Check a code against an account and mark it used
+ * Accepts an authenticator code or one of the recovery codes; the caller
+ * saves the account afterwards
+ * @param {Object} admin - Admin document with 2FA enabled
+ * @param {Object} input - { code } or { recoveryCode }
+ * @returns {string|null} "totp" or "recovery" if accepted, otherwise null
+ */
+function consumeSecondFactor(admin, { code, recoveryCode }) {
+  const twoFactor = admin.twoFactor;
+
+  if (!twoFactor?.enabled) {
+    return null;
+  }
+
+  if (code) {
+    const step = verifyCode(twoFactor.secret, code, twoFactor.lastUsedStep);
+    if (step === null) {
+      return null;
+    }
+    twoFactor.lastUsedStep = step;
+    return "totp";
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const index = twoFactor.recoveryCodes.indexOf(hash);
+    if (index === -1) {
+      return null;
+    }
+    twoFactor.recoveryCodes.splice(index, 1);
+    return "recovery";
+  }
+
+  return null;
+}
+
+module.exports = {
+  TWO_FACTOR_ENFORCED,
+  generateSecret,
+  getProvisioningUri,
+  verifyCode,
+  generateRecoveryCodes,
+  consumeSecondFactor,
+};
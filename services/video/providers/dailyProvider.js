@@ -0,0 +1,65 @@
+const axios = require("axios");
+
+const DAILY_API_URL = "https://api.daily.co/v1";
+
+function getHeaders() {
+  const apiKey = process.env.DAILY_API_KEY;
+
+  if (!apiKey) {
+    throw new Error("DAILY_API_KEY must be set");
+  }
+
+  return { Authorization: `Bearer ${apiKey}` };
+}
+
+const toUnixSeconds = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+/**
+ * Daily.co video provider (REST API)
+ * Requires DAILY_API_KEY. Rooms are private and can only be entered with the
+ * meeting token embedded in the join URL, between startsAt and expiresAt
+ */
+module.exports = {
+  name: "daily",
+
+  async createRoom({ name, startsAt, expiresAt }) {
+    const headers = getHeaders();
+    const nbf = toUnixSeconds(startsAt);
+    const exp = toUnixSeconds(expiresAt);
+
+    const { data: room } = await axios.post(
+      `${DAILY_API_URL}/rooms`,
+      {
+        name,
+        privacy: "private",
+        properties: { nbf, exp, eject_at_room_exp: true, max_participants: 4 },
+      },
+      { headers, timeout: 10000 }
+    );
+
+    const { data: meetingToken } = await axios.post(
+      `${DAILY_API_URL}/meeting-tokens`,
+      { properties: { room_name: room.name, nbf, exp } },
+      { headers, timeout: 10000 }
+    );
+
+    return {
+      roomName: room.name,
+      joinUrl: `${room.url}?t=${meetingToken.token}`,
+    };
+  },
+
+  async deleteRoom(roomName) {
+    try {
+      await axios.delete(
+        `${DAILY_API_URL}/rooms/${encodeURIComponent(roomName)}`,
+        { headers: getHeaders(), timeout: 10000 }
+      );
+    } catch (error) {
+      // Already gone (e.g. expired and cleaned up by Daily)
+      if (error.response?.status !== 404) {
+        throw error;
+      }
+    }
+  },
+};
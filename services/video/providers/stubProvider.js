@@ -0,0 +1,41 @@
+const crypto = require("crypto");
+
+const VIDEO_STUB_BASE_URL =
+  process.env.VIDEO_STUB_BASE_URL || "http://localhost:3000/video-stub";
+
+// Open rooms, kept so they can be inspected (or asserted on); expired rooms
+// are dropped whenever a new one is created
+const rooms = new Map();
+
+function removeExpiredRooms(now = new Date()) {
+  rooms.forEach((room, roomName) => {
+    if (room.expiresAt && new Date(room.expiresAt) <= now) {
+      rooms.delete(roomName);
+    }
+  });
+}
+
+/**
+ * Development video provider - creates no real rooms, only join URLs that
+ * point at VIDEO_STUB_BASE_URL
+ */
+module.exports = {
+  name: "stub",
+  rooms,
+
+  async createRoom({ name, startsAt, expiresAt }) {
+    const roomName = name || `stub-${crypto.randomBytes(6).toString("hex")}`;
+    const joinUrl = `${VIDEO_STUB_BASE_URL}/${roomName}`;
+
+    removeExpiredRooms();
+    rooms.set(roomName, { roomName, joinUrl, startsAt, expiresAt });
+    console.log(`🎥 [Video stub] Room ${roomName} created: ${joinUrl}`);
+
+    return { roomName, joinUrl };
+  },
+
+  async deleteRoom(roomName) {
+    rooms.delete(roomName);
+    console.log(`🎥 [Video stub] Room ${roomName} deleted`);
+  },
+};
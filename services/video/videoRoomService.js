@@ -0,0 +1,215 @@
+require("dotenv").config();
+const crypto = require("crypto");
+const Appointment = require("../../models/Appointment");
+const { ACTIVE_STATUSES } = Appointment;
+const { getAppointmentStartUtc } = require("../../utils/berlinTime");
+const { DEFAULT_SLOT_MINUTES } = require("../appointmentTypeService");
+
+/**
+ * Video room service with pluggable providers.
+ *
+ * Every video appointment gets its own room. The join URL and the time the
+ * room closes are stored on the appointment (Appointment.videoRoom); patients
+ * reach it through GET /api/appointment-management/:token/join, which only
+ * hands out the URL while the room is open.
+ *
+ * A provider is an object { name, createRoom({ name, startsAt, expiresAt }),
+ * deleteRoom(roomName) } whose createRoom() resolves to { roomName, joinUrl }.
+ * Select one with VIDEO_PROVIDER:
+ * - "stub": no real rooms, join URLs point at VIDEO_STUB_BASE_URL; the
+ *   default outside production only
+ * - "daily": private rooms through the Daily.co REST API
+ * In production VIDEO_PROVIDER has to be set; without it no rooms are created
+ * and patients are pointed to the practice instead of a stub link.
+ */
+const providers = {
+  stub: require("./providers/stubProvider"),
+  daily: require("./providers/dailyProvider"),
+};
+
+const IS_PRODUCTION = process.env.NODE_ENV === "production";
+const VIDEO_PROVIDER =
+  process.env.VIDEO_PROVIDER || (IS_PRODUCTION ? null : "stub");
+const VIDEO_JOIN_EARLY_MINUTES =
+  parseInt(process.env.VIDEO_JOIN_EARLY_MINUTES, 10) || 10;
+const VIDEO_JOIN_GRACE_MINUTES =
+  parseInt(process.env.VIDEO_JOIN_GRACE_MINUTES, 10) || 15;
+
+if (!VIDEO_PROVIDER) {
+  console.warn(
+    "⚠️  VIDEO_PROVIDER is not set - video appointments get no rooms until it is configured"
+  );
+}
+
+function getVideoProvider() {
+  if (!VIDEO_PROVIDER) {
+    throw new Error("VIDEO_PROVIDER is not set");
+  }
+
+  const provider = providers[VIDEO_PROVIDER];
+
+  if (!provider) {
+    throw new Error(`Unknown video provider: ${VIDEO_PROVIDER}`);
+  }
+
+  return provider;
+}
+
+/**
+ * Time span in which the room of an appointment can be joined
+ * @param {Object} appointment - Appointment document or plain object
+ * @returns {Object|null} { opensAt, closesAt } or null without a start time
+ */
+function getJoinWindow(appointment) {
+  const startsAt = getAppointmentStartUtc(appointment);
+
+  if (!startsAt) {
+    return null;
+  }
+
+  const durationMinutes = appointment.durationMinutes || DEFAULT_SLOT_MINUTES;
+
+  return {
+    opensAt: new Date(startsAt.getTime() - VIDEO_JOIN_EARLY_MINUTES * 60000),
+    closesAt: new Date(
+      startsAt.getTime() + (durationMinutes + VIDEO_JOIN_GRACE_MINUTES) * 60000
+    ),
+  };
+}
+
+/**
+ * Link to the practice website page that joins the video consultation
+ * @param {Object} appointment - Appointment with managementToken and videoRoom
+ * @returns {string|null} URL, or null if the appointment has no room
+ */
+function getVideoJoinPageUrl(appointment) {
+  if (!appointment?.videoRoom?.joinUrl || !appointment.managementToken) {
+    return null;
+  }
+
+  const websiteUrl = process.env.WEBSITE_URL || "https://praxiskerim.de";
+  return `${websiteUrl}/videosprechstunde?token=${appointment.managementToken}`;
+}
+
+async function deleteProviderRoom(videoRoom) {
+  const provider = providers[videoRoom.provider];
+
+  if (!provider || !videoRoom.roomName) {
+    return;
+  }
+
+  try {
+    await provider.deleteRoom(videoRoom.roomName);
+  } catch (error) {
+    console.error(
+      `Error deleting video room ${videoRoom.roomName} via ${provider.name}:`,
+      error.message
+    );
+  }
+}
+
+/**
+ * Remove the room of an appointment (cancelled, deleted, no longer video)
+ * Never throws; a room that cannot be deleted expires on its own
+ * @param {Object} appointment - Appointment document
+ */
+async function releaseVideoRoom(appointment) {
+  const videoRoom = appointment?.videoRoom;
+
+  if (!videoRoom?.roomName) {
+    return;
+  }
+
+  try {
+    await deleteProviderRoom(videoRoom);
+    await Appointment.updateOne(
+      { _id: appointment._id },
+      { $unset: { videoRoom: 1 } }
+    );
+    appointment.videoRoom = undefined;
+  } catch (error) {
+    console.error("Error releasing video room:", error);
+  }
+}
+
+/**
+ * Make sure a video appointment has a room matching its current time, and
+ * that other appointments have none. Call after every save that may change
+ * date, slot, doctor or status. Never throws: without a room the patient is
+ * pointed to the practice, and the next sync tries again
+ * @param {Object} appointment - Appointment document (after saving)
+ * @returns {Promise<Object|null>} Appointment.videoRoom or null
+ */
+async function syncVideoRoom(appointment) {
+  const joinWindow = getJoinWindow(appointment);
+  const current = appointment.videoRoom?.roomName
+    ? appointment.videoRoom
+    : null;
+
+  if (
+    !appointment.isVideoAppointment ||
+    !ACTIVE_STATUSES.includes(appointment.status) ||
+    !joinWindow
+  ) {
+    await releaseVideoRoom(appointment);
+    return null;
+  }
+
+  try {
+    const provider = getVideoProvider();
+
+    // Still valid for the current date and slot
+    if (
+      current &&
+      current.provider === provider.name &&
+      new Date(current.expiresAt).getTime() === joinWindow.closesAt.getTime()
+    ) {
+      return current;
+    }
+
+    const room = await provider.createRoom({
+      name: `termin-${appointment._id}-${crypto.randomBytes(3).toString("hex")}`,
+      startsAt: joinWindow.opensAt,
+      expiresAt: joinWindow.closesAt,
+    });
+
+    const videoRoom = {
+      provider: provider.name,
+      roomName: room.roomName,
+      joinUrl: room.joinUrl,
+      expiresAt: joinWindow.closesAt,
+      createdAt: new Date(),
+    };
+
+    // Stored without save() so the save hook does not bump the sequence
+    await Appointment.updateOne(
+      { _id: appointment._id },
+      { $set: { videoRoom } }
+    );
+    appointment.videoRoom = videoRoom;
+
+    if (current) {
+      await deleteProviderRoom(current);
+    }
+
+    console.log(
+      `🎥 Video room ${room.roomName} provisioned via ${provider.name} for appointment ${appointment._id}`
+    );
+    return videoRoom;
+  } catch (error) {
+    console.error(
+      `Error provisioning video room for appointment ${appointment._id}:`,
+      error.message
+    );
+    return null;
+  }
+}
+
+module.exports = {
+  VIDEO_JOIN_EARLY_MINUTES,
+  getVideoProvider,
+  getJoinWindow,
+  getVideoJoinPageUrl,
+  syncVideoRoom,
+  releaseVideoRoom,
+};
@@ -0,0 +1,135 @@
+const VideoRule = require("../models/VideoRule");
+const Availability = require("../models/Availability");
+const AppointmentType = require("../models/AppointmentType");
+
+/**
+ * Video consultation rules
+ *
+ * Which appointments take place as video consultation is configured in the
+ * database (VideoRule) instead of code: a rule covers one doctor or all
+ * doctors, some weekdays or every day, and optionally a date range. An
+ * appointment is a video consultation if any active rule matches its doctor
+ * and day. Video-only template slots (Availability.videoSlots) and video
+ * appointment types count on top of that. The result is stored on the
+ * appointment when it is booked or moved, and read from there afterwards.
+ */
+
+function toId(value) {
+  if (value && typeof value === "object" && value._id) {
+    return value._id;
+  }
+  return value;
+}
+
+/**
+ * Load all active video rules
+ * @returns {Promise<Array>} Plain rule objects
+ */
+async function loadActiveVideoRules() {
+  return VideoRule.find({ isActive: true }).lean();
+}
+
+/**
+ * Whether a rule covers a doctor and day
+ * @param {Object} rule - VideoRule
+ * @param {Object} criteria - { doctorId, date }; date as UTC midnight of the Berlin day
+ * @returns {boolean}
+ */
+function matchesVideoRule(rule, { doctorId, date }) {
+  if (!date) {
+    return false;
+  }
+
+  if (rule.doctorId && String(rule.doctorId) !== String(toId(doctorId))) {
+    return false;
+  }
+
+  const day = new Date(date);
+  const weekdays = rule.weekdays || [];
+
+  if (weekdays.length > 0 && !weekdays.includes(day.getUTCDay())) {
+    return false;
+  }
+  if (rule.startDate && day < new Date(rule.startDate)) {
+    return false;
+  }
+  if (rule.endDate && day > new Date(rule.endDate)) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Whether any of the rules covers a doctor and day
+ * @param {Array} rules - Active rules from loadActiveVideoRules()
+ * @param {Object} criteria - { doctorId, date }
+ * @returns {boolean}
+ */
+function isVideoByRules(rules, criteria) {
+  return rules.some((rule) => matchesVideoRule(rule, criteria));
+}
+
+/**
+ * Check a doctor and day against the active rules
+ * @param {Object} criteria - { doctorId, date }
+ * @returns {Promise<boolean>}
+ */
+async function checkVideoRules(criteria) {
+  return isVideoByRules(await loadActiveVideoRules(), criteria);
+}
+
+// Slots generated from a video-only template block (Availability.videoSlots)
+async function isVideoOnlySlot({ doctorId, date, slot }) {
+  if (!slot || !doctorId) {
+    return false;
+  }
+
+  return Boolean(
+    await Availability.exists({
+      doctorId: toId(doctorId),
+      date,
+      videoSlots: slot,
+    })
+  );
+}
+
+// Appointment types flagged as video consultation (AppointmentType.isVideo)
+async function isVideoAppointmentType({ appointmentTypeId }) {
+  if (!appointmentTypeId) {
+    return false;
+  }
+
+  return Boolean(
+    await AppointmentType.exists({
+      _id: toId(appointmentTypeId),
+      isVideo: true,
+    })
+  );
+}
+
+/**
+ * Video flag for an appointment being booked or moved, to store in
+ * Appointment.isVideoAppointment
+ * @param {Object} appointment - { doctorId, date, slot, appointmentTypeId }
+ * @returns {Promise<boolean>}
+ */
+async function resolveIsVideoAppointment(appointment) {
+  if (!appointment.date) {
+    return false;
+  }
+
+  return (
+    (await checkVideoRules(appointment)) ||
+    (await isVideoOnlySlot(appointment)) ||
+    isVideoAppointmentType(appointment)
+  );
+}
+
+module.exports = {
+  loadActiveVideoRules,
+  matchesVideoRule,
+  isVideoByRules,
+  checkVideoRules,
+  resolveIsVideoAppointment,
+};
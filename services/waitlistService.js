@@ -0,0 +1,359 @@
+require("dotenv").config();
+const cron = require("node-cron");
+const crypto = require("crypto");
+const WaitlistEntry = require("../models/WaitlistEntry");
+const Appointment = require("../models/Appointment");
+const Availability = require("../models/Availability");
+const Doctor = require("../models/Doctor");
+const { getClosure } = require("./availabilityService");
+const {
+  getOccupiedMinutes,
+  getBookingSlots,
+} = require("./appointmentTypeService");
+const {
+  holdSlot,
+  releaseHold,
+  claimSlot,
+  releaseSlots,
+} = require("./slotReservationService");
+const { resolveIsVideoAppointment } = require("./videoRuleService");
+const { sendWaitlistOffer } = require("./mailer");
+const { convertBerlinSlotToUtc } = require("../utils/berlinTime");
+
+/**
+ * Waitlist
+ *
+ * Patients wait for a slot with one doctor within a date range. When a slot
+ * frees up (cancellation, reschedule, deletion) it is held for the first
+ * waiting patient (by join time) whose range covers the day, and they get an
+ * email with a claim link valid for WAITLIST_OFFER_MINUTES. Offers that are
+ * not claimed in time go back to "waiting" and the slot moves on to the next
+ * patient; nobody is offered the same slot twice. A longer appointment frees
+ * every slot it covered, and each of them is offered on its own. The worker
+ * also expires entries whose range has passed.
+ */
+
+const WAITLIST_OFFER_MINUTES =
+  parseInt(process.env.WAITLIST_OFFER_MINUTES, 10) || 120;
+const WAITLIST_CHECK_INTERVAL =
+  process.env.WAITLIST_CHECK_INTERVAL || "*/5 * * * *"; // Default: every 5 minutes
+
+let isProcessing = false;
+
+function toId(value) {
+  if (value && typeof value === "object" && value._id) {
+    return value._id;
+  }
+  return value;
+}
+
+// "2026-03-04 09:30"
+function getSlotKey(date, slot) {
+  return `${new Date(date).toISOString().slice(0, 10)} ${slot}`;
+}
+
+// Hold one freed slot for the first matching waiting patient and send the
+// offer; resolves to the entry that got it, or null
+async function offerFreedSlot({ doctorId, date, slot }) {
+  try {
+    const doctor = toId(doctorId);
+    const day = new Date(date);
+
+    if (convertBerlinSlotToUtc(day, slot) <= new Date()) {
+      return null;
+    }
+
+    const candidates = await WaitlistEntry.find({
+      doctorId: doctor,
+      status: "waiting",
+      startDate: { $lte: day },
+      endDate: { $gte: day },
+      offeredSlots: { $ne: getSlotKey(day, slot) },
+    })
+      .sort({ createdAt: 1 })
+      .select("_id")
+      .lean();
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    // Only slots that are still bookable
+    const [closure, offered] = await Promise.all([
+      getClosure(doctor, day),
+      Availability.exists({ doctorId: doctor, date: day, slots: slot }),
+    ]);
+    if (closure || !offered) {
+      return null;
+    }
+
+    const hold = await holdSlot(
+      { doctorId: doctor, date: day, slot },
+      { minutes: WAITLIST_OFFER_MINUTES }
+    );
+    if (!hold) {
+      return null;
+    }
+
+    for (const candidate of candidates) {
+      // Skip entries that changed since we read them
+      const entry = await WaitlistEntry.findOneAndUpdate(
+        { _id: candidate._id, status: "waiting" },
+        {
+          $set: {
+            status: "offered",
+            offer: {
+              date: day,
+              slot,
+              holdToken: hold.holdToken,
+              offeredAt: new Date(),
+              expiresAt: hold.expiresAt,
+            },
+          },
+          $push: { offeredSlots: getSlotKey(day, slot) },
+        },
+        { new: true }
+      );
+
+      if (entry) {
+        await sendOffer(entry);
+        return entry;
+      }
+    }
+
+    await releaseHold(hold.holdToken);
+    return null;
+  } catch (error) {
+    console.error("Error offering freed slot to waitlist:", error);
+    return null;
+  }
+}
+
+/**
+ * Offer the slots freed by an appointment to waiting patients
+ * Every slot the appointment covered (see getBookingSlots) goes to its own
+ * patient
+ * @param {Object} freed - Appointment, or { doctorId, date, slot, durationMinutes, bufferMinutes }; date as UTC midnight
+ * @returns {Promise<Array>} The entries that got an offer
+ */
+async function offerSlotToWaitlist(freed) {
+  const offers = [];
+
+  try {
+    const slots = (await getBookingSlots(
+      { doctorId: toId(freed.doctorId), date: freed.date, slot: freed.slot },
+      getOccupiedMinutes(freed)
+    )) || [freed.slot];
+
+    for (const slot of slots) {
+      const entry = await offerFreedSlot({
+        doctorId: freed.doctorId,
+        date: freed.date,
+        slot,
+      });
+      if (entry) {
+        offers.push(entry);
+      }
+    }
+  } catch (error) {
+    console.error("Error offering freed slots to waitlist:", error);
+  }
+
+  return offers;
+}
+
+async function sendOffer(entry) {
+  try {
+    const doctor = await Doctor.findById(entry.doctorId).select("name").lean();
+
+    await sendWaitlistOffer(
+      entry.patientEmail,
+      {
+        patientName: entry.patientName,
+        doctorName: doctor ? doctor.name : "",
+        date: entry.offer.date,
+        slot: entry.offer.slot,
+        expiresAt: entry.offer.expiresAt,
+        claimToken: entry.token,
+      },
+      entry.locale || "de"
+    );
+  } catch (error) {
+    // The offer stays valid; the patient can still see it via their token
+    console.error("Failed to send waitlist offer:", error);
+  }
+}
+
+/**
+ * Add a patient to the waitlist
+ * @param {Object} data - { doctorId, startDate, endDate, patientEmail, patientName, patientPhone, birthdate, locale }
+ * @returns {Promise<Object>} The saved entry
+ */
+async function joinWaitlist(data) {
+  const entry = new WaitlistEntry({
+    ...data,
+    token: crypto.randomBytes(32).toString("hex"),
+  });
+  return entry.save();
+}
+
+/**
+ * Leave the waitlist; an open offer is passed on to the next patient
+ * @param {Object} entry - WaitlistEntry document
+ * @returns {Promise<Object>} The updated entry
+ */
+async function withdrawFromWaitlist(entry) {
+  const offer = entry.status === "offered" ? entry.offer : null;
+
+  entry.status = "withdrawn";
+  entry.offer = undefined;
+  await entry.save();
+
+  if (offer) {
+    await releaseHold(offer.holdToken);
+    await offerFreedSlot({
+      doctorId: entry.doctorId,
+      date: offer.date,
+      slot: offer.slot,
+    });
+  }
+
+  return entry;
+}
+
+/**
+ * Book the offered slot for the patient
+ * @param {Object} entry - WaitlistEntry document with an open offer
+ * @returns {Promise<Object|null>} The new appointment, or null if the slot is gone
+ */
+async function claimWaitlistOffer(entry) {
+  const { date, slot, holdToken } = entry.offer;
+
+  const appointment = new Appointment({
+    doctorId: entry.doctorId,
+    date,
+    slot,
+    patientEmail: entry.patientEmail,
+    patientName: entry.patientName,
+    patientPhone: entry.patientPhone || "",
+    title: entry.patientName || "Termin",
+    description: `Geburtsdatum: ${entry.birthdate || "N/A"} (Warteliste)`,
+    locale: entry.locale || "de",
+    managementToken: crypto.randomBytes(32).toString("hex"),
+    status: "scheduled",
+    isVideoAppointment: await resolveIsVideoAppointment({
+      doctorId: entry.doctorId,
+      date,
+      slot,
+    }),
+  });
+
+  const reservation = await claimSlot(
+    { doctorId: entry.doctorId, date, slot },
+    appointment._id,
+    { holdToken }
+  );
+  if (!reservation) {
+    return null;
+  }
+
+  try {
+    await appointment.save();
+  } catch (saveError) {
+    await releaseSlots(appointment._id);
+    throw saveError;
+  }
+
+  entry.status = "booked";
+  entry.appointmentId = appointment._id;
+  await entry.save();
+
+  return appointment;
+}
+
+/**
+ * Pass unclaimed offers on and expire entries whose date range has passed
+ * @returns {Promise<Object>} { offersExpired, reoffered, entriesExpired }
+ */
+async function processWaitlist() {
+  const now = new Date();
+  const stats = { offersExpired: 0, reoffered: 0, entriesExpired: 0 };
+
+  const expiredOffers = await WaitlistEntry.find({
+    status: "offered",
+    "offer.expiresAt": { $lte: now },
+  })
+    .select("_id doctorId offer")
+    .lean();
+
+  for (const expired of expiredOffers) {
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { _id: expired._id, status: "offered" },
+      { $set: { status: "waiting" }, $unset: { offer: "" } }
+    );
+    if (!entry) {
+      continue;
+    }
+    stats.offersExpired += 1;
+
+    await releaseHold(expired.offer.holdToken);
+    const next = await offerFreedSlot({
+      doctorId: expired.doctorId,
+      date: expired.offer.date,
+      slot: expired.offer.slot,
+    });
+    if (next) {
+      stats.reoffered += 1;
+    }
+  }
+
+  const today = new Date(now);
+  today.setUTCHours(0, 0, 0, 0);
+
+  const result = await WaitlistEntry.updateMany(
+    { status: "waiting", endDate: { $lt: today } },
+    { $set: { status: "expired" } }
+  );
+  stats.entriesExpired = result.modifiedCount;
+
+  return stats;
+}
+
+function startWaitlistWorker() {
+  const run = async () => {
+    // Skip the run if the previous one is still busy
+    if (isProcessing) {
+      return;
+    }
+
+    isProcessing = true;
+    try {
+      const stats = await processWaitlist();
+      if (stats.offersExpired > 0 || stats.entriesExpired > 0) {
+        console.log(
+          `⏳ Waitlist: ${stats.offersExpired} offer(s) expired, ${stats.reoffered} passed on, ${stats.entriesExpired} entr(y/ies) expired`
+        );
+      }
+    } catch (error) {
+      console.error("❌ Error processing waitlist:", error);
+    } finally {
+      isProcessing = false;
+    }
+  };
+
+  cron.schedule(WAITLIST_CHECK_INTERVAL, run);
+
+  console.log(
+    `⏳ Waitlist worker started (interval: ${WAITLIST_CHECK_INTERVAL}, offers valid ${WAITLIST_OFFER_MINUTES} min)`
+  );
+}
+
+module.exports = {
+  WAITLIST_OFFER_MINUTES,
+  offerSlotToWaitlist,
+  joinWaitlist,
+  withdrawFromWaitlist,
+  claimWaitlistOffer,
+  processWaitlist,
+  startWaitlistWorker,
+};
@@ -0,0 +1,111 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  getTemplateDaySlots,
+} = require("../services/availabilityTemplateService");
+
+// 2026-03-02 is a Monday, 2026-03-03 a Tuesday
+const MONDAY = new Date("2026-03-02T00:00:00.000Z");
+const TUESDAY = new Date("2026-03-03T00:00:00.000Z");
+
+describe("getTemplateDaySlots", () => {
+  it("steps through a block by its interval, excluding the end time", () => {
+    const template = {
+      weeklySchedule: [
+        {
+          weekday: 1,
+          startTime: "09:00",
+          endTime: "10:00",
+          intervalMinutes: 20,
+        },
+      ],
+    };
+
+    assert.deepEqual(getTemplateDaySlots(template, MONDAY), {
+      slots: ["09:00", "09:20", "09:40"],
+      videoSlots: [],
+    });
+  });
+
+  it("defaults to 15-minute slots", () => {
+    const template = {
+      weeklySchedule: [{ weekday: 1, startTime: "08:00", endTime: "08:30" }],
+    };
+
+    assert.deepEqual(getTemplateDaySlots(template, MONDAY).slots, [
+      "08:00",
+      "08:15",
+    ]);
+  });
+
+  it("merges blocks of the day in time order and marks video-only slots", () => {
+    const template = {
+      weeklySchedule: [
+        {
+          weekday: 1,
+          startTime: "14:00",
+          endTime: "14:30",
+          intervalMinutes: 15,
+          videoOnly: true,
+        },
+        {
+          weekday: 1,
+          startTime: "08:00",
+          endTime: "08:30",
+          intervalMinutes: 15,
+        },
+        {
+          weekday: 2,
+          startTime: "10:00",
+          endTime: "11:00",
+          intervalMinutes: 30,
+        },
+      ],
+    };
+
+    assert.deepEqual(getTemplateDaySlots(template, MONDAY), {
+      slots: ["08:00", "08:15", "14:00", "14:15"],
+      videoSlots: ["14:00", "14:15"],
+    });
+    assert.deepEqual(getTemplateDaySlots(template, TUESDAY).slots, [
+      "10:00",
+      "10:30",
+    ]);
+  });
+
+  it("removes duplicates of overlapping blocks", () => {
+    const template = {
+      weeklySchedule: [
+        {
+          weekday: 1,
+          startTime: "09:00",
+          endTime: "09:30",
+          intervalMinutes: 15,
+        },
+        {
+          weekday: 1,
+          startTime: "09:15",
+          endTime: "09:45",
+          intervalMinutes: 15,
+        },
+      ],
+    };
+
+    assert.deepEqual(getTemplateDaySlots(template, MONDAY).slots, [
+      "09:00",
+      "09:15",
+      "09:30",
+    ]);
+  });
+
+  it("returns no slots on days without blocks", () => {
+    const template = {
+      weeklySchedule: [{ weekday: 1, startTime: "09:00", endTime: "12:00" }],
+    };
+
+    assert.deepEqual(getTemplateDaySlots(template, TUESDAY), {
+      slots: [],
+      videoSlots: [],
+    });
+  });
+});
@@ -0,0 +1,70 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  getEasterSunday,
+  getGermanHolidays,
+} = require("../utils/germanHolidays");
+
+// "2026-04-05"
+const toDay = (date) => date.toISOString().slice(0, 10);
+
+describe("getEasterSunday", () => {
+  it("matches known Easter dates", () => {
+    assert.equal(toDay(getEasterSunday(2019)), "2019-04-21");
+    assert.equal(toDay(getEasterSunday(2024)), "2024-03-31");
+    assert.equal(toDay(getEasterSunday(2025)), "2025-04-20");
+    assert.equal(toDay(getEasterSunday(2026)), "2026-04-05");
+  });
+
+  it("handles the earliest and latest possible dates", () => {
+    assert.equal(toDay(getEasterSunday(2285)), "2285-03-22");
+    assert.equal(toDay(getEasterSunday(2038)), "2038-04-25");
+  });
+});
+
+describe("getGermanHolidays", () => {
+  it("lists the statewide holidays of Hessen in date order", () => {
+    const holidays = getGermanHolidays(2026, "HE");
+
+    assert.deepEqual(
+      holidays.map((holiday) => [holiday.key, toDay(holiday.date)]),
+      [
+        ["neujahr", "2026-01-01"],
+        ["karfreitag", "2026-04-03"],
+        ["ostermontag", "2026-04-06"],
+        ["tagDerArbeit", "2026-05-01"],
+        ["christiHimmelfahrt", "2026-05-14"],
+        ["pfingstmontag", "2026-05-25"],
+        ["fronleichnam", "2026-06-04"],
+        ["tagDerDeutschenEinheit", "2026-10-03"],
+        ["ersterWeihnachtstag", "2026-12-25"],
+        ["zweiterWeihnachtstag", "2026-12-26"],
+      ]
+    );
+  });
+
+  it("puts Buß- und Bettag on the Wednesday before 23 November in Sachsen", () => {
+    const find = (year) =>
+      getGermanHolidays(year, "SN").find(
+        (holiday) => holiday.key === "bussUndBettag"
+      );
+
+    assert.equal(toDay(find(2025).date), "2025-11-19");
+    assert.equal(toDay(find(2026).date), "2026-11-18");
+    assert.equal(find(2026).date.getUTCDay(), 3);
+  });
+
+  it("applies holidays only from the year they were introduced", () => {
+    const hasFrauentag = (year) =>
+      getGermanHolidays(year, "BE").some(
+        (holiday) => holiday.key === "frauentag"
+      );
+
+    assert.equal(hasFrauentag(2018), false);
+    assert.equal(hasFrauentag(2019), true);
+  });
+
+  it("rejects unknown states", () => {
+    assert.throws(() => getGermanHolidays(2026, "XX"), /Unknown federal state/);
+  });
+});
@@ -0,0 +1,197 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+// Defaults, whatever a local .env says
+process.env.LOGIN_MAX_FAILED_ATTEMPTS = "5";
+process.env.LOGIN_LOCKOUT_MINUTES = "15";
+process.env.LOGIN_DELAY_BASE_SECONDS = "1";
+process.env.LOGIN_DELAY_MAX_SECONDS = "30";
+
+// Record lockout emails instead of queueing them
+const notifications = [];
+const mailerPath = require.resolve("../services/mailer");
+require.cache[mailerPath] = {
+  id: mailerPath,
+  filename: mailerPath,
+  loaded: true,
+  exports: {
+    sendAccountLockoutNotification: async (data) => {
+      notifications.push(data);
+    },
+  },
+};
+
+const Admin = require("../models/Admin");
+const {
+  LOGIN_LOCKED_CODE,
+  LOGIN_THROTTLED_CODE,
+  getLoginDelaySeconds,
+  getLoginBlock,
+  registerFailedLogin,
+  resetFailedLogins,
+} = require("../services/loginProtectionService");
+
+const MINUTE_MS = 60000;
+
+describe("getLoginDelaySeconds", () => {
+  it("doubles with every failure up to the maximum", () => {
+    assert.deepEqual(
+      [0, 1, 2, 3, 4, 5, 6, 10].map(getLoginDelaySeconds),
+      [0, 1, 2, 4, 8, 16, 30, 30]
+    );
+  });
+});
+
+describe("getLoginBlock", () => {
+  const now = new Date("2026-10-19T10:00:00.000Z");
+  const secondsAgo = (seconds) => new Date(now.getTime() - seconds * 1000);
+
+  it("lets accounts without failures through", () => {
+    assert.equal(getLoginBlock({}, now), null);
+    assert.equal(
+      getLoginBlock({ loginSecurity: { failedAttempts: 0 } }, now),
+      null
+    );
+  });
+
+  it("throttles until the delay after the last failure has passed", () => {
+    const admin = {
+      loginSecurity: { failedAttempts: 3, lastFailedAt: secondsAgo(1) },
+    };
+
+    assert.deepEqual(getLoginBlock(admin, now), {
+      code: LOGIN_THROTTLED_CODE,
+      retryAfter: 3,
+    });
+
+    admin.loginSecurity.lastFailedAt = secondsAgo(4);
+    assert.equal(getLoginBlock(admin, now), null);
+  });
+
+  it("blocks locked accounts until the lock ends", () => {
+    const admin = {
+      loginSecurity: {
+        failedAttempts: 0,
+        lockedUntil: new Date(now.getTime() + 5 * MINUTE_MS),
+      },
+    };
+
+    assert.deepEqual(getLoginBlock(admin, now), {
+      code: LOGIN_LOCKED_CODE,
+      retryAfter: 300,
+    });
+
+    admin.loginSecurity.lockedUntil = secondsAgo(1);
+    assert.equal(getLoginBlock(admin, now), null);
+  });
+
+  it("forgets failures older than the lockout period", () => {
+    const admin = {
+      loginSecurity: { failedAttempts: 10, lastFailedAt: secondsAgo(16 * 60) },
+    };
+
+    assert.equal(getLoginBlock(admin, now), null);
+  });
+});
+
+describe("registerFailedLogin", () => {
+  let account;
+
+  // Minimal in-memory stand-in for the "loginSecurity.*" updates the service
+  // sends to MongoDB
+  function applyUpdate({ $set = {}, $unset = {}, $inc = {} }) {
+    Object.entries($inc).forEach(([path, value]) => {
+      const field = path.split(".")[1];
+      account.loginSecurity[field] =
+        (account.loginSecurity[field] || 0) + value;
+    });
+    Object.entries($set).forEach(([path, value]) => {
+      account.loginSecurity[path.split(".")[1]] = value;
+    });
+    if ($unset.loginSecurity) {
+      account.loginSecurity = { failedAttempts: 0 };
+    }
+  }
+
+  function snapshot() {
+    return { ...account, loginSecurity: { ...account.loginSecurity } };
+  }
+
+  beforeEach(() => {
+    notifications.length = 0;
+    account = {
+      _id: "64b000000000000000000001",
+      name: "Anna",
+      email: "anna@example.com",
+      loginSecurity: { failedAttempts: 0 },
+    };
+
+    mock.method(Admin, "updateOne", async (filter, update) => {
+      const stale = filter["loginSecurity.lastFailedAt"];
+      if (stale && !(account.loginSecurity.lastFailedAt < stale.$lt)) {
+        return { modifiedCount: 0 };
+      }
+      applyUpdate(update);
+      return { modifiedCount: 1 };
+    });
+    mock.method(Admin, "findOneAndUpdate", async (filter, update) => {
+      applyUpdate(update);
+      return snapshot();
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("counts failures and throttles the next attempt", async () => {
+    const block = await registerFailedLogin(snapshot(), { ip: "203.0.113.7" });
+
+    assert.equal(account.loginSecurity.failedAttempts, 1);
+    assert.equal(block.code, LOGIN_THROTTLED_CODE);
+    assert.equal(notifications.length, 0);
+  });
+
+  it("locks the account at the limit and sends one notification", async () => {
+    for (let i = 0; i < 4; i++) {
+      await registerFailedLogin(snapshot(), { ip: "203.0.113.7" });
+    }
+    assert.equal(notifications.length, 0);
+
+    const block = await registerFailedLogin(snapshot(), { ip: "203.0.113.7" });
+
+    assert.equal(block.code, LOGIN_LOCKED_CODE);
+    assert.equal(account.loginSecurity.failedAttempts, 0);
+    assert.ok(account.loginSecurity.lockedUntil > new Date());
+    assert.equal(notifications.length, 1);
+    assert.equal(notifications[0].email, "anna@example.com");
+    assert.equal(notifications[0].failedAttempts, 5);
+    assert.equal(notifications[0].ip, "203.0.113.7");
+    assert.equal(getLoginBlock(snapshot()).code, LOGIN_LOCKED_CODE);
+  });
+
+  it("starts counting anew after a stale failure", async () => {
+    account.loginSecurity = {
+      failedAttempts: 4,
+      lastFailedAt: new Date(Date.now() - 60 * MINUTE_MS),
+    };
+
+    const block = await registerFailedLogin(snapshot());
+
+    assert.equal(account.loginSecurity.failedAttempts, 1);
+    assert.equal(block.code, LOGIN_THROTTLED_CODE);
+    assert.equal(notifications.length, 0);
+  });
+
+  it("clears failures and lockouts on reset", async () => {
+    account.loginSecurity = {
+      failedAttempts: 0,
+      lockedUntil: new Date(Date.now() + MINUTE_MS),
+    };
+    const admin = snapshot();
+
+    await resetFailedLogins(admin);
+
+    assert.equal(admin.loginSecurity, undefined);
+    assert.equal(account.loginSecurity.lockedUntil, undefined);
+    assert.equal(getLoginBlock(snapshot()), null);
+  });
+});
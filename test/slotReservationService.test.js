@@ -0,0 +1,393 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const SlotReservation = require("../models/SlotReservation");
+const Appointment = require("../models/Appointment");
+const {
+  claimSlot,
+  claimSlots,
+  holdSlot,
+  releaseSlots,
+} = require("../services/slotReservationService");
+
+const DOCTOR = "64b0000000000000000000d1";
+const DAY = new Date("2026-11-02T00:00:00.000Z");
+const MINUTE_MS = 60000;
+
+// Minimal in-memory stand-ins for the queries the service sends to MongoDB,
+// including the unique index on { doctorId, date, slot } that makes claiming
+// atomic
+let reservations;
+let appointments;
+let nextId;
+
+function same(a, b) {
+  if (a instanceof Date || b instanceof Date) {
+    return (
+      a != null && b != null && new Date(a).getTime() === new Date(b).getTime()
+    );
+  }
+  return a !== undefined && b !== undefined && String(a) === String(b);
+}
+
+function matchesCondition(value, condition) {
+  const isOperator =
+    condition &&
+    typeof condition === "object" &&
+    !(condition instanceof Date) &&
+    Object.keys(condition).every((key) => key.startsWith("$"));
+
+  if (!isOperator) {
+    return same(value, condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case "$exists":
+        return (value !== undefined) === operand;
+      case "$ne":
+        return !same(value, operand);
+      case "$in":
+        return operand.some((item) => same(value, item));
+      case "$nin":
+        return !operand.some((item) => same(value, item));
+      case "$gt":
+        return value !== undefined && value > operand;
+      case "$lt":
+        return value !== undefined && value < operand;
+      default:
+        throw new Error(`Unsupported operator ${operator}`);
+    }
+  });
+}
+
+function matches(doc, filter) {
+  return Object.entries(filter).every(([field, condition]) =>
+    matchesCondition(doc[field], condition)
+  );
+}
+
+function query(result) {
+  const chain = {
+    select: () => chain,
+    lean: () => chain,
+    sort: () => chain,
+    then: (resolve, reject) =>
+      Promise.resolve(result && structuredClone(result)).then(resolve, reject),
+  };
+  return chain;
+}
+
+function applyUpdate(doc, { $set = {}, $unset = {} }) {
+  Object.assign(doc, $set);
+  Object.keys($unset).forEach((field) => delete doc[field]);
+}
+
+function insert(data) {
+  const doc = { claimedAt: new Date(), ...data };
+  Object.keys(doc).forEach((key) => doc[key] === undefined && delete doc[key]);
+
+  const duplicate = reservations.some(
+    (existing) =>
+      (same(existing.doctorId, doc.doctorId) &&
+        same(existing.date, doc.date) &&
+        existing.slot === doc.slot) ||
+      (doc.holdToken && existing.holdToken === doc.holdToken)
+  );
+  if (duplicate) {
+    throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+  }
+
+  doc._id = doc._id || `r${nextId++}`;
+  reservations.push(doc);
+  return structuredClone(doc);
+}
+
+function removeWhere(filter) {
+  const before = reservations.length;
+  reservations = reservations.filter((doc) => !matches(doc, filter));
+  return { deletedCount: before - reservations.length };
+}
+
+function findReservation(slot) {
+  return reservations.find((doc) => doc.slot === slot);
+}
+
+beforeEach(() => {
+  reservations = [];
+  appointments = [];
+  nextId = 1;
+
+  mock.method(SlotReservation, "create", async (data) => insert(data));
+  mock.method(SlotReservation, "findOne", (filter) =>
+    query(reservations.find((doc) => matches(doc, filter)))
+  );
+  mock.method(SlotReservation, "find", (filter) =>
+    query(reservations.filter((doc) => matches(doc, filter)))
+  );
+  mock.method(SlotReservation, "findOneAndUpdate", async (filter, update) => {
+    const doc = reservations.find((existing) => matches(existing, filter));
+    if (!doc) return null;
+    applyUpdate(doc, update);
+    return structuredClone(doc);
+  });
+  mock.method(SlotReservation, "updateOne", async (filter, update) => {
+    const doc = reservations.find((existing) => matches(existing, filter));
+    if (doc) applyUpdate(doc, update);
+    return { modifiedCount: doc ? 1 : 0 };
+  });
+  mock.method(SlotReservation, "deleteOne", async (filter) => {
+    const doc = reservations.find((existing) => matches(existing, filter));
+    return removeWhere(doc ? { _id: doc._id } : { _id: null });
+  });
+  mock.method(SlotReservation, "deleteMany", async (filter) =>
+    removeWhere(filter)
+  );
+
+  mock.method(Appointment, "findById", (id) =>
+    query(appointments.find((doc) => same(doc._id, id)))
+  );
+  mock.method(Appointment, "findOne", (filter) =>
+    query(appointments.find((doc) => matches(doc, filter)))
+  );
+});
+
+afterEach(() => mock.restoreAll());
+
+function addAppointment(data) {
+  const appointment = {
+    _id: `a${nextId++}`,
+    doctorId: DOCTOR,
+    date: DAY,
+    status: "scheduled",
+    ...data,
+  };
+  appointments.push(appointment);
+  return appointment;
+}
+
+function addReservation(data) {
+  return insert({ doctorId: DOCTOR, date: DAY, ...data });
+}
+
+describe("claimSlots", () => {
+  it("claims every slot of a longer appointment", async () => {
+    const claimed = await claimSlots(
+      { doctorId: DOCTOR, date: DAY, slots: ["09:00", "09:15", "09:30"] },
+      "a-new"
+    );
+
+    assert.equal(claimed.length, 3);
+    assert.ok(reservations.every((doc) => doc.appointmentId === "a-new"));
+  });
+
+  it("gives back the earlier slots when a later one is taken", async () => {
+    const other = addAppointment({ slot: "09:30" });
+    addReservation({ slot: "09:30", appointmentId: other._id });
+
+    const claimed = await claimSlots(
+      { doctorId: DOCTOR, date: DAY, slots: ["09:00", "09:15", "09:30"] },
+      "a-new"
+    );
+
+    assert.equal(claimed, null);
+    assert.deepEqual(
+      reservations.map((doc) => [doc.slot, doc.appointmentId]),
+      [["09:30", other._id]]
+    );
+  });
+
+  it("turns a converted hold back into the hold on rollback", async () => {
+    const other = addAppointment({ slot: "09:15" });
+    addReservation({ slot: "09:15", appointmentId: other._id });
+    const hold = await holdSlot(
+      { doctorId: DOCTOR, date: DAY, slot: "09:00" },
+      { holderKey: "client-1" }
+    );
+
+    const claimed = await claimSlots(
+      { doctorId: DOCTOR, date: DAY, slots: ["09:00", "09:15"] },
+      "a-new",
+      { holdToken: hold.holdToken }
+    );
+
+    assert.equal(claimed, null);
+    const restored = findReservation("09:00");
+    assert.equal(restored.appointmentId, undefined);
+    assert.equal(restored.holdToken, hold.holdToken);
+    assert.equal(restored.holderKey, "client-1");
+  });
+
+  it("keeps slots the appointment already owned", async () => {
+    addReservation({ slot: "09:00", appointmentId: "a-moving" });
+    const other = addAppointment({ slot: "09:30" });
+    addReservation({ slot: "09:30", appointmentId: other._id });
+
+    const claimed = await claimSlots(
+      { doctorId: DOCTOR, date: DAY, slots: ["09:00", "09:15", "09:30"] },
+      "a-moving"
+    );
+
+    assert.equal(claimed, null);
+    assert.equal(findReservation("09:00").appointmentId, "a-moving");
+    assert.equal(findReservation("09:15"), undefined);
+  });
+});
+
+describe("holdSlot", () => {
+  it("keeps one active hold per client", async () => {
+    const first = await holdSlot(
+      { doctorId: DOCTOR, date: DAY, slot: "09:00" },
+      { holderKey: "client-1" }
+    );
+    await holdSlot(
+      { doctorId: DOCTOR, date: DAY, slot: "10:00" },
+      { holderKey: "client-2" }
+    );
+    const second = await holdSlot(
+      { doctorId: DOCTOR, date: DAY, slot: "09:15" },
+      { holderKey: "client-1" }
+    );
+
+    assert.ok(second);
+    assert.notEqual(second.holdToken, first.holdToken);
+    assert.deepEqual(
+      reservations.map((doc) => [doc.slot, doc.holderKey]).sort(),
+      [
+        ["09:15", "client-1"],
+        ["10:00", "client-2"],
+      ]
+    );
+  });
+
+  it("lets the same client hold the same slot again", async () => {
+    const first = await holdSlot(
+      { doctorId: DOCTOR, date: DAY, slot: "09:00" },
+      { holderKey: "client-1" }
+    );
+    const again = await holdSlot(
+      { doctorId: DOCTOR, date: DAY, slot: "09:00" },
+      { holderKey: "client-1" }
+    );
+
+    assert.ok(again);
+    assert.notEqual(again.holdToken, first.holdToken);
+    assert.equal(reservations.length, 1);
+  });
+
+  it("refuses a slot another client holds", async () => {
+    await holdSlot(
+      { doctorId: DOCTOR, date: DAY, slot: "09:00" },
+      { holderKey: "client-1" }
+    );
+
+    const hold = await holdSlot(
+      { doctorId: DOCTOR, date: DAY, slot: "09:00" },
+      { holderKey: "client-2" }
+    );
+
+    assert.equal(hold, null);
+    assert.equal(findReservation("09:00").holderKey, "client-1");
+  });
+});
+
+describe("stale reservations", () => {
+  it("takes over an expired hold", async () => {
+    addReservation({
+      slot: "09:00",
+      holdToken: "expired",
+      expiresAt: new Date(Date.now() - MINUTE_MS),
+    });
+
+    const reservation = await claimSlot(
+      { doctorId: DOCTOR, date: DAY, slot: "09:00" },
+      "a-new"
+    );
+
+    assert.equal(reservation.appointmentId, "a-new");
+    assert.equal(reservation.holdToken, undefined);
+    assert.equal(reservation.expiresAt, undefined);
+  });
+
+  it("does not take over an active hold", async () => {
+    addReservation({
+      slot: "09:00",
+      holdToken: "active",
+      expiresAt: new Date(Date.now() + MINUTE_MS),
+    });
+
+    const reservation = await claimSlot(
+      { doctorId: DOCTOR, date: DAY, slot: "09:00" },
+      "a-new"
+    );
+
+    assert.equal(reservation, null);
+  });
+
+  it("takes over the slot of a cancelled or moved appointment", async () => {
+    const cancelled = addAppointment({ slot: "09:00", status: "cancelled" });
+    addReservation({ slot: "09:00", appointmentId: cancelled._id });
+    const moved = addAppointment({ slot: "11:00" });
+    addReservation({ slot: "09:15", appointmentId: moved._id });
+
+    assert.ok(
+      await claimSlot({ doctorId: DOCTOR, date: DAY, slot: "09:00" }, "a-new")
+    );
+    assert.ok(
+      await claimSlot({ doctorId: DOCTOR, date: DAY, slot: "09:15" }, "a-new")
+    );
+  });
+
+  it("respects the following slots of a longer appointment", async () => {
+    const long = addAppointment({ slot: "09:00", durationMinutes: 30 });
+    addReservation({ slot: "09:15", appointmentId: long._id });
+
+    const reservation = await claimSlot(
+      { doctorId: DOCTOR, date: DAY, slot: "09:15" },
+      "a-new"
+    );
+
+    assert.equal(reservation, null);
+  });
+
+  it("takes over a claim whose appointment was never saved, after a timeout", async () => {
+    addReservation({
+      slot: "09:00",
+      appointmentId: "a-crashed",
+      claimedAt: new Date(Date.now() - 5 * MINUTE_MS),
+    });
+    addReservation({ slot: "09:15", appointmentId: "a-saving" });
+
+    assert.ok(
+      await claimSlot({ doctorId: DOCTOR, date: DAY, slot: "09:00" }, "a-new")
+    );
+    assert.equal(
+      await claimSlot({ doctorId: DOCTOR, date: DAY, slot: "09:15" }, "a-new"),
+      null
+    );
+  });
+});
+
+describe("releaseSlots", () => {
+  it("releases every slot of an appointment", async () => {
+    addReservation({ slot: "09:00", appointmentId: "a-1" });
+    addReservation({ slot: "09:15", appointmentId: "a-1" });
+    addReservation({ slot: "10:00", appointmentId: "a-2" });
+
+    assert.equal(await releaseSlots("a-1"), 2);
+    assert.deepEqual(
+      reservations.map((doc) => doc.slot),
+      ["10:00"]
+    );
+  });
+
+  it("keeps the reservations given in except", async () => {
+    addReservation({ slot: "09:00", appointmentId: "a-1" });
+    const kept = addReservation({ slot: "11:00", appointmentId: "a-1" });
+
+    assert.equal(await releaseSlots("a-1", { except: [kept._id] }), 1);
+    assert.deepEqual(
+      reservations.map((doc) => doc.slot),
+      ["11:00"]
+    );
+  });
+});
@@ -0,0 +1,128 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  generateSecret,
+  getProvisioningUri,
+  verifyCode,
+  generateRecoveryCodes,
+  consumeSecondFactor,
+} = require("../services/twoFactor/twoFactorService");
+
+// RFC 6238 appendix B: the ASCII key "12345678901234567890" (SHA-1), in
+// base32; the 6-digit codes are the last six digits of the 8-digit vectors
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+const RFC_VECTORS = [
+  [59, "287082"],
+  [1111111109, "081804"],
+  [1111111111, "050471"],
+  [1234567890, "005924"],
+  [2000000000, "279037"],
+];
+
+function setTime(seconds) {
+  mock.method(Date, "now", () => seconds * 1000);
+}
+
+describe("verifyCode", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("accepts the RFC 6238 test vectors", () => {
+    RFC_VECTORS.forEach(([seconds, code]) => {
+      setTime(seconds);
+      assert.equal(verifyCode(RFC_SECRET, code), Math.floor(seconds / 30));
+    });
+  });
+
+  it("accepts codes of the neighbouring time steps only", () => {
+    // 1111111109 is step 37037036; 1111111111 (step 37037037) has 050471
+    setTime(1111111109 + 30);
+    assert.equal(verifyCode(RFC_SECRET, "081804"), 37037036);
+
+    setTime(1111111109 + 90);
+    assert.equal(verifyCode(RFC_SECRET, "081804"), null);
+  });
+
+  it("refuses a code whose step was already used", () => {
+    setTime(1111111109);
+    assert.equal(verifyCode(RFC_SECRET, "081804", 37037036), null);
+    assert.equal(verifyCode(RFC_SECRET, "081804", 37037035), 37037036);
+  });
+
+  it("ignores spaces and rejects malformed input", () => {
+    setTime(59);
+    assert.equal(verifyCode(RFC_SECRET, "287 082"), 1);
+    assert.equal(verifyCode(RFC_SECRET, "28708"), null);
+    assert.equal(verifyCode(RFC_SECRET, "abcdef"), null);
+    assert.equal(verifyCode(RFC_SECRET, undefined), null);
+    assert.equal(verifyCode(undefined, "287082"), null);
+  });
+});
+
+describe("generateSecret", () => {
+  it("returns 160 bits as unpadded base32", () => {
+    const secret = generateSecret();
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.notEqual(secret, generateSecret());
+  });
+});
+
+describe("getProvisioningUri", () => {
+  it("builds an otpauth URI with issuer and account", () => {
+    const uri = new URL(getProvisioningUri(RFC_SECRET, "anna@example.com"));
+
+    assert.equal(uri.protocol, "otpauth:");
+    assert.match(decodeURIComponent(uri.pathname), /:anna@example\.com$/);
+    assert.equal(uri.searchParams.get("secret"), RFC_SECRET);
+    assert.equal(uri.searchParams.get("digits"), "6");
+    assert.equal(uri.searchParams.get("period"), "30");
+  });
+});
+
+describe("consumeSecondFactor", () => {
+  let admin;
+  let recovery;
+
+  beforeEach(() => {
+    recovery = generateRecoveryCodes();
+    admin = {
+      twoFactor: {
+        enabled: true,
+        secret: RFC_SECRET,
+        recoveryCodes: [...recovery.hashes],
+        lastUsedStep: null,
+      },
+    };
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("accepts a code once and remembers its step", () => {
+    setTime(59);
+    assert.equal(consumeSecondFactor(admin, { code: "287082" }), "totp");
+    assert.equal(admin.twoFactor.lastUsedStep, 1);
+    assert.equal(consumeSecondFactor(admin, { code: "287082" }), null);
+  });
+
+  it("accepts each recovery code once, ignoring case and dashes", () => {
+    assert.equal(recovery.codes.length, 10);
+    assert.equal(recovery.hashes.length, 10);
+
+    const code = recovery.codes[0].toUpperCase().replace("-", "");
+    assert.equal(
+      consumeSecondFactor(admin, { recoveryCode: code }),
+      "recovery"
+    );
+    assert.equal(admin.twoFactor.recoveryCodes.length, 9);
+    assert.equal(consumeSecondFactor(admin, { recoveryCode: code }), null);
+  });
+
+  it("refuses wrong codes and accounts without 2FA", () => {
+    setTime(59);
+    assert.equal(consumeSecondFactor(admin, { code: "000000" }), null);
+    assert.equal(consumeSecondFactor(admin, { recoveryCode: "nope" }), null);
+    assert.equal(consumeSecondFactor(admin, {}), null);
+
+    admin.twoFactor.enabled = false;
+    assert.equal(consumeSecondFactor(admin, { code: "287082" }), null);
+  });
+});
@@ -0,0 +1,128 @@
+const BERLIN_TZ = "Europe/Berlin";
+
+const berlinOffsetFormatter = new Intl.DateTimeFormat("en-US", {
+  timeZone: BERLIN_TZ,
+  timeZoneName: "shortOffset",
+  hour: "2-digit",
+  minute: "2-digit",
+  second: "2-digit",
+  hour12: false,
+});
+
+const berlinPartsFormatter = new Intl.DateTimeFormat("en-US", {
+  timeZone: BERLIN_TZ,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  weekday: "short",
+  hour12: false,
+});
+
+const WEEKDAY_INDEX = {
+  Sun: 0,
+  Mon: 1,
+  Tue: 2,
+  Wed: 3,
+  Thu: 4,
+  Fri: 5,
+  Sat: 6,
+};
+
+/**
+ * Get the Berlin UTC offset (in minutes) that applies at the given instant
+ * @param {Date} date - Instant to check
+ * @returns {number} Offset in minutes (60 in winter, 120 in summer)
+ */
+function getBerlinOffsetMinutes(date) {
+  const tzPart = berlinOffsetFormatter
+    .formatToParts(date)
+    .find((part) => part.type === "timeZoneName");
+
+  const match = tzPart?.value.match(/GMT([+-]\d{1,2})(?::(\d{2}))?/);
+  if (!match) {
+    return 60; // Default to UTC+1
+  }
+
+  const sign = match[1].startsWith("-") ? -1 : 1;
+  const hours = Math.abs(Number(match[1]));
+  const minutes = match[2] ? Number(match[2]) : 0;
+
+  return sign * (hours * 60 + minutes);
+}
+
+/**
+ * Convert a stored appointment day (UTC midnight) and a Berlin "HH:MM" slot to UTC
+ * @param {Date} date - Appointment day stored as UTC midnight
+ * @param {string} slot - Berlin local time in HH:MM format
+ * @returns {Date|null} Start of the slot in UTC
+ */
+function convertBerlinSlotToUtc(date, slot) {
+  if (!date || !slot) {
+    return null;
+  }
+
+  const day = date instanceof Date ? date : new Date(date);
+  if (Number.isNaN(day.getTime())) {
+    return null;
+  }
+
+  const [hour, minute] = slot.split(":").map(Number);
+  const baseUtcMillis = Date.UTC(
+    day.getUTCFullYear(),
+    day.getUTCMonth(),
+    day.getUTCDate(),
+    hour,
+    minute
+  );
+  const offsetMinutes = getBerlinOffsetMinutes(new Date(baseUtcMillis));
+
+  return new Date(baseUtcMillis - offsetMinutes * 60000);
+}
+
+/**
+ * Get the start of an appointment in UTC from its date and slot
+ * @param {Object} appointment - Appointment document or plain object
+ * @returns {Date|null} Appointment start in UTC
+ */
+function getAppointmentStartUtc(appointment) {
+  if (!appointment || !appointment.date) {
+    return null;
+  }
+
+  if (!appointment.slot) {
+    return new Date(appointment.date);
+  }
+
+  return convertBerlinSlotToUtc(appointment.date, appointment.slot);
+}
+
+/**
+ * Get Berlin wall-clock parts for an instant
+ * @param {Date} date - Instant to format
+ * @returns {Object} { year, month, day, hour, minute, weekday } with weekday 0 = Sunday
+ */
+function getBerlinParts(date) {
+  const parts = {};
+  berlinPartsFormatter.formatToParts(date).forEach((part) => {
+    parts[part.type] = part.value;
+  });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour) % 24,
+    minute: Number(parts.minute),
+    weekday: WEEKDAY_INDEX[parts.weekday],
+  };
+}
+
+module.exports = {
+  BERLIN_TZ,
+  getBerlinOffsetMinutes,
+  convertBerlinSlotToUtc,
+  getAppointmentStartUtc,
+  getBerlinParts,
+};
@@ -0,0 +1,231 @@
+/**
+ * German public holidays (gesetzliche Feiertage) per federal state.
+ *
+ * Only statewide holidays are included; holidays that apply to single
+ * municipalities (e.g. Augsburger Friedensfest, Mariä Himmelfahrt in parts of
+ * Bavaria) and one-off holidays have to be added by hand.
+ */
+
+const FEDERAL_STATES = {
+  BW: "Baden-Württemberg",
+  BY: "Bayern",
+  BE: "Berlin",
+  BB: "Brandenburg",
+  HB: "Bremen",
+  HH: "Hamburg",
+  HE: "Hessen",
+  MV: "Mecklenburg-Vorpommern",
+  NI: "Niedersachsen",
+  NW: "Nordrhein-Westfalen",
+  RP: "Rheinland-Pfalz",
+  SL: "Saarland",
+  SN: "Sachsen",
+  ST: "Sachsen-Anhalt",
+  SH: "Schleswig-Holstein",
+  TH: "Thüringen",
+};
+
+const ALL_STATES = Object.keys(FEDERAL_STATES);
+
+/**
+ * Easter Sunday (anonymous Gregorian algorithm)
+ * @param {number} year - Four-digit year
+ * @returns {Date} Easter Sunday as UTC midnight
+ */
+function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+function fixedDate(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+// Buß- und Bettag: the Wednesday before 23 November
+function getRepentanceDay(year) {
+  const date = fixedDate(year, 11, 22);
+  const daysSinceWednesday = (date.getUTCDay() + 7 - 3) % 7;
+  return addDays(date, -daysSinceWednesday);
+}
+
+/**
+ * Holiday definitions; `states` lists where a holiday applies, either as a
+ * state code or as [code, first year it was a public holiday there]
+ */
+function getHolidayDefinitions(year) {
+  const easter = getEasterSunday(year);
+
+  return [
+    {
+      key: "neujahr",
+      name: "Neujahr",
+      date: fixedDate(year, 1, 1),
+      states: ALL_STATES,
+    },
+    {
+      key: "heiligeDreiKoenige",
+      name: "Heilige Drei Könige",
+      date: fixedDate(year, 1, 6),
+      states: ["BW", "BY", "ST"],
+    },
+    {
+      key: "frauentag",
+      name: "Internationaler Frauentag",
+      date: fixedDate(year, 3, 8),
+      states: [
+        ["BE", 2019],
+        ["MV", 2023],
+      ],
+    },
+    {
+      key: "karfreitag",
+      name: "Karfreitag",
+      date: addDays(easter, -2),
+      states: ALL_STATES,
+    },
+    { key: "ostersonntag", name: "Ostersonntag", date: easter, states: ["BB"] },
+    {
+      key: "ostermontag",
+      name: "Ostermontag",
+      date: addDays(easter, 1),
+      states: ALL_STATES,
+    },
+    {
+      key: "tagDerArbeit",
+      name: "Tag der Arbeit",
+      date: fixedDate(year, 5, 1),
+      states: ALL_STATES,
+    },
+    {
+      key: "christiHimmelfahrt",
+      name: "Christi Himmelfahrt",
+      date: addDays(easter, 39),
+      states: ALL_STATES,
+    },
+    {
+      key: "pfingstsonntag",
+      name: "Pfingstsonntag",
+      date: addDays(easter, 49),
+      states: ["BB"],
+    },
+    {
+      key: "pfingstmontag",
+      name: "Pfingstmontag",
+      date: addDays(easter, 50),
+      states: ALL_STATES,
+    },
+    {
+      key: "fronleichnam",
+      name: "Fronleichnam",
+      date: addDays(easter, 60),
+      states: ["BW", "BY", "HE", "NW", "RP", "SL"],
+    },
+    {
+      key: "mariaeHimmelfahrt",
+      name: "Mariä Himmelfahrt",
+      date: fixedDate(year, 8, 15),
+      states: ["SL"],
+    },
+    {
+      key: "weltkindertag",
+      name: "Weltkindertag",
+      date: fixedDate(year, 9, 20),
+      states: [["TH", 2019]],
+    },
+    {
+      key: "tagDerDeutschenEinheit",
+      name: "Tag der Deutschen Einheit",
+      date: fixedDate(year, 10, 3),
+      states: ALL_STATES,
+    },
+    {
+      key: "reformationstag",
+      name: "Reformationstag",
+      date: fixedDate(year, 10, 31),
+      states: [
+        "BB",
+        "MV",
+        "SN",
+        "ST",
+        "TH",
+        ["HB", 2018],
+        ["HH", 2018],
+        ["NI", 2018],
+        ["SH", 2018],
+      ],
+    },
+    {
+      key: "allerheiligen",
+      name: "Allerheiligen",
+      date: fixedDate(year, 11, 1),
+      states: ["BW", "BY", "NW", "RP", "SL"],
+    },
+    {
+      key: "bussUndBettag",
+      name: "Buß- und Bettag",
+      date: getRepentanceDay(year),
+      states: ["SN"],
+    },
+    {
+      key: "ersterWeihnachtstag",
+      name: "1. Weihnachtstag",
+      date: fixedDate(year, 12, 25),
+      states: ALL_STATES,
+    },
+    {
+      key: "zweiterWeihnachtstag",
+      name: "2. Weihnachtstag",
+      date: fixedDate(year, 12, 26),
+      states: ALL_STATES,
+    },
+  ];
+}
+
+function appliesTo(definition, state, year) {
+  return definition.states.some((entry) =>
+    Array.isArray(entry)
+      ? entry[0] === state && year >= entry[1]
+      : entry === state
+  );
+}
+
+/**
+ * Public holidays of a federal state in a year
+ * @param {number} year - Four-digit year
+ * @param {string} state - State code, e.g. "HE" (see FEDERAL_STATES)
+ * @returns {Array<Object>} [{ key, name, date }] sorted by date, date as UTC midnight
+ */
+function getGermanHolidays(year, state) {
+  if (!FEDERAL_STATES[state]) {
+    throw new Error(`Unknown federal state: ${state}`);
+  }
+
+  return getHolidayDefinitions(year)
+    .filter((definition) => appliesTo(definition, state, year))
+    .map(({ key, name, date }) => ({ key, name, date }))
+    .sort((a, b) => a.date - b.date);
+}
+
+module.exports = {
+  FEDERAL_STATES,
+  getEasterSunday,
+  getGermanHolidays,
+};
@@ -0,0 +1,250 @@
+const { BERLIN_TZ } = require("./berlinTime");
+
+/**
+ * Minimal iCalendar (RFC 5545) writer for appointment invites.
+ *
+ * Events are written in Berlin local time (DTSTART;TZID=Europe/Berlin) together
+ * with a VTIMEZONE definition, so calendar clients show the correct time in
+ * summer and winter without relying on their own timezone database.
+ */
+
+const PRODID = "-//Praxis Dr. Kerim//Terminbuchung//DE";
+const UID_DOMAIN = "praxiskerim.de";
+
+// Europe/Berlin: CEST from the last Sunday in March, CET from the last Sunday in October
+const BERLIN_VTIMEZONE = [
+  "BEGIN:VTIMEZONE",
+  `TZID:${BERLIN_TZ}`,
+  `X-LIC-LOCATION:${BERLIN_TZ}`,
+  "BEGIN:DAYLIGHT",
+  "TZOFFSETFROM:+0100",
+  "TZOFFSETTO:+0200",
+  "TZNAME:CEST",
+  "DTSTART:19700329T020000",
+  "RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU",
+  "END:DAYLIGHT",
+  "BEGIN:STANDARD",
+  "TZOFFSETFROM:+0200",
+  "TZOFFSETTO:+0100",
+  "TZNAME:CET",
+  "DTSTART:19701025T030000",
+  "RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU",
+  "END:STANDARD",
+  "END:VTIMEZONE",
+];
+
+function pad(value) {
+  return String(value).padStart(2, "0");
+}
+
+function escapeText(value = "") {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+function escapeParam(value = "") {
+  // Quoted so names containing ":" ";" or "," stay valid; quotes are not allowed inside
+  return `"${String(value).replace(/"/g, "'")}"`;
+}
+
+/**
+ * Fold content lines longer than 75 octets (RFC 5545 section 3.1)
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line joined with CRLF + space
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = "";
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n ");
+}
+
+function formatUtcDateTime(date) {
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(
+    date.getUTCDate()
+  )}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(
+    date.getUTCSeconds()
+  )}Z`;
+}
+
+/**
+ * Berlin wall-clock start/end of a slot, formatted as iCalendar local times
+ * @param {Date} date - Appointment day stored as UTC midnight
+ * @param {string} slot - Berlin local time in HH:MM format
+ * @param {number} durationMinutes - Length of the appointment
+ * @returns {Object} { start, end } e.g. "20261019T103000"
+ */
+function getLocalDateTimes(date, slot, durationMinutes) {
+  const day = date instanceof Date ? date : new Date(date);
+  const [hour, minute] = slot.split(":").map(Number);
+
+  // Date.UTC is only used as a calendar calculator here, the values are Berlin local time
+  const format = (millis) => {
+    const local = new Date(millis);
+    return `${local.getUTCFullYear()}${pad(local.getUTCMonth() + 1)}${pad(
+      local.getUTCDate()
+    )}T${pad(local.getUTCHours())}${pad(local.getUTCMinutes())}00`;
+  };
+
+  const startMillis = Date.UTC(
+    day.getUTCFullYear(),
+    day.getUTCMonth(),
+    day.getUTCDate(),
+    hour,
+    minute
+  );
+
+  return {
+    start: format(startMillis),
+    end: format(startMillis + durationMinutes * 60000),
+  };
+}
+
+/**
+ * Stable UID for all invites that belong to one appointment, so REQUEST and
+ * CANCEL messages update the same calendar entry
+ * @param {string|Object} appointmentId - Appointment ID
+ * @returns {string} UID
+ */
+function getAppointmentUid(appointmentId) {
+  return `appointment-${appointmentId}@${UID_DOMAIN}`;
+}
+
+function buildEventLines({
+  uid,
+  sequence = 0,
+  date,
+  slot,
+  durationMinutes = 30,
+  summary,
+  description,
+  location,
+  organizer,
+  attendee,
+  status = "CONFIRMED",
+}) {
+  const { start, end } = getLocalDateTimes(date, slot, durationMinutes);
+
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${formatUtcDateTime(new Date())}`,
+    `DTSTART;TZID=${BERLIN_TZ}:${start}`,
+    `DTEND;TZID=${BERLIN_TZ}:${end}`,
+    `SUMMARY:${escapeText(summary)}`,
+  ];
+
+  if (description) {
+    lines.push(`DESCRIPTION:${escapeText(description)}`);
+  }
+  if (location) {
+    lines.push(`LOCATION:${escapeText(location)}`);
+  }
+  if (organizer?.email) {
+    lines.push(
+      `ORGANIZER;CN=${escapeParam(organizer.name)}:mailto:${organizer.email}`
+    );
+  }
+  if (attendee?.email) {
+    // The appointment is already booked, so the patient does not need to RSVP
+    const cn = attendee.name ? `;CN=${escapeParam(attendee.name)}` : "";
+    lines.push(
+      `ATTENDEE${cn};ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED;RSVP=FALSE:mailto:${attendee.email}`
+    );
+  }
+
+  lines.push(`STATUS:${status}`, "TRANSP:OPAQUE", "END:VEVENT");
+  return lines;
+}
+
+function wrapCalendar(headerLines, eventLines) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    ...headerLines,
+    ...BERLIN_VTIMEZONE,
+    ...eventLines,
+    "END:VCALENDAR",
+  ];
+
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+}
+
+/**
+ * Build an iCalendar document with a single appointment event
+ * @param {Object} options
+ * @param {string} options.method - "REQUEST" or "CANCEL"
+ * @param {string} options.appointmentId - Appointment ID (used for the UID)
+ * @param {number} options.sequence - Revision of the event, must grow with every change
+ * @param {Date} options.date - Appointment day stored as UTC midnight
+ * @param {string} options.slot - Berlin local time in HH:MM format
+ * @param {number} options.durationMinutes - Length of the appointment (default: 30)
+ * @param {string} options.summary - Event title
+ * @param {string} options.description - Event description
+ * @param {string} options.location - Event location
+ * @param {Object} options.organizer - { name, email }
+ * @param {Object} options.attendee - { name, email }
+ * @returns {string} iCalendar content with CRLF line endings
+ */
+function buildAppointmentCalendar({ method, appointmentId, ...event }) {
+  return wrapCalendar(
+    [`METHOD:${method}`],
+    buildEventLines({
+      ...event,
+      uid: getAppointmentUid(appointmentId),
+      status: method === "CANCEL" ? "CANCELLED" : "CONFIRMED",
+    })
+  );
+}
+
+/**
+ * Build a subscribable calendar (METHOD:PUBLISH) with many appointment events
+ * @param {Object} options
+ * @param {string} options.name - Calendar name shown in the client
+ * @param {number} options.refreshMinutes - Suggested polling interval
+ * @param {Array<Object>} options.events - Events with the same fields as
+ *   buildAppointmentCalendar (appointmentId, sequence, date, slot, summary, ...)
+ * @returns {string} iCalendar content with CRLF line endings
+ */
+function buildCalendarFeed({ name, refreshMinutes = 15, events }) {
+  return wrapCalendar(
+    [
+      "METHOD:PUBLISH",
+      `X-WR-CALNAME:${escapeText(name)}`,
+      `X-WR-TIMEZONE:${BERLIN_TZ}`,
+      `REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`,
+      `X-PUBLISHED-TTL:PT${refreshMinutes}M`,
+    ],
+    events.flatMap(({ appointmentId, ...event }) =>
+      buildEventLines({ ...event, uid: getAppointmentUid(appointmentId) })
+    )
+  );
+}
+
+module.exports = {
+  getAppointmentUid,
+  buildAppointmentCalendar,
+  buildCalendarFeed,
+};